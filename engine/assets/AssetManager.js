@@ -0,0 +1,187 @@
+/**
+ * @file AssetManager.js
+ * @description JSON・画像・音声アセットの読み込みとキャッシュを行います。
+ * アセットはマニフェスト（{ key, type, src } の配列）単位で読み込み、読み込みを要求した所有者（シーンなど）ごとに参照を数えます。
+ * 全ての所有者が release() するとキャッシュから破棄されます。
+ * 読み込みに失敗したアセットは ErrorHandler に NETWORK_ERROR として報告し、load() 自体は失敗させません。
+ *
+ * 読み込み結果:
+ * - json: パース済みのオブジェクト
+ * - image: HTMLImageElement
+ * - audio: ArrayBuffer（デコードは再生側で行う）
+ */
+import { ErrorHandler, GameError, ErrorType } from '../utils/ErrorHandler.js';
+
+export const AssetType = {
+    JSON: 'json',
+    IMAGE: 'image',
+    AUDIO: 'audio',
+};
+
+// type が省略された場合に拡張子から種類を推定する
+const TYPE_BY_EXTENSION = {
+    json: AssetType.JSON,
+    png: AssetType.IMAGE,
+    jpg: AssetType.IMAGE,
+    jpeg: AssetType.IMAGE,
+    gif: AssetType.IMAGE,
+    webp: AssetType.IMAGE,
+    mp3: AssetType.AUDIO,
+    ogg: AssetType.AUDIO,
+    wav: AssetType.AUDIO,
+    m4a: AssetType.AUDIO,
+};
+
+const fetchOk = async (src) => {
+    const response = await fetch(src);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response;
+};
+
+const DEFAULT_LOADERS = {
+    [AssetType.JSON]: async (src) => (await fetchOk(src)).json(),
+    [AssetType.IMAGE]: (src) => new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Image could not be decoded or was not found'));
+        image.src = src;
+    }),
+    [AssetType.AUDIO]: async (src) => (await fetchOk(src)).arrayBuffer(),
+};
+
+export class AssetManager {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.basePath=''] - 相対パスの src の前に付けるパス
+     */
+    constructor(options = {}) {
+        this.basePath = options.basePath || '';
+        this.loaders = { ...DEFAULT_LOADERS };
+
+        // key: アセットキー, value: { key, type, src, status: 'loading'|'loaded'|'failed', data, promise, owners: Set }
+        this.entries = new Map();
+    }
+
+    /**
+     * アセットの種類ごとの読み込み関数を登録（上書き）する
+     * @param {string} type
+     * @param {function(string): Promise<any>} loader - src を受け取り、読み込み結果を返す
+     */
+    registerLoader(type, loader) {
+        this.loaders[type] = loader;
+    }
+
+    /**
+     * マニフェストのアセットを読み込む。読み込み済みのアセットはキャッシュを使用する。
+     * @param {Array<{ key: string, type?: string, src: string }>} manifest
+     * @param {object} [options]
+     * @param {any} [options.owner=null] - 参照を数える所有者（release() に同じ値を渡して解放する）
+     * @param {function({ loaded: number, total: number, key: string }): void} [options.onProgress] - アセットの読み込みが1つ終わるたびに呼ばれる
+     * @returns {Promise<{ loaded: string[], failed: string[] }>}
+     */
+    async load(manifest, options = {}) {
+        const owner = options.owner ?? null;
+        const total = manifest.length;
+        let loadedCount = 0;
+        const result = { loaded: [], failed: [] };
+
+        await Promise.all(manifest.map(async (item) => {
+            const entry = this._getOrCreateEntry(item);
+            entry.owners.add(owner);
+            await entry.promise;
+
+            (entry.status === 'loaded' ? result.loaded : result.failed).push(entry.key);
+            loadedCount++;
+            options.onProgress?.({ loaded: loadedCount, total, key: entry.key });
+        }));
+
+        return result;
+    }
+
+    /**
+     * @param {Array<{ key: string }>} manifest
+     * @returns {boolean} マニフェストの全てのアセットの読み込みが終わっているか（失敗したものを含む）
+     */
+    isLoaded(manifest) {
+        return manifest.every(({ key }) => {
+            const status = this.entries.get(key)?.status;
+            return status === 'loaded' || status === 'failed';
+        });
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean}
+     */
+    has(key) {
+        return this.entries.get(key)?.status === 'loaded';
+    }
+
+    /**
+     * @param {string} key
+     * @returns {any} 読み込み結果（未読み込み・失敗の場合は undefined）
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        return entry?.status === 'loaded' ? entry.data : undefined;
+    }
+
+    /**
+     * 所有者の参照を外し、どの所有者からも参照されなくなったアセットを破棄する
+     * @param {any} owner
+     */
+    release(owner) {
+        for (const [key, entry] of this.entries) {
+            entry.owners.delete(owner);
+            if (entry.owners.size === 0) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    _getOrCreateEntry({ key, type, src }) {
+        const existing = this.entries.get(key);
+        if (existing) {
+            if (existing.src !== src) {
+                console.warn(`AssetManager: Asset "${key}" is already loaded from "${existing.src}". "${src}" was ignored.`);
+            }
+            return existing;
+        }
+
+        const resolvedType = type || this._inferType(src);
+        const entry = { key, type: resolvedType, src, status: 'loading', data: undefined, promise: null, owners: new Set() };
+        const loader = this.loaders[resolvedType];
+
+        entry.promise = Promise.resolve()
+            .then(() => {
+                if (!loader) throw new Error(`No loader for asset type "${resolvedType}"`);
+                return loader(this._resolvePath(src));
+            })
+            .then(data => {
+                entry.data = data;
+                entry.status = 'loaded';
+            }, error => {
+                entry.status = 'failed';
+                ErrorHandler.handle(new GameError(
+                    `Failed to load asset "${key}" (${src}): ${error.message}`,
+                    ErrorType.NETWORK_ERROR,
+                    { key, type: resolvedType, src }
+                ), { source: 'AssetManager' });
+            });
+
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    _inferType(src) {
+        const extension = src.split(/[?#]/)[0].split('.').pop().toLowerCase();
+        return TYPE_BY_EXTENSION[extension];
+    }
+
+    _resolvePath(src) {
+        if (!this.basePath || /^([a-z]+:)?\/\//i.test(src) || src.startsWith('/')) return src;
+        return `${this.basePath.replace(/\/$/, '')}/${src}`;
+    }
+}
@@ -0,0 +1,366 @@
+/**
+ * @file AudioManager.js
+ * @description Web Audio を使った BGM・効果音 (SE) の再生管理クラス。
+ *
+ * - 音量はマスター・BGM・SE のチャンネルごとに設定でき、ミュートはマスターの出力だけを 0 にする（各音量は保持される）。
+ *   設定が変わるたびに onSettingsChanged が呼ばれる（保存は呼び出し側で行う）。
+ * - BGM は同時に1曲だけ再生し、曲を切り替える時は前の曲をフェードアウトしながら次の曲をフェードインする（クロスフェード）。
+ * - SE は同時発音数 (maxSeVoices) までの発音枠を使い回し、枠が足りない場合は最も古い発音を止めて鳴らす。
+ * - 音源は AssetManager で読み込んだ AudioBuffer（createLoader() を AssetType.AUDIO のローダーとして登録する）か、
+ *   registerSynth() で登録した合成音の定義を使う。同じキーがある場合は読み込んだ音源を優先する。
+ *
+ * Web Audio が使えない環境（ヘッドレス実行など）や AudioContext の生成に失敗した場合は isAvailable が false になり、
+ * 再生・設定の操作はすべて何もしない（設定値の保持と onSettingsChanged の呼び出しは行う）。
+ * ブラウザの自動再生制限により、最初のクリックかキー入力までは音が出ない（それまでに開始した BGM はその時点から聞こえる）。
+ */
+
+export const AudioChannel = {
+    MASTER: 'master',
+    BGM: 'bgm',
+    SE: 'se',
+};
+
+const DEFAULT_SETTINGS = {
+    volumes: {
+        [AudioChannel.MASTER]: 1,
+        [AudioChannel.BGM]: 0.6,
+        [AudioChannel.SE]: 0.8,
+    },
+    isMuted: false,
+};
+
+// 合成音の音の立ち上がり時間（秒。波形の始まりのノイズを防ぐ）
+const SYNTH_ATTACK = 0.005;
+
+// 合成音の波形（位相 0〜1 を受け取り -1〜1 を返す）
+const WAVEFORMS = {
+    sine: (phase) => Math.sin(phase * Math.PI * 2),
+    square: (phase) => (phase < 0.5 ? 1 : -1),
+    triangle: (phase) => 1 - 4 * Math.abs(phase - 0.5),
+    sawtooth: (phase) => phase * 2 - 1,
+    noise: () => Math.random() * 2 - 1,
+};
+
+export class AudioManager {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.settings] - 保存済みの設定 ({ volumes: { master, bgm, se }, isMuted })
+     * @param {function(object): void} [options.onSettingsChanged] - 設定変更時のコールバック（設定のコピーを受け取る）
+     * @param {function(string): any} [options.getAsset] - キーから読み込み済みの音源を返す関数
+     * @param {number} [options.maxSeVoices=8] - SE の同時発音数
+     */
+    constructor(options = {}) {
+        const saved = options.settings || {};
+        this.settings = {
+            volumes: { ...DEFAULT_SETTINGS.volumes, ...saved.volumes },
+            isMuted: saved.isMuted ?? DEFAULT_SETTINGS.isMuted,
+        };
+        this.onSettingsChanged = options.onSettingsChanged || null;
+        this.getAsset = options.getAsset || (() => undefined);
+        this.maxSeVoices = options.maxSeVoices ?? 8;
+
+        // key: 音源キー, value: 合成音の定義
+        this.synths = new Map();
+        // key: 音源キー, value: 合成済みの AudioBuffer
+        this.synthBuffers = new Map();
+
+        // { source: AudioBufferSourceNode|null, gain: GainNode, startedAt: number } の配列
+        this.voices = [];
+        // 再生中の BGM ({ key, source, gain })
+        this.bgm = null;
+
+        this.context = this._createContext();
+        if (!this.context) return;
+
+        this.masterGain = this.context.createGain();
+        this.masterGain.connect(this.context.destination);
+        this.channelGains = {
+            [AudioChannel.BGM]: this.context.createGain(),
+            [AudioChannel.SE]: this.context.createGain(),
+        };
+        Object.values(this.channelGains).forEach(gain => gain.connect(this.masterGain));
+        this._applyVolumes();
+
+        this._unlock = this._unlock.bind(this);
+        window.addEventListener('pointerdown', this._unlock);
+        window.addEventListener('keydown', this._unlock);
+    }
+
+    /**
+     * @returns {boolean} 音を再生できる環境か
+     */
+    get isAvailable() {
+        return this.context !== null;
+    }
+
+    /**
+     * AssetManager に AssetType.AUDIO のローダーとして登録する関数を作成する。
+     * 音声を再生できない環境では読み込みを行わず null を返す。
+     * @returns {function(string): Promise<AudioBuffer|null>}
+     */
+    createLoader() {
+        return async (src) => {
+            if (!this.context) return null;
+            const response = await fetch(src);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            }
+            return this.context.decodeAudioData(await response.arrayBuffer());
+        };
+    }
+
+    /**
+     * 合成音を登録する
+     * @param {string} key - 音源キー
+     * @param {object} definition
+     * @param {string} [definition.wave='square'] - 波形 ('sine' | 'square' | 'triangle' | 'sawtooth' | 'noise')
+     * @param {number|number[]} [definition.frequency=440] - 周波数 (Hz)。[開始, 終了] の場合は直線的に変化する
+     * @param {number} [definition.duration=100] - 長さ (ms)。音量は終わりに向かって直線的に減衰する
+     * @param {number} [definition.volume=1] - 音量 (0〜1)
+     * @param {Array<number|null>} [definition.notes] - 順に鳴らす音符の周波数 (Hz)。null は休符。
+     *   指定した場合は frequency・duration の代わりに使い、音量は音符ごとに減衰する（BGM のループなど）
+     * @param {number} [definition.noteDuration=200] - 1音符の長さ (ms)
+     */
+    registerSynth(key, definition) {
+        this.synths.set(key, definition);
+        this.synthBuffers.delete(key);
+    }
+
+    /**
+     * BGM を再生する。再生中の曲はフェードアウトする。
+     * 同じ曲が再生中の場合は何もせず、音源が見つからない場合は再生中の曲を止めるだけにする。
+     * @param {string} key - 音源キー
+     * @param {object} [options]
+     * @param {number} [options.fadeDuration=1000] - クロスフェードの時間 (ms)
+     * @param {boolean} [options.loop=true] - ループ再生するか
+     */
+    playBgm(key, options = {}) {
+        if (!this.context || this.bgm?.key === key) return;
+        const { fadeDuration = 1000, loop = true } = options;
+
+        this.stopBgm({ fadeDuration });
+
+        const buffer = this._getBuffer(key);
+        if (!buffer) return;
+
+        const gain = this.context.createGain();
+        gain.connect(this.channelGains[AudioChannel.BGM]);
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        source.loop = loop;
+        source.connect(gain);
+
+        const now = this.context.currentTime;
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.linearRampToValueAtTime(1, now + fadeDuration / 1000);
+        source.start();
+
+        this.bgm = { key, source, gain };
+    }
+
+    /**
+     * 再生中の BGM をフェードアウトして止める
+     * @param {object} [options]
+     * @param {number} [options.fadeDuration=1000] - フェードアウトの時間 (ms)
+     */
+    stopBgm(options = {}) {
+        if (!this.context || !this.bgm) return;
+        const { fadeDuration = 1000 } = options;
+        const { source, gain } = this.bgm;
+        this.bgm = null;
+
+        const now = this.context.currentTime;
+        const endTime = now + fadeDuration / 1000;
+        gain.gain.cancelScheduledValues(now);
+        gain.gain.setValueAtTime(gain.gain.value, now);
+        gain.gain.linearRampToValueAtTime(0, endTime);
+        source.onended = () => gain.disconnect();
+        source.stop(endTime);
+    }
+
+    /**
+     * 効果音を再生する
+     * @param {string} key - 音源キー
+     * @param {object} [options]
+     * @param {number} [options.volume=1] - この発音の音量 (0〜1)
+     * @param {number} [options.playbackRate=1] - 再生速度（音程も変わる）
+     * @returns {boolean} 再生したか（音源がない・再生できない環境の場合は false）
+     */
+    playSe(key, options = {}) {
+        if (!this.context) return false;
+        const buffer = this._getBuffer(key);
+        if (!buffer) return false;
+
+        const voice = this._acquireVoice();
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        source.playbackRate.value = options.playbackRate ?? 1;
+        source.connect(voice.gain);
+        source.onended = () => {
+            source.disconnect();
+            if (voice.source === source) voice.source = null;
+        };
+
+        voice.gain.gain.value = options.volume ?? 1;
+        voice.source = source;
+        voice.startedAt = this.context.currentTime;
+        source.start();
+        return true;
+    }
+
+    /**
+     * @param {string} channel - AudioChannel
+     * @returns {number} 音量 (0〜1)
+     */
+    getVolume(channel) {
+        return this.settings.volumes[channel] ?? 0;
+    }
+
+    /**
+     * @param {string} channel - AudioChannel
+     * @param {number} volume - 音量 (0〜1 に丸める)
+     */
+    setVolume(channel, volume) {
+        if (!(channel in this.settings.volumes)) {
+            console.warn(`AudioManager: Unknown channel "${channel}".`);
+            return;
+        }
+        this.settings.volumes[channel] = Math.min(1, Math.max(0, volume));
+        this._applyVolumes();
+        this._notifySettingsChanged();
+    }
+
+    /**
+     * @returns {boolean} ミュート中か
+     */
+    get isMuted() {
+        return this.settings.isMuted;
+    }
+
+    /**
+     * @param {boolean} isMuted
+     */
+    setMuted(isMuted) {
+        if (this.settings.isMuted === isMuted) return;
+        this.settings.isMuted = isMuted;
+        this._applyVolumes();
+        this._notifySettingsChanged();
+    }
+
+    /**
+     * @returns {boolean} 切り替え後にミュート中か
+     */
+    toggleMute() {
+        this.setMuted(!this.settings.isMuted);
+        return this.settings.isMuted;
+    }
+
+    destroy() {
+        if (!this.context) return;
+        window.removeEventListener('pointerdown', this._unlock);
+        window.removeEventListener('keydown', this._unlock);
+        this.context.close();
+        this.context = null;
+        this.bgm = null;
+        this.voices = [];
+    }
+
+    _createContext() {
+        const AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+        if (!AudioContextClass) return null;
+        try {
+            return new AudioContextClass();
+        } catch (error) {
+            console.warn('AudioManager: Failed to create AudioContext. Sound is disabled.', error);
+            return null;
+        }
+    }
+
+    _applyVolumes() {
+        if (!this.context) return;
+        const { volumes, isMuted } = this.settings;
+        this.masterGain.gain.value = isMuted ? 0 : volumes[AudioChannel.MASTER];
+        this.channelGains[AudioChannel.BGM].gain.value = volumes[AudioChannel.BGM];
+        this.channelGains[AudioChannel.SE].gain.value = volumes[AudioChannel.SE];
+    }
+
+    _notifySettingsChanged() {
+        this.onSettingsChanged?.({
+            volumes: { ...this.settings.volumes },
+            isMuted: this.settings.isMuted,
+        });
+    }
+
+    _getBuffer(key) {
+        const asset = this.getAsset(key);
+        if (asset instanceof AudioBuffer) return asset;
+
+        if (!this.synthBuffers.has(key) && this.synths.has(key)) {
+            this.synthBuffers.set(key, this._renderSynth(this.synths.get(key)));
+        }
+        return this.synthBuffers.get(key) || null;
+    }
+
+    _renderSynth(definition) {
+        const { wave = 'square', frequency = 440, duration = 100, volume = 1, notes, noteDuration = 200 } = definition;
+        const waveform = WAVEFORMS[wave] || WAVEFORMS.square;
+        const sampleRate = this.context.sampleRate;
+
+        // 単音は1つの音符として扱う
+        const [startFrequency, endFrequency] = Array.isArray(frequency) ? frequency : [frequency, frequency];
+        const segments = notes
+            ? notes.map(note => ({ start: note, end: note, length: Math.max(1, Math.floor(sampleRate * noteDuration / 1000)) }))
+            : [{ start: startFrequency, end: endFrequency, length: Math.max(1, Math.floor(sampleRate * duration / 1000)) }];
+
+        const totalLength = segments.reduce((sum, segment) => sum + segment.length, 0);
+        const buffer = this.context.createBuffer(1, totalLength, sampleRate);
+        const data = buffer.getChannelData(0);
+
+        let phase = 0;
+        let offset = 0;
+        for (const { start, end, length } of segments) {
+            // 休符は無音のまま（バッファは 0 で初期化されている）
+            if (start !== null) {
+                for (let i = 0; i < length; i++) {
+                    const time = i / sampleRate;
+                    const progress = i / length;
+                    const envelope = Math.min(1, time / SYNTH_ATTACK) * (1 - progress);
+                    data[offset + i] = waveform(phase) * envelope * volume;
+
+                    const currentFrequency = start + (end - start) * progress;
+                    phase = (phase + currentFrequency / sampleRate) % 1;
+                }
+            }
+            offset += length;
+        }
+        return buffer;
+    }
+
+    _acquireVoice() {
+        const freeVoice = this.voices.find(voice => voice.source === null);
+        if (freeVoice) return freeVoice;
+
+        if (this.voices.length < this.maxSeVoices) {
+            const gain = this.context.createGain();
+            gain.connect(this.channelGains[AudioChannel.SE]);
+            const voice = { source: null, gain, startedAt: 0 };
+            this.voices.push(voice);
+            return voice;
+        }
+
+        // 発音枠が足りない場合は最も古い発音を止めて使い回す
+        const oldest = this.voices.reduce((a, b) => (b.startedAt < a.startedAt ? b : a));
+        const { source } = oldest;
+        oldest.source = null;
+        source.onended = null;
+        source.stop();
+        source.disconnect();
+        return oldest;
+    }
+
+    _unlock() {
+        if (this.context?.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+}
@@ -0,0 +1,110 @@
+/**
+ * @file AudioSettingsPanel.js
+ * @description AudioManager の音量（チャンネルごと）とミュートを変更する設定パネル。
+ * 開いている間は指定の入力コンテキストを積み、ゲーム側のアクションが反応しないようにします。
+ * 変更の保存は AudioManager の onSettingsChanged に任せます。
+ */
+import { el } from '../utils/DOMUtils.js';
+
+export class AudioSettingsPanel {
+    /**
+     * @param {AudioManager} audioManager
+     * @param {object} options
+     * @param {Array<{ channel: string, label: string }>} options.channels - 表示する音量のチャンネル（表示順）
+     * @param {InputManager} [options.inputManager] - 入力コンテキストを積む InputManager
+     * @param {string} [options.context] - 開いている間に積む入力コンテキスト
+     * @param {function(): void} [options.onClose] - 閉じた時のコールバック
+     */
+    constructor(audioManager, options) {
+        this.audio = audioManager;
+        this.channels = options.channels;
+        this.input = options.inputManager || null;
+        this.context = options.context ?? null;
+        this.onClose = options.onClose || null;
+
+        this.isOpen = false;
+
+        this.element = el('div', { className: 'audio-settings hidden' });
+        document.body.appendChild(this.element);
+
+        this._onKeyDown = this._onKeyDown.bind(this);
+    }
+
+    open() {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        if (this.input && this.context !== null) {
+            this.input.pushContext(this.context);
+        }
+        window.addEventListener('keydown', this._onKeyDown);
+        this.element.classList.remove('hidden');
+        this._render();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        if (this.input && this.context !== null) {
+            this.input.popContext();
+        }
+        window.removeEventListener('keydown', this._onKeyDown);
+        this.element.classList.add('hidden');
+        this.onClose?.();
+    }
+
+    destroy() {
+        this.close();
+        this.element.remove();
+    }
+
+    _onKeyDown(event) {
+        if (event.key === 'Escape' && !event.defaultPrevented) {
+            event.preventDefault();
+            this.close();
+        }
+    }
+
+    _render() {
+        const rows = this.channels.map(({ channel, label }) => {
+            const percent = Math.round(this.audio.getVolume(channel) * 100);
+            const valueLabel = el('span', { className: 'audio-settings-value', textContent: `${percent}%` });
+            // ドラッグ中に作り直さないよう、変更時は数値の表示だけを更新する
+            const slider = el('input', {
+                type: 'range',
+                min: '0',
+                max: '100',
+                step: '5',
+                value: String(percent),
+                oninput: () => {
+                    this.audio.setVolume(channel, Number(slider.value) / 100);
+                    valueLabel.textContent = `${slider.value}%`;
+                },
+            });
+            return el('tr', {}, [
+                el('th', { textContent: label }),
+                el('td', {}, [slider]),
+                el('td', {}, [valueLabel]),
+            ]);
+        });
+
+        const muteCheckbox = el('input', {
+            type: 'checkbox',
+            checked: this.audio.isMuted,
+            onchange: () => this.audio.setMuted(muteCheckbox.checked),
+        });
+
+        this.element.replaceChildren(
+            el('div', { className: 'audio-settings-panel' }, [
+                el('h2', { textContent: '音量設定' }),
+                this.audio.isAvailable
+                    ? null
+                    : el('p', { className: 'audio-settings-hint', textContent: 'この環境では音声を再生できません（設定は保存されます）' }),
+                el('table', {}, rows),
+                el('label', { className: 'audio-settings-mute' }, [muteCheckbox, 'ミュート']),
+                el('div', { className: 'audio-settings-buttons' }, [
+                    el('button', { textContent: '閉じる', onclick: () => this.close() }),
+                ]),
+            ])
+        );
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * @file CommandBuffer.js
+ * @description エンティティ/コンポーネントの構造的変更を遅延実行するためのコマンドバッファ。
+ * システムがクエリ結果をループ処理している最中に生成・削除を行うと、
+ * 後続システムから見える状態が登録順に依存してしまうため、変更を記録しておき
+ * World の同期ポイント（flush）でまとめて適用します。
+ */
+
+const CommandType = {
+    CREATE: 'CREATE',
+    ADD: 'ADD',
+    REMOVE: 'REMOVE',
+    DESTROY: 'DESTROY',
+};
+
+export class CommandBuffer {
+    /**
+     * @param {World} world
+     */
+    constructor(world) {
+        this.world = world;
+        this.commands = [];
+    }
+
+    /**
+     * 記録済みで未適用のコマンド数
+     * @returns {number}
+     */
+    get size() {
+        return this.commands.length;
+    }
+
+    /**
+     * エンティティの生成を予約します。
+     * IDは即座に発行されるため、同じバッファへの addComponent 等にそのまま使用できます。
+     * @returns {number} 予約されたエンティティID
+     */
+    createEntity() {
+        const entityId = this.world._allocateEntityId();
+        this.commands.push({ type: CommandType.CREATE, entityId });
+        return entityId;
+    }
+
+    /**
+     * @param {number} entityId
+     * @param {object} component
+     */
+    addComponent(entityId, component) {
+        this.commands.push({ type: CommandType.ADD, entityId, component });
+    }
+
+    /**
+     * @param {number} entityId
+     * @param {Function} componentClass
+     */
+    removeComponent(entityId, componentClass) {
+        this.commands.push({ type: CommandType.REMOVE, entityId, componentClass });
+    }
+
+    /**
+     * @param {number} entityId
+     */
+    destroyEntity(entityId) {
+        this.commands.push({ type: CommandType.DESTROY, entityId });
+    }
+
+    /**
+     * 記録されたコマンドを記録順に World へ適用します。
+     * 適用前に削除されたエンティティへのコマンドは無視されます。
+     */
+    flush() {
+        if (this.commands.length === 0) return;
+
+        const commands = this.commands;
+        this.commands = [];
+
+        for (const command of commands) {
+            switch (command.type) {
+                case CommandType.CREATE:
+                    this.world._insertEntity(command.entityId);
+                    break;
+                case CommandType.ADD:
+                    if (this.world.entities.has(command.entityId)) {
+                        this.world.addComponent(command.entityId, command.component);
+                    }
+                    break;
+                case CommandType.REMOVE:
+                    this.world.removeComponent(command.entityId, command.componentClass);
+                    break;
+                case CommandType.DESTROY:
+                    this.world.destroyEntity(command.entityId);
+                    break;
+            }
+        }
+    }
+
+    /**
+     * 未適用のコマンドを破棄します。
+     */
+    clear() {
+        this.commands = [];
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * @file ComponentRegistry.js
+ * @description コンポーネントクラスと型名の対応を管理するレジストリ。
+ * World のスナップショット（シリアライズ/復元）時に、クラスを文字列の型名へ変換するために使用します。
+ * World.reset() の影響を受けないよう、World とは独立したグローバルなレジストリとして保持します。
+ */
+
+class ComponentRegistryImpl {
+    constructor() {
+        // key: 型名 (string), value: ComponentClass
+        this.nameToClass = new Map();
+        // key: ComponentClass, value: { name, transient, onRestore }
+        this.entries = new Map();
+    }
+
+    /**
+     * コンポーネントクラスを型名と共に登録する
+     * @param {string} name - スナップショット内で使用する型名
+     * @param {Function} componentClass - コンポーネントクラス
+     * @param {object} [options]
+     * @param {boolean} [options.transient=false] - true の場合、スナップショットに含めない (DOMやブラウザAPIを保持するもの等)
+     * @param {Function} [options.onRestore] - 復元直後に呼ばれるフック (component) => void
+     */
+    register(name, componentClass, options = {}) {
+        const registered = this.nameToClass.get(name);
+        if (registered && registered !== componentClass) {
+            console.warn(`ComponentRegistry: Type name "${name}" is already registered to another class.`);
+            return;
+        }
+
+        this.nameToClass.set(name, componentClass);
+        this.entries.set(componentClass, {
+            name,
+            transient: options.transient || false,
+            onRestore: options.onRestore || null
+        });
+    }
+
+    /**
+     * モジュールのエクスポートをまとめて登録する。
+     * エクスポート名をそのまま型名として使用し、クラス以外のエクスポートは無視する。
+     * @param {object} moduleExports - `import * as X` で取得したモジュール名前空間
+     * @param {object} [options] - register() と同じオプション
+     * @param {string} [options.namespace] - 型名の衝突を避けるための接頭辞 (例: 'events' -> 'events.PartSelectedRequest')
+     */
+    registerAll(moduleExports, options = {}) {
+        const { namespace, ...registerOptions } = options;
+        for (const [name, value] of Object.entries(moduleExports)) {
+            if (typeof value === 'function') {
+                this.register(namespace ? `${namespace}.${name}` : name, value, registerOptions);
+            }
+        }
+    }
+
+    /**
+     * @param {Function} componentClass
+     * @returns {{ name: string, transient: boolean, onRestore: Function|null }|null}
+     */
+    getEntry(componentClass) {
+        return this.entries.get(componentClass) || null;
+    }
+
+    /**
+     * @param {Function} componentClass
+     * @returns {string|null}
+     */
+    getName(componentClass) {
+        return this.entries.get(componentClass)?.name || null;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Function|null}
+     */
+    getClass(name) {
+        return this.nameToClass.get(name) || null;
+    }
+}
+
+export const ComponentRegistry = new ComponentRegistryImpl();
@@ -0,0 +1,53 @@
+/**
+ * @file EntityHandle.js
+ * @description エンティティハンドル（インデックス + 世代）の計算。
+ * ハンドルは従来通り単一の数値で、下位 INDEX_BITS ビット相当がインデックス、それより上が世代を表します。
+ * インデックスはエンティティ削除後に再利用されますが、その際に世代が進むため、
+ * 削除済みエンティティを指す古いハンドルが新しいエンティティと一致することはありません。
+ * 世代はビット演算の範囲(32bit)を超えるため、乗除算で計算します。
+ */
+
+const INDEX_BITS = 20;
+const GENERATION_UNIT = 2 ** INDEX_BITS;
+// 世代0のハンドルはインデックスと同値になる（旧形式のIDとの互換）
+const MAX_GENERATION = 2 ** 32;
+
+export const EntityHandle = {
+    INDEX_BITS,
+    MAX_INDEX: GENERATION_UNIT - 1,
+    MAX_GENERATION,
+
+    /**
+     * @param {number} index
+     * @param {number} generation
+     * @returns {number}
+     */
+    create(index, generation) {
+        return generation * GENERATION_UNIT + index;
+    },
+
+    /**
+     * @param {number} handle
+     * @returns {number}
+     */
+    indexOf(handle) {
+        return handle % GENERATION_UNIT;
+    },
+
+    /**
+     * @param {number} handle
+     * @returns {number}
+     */
+    generationOf(handle) {
+        return Math.floor(handle / GENERATION_UNIT);
+    },
+
+    /**
+     * 次の世代番号（上限で0に戻る）
+     * @param {number} generation
+     * @returns {number}
+     */
+    nextGeneration(generation) {
+        return (generation + 1) % MAX_GENERATION;
+    }
+};
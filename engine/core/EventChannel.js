@@ -0,0 +1,260 @@
+/**
+ * @file EventChannel.js
+ * @description エンティティを生成せずにシステム間でメッセージを受け渡すイベントチャネル。
+ * これまでリクエスト/イベントはコンポーネントとして一時エンティティに付与し、消費側で削除していたため、
+ * 1件ごとにエンティティの生成・削除とクエリ更新が発生していました。
+ * イベントチャネルでは型（クラス）ごとのキューにインスタンスを積み、使用済みのインスタンスはプールして再利用します。
+ *
+ * 寿命:
+ * - consume() で取り出されたイベントはキューから除かれ、そのフレームの終了時にプールへ戻る。
+ * - 消費されなかったイベントは「発行されたフレーム + 次の1フレーム」の間だけ保持される。
+ *   これにより、後ろのステージで発行されたイベントも次フレームの前段ステージのシステムが受け取れる。
+ * - warnOnExpire が true の場合、消費されずに期限切れになったイベントを型ごとに1度だけ警告する
+ *   （reader() で読まれる型は消費されないのが正常なため除く）。
+ *
+ * 注意: プールされたインスタンスは再利用されるため、フレームをまたいで参照を保持してはならない。
+ * また、インスタンスは Object.create() で生成されるためクラスのコンストラクタは呼ばれない。
+ * 必要なフィールドは全て emit() の props で渡すこと。
+ *
+ * @example
+ * world.events.emit(TransitionStateRequest, { targetId, newState: PlayerStateType.CHARGING });
+ *
+ * for (const request of world.events.consume(TransitionStateRequest)) {
+ *     this._applyStateTransition(request.targetId, request.newState);
+ * }
+ */
+
+const EMPTY = Object.freeze([]);
+
+export class EventChannel {
+    constructor() {
+        // key: EventClass, value: { events: object[], frames: number[], sequences: number[], lastSequence: number }
+        this.queues = new Map();
+        // key: EventClass, value: object[] (再利用待ちのインスタンス)
+        this.pools = new Map();
+        // 今フレームに消費され、フレーム終了時にプールへ戻すイベント
+        this.released = [];
+
+        this.frame = 0;
+        this.nextSequence = 1;
+
+        // true の場合、消費されずに期限切れになったイベントを警告する（デバッグ用）
+        this.warnOnExpire = false;
+        // 警告済みの型と、reader() で読まれる（消費されない）型
+        this.warnedTypes = new Set();
+        this.readTypes = new Set();
+
+        // --- 計測 ---
+        this.emittedThisFrame = 0;
+        this.allocatedThisFrame = 0;
+        this.lastFrameEmitted = 0;
+        this.lastFrameAllocated = 0;
+    }
+
+    /**
+     * プールされている（再利用待ちの）インスタンス数
+     * @returns {number}
+     */
+    get pooledCount() {
+        let count = 0;
+        for (const pool of this.pools.values()) {
+            count += pool.length;
+        }
+        return count;
+    }
+
+    /**
+     * イベントを発行する
+     * @param {Function} EventClass - イベントの型
+     * @param {object} [props] - イベントのフィールド
+     * @returns {object} 発行されたイベント
+     */
+    emit(EventClass, props) {
+        const event = this._acquire(EventClass);
+        if (props) {
+            Object.assign(event, props);
+        }
+
+        const queue = this._getQueue(EventClass);
+        const sequence = this.nextSequence++;
+        queue.events.push(event);
+        queue.frames.push(this.frame);
+        queue.sequences.push(sequence);
+        queue.lastSequence = sequence;
+
+        this.emittedThisFrame++;
+        return event;
+    }
+
+    /**
+     * 未消費のイベントを全て取り出す（単一の消費者向け）
+     * @param {Function} EventClass
+     * @returns {object[]} 発行順のイベント。今フレーム中のみ有効。
+     */
+    consume(EventClass) {
+        const queue = this.queues.get(EventClass);
+        if (!queue || queue.events.length === 0) return EMPTY;
+
+        const events = queue.events;
+        for (const event of events) {
+            this.released.push(event);
+        }
+        queue.events = [];
+        queue.frames.length = 0;
+        queue.sequences.length = 0;
+        return events;
+    }
+
+    /**
+     * 未消費のイベントを取り出さずに参照する
+     * @param {Function} EventClass
+     * @returns {object[]}
+     */
+    peek(EventClass) {
+        return this.queues.get(EventClass)?.events || EMPTY;
+    }
+
+    /**
+     * 未消費のイベントがあるか
+     * @param {Function} EventClass
+     * @returns {boolean}
+     */
+    has(EventClass) {
+        const queue = this.queues.get(EventClass);
+        return !!queue && queue.events.length > 0;
+    }
+
+    /**
+     * 複数の読み手が同じイベントを受け取るためのリーダーを作成する。
+     * リーダーは自分が最後に読んだ位置を記憶し、read() で未読のイベントのみを返す（イベントは消費しない）。
+     * @param {Function} EventClass
+     * @returns {EventReader}
+     */
+    reader(EventClass) {
+        this.readTypes.add(EventClass);
+        return new EventReader(this, EventClass);
+    }
+
+    /**
+     * フレームの終了処理。World.update() の最後に呼ばれる。
+     * 消費済みのイベントと、寿命（2フレーム）を過ぎた未消費のイベントをプールへ戻す。
+     */
+    endFrame() {
+        for (const event of this.released) {
+            this._release(event);
+        }
+        this.released.length = 0;
+
+        for (const [EventClass, queue] of this.queues) {
+            let expired = 0;
+            while (expired < queue.frames.length && queue.frames[expired] < this.frame) {
+                this._release(queue.events[expired]);
+                expired++;
+            }
+            if (expired > 0) {
+                if (this.warnOnExpire) {
+                    this._warnExpired(EventClass, expired);
+                }
+                queue.events.splice(0, expired);
+                queue.frames.splice(0, expired);
+                queue.sequences.splice(0, expired);
+            }
+        }
+
+        this.lastFrameEmitted = this.emittedThisFrame;
+        this.lastFrameAllocated = this.allocatedThisFrame;
+        this.emittedThisFrame = 0;
+        this.allocatedThisFrame = 0;
+        this.frame++;
+    }
+
+    /**
+     * 全てのイベントとプールを破棄する（シーン切り替え時など）
+     */
+    clear() {
+        this.queues.clear();
+        this.pools.clear();
+        this.readTypes.clear();
+        this.released.length = 0;
+        this.emittedThisFrame = 0;
+        this.allocatedThisFrame = 0;
+        this.lastFrameEmitted = 0;
+        this.lastFrameAllocated = 0;
+    }
+
+    _warnExpired(EventClass, count) {
+        if (this.readTypes.has(EventClass) || this.warnedTypes.has(EventClass)) return;
+        this.warnedTypes.add(EventClass);
+        console.warn(
+            `EventChannel: ${count} '${EventClass.name}' event(s) expired without being consumed. ` +
+            'Check that a system consumes this event type (further warnings for this type are suppressed).'
+        );
+    }
+
+    _getQueue(EventClass) {
+        let queue = this.queues.get(EventClass);
+        if (!queue) {
+            queue = { events: [], frames: [], sequences: [], lastSequence: 0 };
+            this.queues.set(EventClass, queue);
+        }
+        return queue;
+    }
+
+    _acquire(EventClass) {
+        const pool = this.pools.get(EventClass);
+        if (pool && pool.length > 0) {
+            return pool.pop();
+        }
+        this.allocatedThisFrame++;
+        return Object.create(EventClass.prototype);
+    }
+
+    _release(event) {
+        // 参照を残さないようにフィールドをクリアする（キーは残し、オブジェクトの形を維持する）
+        for (const key of Object.keys(event)) {
+            event[key] = undefined;
+        }
+
+        const EventClass = event.constructor;
+        let pool = this.pools.get(EventClass);
+        if (!pool) {
+            pool = [];
+            this.pools.set(EventClass, pool);
+        }
+        pool.push(event);
+    }
+}
+
+/**
+ * EventChannel.reader() で作成される、特定の型のイベントの読み手
+ */
+export class EventReader {
+    /**
+     * @param {EventChannel} channel
+     * @param {Function} EventClass
+     */
+    constructor(channel, EventClass) {
+        this.channel = channel;
+        this.EventClass = EventClass;
+        // 作成前に発行されたイベントは読まない
+        this.lastSequence = channel.nextSequence - 1;
+    }
+
+    /**
+     * 前回の read() 以降に発行され、まだ消費されていないイベントを返す
+     * @returns {object[]}
+     */
+    read() {
+        const queue = this.channel.queues.get(this.EventClass);
+        if (!queue || queue.lastSequence <= this.lastSequence) return EMPTY;
+
+        const events = [];
+        for (let i = 0; i < queue.events.length; i++) {
+            if (queue.sequences[i] > this.lastSequence) {
+                events.push(queue.events[i]);
+            }
+        }
+        this.lastSequence = queue.lastSequence;
+        return events;
+    }
+}
@@ -2,27 +2,41 @@
  * @file ECSクエリクラス
  * @description 特定のコンポーネントの組み合わせを持つエンティティのセットを常に最新の状態に保ちます。
  * 最適化版: コンポーネントIDベースの高速照合を実装
+ * クエリ記述子により、all（すべて持つ）/ none（いずれも持たない）/ any（いずれかを持つ）の条件を指定できます。
+ * リアクティブクエリ（track: true）は、前回の読み出し以降に追加・削除・変更されたエンティティを記録します。
  */
 export class Query {
     /**
      * @param {World} world 
-     * @param {Function[]} componentClasses 
-     * @param {number[]} componentIds - 事前に計算されたコンポーネントID
+     * @param {{ all: Function[], none: Function[], any: Function[] }} descriptor - 正規化済みのクエリ記述子
+     * @param {number[]} componentIds - 記述子に含まれる全コンポーネントのID（変更通知の対象判定用）
+     * @param {object} [options]
+     * @param {boolean} [options.track=false] - 追加・削除・変更の追跡を行うか
+     * @param {number[]} [options.changedComponentIds] - changed() の対象とするコンポーネントID（省略時は componentIds 全て）
      */
-    constructor(world, componentClasses, componentIds) {
+    constructor(world, descriptor, componentIds, options = {}) {
         this.world = world;
-        this.componentClasses = new Set(componentClasses);
+        this.allClasses = descriptor.all;
+        this.noneClasses = descriptor.none;
+        this.anyClasses = descriptor.any;
         this.componentIds = new Set(componentIds);
         this.entities = new Set();
         
         // 配列キャッシュ
         this._entitiesCache = null;
         this._isCacheDirty = true;
+
+        // --- 変更追跡 ---
+        this.isTracking = options.track || false;
+        this.changedComponentIds = new Set(options.changedComponentIds || componentIds);
+        this._added = new Set();
+        this._removed = new Set();
+        this._changed = new Set();
         
-        // 初期化時に既存のエンティティをスキャン
+        // 初期化時に既存のエンティティをスキャン（追跡時は「追加」として扱う）
         for (const [entityId] of world.entities) {
             if (this.matches(entityId)) {
-                this.entities.add(entityId);
+                this._onEnter(entityId);
             }
         }
     }
@@ -36,9 +50,15 @@ export class Query {
         const entityComponents = this.world.entities.get(entityId);
         if (!entityComponents) return false;
         
-        for (const cls of this.componentClasses) {
+        for (const cls of this.allClasses) {
             if (!entityComponents.has(cls)) return false;
         }
+        for (const cls of this.noneClasses) {
+            if (entityComponents.has(cls)) return false;
+        }
+        if (this.anyClasses.length > 0) {
+            return this.anyClasses.some(cls => entityComponents.has(cls));
+        }
         return true;
     }
     
@@ -57,11 +77,12 @@ export class Query {
         const hasEntity = this.entities.has(entityId);
         
         if (isMatch && !hasEntity) {
-            this.entities.add(entityId);
-            this._isCacheDirty = true;
+            this._onEnter(entityId);
         } else if (!isMatch && hasEntity) {
-            this.entities.delete(entityId);
-            this._isCacheDirty = true;
+            this._onLeave(entityId);
+        } else if (isMatch && isAdded) {
+            // 既存コンポーネントの差し替えは変更として扱う
+            this.onComponentChanged(entityId, componentId);
         }
     }
     
@@ -71,10 +92,77 @@ export class Query {
      */
     onEntityRemoved(entityId) {
         if (this.entities.has(entityId)) {
-            this.entities.delete(entityId);
-            this._isCacheDirty = true;
+            this._onLeave(entityId);
+        }
+    }
+
+    /**
+     * World.markChanged() から呼び出される
+     * @param {number} entityId 
+     * @param {number} componentId 
+     */
+    onComponentChanged(entityId, componentId) {
+        if (!this.isTracking || !this.entities.has(entityId)) return;
+        if (!this.changedComponentIds.has(componentId)) return;
+        // 未読の追加は added() として通知されるため、changed には含めない
+        if (this._added.has(entityId)) return;
+        this._changed.add(entityId);
+    }
+
+    /**
+     * 前回の読み出し以降にクエリへ追加されたエンティティを取得し、記録をクリアする
+     * @returns {number[]}
+     */
+    added() {
+        return this._drain(this._added);
+    }
+
+    /**
+     * 前回の読み出し以降にクエリから外れた（または削除された）エンティティを取得し、記録をクリアする
+     * @returns {number[]}
+     */
+    removed() {
+        return this._drain(this._removed);
+    }
+
+    /**
+     * 前回の読み出し以降に変更がマークされたエンティティを取得し、記録をクリアする
+     * @returns {number[]}
+     */
+    changed() {
+        return this._drain(this._changed);
+    }
+
+    _onEnter(entityId) {
+        this.entities.add(entityId);
+        this._isCacheDirty = true;
+
+        if (!this.isTracking) return;
+        if (this._removed.delete(entityId)) {
+            // 読み出し前に外れて戻ってきた場合は、差し替えとみなす
+            this._changed.add(entityId);
+        } else {
+            this._added.add(entityId);
+        }
+    }
+
+    _onLeave(entityId) {
+        this.entities.delete(entityId);
+        this._isCacheDirty = true;
+
+        if (!this.isTracking) return;
+        this._changed.delete(entityId);
+        // 一度も読み出されていない追加は、削除としても通知しない
+        if (!this._added.delete(entityId)) {
+            this._removed.add(entityId);
         }
     }
+
+    _drain(set) {
+        const result = Array.from(set);
+        set.clear();
+        return result;
+    }
     
     /**
      * 条件を満たすエンティティのリストを取得
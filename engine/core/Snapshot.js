@@ -0,0 +1,112 @@
+/**
+ * @file Snapshot.js
+ * @description World スナップショット用の値エンコーダ/デコーダ。
+ * JSON で表現できない値 (Set, Map, 登録済みクラスのインスタンスや参照, 非有限数) を
+ * `$` で始まるキーを持つオブジェクトへ変換し、JSON.stringify 可能な形にします。
+ * 関数（コールバック等）は復元できないため null として保存されます。
+ */
+import { ComponentRegistry } from './ComponentRegistry.js';
+
+/**
+ * スナップショット形式のバージョン。
+ * 形式に互換性のない変更を加えた場合はインクリメントすること。
+ */
+export const SNAPSHOT_VERSION = 2;
+
+/**
+ * 読み込み可能な最も古いバージョン。
+ * v1: エンティティ世代の情報を持たない（全IDを世代0のハンドルとして扱う）
+ */
+export const MIN_SNAPSHOT_VERSION = 1;
+
+/**
+ * 値をJSON互換の形式へエンコードする
+ * @param {*} value
+ * @returns {*}
+ */
+export function encodeValue(value) {
+    if (value === null || value === undefined) return null;
+
+    switch (typeof value) {
+        case 'number':
+            return Number.isFinite(value) ? value : { $num: String(value) };
+        case 'string':
+        case 'boolean':
+            return value;
+        case 'function': {
+            // コンポーネントクラスへの参照 (例: UpdateComponentRequest.componentType) は型名で保存
+            const name = ComponentRegistry.getName(value);
+            return name ? { $class: name } : null;
+        }
+        case 'object':
+            break;
+        default:
+            return null;
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(encodeValue);
+    }
+    if (value instanceof Set) {
+        return { $set: [...value].map(encodeValue) };
+    }
+    if (value instanceof Map) {
+        return { $map: [...value].map(([k, v]) => [encodeValue(k), encodeValue(v)]) };
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+
+    const fields = _encodeFields(value);
+    const typeName = ComponentRegistry.getName(value.constructor);
+    return typeName ? { $type: typeName, $data: fields } : fields;
+}
+
+/**
+ * encodeValue でエンコードされた値を復元する
+ * @param {*} value
+ * @returns {*}
+ */
+export function decodeValue(value) {
+    if (value === null || typeof value !== 'object') return value;
+
+    if (Array.isArray(value)) {
+        return value.map(decodeValue);
+    }
+    if ('$num' in value) {
+        return Number(value.$num);
+    }
+    if ('$set' in value) {
+        return new Set(value.$set.map(decodeValue));
+    }
+    if ('$map' in value) {
+        return new Map(value.$map.map(([k, v]) => [decodeValue(k), decodeValue(v)]));
+    }
+    if ('$class' in value) {
+        return ComponentRegistry.getClass(value.$class);
+    }
+    if ('$type' in value) {
+        const componentClass = ComponentRegistry.getClass(value.$type);
+        // コンストラクタは引数前提のものが多いため呼び出さず、プロトタイプのみ復元する
+        const instance = componentClass ? Object.create(componentClass.prototype) : {};
+        return Object.assign(instance, _decodeFields(value.$data));
+    }
+
+    return _decodeFields(value);
+}
+
+function _encodeFields(object) {
+    const result = {};
+    for (const key of Object.keys(object)) {
+        result[key] = encodeValue(object[key]);
+    }
+    return result;
+}
+
+function _decodeFields(object) {
+    const result = {};
+    for (const key of Object.keys(object)) {
+        result[key] = decodeValue(object[key]);
+    }
+    return result;
+}
@@ -3,7 +3,7 @@
  * @description すべてのSystemの親クラス。
  * イベントリスナー機能を除去し、純粋な更新処理のみを定義します。
  */
-import { ErrorHandler } from '../utils/ErrorHandler.js';
+import { ErrorHandler, ErrorSeverity } from '../utils/ErrorHandler.js';
 
 export class System {
     /**
@@ -11,6 +11,8 @@ export class System {
      */
     constructor(world) {
         this.world = world;
+        // update 中の例外の重大度 (ErrorSeverity)。null の場合は登録時のオプションかステージの既定値を使う
+        this.errorSeverity = null;
     }
 
     /**
@@ -23,15 +25,19 @@ export class System {
 
     /**
      * 安全な実行ラッパー
+     * update の途中で発生した例外を指定の重大度で ErrorHandler に渡す。
+     * FATAL はゲームを一時停止させるため、状態が不整合になるゲームロジックのシステムに限って使う。
      * @param {number} deltaTime 
+     * @param {string} [severity] - 例外の重大度 (ErrorSeverity)。World からはスケジューラに登録された値が渡される
      */
-    execute(deltaTime) {
+    execute(deltaTime, severity = this.errorSeverity || ErrorSeverity.ERROR) {
         try {
             this.update(deltaTime);
         } catch (error) {
             ErrorHandler.handle(error, {
                 system: this.constructor.name,
-                method: 'update'
+                method: 'update',
+                severity
             });
         }
     }
@@ -52,4 +58,13 @@ export class System {
     getEntities(...componentClasses) {
         return this.world.getEntitiesWith(...componentClasses);
     }
+
+    /**
+     * クエリ記述子（all / none / any）に一致するエンティティを取得するヘルパー
+     * @param {{ all?: Function[], none?: Function[], any?: Function[] }} descriptor 
+     * @returns {number[]}
+     */
+    query(descriptor) {
+        return this.world.query(descriptor);
+    }
 }
\ No newline at end of file
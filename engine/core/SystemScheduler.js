@@ -0,0 +1,247 @@
+/**
+ * @file SystemScheduler.js
+ * @description システムの実行順序を管理するスケジューラ。
+ * システムはステージ単位で実行され、同一ステージ内では before/after 制約に基づく
+ * トポロジカル順で並べられます。制約で順序が決まらない場合は登録順が維持されます。
+ */
+import { GameError, ErrorType, ErrorSeverity } from '../utils/ErrorHandler.js';
+
+/**
+ * システムの実行ステージ（この順に実行される）
+ */
+export const SystemStage = {
+    INPUT: 'input',
+    LOGIC: 'logic',
+    FLOW: 'flow',
+    VISUAL: 'visual',
+    RENDER: 'render',
+};
+
+const STAGE_ORDER = [
+    SystemStage.INPUT,
+    SystemStage.LOGIC,
+    SystemStage.FLOW,
+    SystemStage.VISUAL,
+    SystemStage.RENDER,
+];
+
+// update 中の例外の既定の重大度。ゲームの状態を進めるステージの例外は続行できないため FATAL とし、
+// 入力・演出・描画の例外は ERROR として記録のみ行う（次のフレームも実行される）。
+const DEFAULT_ERROR_SEVERITY_BY_STAGE = {
+    [SystemStage.INPUT]: ErrorSeverity.ERROR,
+    [SystemStage.LOGIC]: ErrorSeverity.FATAL,
+    [SystemStage.FLOW]: ErrorSeverity.FATAL,
+    [SystemStage.VISUAL]: ErrorSeverity.ERROR,
+    [SystemStage.RENDER]: ErrorSeverity.ERROR,
+};
+
+export class SystemScheduler {
+    constructor() {
+        // key: システム名, value: { name, system, stage, before, after, enabled, timeScaled, errorSeverity, index }
+        this.entries = new Map();
+        this.disabledStages = new Set();
+        this.nextIndex = 0;
+
+        // ステージごとの実行順キャッシュ
+        this._schedule = null;
+    }
+
+    /**
+     * システムを登録する
+     * @param {System} system
+     * @param {object} [options]
+     * @param {string} [options.name] - システム名（省略時はクラス名）
+     * @param {string} [options.stage=SystemStage.LOGIC] - 実行ステージ
+     * @param {string[]} [options.before=[]] - このシステムより後に実行されるべきシステム名
+     * @param {string[]} [options.after=[]] - このシステムより先に実行されるべきシステム名
+     * @param {boolean} [options.enabled=true] - 初期状態で有効か
+     * @param {boolean} [options.timeScaled=false] - World の TimeScale を掛けた deltaTime を受け取るか
+     * @param {string} [options.errorSeverity] - update 中の例外の重大度 (ErrorSeverity)。
+     *   省略時はシステムの errorSeverity、それもなければステージの既定値（logic/flow は FATAL、それ以外は ERROR）
+     * @returns {string} 登録されたシステム名
+     */
+    add(system, options = {}) {
+        const name = options.name || system.constructor.name;
+        const stage = options.stage || SystemStage.LOGIC;
+
+        if (this.entries.has(name)) {
+            throw new GameError(`System "${name}" is already registered`, ErrorType.VALIDATION_ERROR);
+        }
+        if (!STAGE_ORDER.includes(stage)) {
+            throw new GameError(`Unknown system stage "${stage}"`, ErrorType.VALIDATION_ERROR, { system: name });
+        }
+
+        this.entries.set(name, {
+            name,
+            system,
+            stage,
+            before: options.before || [],
+            after: options.after || [],
+            enabled: options.enabled !== false,
+            timeScaled: options.timeScaled === true,
+            errorSeverity: options.errorSeverity || system.errorSeverity || DEFAULT_ERROR_SEVERITY_BY_STAGE[stage],
+            index: this.nextIndex++
+        });
+        this._schedule = null;
+        return name;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {System|null}
+     */
+    get(name) {
+        return this.entries.get(name)?.system || null;
+    }
+
+    /**
+     * @param {string} name
+     * @param {boolean} enabled
+     */
+    setEnabled(name, enabled) {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            console.warn(`SystemScheduler: System "${name}" is not registered.`);
+            return;
+        }
+        entry.enabled = enabled;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    isEnabled(name) {
+        return this.entries.get(name)?.enabled || false;
+    }
+
+    /**
+     * @param {string} stage
+     * @param {boolean} enabled
+     */
+    setStageEnabled(stage, enabled) {
+        if (enabled) {
+            this.disabledStages.delete(stage);
+        } else {
+            this.disabledStages.add(stage);
+        }
+    }
+
+    /**
+     * @param {string} stage
+     * @returns {boolean}
+     */
+    isStageEnabled(stage) {
+        return !this.disabledStages.has(stage);
+    }
+
+    /**
+     * 登録済みの全システム（登録順）
+     * @returns {System[]}
+     */
+    getSystems() {
+        return [...this.entries.values()].map(entry => entry.system);
+    }
+
+    /**
+     * ステージ順に並んだ実行スケジュールを取得する
+     * @returns {Array<{ stage: string, entries: object[] }>}
+     */
+    getSchedule() {
+        if (!this._schedule) {
+            this._schedule = this._buildSchedule();
+        }
+        return this._schedule;
+    }
+
+    clear() {
+        this.entries.clear();
+        this.disabledStages.clear();
+        this.nextIndex = 0;
+        this._schedule = null;
+    }
+
+    _buildSchedule() {
+        const byStage = new Map(STAGE_ORDER.map(stage => [stage, []]));
+        for (const entry of this.entries.values()) {
+            byStage.get(entry.stage).push(entry);
+        }
+
+        // ステージをまたぐ制約の検証（後ろのステージのシステムに依存することはできない）
+        for (const entry of this.entries.values()) {
+            for (const dependencyName of entry.after) {
+                const dependency = this.entries.get(dependencyName);
+                if (dependency && STAGE_ORDER.indexOf(dependency.stage) > STAGE_ORDER.indexOf(entry.stage)) {
+                    throw new GameError(
+                        `System "${entry.name}" (${entry.stage}) cannot run after "${dependencyName}" (${dependency.stage})`,
+                        ErrorType.VALIDATION_ERROR
+                    );
+                }
+            }
+            for (const dependentName of entry.before) {
+                const dependent = this.entries.get(dependentName);
+                if (dependent && STAGE_ORDER.indexOf(dependent.stage) < STAGE_ORDER.indexOf(entry.stage)) {
+                    throw new GameError(
+                        `System "${entry.name}" (${entry.stage}) cannot run before "${dependentName}" (${dependent.stage})`,
+                        ErrorType.VALIDATION_ERROR
+                    );
+                }
+            }
+        }
+
+        return STAGE_ORDER.map(stage => ({
+            stage,
+            entries: this._sortStage(byStage.get(stage))
+        }));
+    }
+
+    /**
+     * ステージ内のシステムを制約に従って並べる（Kahnのアルゴリズム、同順位は登録順）
+     * 未登録のシステム名を参照する制約は無視する（ヘッドレス実行などで差し替えられる場合があるため）。
+     * @param {object[]} entries
+     * @returns {object[]}
+     */
+    _sortStage(entries) {
+        const names = new Set(entries.map(entry => entry.name));
+        const edges = new Map(entries.map(entry => [entry.name, new Set()]));
+        const inDegree = new Map(entries.map(entry => [entry.name, 0]));
+
+        const addEdge = (from, to) => {
+            if (!names.has(from) || !names.has(to) || edges.get(from).has(to)) return;
+            edges.get(from).add(to);
+            inDegree.set(to, inDegree.get(to) + 1);
+        };
+
+        for (const entry of entries) {
+            entry.after.forEach(dependencyName => addEdge(dependencyName, entry.name));
+            entry.before.forEach(dependentName => addEdge(entry.name, dependentName));
+        }
+
+        const ready = entries.filter(entry => inDegree.get(entry.name) === 0);
+        const sorted = [];
+
+        while (ready.length > 0) {
+            ready.sort((a, b) => a.index - b.index);
+            const entry = ready.shift();
+            sorted.push(entry);
+
+            for (const next of edges.get(entry.name)) {
+                inDegree.set(next, inDegree.get(next) - 1);
+                if (inDegree.get(next) === 0) {
+                    ready.push(this.entries.get(next));
+                }
+            }
+        }
+
+        if (sorted.length !== entries.length) {
+            const cycle = entries.filter(entry => inDegree.get(entry.name) > 0).map(entry => entry.name);
+            throw new GameError(
+                `Cyclic system dependency detected: ${cycle.join(', ')}`,
+                ErrorType.VALIDATION_ERROR,
+                { systems: cycle }
+            );
+        }
+
+        return sorted;
+    }
+}
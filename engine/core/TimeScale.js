@@ -0,0 +1,70 @@
+/**
+ * @file TimeScale.js
+ * @description ゲーム内時間の進み方を表すコンポーネント（Worldのシングルトンとして使用）。
+ * World は timeScaled オプション付きで登録されたシステムに、この倍率を掛けた deltaTime を渡します。
+ *
+ * 一時停止は理由ごとに管理し、全ての理由が解除されるまで停止状態が続きます。
+ * stopTime: false の理由（例: モーダル表示中）はゲーム進行だけを止めるもので、時間は進み続けます。
+ * どの処理を「ゲーム進行」として止めるかは、isPaused を参照する各システムが決めます。
+ */
+
+export class TimeScale {
+    /**
+     * @param {number} [scale=1] - 時間の倍率
+     */
+    constructor(scale = 1) {
+        this.scale = scale;
+        // key: 停止理由, value: 時間も止めるか (stopTime)
+        this.pauseReasons = new Map();
+    }
+
+    /**
+     * @returns {boolean} いずれかの理由で一時停止中か
+     */
+    get isPaused() {
+        return this.pauseReasons.size > 0;
+    }
+
+    /**
+     * @returns {boolean} 時間を止める理由で一時停止中か
+     */
+    get isTimeStopped() {
+        for (const stopTime of this.pauseReasons.values()) {
+            if (stopTime) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @param {string} reason
+     * @param {object} [options]
+     * @param {boolean} [options.stopTime=true] - false の場合はゲーム進行のみを止め、時間は進める
+     */
+    pause(reason, { stopTime = true } = {}) {
+        this.pauseReasons.set(reason, stopTime);
+    }
+
+    /**
+     * @param {string} reason
+     */
+    resume(reason) {
+        this.pauseReasons.delete(reason);
+    }
+
+    /**
+     * @param {string} reason
+     * @returns {boolean}
+     */
+    isPausedBy(reason) {
+        return this.pauseReasons.has(reason);
+    }
+
+    /**
+     * 実時間の経過をゲーム内時間の経過に変換する
+     * @param {number} deltaTime - 実時間の経過 (ms)
+     * @returns {number}
+     */
+    scaleDeltaTime(deltaTime) {
+        return this.isTimeStopped ? 0 : deltaTime * this.scale;
+    }
+}
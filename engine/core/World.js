@@ -4,18 +4,37 @@
  * イベントバス(EventManager)を削除し、純粋なデータ駆動アーキテクチャを強制します。
  */
 import { Query } from './Query.js';
+import { CommandBuffer } from './CommandBuffer.js';
+import { EventChannel } from './EventChannel.js';
+import { SystemScheduler } from './SystemScheduler.js';
+import { ComponentRegistry } from './ComponentRegistry.js';
+import { EntityHandle } from './EntityHandle.js';
+import { TimeScale } from './TimeScale.js';
+import { SNAPSHOT_VERSION, MIN_SNAPSHOT_VERSION, encodeValue, decodeValue } from './Snapshot.js';
+import { GameError, ErrorType } from '../utils/ErrorHandler.js';
 
 export class World {
     constructor() {
-        // key: entityId, value: Set<ComponentClass>
+        // key: entityId (ハンドル), value: Set<ComponentClass>
         this.entities = new Map();
+        // 未使用のインデックスの先頭（再利用可能なインデックスがない場合に使用）
         this.nextEntityId = 0;
+
+        // --- Entity Handle Management ---
+        // index: エンティティインデックス, value: 現在の世代
+        this.entityGenerations = [];
+        // 再利用待ちのインデックス（削除された順に再利用し、古いハンドルとの衝突を遅らせる）
+        this.freeEntityIndices = [];
+
+        // true の場合、削除済みエンティティのハンドル参照を警告する
+        this.debug = false;
         
         // key: componentId (number), value: ComponentClass
         this.componentClasses = new Map();
         
         // --- System Storage ---
-        this.systems = [];
+        // ステージ・依存関係に基づいて実行順を決定する
+        this.scheduler = new SystemScheduler();
         
         // --- Query Storage ---
         // key: componentIdSignature (string), value: Query
@@ -29,6 +48,18 @@ export class World {
         // --- 高速アクセス用マッピング ---
         // key: componentId, value: { entities: Set<number>, components: Map<number, any> }
         this.componentRegistry = new Map();
+
+        // --- 遅延コマンド ---
+        // システム実行中の構造的変更を記録し、同期ポイントで適用する
+        this.commands = new CommandBuffer(this);
+
+        // --- イベントチャネル ---
+        // エンティティを介さない一過性のリクエスト/イベント（フレーム終了時に期限切れのものをプールへ戻す）
+        this.events = new EventChannel();
+
+        // --- 計測 ---
+        // setProfiler() で設定された場合のみ計測を行う
+        this.profiler = null;
     }
     
     // === Component ID Management ===
@@ -53,10 +84,70 @@ export class World {
     
     // === Entity and Component Methods ===
     createEntity() {
-        const entityId = this.nextEntityId++;
-        this.entities.set(entityId, new Set());
+        const entityId = this._allocateEntityId();
+        this._insertEntity(entityId);
         return entityId;
     }
+
+    /**
+     * 新しいエンティティIDを発行する（エンティティ自体は作成しない）
+     * 削除済みエンティティのインデックスがあれば、世代を進めたハンドルとして再利用する。
+     * @returns {number}
+     */
+    _allocateEntityId() {
+        if (this.freeEntityIndices.length > 0) {
+            const index = this.freeEntityIndices.shift();
+            return EntityHandle.create(index, this.entityGenerations[index]);
+        }
+
+        const index = this.nextEntityId;
+        if (index > EntityHandle.MAX_INDEX) {
+            throw new GameError(
+                `Entity limit exceeded (${EntityHandle.MAX_INDEX + 1} live entities)`,
+                ErrorType.COMPONENT_ERROR
+            );
+        }
+        this.nextEntityId++;
+        this.entityGenerations[index] = 0;
+        return EntityHandle.create(index, 0);
+    }
+
+    /**
+     * ハンドルが生存中のエンティティを指しているか
+     * 削除済みエンティティのハンドルは、インデックスが再利用された後も false を返す。
+     * @param {number} entityId
+     * @returns {boolean}
+     */
+    isAlive(entityId) {
+        return this.entities.has(entityId);
+    }
+
+    /**
+     * 削除済みエンティティのハンドルが参照された場合に警告する（debug 時のみ）
+     * @param {number} entityId
+     * @param {string} operation
+     */
+    _warnIfStale(entityId, operation) {
+        if (!this.debug || entityId === null || entityId === undefined || this.entities.has(entityId)) return;
+
+        const index = EntityHandle.indexOf(entityId);
+        const generation = EntityHandle.generationOf(entityId);
+        const currentGeneration = this.entityGenerations[index];
+        if (currentGeneration !== undefined && currentGeneration !== generation) {
+            console.warn(
+                `World.${operation}: Stale entity handle ${entityId} (index ${index}, generation ${generation}; current generation ${currentGeneration}).`
+            );
+        }
+    }
+
+    /**
+     * 発行済みのIDでエンティティを作成する
+     * @param {number} entityId
+     */
+    _insertEntity(entityId) {
+        this.entities.set(entityId, new Set());
+        this.profiler?.recordEntityCreated();
+    }
     
     addComponent(entityId, component) {
         const componentClass = component.constructor;
@@ -79,6 +170,7 @@ export class World {
     }
     
     getComponent(entityId, componentClass) {
+        this._warnIfStale(entityId, 'getComponent');
         const componentId = this.componentIdMap.get(componentClass);
         if (componentId === undefined) return null;
         
@@ -89,6 +181,7 @@ export class World {
     }
     
     removeComponent(entityId, componentClass) {
+        this._warnIfStale(entityId, 'removeComponent');
         const componentId = this.componentIdMap.get(componentClass);
         if (componentId === undefined) return;
         
@@ -131,17 +224,123 @@ export class World {
      * @returns {number[]}
      */
     getEntitiesWith(...componentClasses) {
-        // 署名の生成
-        const componentIds = componentClasses.map(c => this._getComponentId(c)).sort((a, b) => a - b);
-        const signature = componentIds.join('|');
+        return this.query({ all: componentClasses });
+    }
+
+    /**
+     * クエリ記述子に一致するエンティティを取得します。
+     * 記述子ごとにQueryがキャッシュされ、コンポーネントの増減に応じて差分更新されます。
+     * @example
+     * world.query({ all: [Gauge, Parts], none: [GaugeFullTag, IsBroken] });
+     * @param {object} descriptor
+     * @param {Function[]} [descriptor.all=[]] - すべて持つ必要があるコンポーネント
+     * @param {Function[]} [descriptor.none=[]] - 1つも持っていてはならないコンポーネント
+     * @param {Function[]} [descriptor.any=[]] - 少なくとも1つ持つ必要があるコンポーネント
+     * @returns {number[]}
+     */
+    query(descriptor) {
+        const entities = this.getQuery(descriptor).getEntities();
+        this.profiler?.recordQuery(entities.length);
+        return entities;
+    }
+
+    /**
+     * クエリ記述子に対応するQueryオブジェクトを取得（なければ作成）します。
+     * @param {{ all?: Function[], none?: Function[], any?: Function[] }} descriptor
+     * @returns {Query}
+     */
+    getQuery(descriptor) {
+        const { all, none, any, componentIds, signature } = this._normalizeDescriptor(descriptor);
         
         let query = this.queries.get(signature);
         // なければ作成
         if (!query) {
-            query = new Query(this, componentClasses, componentIds);
+            query = new Query(this, { all, none, any }, componentIds);
             this.queries.set(signature, query);
         }
-        return query.getEntities();
+        return query;
+    }
+
+    /**
+     * 追加・削除・変更を追跡するリアクティブクエリを作成します。
+     * 読み出し（added/removed/changed）で記録がクリアされるため、利用者ごとに個別のインスタンスが作成されます。
+     * 作成時点で条件を満たしているエンティティは added() に含まれます。
+     * @example
+     * const query = world.createReactiveQuery({ all: [Visual] });
+     * query.added();   // 新たに条件を満たしたエンティティ
+     * query.changed(); // world.markChanged() された、または差し替えられたエンティティ
+     * @param {object} descriptor - getQuery() と同じ記述子
+     * @param {Function[]} [descriptor.changed] - changed() の対象とするコンポーネント（省略時は記述子の全コンポーネント）
+     * @returns {Query}
+     */
+    createReactiveQuery(descriptor) {
+        const { all, none, any, componentIds } = this._normalizeDescriptor(descriptor);
+        const changedClasses = descriptor.changed || [...all, ...any];
+
+        const query = new Query(this, { all, none, any }, [
+            ...componentIds,
+            ...changedClasses.map(c => this._getComponentId(c))
+        ], {
+            track: true,
+            changedComponentIds: changedClasses.map(c => this._getComponentId(c))
+        });
+        this.queries.set(Symbol('reactive'), query);
+        return query;
+    }
+
+    /**
+     * リアクティブクエリを破棄します（システムの destroy 時など）。
+     * @param {Query} query
+     */
+    removeQuery(query) {
+        for (const [key, registered] of this.queries) {
+            if (registered === query) {
+                this.queries.delete(key);
+                return;
+            }
+        }
+    }
+
+    /**
+     * コンポーネントの内容が変更されたことを通知します。
+     * 該当するリアクティブクエリの changed() に反映されます。
+     * @param {number} entityId
+     * @param {Function} componentClass
+     */
+    markChanged(entityId, componentClass) {
+        const componentId = this.componentIdMap.get(componentClass);
+        if (componentId === undefined) return;
+
+        for (const query of this.queries.values()) {
+            if (query.isTracking) {
+                query.onComponentChanged(entityId, componentId);
+            }
+        }
+    }
+
+    _normalizeDescriptor(descriptor) {
+        const all = descriptor.all || [];
+        const none = descriptor.none || [];
+        const any = descriptor.any || [];
+
+        if (all.length === 0 && any.length === 0) {
+            throw new GameError(
+                'Query descriptor requires at least one "all" or "any" component',
+                ErrorType.VALIDATION_ERROR
+            );
+        }
+
+        // 署名の生成
+        const toIds = (classes) => classes.map(c => this._getComponentId(c)).sort((a, b) => a - b);
+        const allIds = toIds(all);
+        const noneIds = toIds(none);
+        const anyIds = toIds(any);
+        // "all" のみのクエリは従来の署名形式を維持
+        let signature = allIds.join('|');
+        if (noneIds.length > 0) signature += `!${noneIds.join('|')}`;
+        if (anyIds.length > 0) signature += `?${anyIds.join('|')}`;
+
+        return { all, none, any, componentIds: [...allIds, ...noneIds, ...anyIds], signature };
     }
     
     destroyEntity(entityId) {
@@ -151,6 +350,10 @@ export class World {
             for (const componentClass of componentClasses) {
                 this.removeComponent(entityId, componentClass);
             }
+            this.profiler?.recordEntityDestroyed();
+            this._releaseEntityIndex(entityId);
+        } else {
+            this._warnIfStale(entityId, 'destroyEntity');
         }
         this.entities.delete(entityId);
         
@@ -160,6 +363,16 @@ export class World {
         }
     }
     
+    /**
+     * エンティティのインデックスを世代を進めて再利用待ちにする
+     * @param {number} entityId
+     */
+    _releaseEntityIndex(entityId) {
+        const index = EntityHandle.indexOf(entityId);
+        this.entityGenerations[index] = EntityHandle.nextGeneration(EntityHandle.generationOf(entityId));
+        this.freeEntityIndices.push(index);
+    }
+
     _updateQueriesForComponent(entityId, componentId, isAdded) {
         // 単純な部分一致検索ではなく、IDが含まれるか厳密にチェック（Queryクラス側で詳細判定）
         for (const [, query] of this.queries) {
@@ -169,28 +382,230 @@ export class World {
         }
     }
     
+    // === Snapshot Methods ===
+    /**
+     * 全エンティティとコンポーネントの状態をJSON互換のオブジェクトとして書き出します。
+     * ComponentRegistry に登録されていないコンポーネント、および transient 指定のコンポーネントは含まれません。
+     * イベントチャネル (world.events) 上の未消費イベントも一過性のものとして含まれません。
+     * @returns {{ version: number, nextEntityId: number, entityGenerations: number[], entities: Array }}
+     */
+    serialize() {
+        const entities = [];
+        const unregistered = new Set();
+
+        for (const [entityId, componentClasses] of this.entities) {
+            const components = {};
+            let hasComponents = false;
+
+            for (const componentClass of componentClasses) {
+                const entry = ComponentRegistry.getEntry(componentClass);
+                if (!entry) {
+                    unregistered.add(componentClass.name);
+                    continue;
+                }
+                if (entry.transient) continue;
+
+                const component = this.getComponent(entityId, componentClass);
+                components[entry.name] = encodeValue(component).$data;
+                hasComponents = true;
+            }
+
+            if (hasComponents) {
+                entities.push([entityId, components]);
+            }
+        }
+
+        if (unregistered.size > 0) {
+            console.warn('World.serialize: Skipped unregistered components:', [...unregistered]);
+        }
+
+        return {
+            version: SNAPSHOT_VERSION,
+            nextEntityId: this.nextEntityId,
+            entityGenerations: [...this.entityGenerations],
+            entities
+        };
+    }
+
+    /**
+     * serialize() で書き出したスナップショットから、エンティティとコンポーネントを復元します。
+     * エンティティIDはスナップショット内のものがそのまま使用されるため、
+     * コンポーネント間のID参照も維持されます。システムの登録前に呼び出してください。
+     * @param {{ version: number, nextEntityId: number, entityGenerations?: number[], entities: Array }} snapshot
+     */
+    restore(snapshot) {
+        if (!snapshot || !(snapshot.version >= MIN_SNAPSHOT_VERSION && snapshot.version <= SNAPSHOT_VERSION)) {
+            throw new GameError(
+                `Unsupported snapshot version: ${snapshot?.version}`,
+                ErrorType.VALIDATION_ERROR,
+                { expected: SNAPSHOT_VERSION }
+            );
+        }
+
+        const restored = [];
+        const liveIndices = new Set([...this.entities.keys()].map(id => EntityHandle.indexOf(id)));
+
+        for (const [entityId, components] of snapshot.entities) {
+            if (liveIndices.has(EntityHandle.indexOf(entityId))) {
+                throw new GameError(
+                    `Cannot restore entity ${entityId}: id is already in use`,
+                    ErrorType.COMPONENT_ERROR,
+                    {},
+                    entityId
+                );
+            }
+            this.entities.set(entityId, new Set());
+
+            for (const [typeName, data] of Object.entries(components)) {
+                const componentClass = ComponentRegistry.getClass(typeName);
+                if (!componentClass) {
+                    console.warn(`World.restore: Unknown component type "${typeName}" skipped.`);
+                    continue;
+                }
+                const component = decodeValue({ $type: typeName, $data: data });
+                this.addComponent(entityId, component);
+                restored.push(component);
+            }
+        }
+
+        this.nextEntityId = Math.max(this.nextEntityId, snapshot.nextEntityId);
+        this._rebuildEntityAllocator(snapshot.entityGenerations || []);
+
+        // 全コンポーネントの復元後にフックを呼ぶ（他エンティティを参照するフックに備える）
+        for (const component of restored) {
+            ComponentRegistry.getEntry(component.constructor)?.onRestore?.(component);
+        }
+    }
+
+    /**
+     * 復元後のエンティティ構成から、世代と再利用待ちインデックスを再構築する
+     * @param {number[]} snapshotGenerations
+     */
+    _rebuildEntityAllocator(snapshotGenerations) {
+        const liveIndices = new Set();
+        for (const entityId of this.entities.keys()) {
+            const index = EntityHandle.indexOf(entityId);
+            liveIndices.add(index);
+            this.entityGenerations[index] = EntityHandle.generationOf(entityId);
+        }
+
+        this.freeEntityIndices = [];
+        for (let index = 0; index < this.nextEntityId; index++) {
+            if (liveIndices.has(index)) continue;
+            // 古いハンドルが復活しないよう、既知の世代のうち新しい方を使う
+            this.entityGenerations[index] = Math.max(
+                this.entityGenerations[index] ?? 0,
+                snapshotGenerations[index] ?? 0
+            );
+            this.freeEntityIndices.push(index);
+        }
+    }
+
+    // === Profiling Methods ===
+    /**
+     * プロファイラを接続します。null を渡すと計測を停止します。
+     * @param {Profiler|null} profiler
+     */
+    setProfiler(profiler) {
+        this.profiler = profiler;
+    }
+
+    // === Command Buffer Methods ===
+    /**
+     * コマンドバッファに記録された構造的変更を適用します。
+     */
+    flushCommands() {
+        this.commands.flush();
+    }
+
     // === System Methods ===
-    registerSystem(system) {
-        this.systems.push(system);
+    /**
+     * システムを登録します。
+     * 実行順はステージ順 → ステージ内の before/after 制約 → 登録順 で決定されます。
+     * 各ステージの終了時は同期ポイントとなり、コマンドバッファが適用されます。
+     * @example
+     * world.registerSystem(new TaskSystem(world), { stage: SystemStage.FLOW, after: ['VisualSequenceSystem'] });
+     * @param {System} system
+     * @param {object} [options] - SystemScheduler.add() のオプション (name, stage, before, after, enabled, timeScaled, errorSeverity)
+     * @returns {string} 登録されたシステム名
+     */
+    registerSystem(system, options = {}) {
+        return this.scheduler.add(system, options);
+    }
+
+    /**
+     * 登録済みのシステムを名前で取得します。
+     * @param {string} name
+     * @returns {System|null}
+     */
+    getSystem(name) {
+        return this.scheduler.get(name);
+    }
+
+    /**
+     * システムの有効/無効を切り替えます。無効なシステムは update されません。
+     * @param {string} name
+     * @param {boolean} enabled
+     */
+    setSystemEnabled(name, enabled) {
+        this.scheduler.setEnabled(name, enabled);
+    }
+
+    /**
+     * ステージ全体の有効/無効を切り替えます（例: ヘッドレス実行時に visual/render を止める）。
+     * @param {string} stage - SystemStage
+     * @param {boolean} enabled
+     */
+    setStageEnabled(stage, enabled) {
+        this.scheduler.setStageEnabled(stage, enabled);
     }
     
+    /**
+     * 全システムを1フレーム分更新します。
+     * timeScaled で登録されたシステムには、TimeScale シングルトン（なければ等倍）を掛けた deltaTime を渡します。
+     * @param {number} deltaTime - 実時間の経過 (ms)
+     */
     update(deltaTime) {
-        for (const system of this.systems) {
-            if (system.execute) {
-                system.execute(deltaTime);
-            } else if (system.update) {
-                system.update(deltaTime);
+        const profiler = this.profiler;
+        profiler?.beginFrame();
+
+        const timeScale = this.getSingletonComponent(TimeScale);
+        const scaledDeltaTime = timeScale ? timeScale.scaleDeltaTime(deltaTime) : deltaTime;
+
+        for (const { stage, entries } of this.scheduler.getSchedule()) {
+            if (!this.scheduler.isStageEnabled(stage)) continue;
+
+            for (const entry of entries) {
+                if (!entry.enabled) continue;
+
+                profiler?.beginSystem(entry.name, stage);
+                const system = entry.system;
+                const systemDeltaTime = entry.timeScaled ? scaledDeltaTime : deltaTime;
+                if (system.execute) {
+                    system.execute(systemDeltaTime, entry.errorSeverity);
+                } else if (system.update) {
+                    system.update(systemDeltaTime);
+                }
+                profiler?.endSystem();
             }
+            // ステージ終了時の同期ポイント
+            this.flushCommands();
         }
+
+        this.events.endFrame();
+        profiler?.endFrame(this);
     }
     
     reset() {
-        for (const system of this.systems) {
+        for (const system of this.scheduler.getSystems()) {
             if (system.destroy) {
                 system.destroy();
             }
         }
-        this.systems = [];
+        this.scheduler.clear();
+        this.commands.clear();
+        this.events.clear();
+        this.profiler?.reset();
         
         this.entities.clear();
         this.componentRegistry.clear();
@@ -199,6 +614,8 @@ export class World {
         this.queries.clear();
         
         this.nextEntityId = 0;
+        this.entityGenerations = [];
+        this.freeEntityIndices = [];
         this.nextComponentId = 0;
     }
 }
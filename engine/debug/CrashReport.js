@@ -0,0 +1,108 @@
+/**
+ * @file CrashReport.js
+ * @description 不具合報告用のクラッシュレポートを作成・ダウンロードするユーティリティ。
+ * レポートには直近のエラー、World のスナップショット、直近の入力履歴が含まれ、
+ * スナップショットを World.restore() に渡すことで発生時の状態を再現できます。
+ */
+import { ErrorHandler } from '../utils/ErrorHandler.js';
+import { downloadJson } from '../utils/DOMUtils.js';
+
+export const CRASH_REPORT_VERSION = 1;
+
+// エラー詳細を書き出す際の最大ネスト数（巨大なオブジェクトや循環参照への対策）
+const MAX_DEPTH = 6;
+
+export const CrashReport = {
+    /**
+     * @param {object} [options]
+     * @param {World} [options.world] - スナップショットを取得する World
+     * @param {Array} [options.inputs=[]] - 直近の入力履歴（InputManager.getRecentInputs()）
+     * @param {Array} [options.errors] - エラー記録（省略時は ErrorHandler の直近のエラー）
+     * @param {object} [options.extra] - 任意の追加情報（シーン名など）
+     * @returns {object} JSON に変換可能なレポート
+     */
+    create({ world = null, inputs = [], errors = ErrorHandler.getRecentErrors(), extra = {} } = {}) {
+        return {
+            version: CRASH_REPORT_VERSION,
+            createdAt: new Date().toISOString(),
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+            extra: this._toPlain(extra),
+            errors: errors.map(record => this._serializeErrorRecord(record)),
+            snapshot: world ? this._takeSnapshot(world) : null,
+            inputs: inputs.map(input => ({ ...input })),
+        };
+    },
+
+    /**
+     * レポートを JSON ファイルとしてダウンロードさせる
+     * @param {object} report
+     * @param {string} [filename]
+     */
+    download(report, filename = `crash-report-${report.createdAt.replace(/[:.]/g, '-')}.json`) {
+        downloadJson(report, filename);
+    },
+
+    _takeSnapshot(world) {
+        try {
+            return world.serialize();
+        } catch (error) {
+            // スナップショットの失敗でレポート自体が作れなくならないようにする
+            return { error: error.message };
+        }
+    },
+
+    _serializeErrorRecord({ error, severity, context, time }) {
+        return {
+            time,
+            severity,
+            type: error.type,
+            message: error.message,
+            timestamp: error.timestamp,
+            entityId: error.entityId,
+            details: this._toPlain(error.details),
+            context: this._toPlain(context),
+            stack: error.stack,
+        };
+    },
+
+    /**
+     * 任意の値を JSON に変換可能な値へ変換する
+     * @private
+     */
+    _toPlain(value, depth = 0, seen = new WeakSet()) {
+        if (value === null || value === undefined) return value ?? null;
+
+        const type = typeof value;
+        if (type === 'number' || type === 'string' || type === 'boolean') return value;
+        if (type === 'bigint') return value.toString();
+        if (type === 'function') return `[Function ${value.name || 'anonymous'}]`;
+        if (type === 'symbol') return value.toString();
+
+        if (value instanceof Error) {
+            return { name: value.name, message: value.message, stack: value.stack };
+        }
+        if (typeof Node !== 'undefined' && value instanceof Node) {
+            return `[${value.nodeName}]`;
+        }
+        if (seen.has(value)) return '[Circular]';
+        if (depth >= MAX_DEPTH) return '[MaxDepth]';
+        // 循環参照のみを検出する（同じオブジェクトへの複数の参照はそれぞれ書き出す）
+        seen.add(value);
+        const convert = (item) => this._toPlain(item, depth + 1, seen);
+
+        let result;
+        if (Array.isArray(value) || value instanceof Set) {
+            result = [...value].map(convert);
+        } else if (value instanceof Map) {
+            result = [...value].map(([key, item]) => [convert(key), convert(item)]);
+        } else {
+            result = {};
+            for (const [key, item] of Object.entries(value)) {
+                result[key] = convert(item);
+            }
+        }
+
+        seen.delete(value);
+        return result;
+    }
+};
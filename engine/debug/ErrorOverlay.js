@@ -0,0 +1,135 @@
+/**
+ * @file ErrorOverlay.js
+ * @description ErrorHandler に通知されたエラーを画面上に表示するオーバーレイ。
+ * FATAL のエラーが発生すると自動で表示され、閉じるまでゲームループを一時停止させます（isPaused を参照）。
+ * クラッシュレポート（エラー + World スナップショット + 直近の入力）を JSON としてダウンロードできます。
+ * 指定キー（既定: F4）で手動で表示/非表示を切り替えられます。
+ */
+import { el } from '../utils/DOMUtils.js';
+import { ErrorHandler, ErrorSeverity } from '../utils/ErrorHandler.js';
+import { CrashReport } from './CrashReport.js';
+
+export class ErrorOverlay {
+    /**
+     * @param {World} world - クラッシュレポートのスナップショット対象
+     * @param {object} [options]
+     * @param {function(): World} [options.getWorld] - スナップショット対象の World を返す関数（シーンごとに World が異なる場合）
+     * @param {string} [options.toggleKey='F4'] - 表示切り替えキー (KeyboardEvent.key)
+     * @param {number} [options.maxRows=10] - 表示するエラー数
+     * @param {function(): Array} [options.getInputs] - 直近の入力履歴を返す関数
+     * @param {function(): object} [options.getExtra] - レポートに含める追加情報を返す関数
+     */
+    constructor(world, options = {}) {
+        this.getWorld = options.getWorld || (() => world);
+        this.toggleKey = options.toggleKey || 'F4';
+        this.maxRows = options.maxRows ?? 10;
+        this.getInputs = options.getInputs || (() => []);
+        this.getExtra = options.getExtra || (() => ({}));
+
+        this.isVisible = false;
+        this.isPaused = false;
+        this.hasFatalError = false;
+
+        this.element = el('div', { className: 'error-overlay hidden' });
+        this.badge = el('div', { className: 'error-overlay-badge hidden', onclick: () => this.show() });
+        document.body.append(this.element, this.badge);
+
+        this._unsubscribe = ErrorHandler.subscribe(this._onError.bind(this));
+        this._onKeyDown = this._onKeyDown.bind(this);
+        window.addEventListener('keydown', this._onKeyDown);
+    }
+
+    show() {
+        this.isVisible = true;
+        this.element.classList.remove('hidden');
+        this._render();
+    }
+
+    /**
+     * オーバーレイを閉じ、一時停止していた場合はゲームを再開する
+     */
+    hide() {
+        this.isVisible = false;
+        this.isPaused = false;
+        this.hasFatalError = false;
+        this.element.classList.add('hidden');
+    }
+
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    exportReport() {
+        const report = CrashReport.create({
+            world: this.getWorld(),
+            inputs: this.getInputs(),
+            extra: this.getExtra()
+        });
+        CrashReport.download(report);
+    }
+
+    destroy() {
+        this._unsubscribe();
+        window.removeEventListener('keydown', this._onKeyDown);
+        this.element.remove();
+        this.badge.remove();
+    }
+
+    _onError(error) {
+        if (error.severity === ErrorSeverity.FATAL) {
+            this.hasFatalError = true;
+            this.isPaused = true;
+            this.show();
+        } else if (this.isVisible) {
+            this._render();
+        }
+        this._renderBadge();
+    }
+
+    _onKeyDown(event) {
+        if (event.key === this.toggleKey) {
+            event.preventDefault();
+            this.toggle();
+        }
+    }
+
+    _renderBadge() {
+        const count = ErrorHandler.getRecentErrors()
+            .filter(record => ErrorHandler.isAtLeast(record.severity, ErrorHandler.config.severityThreshold))
+            .length;
+        this.badge.textContent = `⚠ ${count}`;
+        this.badge.classList.toggle('hidden', count === 0);
+    }
+
+    _render() {
+        const records = ErrorHandler.getRecentErrors().slice(-this.maxRows).reverse();
+
+        const rows = records.map(({ error, severity, context }) =>
+            el('li', { className: `error-overlay-item severity-${severity}` }, [
+                el('div', { textContent: `[${severity}] ${error.type}${context.system ? ` @ ${context.system}` : ''}` }),
+                el('div', { className: 'error-overlay-message', textContent: error.message }),
+            ])
+        );
+
+        const title = this.hasFatalError
+            ? '致命的なエラーが発生したため、ゲームを一時停止しました'
+            : 'エラーログ';
+
+        this.element.replaceChildren(
+            el('div', { className: 'error-overlay-panel' }, [
+                el('h2', { textContent: title }),
+                rows.length > 0
+                    ? el('ul', { className: 'error-overlay-list' }, rows)
+                    : el('p', { textContent: 'エラーは記録されていません' }),
+                el('div', { className: 'error-overlay-buttons' }, [
+                    el('button', { textContent: 'クラッシュレポートを保存', onclick: () => this.exportReport() }),
+                    el('button', { textContent: this.isPaused ? '閉じて再開' : '閉じる', onclick: () => this.hide() }),
+                ]),
+            ])
+        );
+    }
+}
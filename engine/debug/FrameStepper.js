@@ -0,0 +1,135 @@
+/**
+ * @file FrameStepper.js
+ * @description 固定タイムステップのゲームループを止め、キー操作で1ステップずつ進めるデバッグ用コントロール。
+ * - 停止キー（既定: F8）: ループの停止/再開
+ * - ステップキー（既定: F9）: 停止中に stepCount ステップ進める（Shift を押しながらだと largeStepCount ステップ）
+ * - 調査キー（既定: F10）: 現在の World と、その時点のスナップショットをコンソールに出力する
+ *
+ * ゲームループは停止中 (isFrozen) は時間を溜めずに consumeSteps() の数だけ更新し、更新するたびに onStep() を呼び出します。
+ * ステップの間は入力の更新も止まるため、キーを押したまま1ステップ進めるといった操作もできます。
+ */
+import { el } from '../utils/DOMUtils.js';
+
+export class FrameStepper {
+    /**
+     * @param {object} [options]
+     * @param {function(): World} [options.getWorld] - 調査対象の World を返す関数
+     * @param {function(): object} [options.getExtra] - 調査時に一緒に出力する情報を返す関数
+     * @param {string} [options.toggleKey='F8'] - 停止/再開キー (KeyboardEvent.key)
+     * @param {string} [options.stepKey='F9'] - ステップ実行キー
+     * @param {string} [options.inspectKey='F10'] - 調査キー
+     * @param {number} [options.stepCount=1] - 1回の操作で進めるステップ数
+     * @param {number} [options.largeStepCount=10] - Shift を押しながら操作した時に進めるステップ数
+     */
+    constructor(options = {}) {
+        this.getWorld = options.getWorld || (() => null);
+        this.getExtra = options.getExtra || (() => ({}));
+        this.toggleKey = options.toggleKey || 'F8';
+        this.stepKey = options.stepKey || 'F9';
+        this.inspectKey = options.inspectKey || 'F10';
+        this.stepCount = options.stepCount ?? 1;
+        this.largeStepCount = options.largeStepCount ?? 10;
+
+        this.isFrozen = false;
+        // 次のフレームで実行する（要求されたがまだ実行していない）ステップ数
+        this.pendingSteps = 0;
+        // 停止してから進めたステップ数
+        this.steppedCount = 0;
+
+        this.badge = el('div', { className: 'frame-stepper-badge hidden' });
+        document.body.appendChild(this.badge);
+
+        this._onKeyDown = this._onKeyDown.bind(this);
+        window.addEventListener('keydown', this._onKeyDown);
+    }
+
+    freeze() {
+        if (this.isFrozen) return;
+        this.isFrozen = true;
+        this.pendingSteps = 0;
+        this.steppedCount = 0;
+        this._renderBadge();
+    }
+
+    resume() {
+        if (!this.isFrozen) return;
+        this.isFrozen = false;
+        this.pendingSteps = 0;
+        this._renderBadge();
+    }
+
+    toggle() {
+        if (this.isFrozen) {
+            this.resume();
+        } else {
+            this.freeze();
+        }
+    }
+
+    /**
+     * 停止中に指定ステップ数の実行を要求する（停止していなければ何もしない）
+     * @param {number} [count=this.stepCount]
+     */
+    step(count = this.stepCount) {
+        if (!this.isFrozen) return;
+        this.pendingSteps += count;
+    }
+
+    /**
+     * 要求されたステップ数を取り出す（ゲームループから毎フレーム呼ぶ）
+     * @returns {number} 今回のフレームで実行するステップ数
+     */
+    consumeSteps() {
+        const steps = this.pendingSteps;
+        this.pendingSteps = 0;
+        return steps;
+    }
+
+    /**
+     * 停止中に1ステップ実行したことを通知する（ゲームループから呼ぶ）
+     */
+    onStep() {
+        this.steppedCount++;
+        this._renderBadge();
+    }
+
+    /**
+     * 現在の World をコンソールに出力する。
+     * World はそのまま（以降のステップで変化する）と、スナップショット（出力時点の値）の両方を出力する。
+     */
+    inspect() {
+        const world = this.getWorld();
+        if (!world) {
+            console.warn('FrameStepper: No world to inspect.');
+            return;
+        }
+        console.group(`FrameStepper: step ${this.steppedCount}`);
+        console.log('world', world);
+        console.log('snapshot', world.serialize());
+        console.log('extra', this.getExtra());
+        console.groupEnd();
+    }
+
+    destroy() {
+        window.removeEventListener('keydown', this._onKeyDown);
+        this.badge.remove();
+    }
+
+    _onKeyDown(event) {
+        if (event.key === this.toggleKey) {
+            event.preventDefault();
+            this.toggle();
+        } else if (event.key === this.stepKey) {
+            event.preventDefault();
+            this.step(event.shiftKey ? this.largeStepCount : this.stepCount);
+        } else if (event.key === this.inspectKey) {
+            event.preventDefault();
+            this.inspect();
+        }
+    }
+
+    _renderBadge() {
+        this.badge.textContent = `❚❚ STEP ${this.steppedCount} (${this.stepKey}: +${this.stepCount} / Shift: +${this.largeStepCount})`;
+        this.badge.classList.toggle('hidden', !this.isFrozen);
+    }
+}
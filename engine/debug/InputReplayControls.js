@@ -0,0 +1,116 @@
+/**
+ * @file InputReplayControls.js
+ * @description InputManager の入力記録・再生をキー操作で行うデバッグ用コントロール。
+ * - 記録キー（既定: F6）: 記録の開始/終了。終了時に入力ログを JSON としてダウンロードする。
+ * - 再生キー（既定: F7）: 入力ログ (JSON) を選択して再生する。再生中に押すと再生を中断する。
+ * 記録・再生の開始前にゲームを同じ状態から始められるよう、呼び出し側のフックを呼び出します。
+ */
+import { el, downloadJson } from '../utils/DOMUtils.js';
+
+export class InputReplayControls {
+    /**
+     * @param {InputManager} inputManager
+     * @param {object} [options]
+     * @param {string} [options.recordKey='F6'] - 記録の開始/終了キー (KeyboardEvent.key)
+     * @param {string} [options.playKey='F7'] - 再生の開始/中断キー (KeyboardEvent.key)
+     * @param {function(): object} [options.onBeforeRecording] - 記録開始前に呼ばれ、ログに含める meta を返す
+     * @param {function(object): void} [options.onBeforePlayback] - 再生開始前に入力ログを受け取る
+     * @param {function(): void} [options.onEnd] - 記録・再生の終了時に呼ばれる
+     */
+    constructor(inputManager, options = {}) {
+        this.input = inputManager;
+        this.recordKey = options.recordKey || 'F6';
+        this.playKey = options.playKey || 'F7';
+        this.onBeforeRecording = options.onBeforeRecording || (() => ({}));
+        this.onBeforePlayback = options.onBeforePlayback || (() => {});
+        this.onEnd = options.onEnd || (() => {});
+
+        this.badge = el('div', { className: 'input-replay-badge hidden' });
+        this.fileInput = el('input', { type: 'file', accept: 'application/json,.json', className: 'hidden' });
+        this.fileInput.onchange = () => this._onFileSelected();
+        document.body.append(this.badge, this.fileInput);
+
+        this._onKeyDown = this._onKeyDown.bind(this);
+        window.addEventListener('keydown', this._onKeyDown);
+    }
+
+    startRecording() {
+        if (this.input.isRecording || this.input.isPlaying) return;
+        const meta = this.onBeforeRecording();
+        this.input.startRecording(meta);
+        this._setBadge('● REC');
+    }
+
+    stopRecording() {
+        const log = this.input.stopRecording();
+        this._setBadge(null);
+        this.onEnd();
+        if (log) {
+            downloadJson(log, `input-log-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+        }
+    }
+
+    /**
+     * @param {object} log - InputManager.stopRecording() で作成した入力ログ
+     */
+    play(log) {
+        if (this.input.isRecording || this.input.isPlaying) return;
+        this.onBeforePlayback(log);
+        this.input.startPlayback(log, { onComplete: () => this._onPlaybackEnded() });
+        if (this.input.isPlaying) {
+            this._setBadge(`▶ REPLAY (${log.frameCount} frames)`);
+        }
+    }
+
+    stopPlayback() {
+        this.input.stopPlayback();
+        this._onPlaybackEnded();
+    }
+
+    destroy() {
+        window.removeEventListener('keydown', this._onKeyDown);
+        this.badge.remove();
+        this.fileInput.remove();
+    }
+
+    _onPlaybackEnded() {
+        this._setBadge(null);
+        this.onEnd();
+    }
+
+    _onKeyDown(event) {
+        if (event.key === this.recordKey) {
+            event.preventDefault();
+            if (this.input.isRecording) {
+                this.stopRecording();
+            } else {
+                this.startRecording();
+            }
+        } else if (event.key === this.playKey) {
+            event.preventDefault();
+            if (this.input.isPlaying) {
+                this.stopPlayback();
+            } else if (!this.input.isRecording) {
+                this.fileInput.click();
+            }
+        }
+    }
+
+    async _onFileSelected() {
+        const file = this.fileInput.files[0];
+        // 同じファイルを続けて選択しても change が発火するようにする
+        this.fileInput.value = '';
+        if (!file) return;
+
+        try {
+            this.play(JSON.parse(await file.text()));
+        } catch (error) {
+            console.error('InputReplayControls: Failed to load input log.', error);
+        }
+    }
+
+    _setBadge(text) {
+        this.badge.textContent = text || '';
+        this.badge.classList.toggle('hidden', !text);
+    }
+}
@@ -0,0 +1,171 @@
+/**
+ * @file Profiler.js
+ * @description World.update 内の各システムの処理時間・クエリ結果数・エンティティ生成/削除数、
+ * およびイベントチャネルの発行数・新規確保数を計測するプロファイラ。
+ * 値は指数移動平均（ローリング平均）とピーク値で保持します。
+ * World.setProfiler() で接続された場合のみ計測が行われます。
+ */
+
+export class Profiler {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.smoothing=0.1] - 移動平均の係数 (0〜1, 大きいほど直近の値を重視)
+     */
+    constructor(options = {}) {
+        this.smoothing = options.smoothing ?? 0.1;
+
+        // key: システム名, value: SystemStats
+        this.systems = new Map();
+
+        this.frame = this._createStats();
+        this.churn = {
+            created: this._createStats(),
+            destroyed: this._createStats(),
+        };
+        // イベントチャネル: 発行数と、プールで賄えず新規に確保したインスタンス数
+        this.events = {
+            emitted: this._createStats(),
+            allocated: this._createStats(),
+        };
+        this.pooledEventCount = 0;
+        this.entityCount = 0;
+        this.frameCount = 0;
+
+        // --- 現在のフレームの集計用 ---
+        this.currentSystem = null;
+        this._frameStart = 0;
+        this._frameCreated = 0;
+        this._frameDestroyed = 0;
+    }
+
+    beginFrame() {
+        this._frameStart = performance.now();
+        this._frameCreated = 0;
+        this._frameDestroyed = 0;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} stage
+     */
+    beginSystem(name, stage) {
+        let stats = this.systems.get(name);
+        if (!stats) {
+            stats = {
+                name,
+                stage,
+                time: this._createStats(),
+                queriedEntities: this._createStats(),
+                created: this._createStats(),
+                destroyed: this._createStats(),
+                // フレーム内の集計値
+                _queried: 0,
+                _created: 0,
+                _destroyed: 0,
+                _start: 0,
+            };
+            this.systems.set(name, stats);
+        }
+        stats._queried = 0;
+        stats._created = 0;
+        stats._destroyed = 0;
+        stats._start = performance.now();
+        this.currentSystem = stats;
+    }
+
+    endSystem() {
+        const stats = this.currentSystem;
+        if (!stats) return;
+
+        this._record(stats.time, performance.now() - stats._start);
+        this._record(stats.queriedEntities, stats._queried);
+        this._record(stats.created, stats._created);
+        this._record(stats.destroyed, stats._destroyed);
+        this.currentSystem = null;
+    }
+
+    /**
+     * @param {World} world
+     */
+    endFrame(world) {
+        this._record(this.frame, performance.now() - this._frameStart);
+        this._record(this.churn.created, this._frameCreated);
+        this._record(this.churn.destroyed, this._frameDestroyed);
+        this._record(this.events.emitted, world.events.lastFrameEmitted);
+        this._record(this.events.allocated, world.events.lastFrameAllocated);
+        this.pooledEventCount = world.events.pooledCount;
+        this.entityCount = world.entities.size;
+        this.frameCount++;
+    }
+
+    /**
+     * クエリが返したエンティティ数を、実行中のシステムに計上する
+     * @param {number} count
+     */
+    recordQuery(count) {
+        if (this.currentSystem) {
+            this.currentSystem._queried += count;
+        }
+    }
+
+    recordEntityCreated() {
+        this._frameCreated++;
+        if (this.currentSystem) this.currentSystem._created++;
+    }
+
+    recordEntityDestroyed() {
+        this._frameDestroyed++;
+        if (this.currentSystem) this.currentSystem._destroyed++;
+    }
+
+    /**
+     * 平均処理時間の長い順にシステムの統計を返す
+     * @param {number} [limit=10]
+     * @returns {object[]}
+     */
+    getSlowestSystems(limit = 10) {
+        return [...this.systems.values()]
+            .sort((a, b) => b.time.average - a.time.average)
+            .slice(0, limit);
+    }
+
+    /**
+     * ピーク値のみをリセットする
+     */
+    resetPeaks() {
+        const all = [this.frame, this.churn.created, this.churn.destroyed, this.events.emitted, this.events.allocated];
+        for (const stats of this.systems.values()) {
+            all.push(stats.time, stats.queriedEntities, stats.created, stats.destroyed);
+        }
+        all.forEach(stats => { stats.peak = stats.last; });
+    }
+
+    /**
+     * 全ての計測値を破棄する（シーン切り替え時など）
+     */
+    reset() {
+        this.systems.clear();
+        this.frame = this._createStats();
+        this.churn.created = this._createStats();
+        this.churn.destroyed = this._createStats();
+        this.events.emitted = this._createStats();
+        this.events.allocated = this._createStats();
+        this.pooledEventCount = 0;
+        this.entityCount = 0;
+        this.frameCount = 0;
+        this.currentSystem = null;
+    }
+
+    _createStats() {
+        return { last: 0, average: 0, peak: 0, samples: 0 };
+    }
+
+    _record(stats, value) {
+        stats.last = value;
+        stats.average = stats.samples === 0
+            ? value
+            : stats.average + (value - stats.average) * this.smoothing;
+        stats.peak = Math.max(stats.peak, value);
+        stats.samples++;
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * @file ProfilerOverlay.js
+ * @description Profiler の計測結果を画面上に表示するデバッグ用オーバーレイ。
+ * 指定キー（既定: F3）で表示/非表示を切り替えます。
+ */
+import { el } from '../utils/DOMUtils.js';
+
+export class ProfilerOverlay {
+    /**
+     * @param {Profiler} profiler
+     * @param {object} [options]
+     * @param {string} [options.toggleKey='F3'] - 表示切り替えキー (KeyboardEvent.key)
+     * @param {number} [options.refreshInterval=250] - 表示更新間隔 (ms)
+     * @param {number} [options.maxRows=8] - 表示するシステム数
+     */
+    constructor(profiler, options = {}) {
+        this.profiler = profiler;
+        this.toggleKey = options.toggleKey || 'F3';
+        this.refreshInterval = options.refreshInterval ?? 250;
+        this.maxRows = options.maxRows ?? 8;
+
+        this.isVisible = false;
+        this.lastRefresh = 0;
+
+        this.element = el('div', { className: 'profiler-overlay hidden' });
+        document.body.appendChild(this.element);
+
+        this._onKeyDown = this._onKeyDown.bind(this);
+        window.addEventListener('keydown', this._onKeyDown);
+    }
+
+    toggle() {
+        this.isVisible = !this.isVisible;
+        this.element.classList.toggle('hidden', !this.isVisible);
+        if (this.isVisible) {
+            this.profiler.resetPeaks();
+            this._render();
+        }
+    }
+
+    /**
+     * ゲームループから毎フレーム呼び出す
+     * @param {number} timestamp - requestAnimationFrame のタイムスタンプ
+     */
+    update(timestamp) {
+        if (!this.isVisible || timestamp - this.lastRefresh < this.refreshInterval) return;
+        this.lastRefresh = timestamp;
+        this._render();
+    }
+
+    destroy() {
+        window.removeEventListener('keydown', this._onKeyDown);
+        this.element.remove();
+    }
+
+    _onKeyDown(event) {
+        if (event.key === this.toggleKey) {
+            event.preventDefault();
+            this.toggle();
+        }
+    }
+
+    _render() {
+        const { frame, churn, events, pooledEventCount, entityCount } = this.profiler;
+        const ms = (value) => value.toFixed(2);
+        const count = (value) => value.toFixed(1);
+
+        const rows = this.profiler.getSlowestSystems(this.maxRows).map(stats =>
+            el('tr', {}, [
+                el('td', { textContent: stats.name }),
+                el('td', { textContent: ms(stats.time.average) }),
+                el('td', { textContent: ms(stats.time.peak) }),
+                el('td', { textContent: count(stats.queriedEntities.average) }),
+                el('td', { textContent: `${count(stats.created.average)}/${count(stats.destroyed.average)}` }),
+            ])
+        );
+
+        this.element.replaceChildren(
+            el('div', { textContent: `frame ${ms(frame.average)}ms (peak ${ms(frame.peak)}ms)` }),
+            el('div', { textContent: `entities ${entityCount}` }),
+            el('div', {
+                textContent: `churn +${count(churn.created.average)} / -${count(churn.destroyed.average)} per frame` +
+                    ` (peak +${churn.created.peak} / -${churn.destroyed.peak})`
+            }),
+            el('div', {
+                textContent: `events ${count(events.emitted.average)} per frame` +
+                    ` (alloc ${count(events.allocated.average)}, pooled ${pooledEventCount})`
+            }),
+            el('table', {}, [
+                el('tr', {}, ['system', 'avg ms', 'peak ms', 'queried', '+/-'].map(text => el('th', { textContent: text }))),
+                ...rows
+            ])
+        );
+    }
+}
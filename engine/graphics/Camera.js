@@ -1,10 +1,213 @@
 /**
  * @file 2Dカメラ
  * @description ビューポート制御を行います。
+ * x / y は表示範囲の左上のワールド座標です。zoom が 1 より大きいほど拡大され、表示範囲 (viewWidth / viewHeight) は狭くなります。
+ *
+ * update() で次の順に位置を決めます。
+ * 1. 注視点: panTo() で指定した点（パン中・パン後）か、follow() で渡された追従対象の中心
+ * 2. デッドゾーン: 追従対象が画面中央のデッドゾーン内にある間はカメラを動かさない
+ * 3. 追従の補間: followLerp に応じて注視点へ滑らかに近づく（1 で即座に移動）
+ * 4. 範囲制限: bounds の外側を映さないように制限する
+ * 揺れ (shake) は x / y とは別のオフセット (shakeOffsetX / shakeOffsetY) として持ち、描画時にのみ加えます。
  */
+import { Easing, lerp } from '../utils/Tween.js';
+import { clamp } from '../utils/MathUtils.js';
+
+// followLerp は 60fps の1フレームあたりに縮める距離の割合として扱う
+const REFERENCE_FRAME_MS = 1000 / 60;
+
 export class Camera {
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.viewportWidth=0] - 画面の幅 (px)
+     * @param {number} [options.viewportHeight=0] - 画面の高さ (px)
+     * @param {{ x: number, y: number, width: number, height: number }} [options.bounds] - 映してよいワールドの範囲
+     * @param {number} [options.followLerp=1] - 追従の滑らかさ (0〜1)。1 で即座に追従する
+     * @param {{ width: number, height: number }} [options.deadZone] - 画面中央のデッドゾーンの大きさ (px)
+     * @param {number} [options.zoom=1]
+     */
+    constructor(options = {}) {
         this.x = 0;
         this.y = 0;
+        this.viewportWidth = options.viewportWidth ?? 0;
+        this.viewportHeight = options.viewportHeight ?? 0;
+        this.bounds = options.bounds ?? null;
+        this.followLerp = options.followLerp ?? 1;
+        this.deadZone = options.deadZone ?? null;
+        this.zoom = options.zoom ?? 1;
+
+        this.shakeOffsetX = 0;
+        this.shakeOffsetY = 0;
+        // { intensity, duration, elapsed }
+        this.shakeState = null;
+
+        // { fromX, fromY, toX, toY, fromZoom, toZoom, duration, elapsed, easing, resolve, isArrived }
+        this.pan = null;
+        // 最初の update() では補間せずに注視点へ移動する
+        this.isPositioned = false;
     }
-}
\ No newline at end of file
+
+    get viewWidth() {
+        return this.viewportWidth / this.zoom;
+    }
+
+    get viewHeight() {
+        return this.viewportHeight / this.zoom;
+    }
+
+    get centerX() {
+        return this.x + this.viewWidth / 2;
+    }
+
+    get centerY() {
+        return this.y + this.viewHeight / 2;
+    }
+
+    /**
+     * @returns {boolean} panTo() による注視点の固定中か
+     */
+    get isPanning() {
+        return this.pan !== null;
+    }
+
+    /**
+     * 指定した点が画面中央に来るように移動する。移動後も releasePan() が呼ばれるまでその点を映し続ける。
+     * @param {number} x - ワールド座標
+     * @param {number} y - ワールド座標
+     * @param {object} [options]
+     * @param {number} [options.duration=500] - 移動にかける時間 (ms)
+     * @param {number} [options.zoom] - 移動と同時に変更するズーム率（省略時は変更しない）
+     * @param {function(number): number} [options.easing=Easing.easeInOutQuad]
+     * @returns {Promise<void>} 移動が完了した時（または別のパン・解除で中断された時）に解決する
+     */
+    panTo(x, y, options = {}) {
+        this.pan?.resolve();
+        return new Promise(resolve => {
+            this.pan = {
+                fromX: this.centerX,
+                fromY: this.centerY,
+                toX: x,
+                toY: y,
+                fromZoom: this.zoom,
+                toZoom: options.zoom ?? this.zoom,
+                duration: options.duration ?? 500,
+                elapsed: 0,
+                easing: options.easing || Easing.easeInOutQuad,
+                resolve,
+                isArrived: false,
+            };
+        });
+    }
+
+    /**
+     * パンによる注視点の固定を解除し、追従対象への追従に戻る（ズーム率はそのまま）
+     */
+    releasePan() {
+        if (!this.pan) return;
+        this.pan.resolve();
+        this.pan = null;
+    }
+
+    /**
+     * 画面を揺らす。揺れ幅は時間とともに減衰する。揺れている最中に呼ぶと、強い方の揺れで上書きする。
+     * @param {number} intensity - 最大の揺れ幅 (px)
+     * @param {number} [duration=300] - 揺れる時間 (ms)
+     */
+    shake(intensity, duration = 300) {
+        const current = this.shakeState;
+        const remaining = current ? current.intensity * (1 - current.elapsed / current.duration) : 0;
+        if (intensity < remaining) return;
+        this.shakeState = { intensity, duration, elapsed: 0 };
+    }
+
+    /**
+     * 画面上の座標をワールド座標に変換する（揺れは含めない）
+     * @param {number} screenX
+     * @param {number} screenY
+     * @returns {{ x: number, y: number }}
+     */
+    screenToWorld(screenX, screenY) {
+        return { x: this.x + screenX / this.zoom, y: this.y + screenY / this.zoom };
+    }
+
+    /**
+     * @param {number} deltaTime - ms
+     * @param {{ x: number, y: number } | null} [followTarget] - 追従対象の中心のワールド座標
+     */
+    update(deltaTime, followTarget = null) {
+        let goal = null;
+        if (this.pan) {
+            goal = this._updatePan(deltaTime);
+        } else if (followTarget) {
+            goal = this._applyDeadZone(followTarget);
+        }
+
+        if (goal) {
+            // パン中はイージングで位置が決まるため補間しない
+            const t = (!this.isPositioned || this.pan) ? 1 : 1 - Math.pow(1 - clamp(this.followLerp, 0, 1), deltaTime / REFERENCE_FRAME_MS);
+            this._setCenter(lerp(this.centerX, goal.x, t), lerp(this.centerY, goal.y, t));
+            this.isPositioned = true;
+        }
+
+        this._clampToBounds();
+        this._updateShake(deltaTime);
+    }
+
+    _updatePan(deltaTime) {
+        const pan = this.pan;
+        pan.elapsed = Math.min(pan.elapsed + deltaTime, pan.duration);
+        const progress = pan.duration > 0 ? pan.easing(pan.elapsed / pan.duration) : 1;
+
+        this.zoom = lerp(pan.fromZoom, pan.toZoom, progress);
+        if (!pan.isArrived && pan.elapsed >= pan.duration) {
+            pan.isArrived = true;
+            pan.resolve();
+        }
+        return { x: lerp(pan.fromX, pan.toX, progress), y: lerp(pan.fromY, pan.toY, progress) };
+    }
+
+    _applyDeadZone(target) {
+        if (!this.deadZone || !this.isPositioned) return target;
+
+        const halfWidth = this.deadZone.width / 2 / this.zoom;
+        const halfHeight = this.deadZone.height / 2 / this.zoom;
+        const goal = { x: this.centerX, y: this.centerY };
+
+        if (target.x < goal.x - halfWidth) goal.x = target.x + halfWidth;
+        else if (target.x > goal.x + halfWidth) goal.x = target.x - halfWidth;
+        if (target.y < goal.y - halfHeight) goal.y = target.y + halfHeight;
+        else if (target.y > goal.y + halfHeight) goal.y = target.y - halfHeight;
+        return goal;
+    }
+
+    _setCenter(centerX, centerY) {
+        this.x = centerX - this.viewWidth / 2;
+        this.y = centerY - this.viewHeight / 2;
+    }
+
+    _clampToBounds() {
+        if (!this.bounds) return;
+        const { x, y, width, height } = this.bounds;
+        // 表示範囲の方が広い場合は範囲の中央を映す
+        this.x = this.viewWidth >= width ? x + (width - this.viewWidth) / 2 : clamp(this.x, x, x + width - this.viewWidth);
+        this.y = this.viewHeight >= height ? y + (height - this.viewHeight) / 2 : clamp(this.y, y, y + height - this.viewHeight);
+    }
+
+    _updateShake(deltaTime) {
+        const shake = this.shakeState;
+        if (!shake) return;
+
+        shake.elapsed += deltaTime;
+        if (shake.elapsed >= shake.duration) {
+            this.shakeState = null;
+            this.shakeOffsetX = 0;
+            this.shakeOffsetY = 0;
+            return;
+        }
+
+        // 乱数を使わず、周期の異なる正弦波で揺らす（入力の再生で同じ揺れを再現できるようにする）
+        const amplitude = shake.intensity * (1 - shake.elapsed / shake.duration);
+        this.shakeOffsetX = amplitude * Math.sin(shake.elapsed * 0.09);
+        this.shakeOffsetY = amplitude * Math.sin(shake.elapsed * 0.071 + 1);
+    }
+}
@@ -6,6 +6,8 @@ export class Renderer {
     constructor(canvas) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
+        // ドット絵を拡大してもぼやけないようにする
+        this.ctx.imageSmoothingEnabled = false;
     }
 
     drawRect(x, y, width, height, color, borderColor) {
@@ -23,4 +25,52 @@ export class Renderer {
         this.ctx.arc(x, y, radius, 0, Math.PI * 2);
         this.ctx.fill();
     }
-}
\ No newline at end of file
+
+    /**
+     * 画像全体を描画する
+     * @param {CanvasImageSource} image
+     * @param {number} x
+     * @param {number} y
+     * @param {number} [width] - 省略時は画像の幅
+     * @param {number} [height] - 省略時は画像の高さ
+     */
+    drawImage(image, x, y, width = image.width, height = image.height) {
+        this.ctx.drawImage(image, x, y, width, height);
+    }
+
+    /**
+     * スプライトシートの1フレームを描画する
+     * @param {SpriteSheet} sheet
+     * @param {number} frameIndex
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options]
+     * @param {number} [options.width] - 描画幅（省略時はフレームの幅）
+     * @param {number} [options.height] - 描画高さ（省略時はフレームの高さ）
+     * @param {boolean} [options.flipX=false] - 左右反転して描画する
+     * @param {number} [options.alpha=1] - 不透明度
+     * @returns {boolean} 描画したか（フレーム番号が範囲外の場合は false）
+     */
+    drawSprite(sheet, frameIndex, x, y, options = {}) {
+        const frame = sheet.getFrame(frameIndex);
+        if (!frame) return false;
+
+        const width = options.width ?? frame.sw;
+        const height = options.height ?? frame.sh;
+        const ctx = this.ctx;
+
+        ctx.save();
+        if (options.alpha !== undefined) {
+            ctx.globalAlpha *= options.alpha;
+        }
+        if (options.flipX) {
+            ctx.translate(x + width, y);
+            ctx.scale(-1, 1);
+            ctx.drawImage(sheet.image, frame.sx, frame.sy, frame.sw, frame.sh, 0, 0, width, height);
+        } else {
+            ctx.drawImage(sheet.image, frame.sx, frame.sy, frame.sw, frame.sh, x, y, width, height);
+        }
+        ctx.restore();
+        return true;
+    }
+}
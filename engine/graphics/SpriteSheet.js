@@ -0,0 +1,46 @@
+/**
+ * @file SpriteSheet.js
+ * @description 1枚の画像を同じ大きさのフレームに分割して扱うスプライトシート。
+ * フレーム番号は左上から右方向、行の終わりで次の行へ進む順に 0 から振られます。
+ */
+export class SpriteSheet {
+    /**
+     * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} image - 読み込み済みの画像
+     * @param {object} [options]
+     * @param {number} [options.frameWidth] - フレームの幅（省略時は画像全体を1フレームとする）
+     * @param {number} [options.frameHeight] - フレームの高さ
+     * @param {number} [options.margin=0] - 画像の外周の余白
+     * @param {number} [options.spacing=0] - フレーム間の間隔
+     */
+    constructor(image, options = {}) {
+        this.image = image;
+        this.frameWidth = options.frameWidth ?? image.width;
+        this.frameHeight = options.frameHeight ?? image.height;
+        this.margin = options.margin ?? 0;
+        this.spacing = options.spacing ?? 0;
+
+        this.columns = Math.max(1, Math.floor((image.width - this.margin * 2 + this.spacing) / (this.frameWidth + this.spacing)));
+        this.rows = Math.max(1, Math.floor((image.height - this.margin * 2 + this.spacing) / (this.frameHeight + this.spacing)));
+    }
+
+    get frameCount() {
+        return this.columns * this.rows;
+    }
+
+    /**
+     * フレームの画像内の切り出し範囲を取得する
+     * @param {number} index - フレーム番号
+     * @returns {{ sx: number, sy: number, sw: number, sh: number } | null} 範囲外の場合は null
+     */
+    getFrame(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.frameCount) return null;
+        const column = index % this.columns;
+        const row = Math.floor(index / this.columns);
+        return {
+            sx: this.margin + column * (this.frameWidth + this.spacing),
+            sy: this.margin + row * (this.frameHeight + this.spacing),
+            sw: this.frameWidth,
+            sh: this.frameHeight,
+        };
+    }
+}
@@ -0,0 +1,140 @@
+/**
+ * @file GamepadInput.js
+ * @description Gamepad API をポーリングし、押されているボタンを仮想ボタン名の集合として返します。
+ * 標準配置 (Gamepad.mapping === 'standard') を前提とし、左スティックは方向ボタンとして扱います。
+ * 接続・切断は gamepadconnected / gamepaddisconnected イベントで検出し、接続中の全てのパッドの入力を合成します。
+ *
+ * InputManager が毎フレーム poll() を呼び出し、仮想ボタン名をキーボードのキーと同じように扱います。
+ */
+
+/**
+ * 仮想ボタン名（キー割り当てに使用する）
+ */
+export const GamepadButton = {
+    A: 'PadA',
+    B: 'PadB',
+    X: 'PadX',
+    Y: 'PadY',
+    L: 'PadL',
+    R: 'PadR',
+    SELECT: 'PadSelect',
+    START: 'PadStart',
+    UP: 'PadUp',
+    DOWN: 'PadDown',
+    LEFT: 'PadLeft',
+    RIGHT: 'PadRight',
+};
+
+// 標準配置のボタン番号 → 仮想ボタン名
+const STANDARD_BUTTONS = {
+    0: GamepadButton.A,
+    1: GamepadButton.B,
+    2: GamepadButton.X,
+    3: GamepadButton.Y,
+    4: GamepadButton.L,
+    5: GamepadButton.R,
+    8: GamepadButton.SELECT,
+    9: GamepadButton.START,
+    12: GamepadButton.UP,
+    13: GamepadButton.DOWN,
+    14: GamepadButton.LEFT,
+    15: GamepadButton.RIGHT,
+};
+
+export class GamepadInput {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.deadZone=0.5] - スティックの傾きをこの値未満の場合は無視する (0〜1)
+     * @param {function(Gamepad): void} [options.onConnected]
+     * @param {function(Gamepad): void} [options.onDisconnected]
+     */
+    constructor(options = {}) {
+        this.deadZone = options.deadZone ?? 0.5;
+        this.onConnected = options.onConnected || null;
+        this.onDisconnected = options.onDisconnected || null;
+
+        // key: Gamepad.index, value: Gamepad.id
+        this.connected = new Map();
+
+        this._boundConnected = this._handleConnected.bind(this);
+        this._boundDisconnected = this._handleDisconnected.bind(this);
+        window.addEventListener('gamepadconnected', this._boundConnected);
+        window.addEventListener('gamepaddisconnected', this._boundDisconnected);
+
+        // ページ読み込み前から接続されていて、既にブラウザが認識しているパッド
+        for (const gamepad of navigator.getGamepads?.() || []) {
+            if (gamepad?.connected) {
+                this.connected.set(gamepad.index, gamepad.id);
+            }
+        }
+    }
+
+    destroy() {
+        window.removeEventListener('gamepadconnected', this._boundConnected);
+        window.removeEventListener('gamepaddisconnected', this._boundDisconnected);
+        this.connected.clear();
+    }
+
+    /**
+     * @returns {boolean} ゲームパッドが1台以上接続されているか
+     */
+    get isConnected() {
+        return this.connected.size > 0;
+    }
+
+    /**
+     * 接続中の全てのゲームパッドの状態を読み取る
+     * @returns {Set<string>} 押されている仮想ボタン名
+     */
+    poll() {
+        const pressed = new Set();
+        if (!this.isConnected) return pressed;
+
+        // Chrome では getGamepads() の戻り値は呼び出し時点のスナップショットのため、毎フレーム取得し直す
+        const gamepads = navigator.getGamepads?.() || [];
+        for (const gamepad of gamepads) {
+            if (!gamepad || !gamepad.connected) continue;
+            this._readButtons(gamepad, pressed);
+            this._readStick(gamepad, pressed);
+        }
+        return pressed;
+    }
+
+    _readButtons(gamepad, pressed) {
+        for (const [index, name] of Object.entries(STANDARD_BUTTONS)) {
+            if (gamepad.buttons[index]?.pressed) {
+                pressed.add(name);
+            }
+        }
+    }
+
+    /**
+     * 左スティックを方向ボタンに変換する。
+     * 斜めの入力は傾きの大きい軸の方向のみを採用する（マップ移動・メニュー操作は4方向のため）。
+     */
+    _readStick(gamepad, pressed) {
+        const x = gamepad.axes[0] ?? 0;
+        const y = gamepad.axes[1] ?? 0;
+        if (Math.hypot(x, y) < this.deadZone) return;
+
+        if (Math.abs(x) > Math.abs(y)) {
+            pressed.add(x > 0 ? GamepadButton.RIGHT : GamepadButton.LEFT);
+        } else {
+            pressed.add(y > 0 ? GamepadButton.DOWN : GamepadButton.UP);
+        }
+    }
+
+    _handleConnected(e) {
+        const { gamepad } = e;
+        if (gamepad.mapping !== 'standard') {
+            console.warn(`GamepadInput: "${gamepad.id}" does not use the standard mapping. Buttons may not match.`);
+        }
+        this.connected.set(gamepad.index, gamepad.id);
+        this.onConnected?.(gamepad);
+    }
+
+    _handleDisconnected(e) {
+        this.connected.delete(e.gamepad.index);
+        this.onDisconnected?.(e.gamepad);
+    }
+}
@@ -1,25 +1,84 @@
 /**
  * @file 入力管理クラス
- * @description キーボード入力の状態を管理し、抽象的な入力情報を提供します。
+ * @description キーボード・ゲームパッド入力の状態を管理し、抽象的な入力情報（アクション）を提供します。
+ *
+ * - アクション: 'confirm' などの名前付きの操作。1つのアクションに複数のキーを割り当てられる。
+ * - コンテキスト: シーンやメニューごとに有効なアクションの集合。
+ *   有効でないアクションは、割り当てられたキーが押されていても押されていないものとして扱う。
+ *   コンテキストはスタックで管理され、最上位のものが有効になる（未設定の場合は全アクションが有効）。
+ * - キーの割り当ては実行中に変更でき、変更時は onBindingsChanged が呼ばれる（保存は呼び出し側で行う）。
+ * - ゲームパッドは update() でポーリングし、ボタンを仮想キー (GamepadButton) としてキーと同様に扱う。
+ *   ゲームパッドの割り当て (gamepadBindings) は固定で、キー割り当ての変更・保存の対象外。
+ * - 画面上の仮想パッド (VirtualPad) などは pressVirtualKey() / releaseVirtualKey() で仮想キーを押下できる。
+ * - 固定ステップごとの入力状態を記録し (startRecording)、記録した入力ログを実際の入力の代わりに再生できる (startPlayback)。
+ *   フレームはゲームが入力を参照した固定ステップ（update(true) の呼び出し）単位で数える。
+ *
+ * @example
+ * const input = new InputManager({
+ *     bindings: { confirm: ['z', 'Enter'], cancel: ['x'] },
+ *     contexts: { title: ['confirm'] },
+ * });
+ * input.setContext('title');
+ * if (input.wasActionJustPressed('confirm')) { ... }
  */
+import { GamepadInput } from './GamepadInput.js';
+
+// 入力ログの形式のバージョン（形式を変更した場合は更新し、古いログは再生しない）
+export const INPUT_LOG_VERSION = 1;
+
 export class InputManager {
     /**
      * @param {object} [config={}]
-     * @param {object} [config.keyMap={}]
-     * @param {string[]} [config.preventDefaultKeys=[]]
+     * @param {Object<string, string[]>} [config.bindings={}] - アクション名 → キー (KeyboardEvent.key) の配列
+     * @param {Object<string, string[]>} [config.contexts={}] - コンテキスト名 → 有効なアクション名の配列
+     * @param {Object<string, string[]>} [config.gamepadBindings={}] - アクション名 → 仮想ボタン名 (GamepadButton) の配列
+     * @param {number} [config.gamepadDeadZone=0.5] - アナログスティックの不感帯 (0〜1)
+     * @param {Object<string, string[]>} [config.savedBindings] - 保存済みの割り当て（bindings を上書きする）
+     * @param {function(Object<string, string[]>): void} [config.onBindingsChanged] - 割り当て変更時のコールバック
+     * @param {string[]} [config.preventDefaultKeys=[]] - 割り当て以外にブラウザの既定動作を抑止するキー
+     * @param {number} [config.historySize=100] - クラッシュレポート用に保持する直近の入力数
      */
     constructor(config = {}) {
-        this.keyMap = config.keyMap || {};
+        this.defaultBindings = this._cloneBindings(config.bindings || {});
+        this.bindings = this._cloneBindings(this.defaultBindings);
+        this.gamepadBindings = config.gamepadBindings || {};
+        this.contexts = config.contexts || {};
+        this.onBindingsChanged = config.onBindingsChanged || null;
         this.preventDefaultKeys = new Set(config.preventDefaultKeys || []);
 
+        // key: キー, value: Set<アクション名>（bindings から生成する逆引き）
+        this.keyToActions = new Map();
+        if (config.savedBindings) {
+            this._applyBindings(config.savedBindings);
+        }
+        this._rebuildKeyIndex();
+
+        // 有効なコンテキストのスタック（末尾が最上位）
+        this.contextStack = [];
+
         this.pressedKeys = new Set();
         this.justPressedKeys = new Set();
         this.justReleasedKeys = new Set();
 
-        this._direction = null;
-        this._lastDirectionKey = null;
+        this._lastDirectionAction = null;
         this.directionActions = new Set(['up', 'down', 'left', 'right']);
 
+        // 接続・切断はポーリング結果に反映される（切断されたパッドのボタンは次の update() で離されたものとして扱う）
+        this.gamepad = new GamepadInput({ deadZone: config.gamepadDeadZone });
+        // 前回のポーリングで押されていた仮想ボタン
+        this._pressedPadButtons = new Set();
+
+        // キー割り当て変更中のキー待ち（設定時は全てのキー入力をこのコールバックに渡す）
+        this._captureCallback = null;
+
+        // 入力の記録・再生（ログの形式は startRecording() を参照）
+        this._recording = null;
+        this._playback = null;
+
+        // 直近の入力履歴 { type: 'down'|'up', key, action, time }（古い順）
+        this.historySize = config.historySize ?? 100;
+        this.recentInputs = [];
+
         this._boundKeyDown = this._handleKeyDown.bind(this);
         this._boundKeyUp = this._handleKeyUp.bind(this);
 
@@ -30,61 +89,611 @@ export class InputManager {
     destroy() {
         window.removeEventListener('keydown', this._boundKeyDown);
         window.removeEventListener('keyup', this._boundKeyUp);
+        this.gamepad.destroy();
     }
 
+    // === Actions ===
+
+    /**
+     * @param {string} action
+     * @returns {boolean} アクションに割り当てられたキーのいずれかが押されているか
+     */
+    isActionPressed(action) {
+        return this._isActionActive(action) && this._someBoundKey(action, this.pressedKeys);
+    }
+
+    /**
+     * @param {string} action
+     * @returns {boolean} アクションに割り当てられたキーのいずれかがこのフレームで押されたか
+     */
+    wasActionJustPressed(action) {
+        return this._isActionActive(action) && this._someBoundKey(action, this.justPressedKeys);
+    }
+
+    /**
+     * @param {string} action
+     * @returns {boolean} アクションに割り当てられたキーのいずれかがこのフレームで離されたか
+     */
+    wasActionJustReleased(action) {
+        return this._isActionActive(action) && this._someBoundKey(action, this.justReleasedKeys);
+    }
+
+    /**
+     * 候補のうち、このフレームで押された最初のアクションを返す
+     * @param {string[]} actions - 優先度順のアクション名
+     * @returns {string|null}
+     */
+    getJustPressedAction(actions) {
+        return actions.find(action => this.wasActionJustPressed(action)) || null;
+    }
+
+    /**
+     * 押されている方向アクションのうち、最後に押されたもの
+     * @returns {string|null} 'up' | 'down' | 'left' | 'right'
+     */
+    get direction() {
+        const action = this._lastDirectionAction;
+        return action && this.isActionPressed(action) ? action : null;
+    }
+
+    // === Contexts ===
+
+    /**
+     * 最上位のコンテキストを置き換える（シーンの切り替え時など）
+     * @param {string|null} name - null の場合は全アクションが有効
+     */
+    setContext(name) {
+        this._warnIfUnknownContext(name);
+        if (this.contextStack.length > 0) {
+            this.contextStack[this.contextStack.length - 1] = name;
+        } else {
+            this.contextStack.push(name);
+        }
+    }
+
+    /**
+     * コンテキストを積む（メニューやダイアログを開いた時など）
+     * @param {string} name
+     */
+    pushContext(name) {
+        this._warnIfUnknownContext(name);
+        this.contextStack.push(name);
+    }
+
+    /**
+     * pushContext() で積んだコンテキストを取り除く
+     */
+    popContext() {
+        if (this.contextStack.length <= 1) {
+            console.warn('InputManager: popContext() called without a pushed context.');
+            return;
+        }
+        this.contextStack.pop();
+    }
+
+    /**
+     * @returns {string|null} 現在有効なコンテキスト名
+     */
+    get currentContext() {
+        return this.contextStack[this.contextStack.length - 1] ?? null;
+    }
+
+    // === Bindings ===
+
+    /**
+     * @param {string} action
+     * @returns {string[]} アクションに割り当てられたキー
+     */
+    getBindings(action) {
+        return [...(this.bindings[action] || [])];
+    }
+
+    /**
+     * 全アクションの割り当てのコピー（保存用）
+     * @returns {Object<string, string[]>}
+     */
+    getAllBindings() {
+        return this._cloneBindings(this.bindings);
+    }
+
+    /**
+     * アクションの割り当てを置き換える
+     * @param {string} action
+     * @param {string[]} keys
+     */
+    setBindings(action, keys) {
+        if (!(action in this.defaultBindings)) {
+            console.warn(`InputManager: Unknown action "${action}".`);
+            return;
+        }
+        this.bindings[action] = [...new Set(keys.map(key => this._normalizeKey(key)))];
+        this._onBindingsUpdated();
+    }
+
+    /**
+     * アクションの指定番目の割り当てを変更する（番号が割り当て数以上の場合は追加する）。
+     * キーが同じコンテキストで有効な他のアクションに割り当て済みの場合は、同じキーで2つのアクションが同時に反応しないよう、
+     * そのアクションからキーを外し、代わりに変更前のキーを割り当てる（入れ替え）。
+     * 変更前のキーがない、または他と重なる場合は外すだけにし、そのためにキーが1つもなくなるアクションがある場合は変更しない。
+     * @param {string} action
+     * @param {number} index
+     * @param {string} key
+     * @returns {string[]|null} 割り当てを変更した他のアクション。変更しなかった場合は null
+     */
+    rebind(action, index, key) {
+        if (!(action in this.defaultBindings)) {
+            console.warn(`InputManager: Unknown action "${action}".`);
+            return null;
+        }
+        key = this._normalizeKey(key);
+        const keys = this.getBindings(action);
+        const previousKey = keys[index] ?? null;
+        if (index < keys.length) {
+            keys[index] = key;
+        } else {
+            keys.push(key);
+        }
+
+        const conflicts = previousKey === key ? [] : this.getConflictingActions(action, key);
+        const otherBindings = {};
+        let canGivePreviousKey = previousKey !== null;
+        for (const other of conflicts) {
+            // 変更前のキーは、他のアクションと重ならない場合に限り1つのアクションにだけ渡す
+            const givesPreviousKey = canGivePreviousKey
+                && this.getConflictingActions(other, previousKey).every(conflict => conflict === action);
+            if (givesPreviousKey) canGivePreviousKey = false;
+
+            const otherKeys = this.bindings[other]
+                .map(otherKey => (otherKey === key && givesPreviousKey ? previousKey : otherKey))
+                .filter(otherKey => otherKey !== key);
+            if (otherKeys.length === 0) return null;
+            otherBindings[other] = [...new Set(otherKeys)];
+        }
+
+        Object.assign(this.bindings, otherBindings);
+        this.bindings[action] = [...new Set(keys)];
+        this._onBindingsUpdated();
+        return conflicts;
+    }
+
+    /**
+     * キーを割り当てている他のアクションのうち、指定のアクションと同じコンテキストで有効なもの。
+     * 初期設定で同じキーを共有しているアクション同士（例: キャンセルとメニュー）は意図した割り当てのため含めない。
+     * @param {string} action
+     * @param {string} key
+     * @returns {string[]}
+     */
+    getConflictingActions(action, key) {
+        key = this._normalizeKey(key);
+        const isDefaultKey = this.defaultBindings[action]?.includes(key) ?? false;
+        return Object.keys(this.bindings).filter(other =>
+            other !== action
+            && this.bindings[other].includes(key)
+            && !(isDefaultKey && this.defaultBindings[other]?.includes(key))
+            && this._sharesContext(action, other)
+        );
+    }
+
+    /**
+     * 割り当てを初期設定に戻す
+     * @param {string} [action] - 省略時は全アクション
+     */
+    resetBindings(action) {
+        if (action) {
+            this.bindings[action] = [...(this.defaultBindings[action] || [])];
+        } else {
+            this.bindings = this._cloneBindings(this.defaultBindings);
+        }
+        this._onBindingsUpdated();
+    }
+
+    /**
+     * 次に押されたキーをコールバックに渡す（キー割り当て変更用）。
+     * 待機中のキー入力はゲームのアクションには反映されない。
+     * @param {function(string): void} callback - 押されたキー。Escape の場合は null（キャンセル）
+     */
+    captureNextKey(callback) {
+        this._captureCallback = callback;
+    }
+
+    cancelCapture() {
+        this._captureCallback = null;
+    }
+
+    /**
+     * 仮想キーを押下中にする（画面上の仮想パッドなど、キーボード以外の入力元から使用する）
+     * @param {string} key - キーまたは仮想ボタン名 (GamepadButton)
+     */
+    pressVirtualKey(key) {
+        if (this._playback || this.pressedKeys.has(key)) return;
+        this._press(key);
+    }
+
+    /**
+     * pressVirtualKey() で押下した仮想キーを離す
+     * @param {string} key
+     */
+    releaseVirtualKey(key) {
+        if (this._playback || !this.pressedKeys.has(key)) return;
+        this._release(key);
+    }
+
+    // === Raw Keys ===
+
+    isKeyPressed(key) {
+        return this.pressedKeys.has(this._normalizeKey(key));
+    }
+
+    wasKeyJustPressed(key) {
+        return this.justPressedKeys.has(this._normalizeKey(key));
+    }
+
+    wasKeyJustReleased(key) {
+        return this.justReleasedKeys.has(this._normalizeKey(key));
+    }
+
+    /**
+     * 直近の入力履歴を古い順に返す
+     * @returns {Array<{ type: string, key: string, action: string|null, time: number }>}
+     */
+    getRecentInputs() {
+        return [...this.recentInputs];
+    }
+
+    /**
+     * 固定ステップの終わりに呼び出す。このフレームの押下・解放状態を消去し、
+     * 次のフレームのためにゲームパッドの状態を読み取る（再生中はログから次のフレームの状態を設定する）。
+     * @param {boolean} [isConsumed=true] - このステップでゲームが入力を参照したか。
+     *   シーン遷移中などで参照しなかったステップは記録・再生のフレームとして数えない。
+     */
+    update(isConsumed = true) {
+        if (this._playback) {
+            if (isConsumed) this._advancePlayback();
+            return;
+        }
+
+        if (this._recording && isConsumed) {
+            this._recordFrame();
+        }
+        this.justPressedKeys.clear();
+        this.justReleasedKeys.clear();
+        this._pollGamepad();
+    }
+
+    // === Recording / Playback ===
+
+    /**
+     * @returns {boolean}
+     */
+    get isRecording() {
+        return this._recording !== null;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get isPlaying() {
+        return this._playback !== null;
+    }
+
+    /**
+     * 入力の記録を開始する。記録は stopRecording() で入力ログとして取り出す。
+     *
+     * 入力ログの形式（変化のあったフレームのみを保持する）:
+     * {
+     *   version: 1,
+     *   frameCount: 記録したフレーム数,
+     *   bindings: 記録時のキー割り当て,
+     *   meta: startRecording() に渡された任意の情報（乱数シードや開始シーンなど）,
+     *   frames: [{ f: フレーム番号, p?: 押されているキー（変化した場合のみ）, d?: 押されたキー, u?: 離されたキー, dir?: 方向（変化した場合のみ） }]
+     * }
+     * @param {object} [meta={}]
+     */
+    startRecording(meta = {}) {
+        if (this._playback) {
+            console.warn('InputManager: Cannot start recording during playback.');
+            return;
+        }
+        this._recording = {
+            meta,
+            bindings: this.getAllBindings(),
+            frames: [],
+            frameIndex: 0,
+            lastPressed: [],
+            lastDirection: null,
+        };
+    }
+
+    /**
+     * 入力の記録を終了する
+     * @returns {object|null} 入力ログ（記録中でなかった場合は null）
+     */
+    stopRecording() {
+        const recording = this._recording;
+        if (!recording) return null;
+        this._recording = null;
+
+        return {
+            version: INPUT_LOG_VERSION,
+            frameCount: recording.frameIndex,
+            bindings: recording.bindings,
+            meta: recording.meta,
+            frames: recording.frames,
+        };
+    }
+
+    /**
+     * 入力ログを再生する。再生中はキーボード・ゲームパッドの入力を無視し、
+     * 記録時のキー割り当てを一時的に使用する（再生終了後に元に戻す）。
+     * 最初のフレームの状態は直ちに設定されるため、次の固定ステップから再生が始まる。
+     * @param {object} log - stopRecording() の戻り値
+     * @param {object} [options]
+     * @param {function(): void} [options.onComplete] - 全てのフレームを再生し終えた時のコールバック
+     */
+    startPlayback(log, options = {}) {
+        if (log?.version !== INPUT_LOG_VERSION) {
+            console.warn(`InputManager: Unsupported input log version "${log?.version}".`);
+            return;
+        }
+        if (this._recording) {
+            console.warn('InputManager: Cannot start playback during recording.');
+            return;
+        }
+
+        this._playback = {
+            log,
+            onComplete: options.onComplete || null,
+            savedBindings: this.bindings,
+            frameIndex: 0,
+            nextEntry: 0,
+        };
+        this.bindings = this._cloneBindings(log.bindings);
+        this._rebuildKeyIndex();
+
+        this.pressedKeys.clear();
+        this._pressedPadButtons.clear();
+        this._lastDirectionAction = null;
+        this._applyPlaybackFrame();
+    }
+
+    /**
+     * 再生を中断し、実際の入力に戻す
+     */
+    stopPlayback() {
+        const playback = this._playback;
+        if (!playback) return;
+        this._playback = null;
+
+        this.bindings = playback.savedBindings;
+        this._rebuildKeyIndex();
+        this.pressedKeys.clear();
+        this.justPressedKeys.clear();
+        this.justReleasedKeys.clear();
+        this._lastDirectionAction = null;
+    }
+
+    // === Private ===
+
     _handleKeyDown(e) {
-        if (this.keyMap[e.key] || this.preventDefaultKeys.has(e.key)) {
+        if (this._playback) {
+            // 再生中は実際の入力を反映しない（ブラウザの既定動作のみ抑止する）
+            if (this._isKeyHandled(this._normalizeKey(e.key))) e.preventDefault();
+            return;
+        }
+        if (this._captureCallback) {
             e.preventDefault();
-            
-            if (!this.pressedKeys.has(e.key)) {
-                this.justPressedKeys.add(e.key);
-            }
-            this.pressedKeys.add(e.key);
+            const callback = this._captureCallback;
+            this._captureCallback = null;
+            callback(e.key === 'Escape' ? null : this._normalizeKey(e.key));
+            return;
+        }
 
-            const action = this.keyMap[e.key];
-            if (action && this.directionActions.has(action)) {
-                this._lastDirectionKey = e.key;
-            }
+        const key = this._normalizeKey(e.key);
+        if (!this._isKeyHandled(key)) return;
+
+        e.preventDefault();
+        this._press(key);
+    }
+
+    /**
+     * 現在のコンテキストで有効なアクションに割り当てられているか、既定動作を抑止するキーか。
+     * それ以外のキーはブラウザの既定動作（フォーカス中のボタンの Enter など）に任せる。
+     * @param {string} key - 正規化済みのキー
+     * @returns {boolean}
+     */
+    _isKeyHandled(key) {
+        if (this.preventDefaultKeys.has(key)) return true;
+        const actions = this.keyToActions.get(key);
+        if (!actions) return false;
+        for (const action of actions) {
+            if (this._isActionActive(action)) return true;
         }
+        return false;
     }
 
     _handleKeyUp(e) {
-        if (this.keyMap[e.key] || this.preventDefaultKeys.has(e.key)) {
-            e.preventDefault();
-            this.pressedKeys.delete(e.key);
-            this.justReleasedKeys.add(e.key);
-
-            if (this._lastDirectionKey === e.key) {
-                const pressedDirectionKeys = [...this.pressedKeys].filter(key => {
-                    const action = this.keyMap[key];
-                    return action && this.directionActions.has(action);
-                });
-                this._lastDirectionKey = pressedDirectionKeys.pop() || null;
-            }
+        if (this._playback) return;
+
+        const key = this._normalizeKey(e.key);
+        if (!this.keyToActions.has(key) && !this.preventDefaultKeys.has(key) && !this.pressedKeys.has(key)) return;
+
+        e.preventDefault();
+        this._release(key);
+    }
+
+    _pollGamepad() {
+        if (this._captureCallback) return;
+
+        const pressed = this.gamepad.poll();
+        for (const button of pressed) {
+            if (!this._pressedPadButtons.has(button)) this._press(button);
+        }
+        for (const button of this._pressedPadButtons) {
+            if (!pressed.has(button)) this._release(button);
+        }
+        this._pressedPadButtons = pressed;
+    }
+
+    _recordFrame() {
+        const recording = this._recording;
+        const entry = { f: recording.frameIndex };
+
+        const pressed = [...this.pressedKeys];
+        if (pressed.length !== recording.lastPressed.length || pressed.some((key, i) => key !== recording.lastPressed[i])) {
+            entry.p = pressed;
+            recording.lastPressed = pressed;
         }
+        if (this.justPressedKeys.size > 0) entry.d = [...this.justPressedKeys];
+        if (this.justReleasedKeys.size > 0) entry.u = [...this.justReleasedKeys];
+        if (this._lastDirectionAction !== recording.lastDirection) {
+            entry.dir = this._lastDirectionAction;
+            recording.lastDirection = this._lastDirectionAction;
+        }
+
+        if (Object.keys(entry).length > 1) {
+            recording.frames.push(entry);
+        }
+        recording.frameIndex++;
     }
 
-    update() {
+    _advancePlayback() {
+        const playback = this._playback;
+        playback.frameIndex++;
+        if (playback.frameIndex >= playback.log.frameCount) {
+            const onComplete = playback.onComplete;
+            this.stopPlayback();
+            onComplete?.();
+            return;
+        }
+        this._applyPlaybackFrame();
+    }
+
+    /**
+     * 再生中のフレームの入力状態を設定する（記録のないフレームは押下状態のみ前のフレームを引き継ぐ）
+     */
+    _applyPlaybackFrame() {
+        const playback = this._playback;
+        const entry = playback.log.frames[playback.nextEntry];
+
         this.justPressedKeys.clear();
         this.justReleasedKeys.clear();
+        if (!entry || entry.f !== playback.frameIndex) return;
+
+        playback.nextEntry++;
+        if (entry.p) this.pressedKeys = new Set(entry.p);
+        for (const key of entry.d || []) this.justPressedKeys.add(key);
+        for (const key of entry.u || []) this.justReleasedKeys.add(key);
+        if (entry.dir !== undefined) this._lastDirectionAction = entry.dir;
     }
 
-    isKeyPressed(key) {
-        return this.pressedKeys.has(key);
+    _press(key) {
+        if (!this.pressedKeys.has(key)) {
+            this.justPressedKeys.add(key);
+            this._recordInput('down', key);
+        }
+        this.pressedKeys.add(key);
+
+        for (const action of this.keyToActions.get(key) || []) {
+            if (this.directionActions.has(action)) {
+                this._lastDirectionAction = action;
+            }
+        }
     }
 
-    wasKeyJustPressed(key) {
-        return this.justPressedKeys.has(key);
+    _release(key) {
+        this.pressedKeys.delete(key);
+        this.justReleasedKeys.add(key);
+        this._recordInput('up', key);
+
+        if (this._lastDirectionAction && !this._someBoundKey(this._lastDirectionAction, this.pressedKeys)) {
+            // 他に押されたままの方向キーがあれば、そちらを有効にする
+            const pressedDirection = [...this.pressedKeys]
+                .flatMap(pressedKey => [...(this.keyToActions.get(pressedKey) || [])])
+                .filter(action => this.directionActions.has(action))
+                .pop();
+            this._lastDirectionAction = pressedDirection || null;
+        }
     }
 
-    wasKeyJustReleased(key) {
-        return this.justReleasedKeys.has(key);
+    _isActionActive(action) {
+        const context = this.currentContext;
+        if (context === null) return true;
+        return this.contexts[context]?.includes(action) ?? false;
     }
-    
-    get direction() {
-        if (this._lastDirectionKey) {
-            return this.keyMap[this._lastDirectionKey];
+
+    /**
+     * 2つのアクションが同時に有効になるコンテキストがあるか（コンテキストが未定義の場合は常に全アクションが有効）
+     */
+    _sharesContext(action, other) {
+        const contexts = Object.values(this.contexts);
+        if (contexts.length === 0) return true;
+        return contexts.some(actions => actions.includes(action) && actions.includes(other));
+    }
+
+    _someBoundKey(action, keySet) {
+        const keys = this.bindings[action] || [];
+        const buttons = this.gamepadBindings[action] || [];
+        return keys.some(key => keySet.has(key)) || buttons.some(button => keySet.has(button));
+    }
+
+    _recordInput(type, key) {
+        const actions = this.keyToActions.get(key);
+        this.recentInputs.push({ type, key, action: actions ? [...actions].join('|') : null, time: performance.now() });
+        if (this.recentInputs.length > this.historySize) {
+            this.recentInputs.shift();
+        }
+    }
+
+    /**
+     * 保存済みの割り当てを反映する（既知のアクションのみ）
+     */
+    _applyBindings(savedBindings) {
+        for (const [action, keys] of Object.entries(savedBindings)) {
+            if (action in this.defaultBindings && Array.isArray(keys)) {
+                this.bindings[action] = keys.map(key => this._normalizeKey(key));
+            }
+        }
+    }
+
+    _onBindingsUpdated() {
+        this._rebuildKeyIndex();
+        // 割り当てが変わったキーの押下状態が残らないようにする
+        this.pressedKeys.clear();
+        this._pressedPadButtons.clear();
+        this._lastDirectionAction = null;
+        this.onBindingsChanged?.(this.getAllBindings());
+    }
+
+    _rebuildKeyIndex() {
+        this.keyToActions.clear();
+        for (const [action, keys] of [...Object.entries(this.bindings), ...Object.entries(this.gamepadBindings)]) {
+            for (const key of keys) {
+                if (!this.keyToActions.has(key)) {
+                    this.keyToActions.set(key, new Set());
+                }
+                this.keyToActions.get(key).add(action);
+            }
+        }
+    }
+
+    _cloneBindings(bindings) {
+        const clone = {};
+        for (const [action, keys] of Object.entries(bindings)) {
+            clone[action] = keys.map(key => this._normalizeKey(key));
+        }
+        return clone;
+    }
+
+    /**
+     * 1文字のキーは Shift / CapsLock の状態に関わらず同じキーとして扱う
+     */
+    _normalizeKey(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    _warnIfUnknownContext(name) {
+        if (name !== null && !(name in this.contexts)) {
+            console.warn(`InputManager: Unknown input context "${name}".`);
         }
-        return null;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,171 @@
+/**
+ * @file KeyConfigPanel.js
+ * @description InputManager のキー割り当てを変更する設定パネル。
+ * アクションごとに割り当て枠を並べ、枠をクリックした後に押したキーをその枠に割り当てます。
+ * 同じコンテキストで有効な他のアクションに割り当て済みのキーを押した場合は、InputManager.rebind() が
+ * そのアクションの割り当てと入れ替え、パネルに入れ替えたことを表示します（入れ替えられない場合は割り当てずに通知します）。
+ * 開いている間は指定の入力コンテキストを積み、ゲーム側のアクションが反応しないようにします。
+ * 変更の保存は InputManager の onBindingsChanged に任せます。
+ * 表示する文言（アクション名を含む）は呼び出し側から渡します。
+ */
+import { el } from '../utils/DOMUtils.js';
+
+// 特殊キーの表示名
+const KEY_LABELS = {
+    ' ': 'Space',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+};
+
+export class KeyConfigPanel {
+    /**
+     * @param {InputManager} inputManager
+     * @param {object} options
+     * @param {Array<{ action: string, label: string }>} options.actions - 表示するアクション（表示順）
+     * @param {object} options.text - 表示する文言
+     * @param {string} options.text.title - 見出し
+     * @param {string} options.text.hint - 操作説明
+     * @param {string} options.text.capturing - キー入力待ちの枠に表示する文言
+     * @param {string} options.text.reset - 初期設定に戻すボタン
+     * @param {string} options.text.close - 閉じるボタン
+     * @param {function(string[]): string} options.text.swapped - 入れ替えたアクション名の配列から通知文を作る関数
+     * @param {string} options.text.rejected - 入れ替えられず割り当てなかった場合の通知文
+     * @param {string} [options.context] - 開いている間に積む入力コンテキスト
+     * @param {number} [options.slots=2] - アクションごとの割り当て枠の数
+     * @param {function(): void} [options.onClose] - 閉じた時のコールバック
+     */
+    constructor(inputManager, options) {
+        this.input = inputManager;
+        this.actions = options.actions;
+        this.text = options.text;
+        this.context = options.context ?? null;
+        this.slots = options.slots ?? 2;
+        this.onClose = options.onClose || null;
+
+        this.isOpen = false;
+        // キー入力待ちの枠 { action, index }
+        this.capturing = null;
+        // 直前の割り当て変更で入れ替えが発生した（または割り当てなかった）場合の通知文
+        this.notice = null;
+
+        this.element = el('div', { className: 'key-config hidden' });
+        document.body.appendChild(this.element);
+
+        this._onKeyDown = this._onKeyDown.bind(this);
+    }
+
+    open() {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        if (this.context !== null) {
+            this.input.pushContext(this.context);
+        }
+        window.addEventListener('keydown', this._onKeyDown);
+        this.element.classList.remove('hidden');
+        this._render();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this._cancelCapture();
+        this.notice = null;
+        if (this.context !== null) {
+            this.input.popContext();
+        }
+        window.removeEventListener('keydown', this._onKeyDown);
+        this.element.classList.add('hidden');
+        this.onClose?.();
+    }
+
+    destroy() {
+        this.close();
+        this.element.remove();
+    }
+
+    _startCapture(action, index) {
+        this.capturing = { action, index };
+        this.notice = null;
+        this.input.captureNextKey(key => {
+            this.capturing = null;
+            if (key) {
+                const swapped = this.input.rebind(action, index, key);
+                if (swapped === null) {
+                    this.notice = this.text.rejected;
+                } else if (swapped.length > 0) {
+                    this.notice = this.text.swapped(swapped.map(other => this._getLabel(other)));
+                }
+            }
+            this._render();
+        });
+        this._render();
+    }
+
+    _cancelCapture() {
+        if (!this.capturing) return;
+        this.capturing = null;
+        this.input.cancelCapture();
+    }
+
+    _onKeyDown(event) {
+        // キー入力待ちの間は InputManager が先にキーを受け取り、preventDefault() 済みになる
+        if (event.key === 'Escape' && !event.defaultPrevented) {
+            event.preventDefault();
+            this.close();
+        }
+    }
+
+    _render() {
+        const rows = this.actions.map(({ action, label }) => {
+            const keys = this.input.getBindings(action);
+            const slotButtons = [];
+            for (let index = 0; index < this.slots; index++) {
+                const isCapturing = this.capturing?.action === action && this.capturing.index === index;
+                // 空き枠は末尾への追加として扱う
+                const targetIndex = Math.min(index, keys.length);
+                slotButtons.push(el('button', {
+                    className: `key-config-slot${isCapturing ? ' capturing' : ''}`,
+                    textContent: isCapturing ? this.text.capturing : this._formatKey(keys[index]),
+                    onclick: () => this._startCapture(action, targetIndex),
+                }));
+            }
+            return el('tr', {}, [
+                el('th', { textContent: label }),
+                el('td', { className: 'key-config-slots' }, slotButtons),
+            ]);
+        });
+
+        this.element.replaceChildren(
+            el('div', { className: 'key-config-panel' }, [
+                el('h2', { textContent: this.text.title }),
+                el('p', { className: 'key-config-hint', textContent: this.text.hint }),
+                el('table', {}, rows),
+                this.notice
+                    ? el('p', { className: 'key-config-notice', textContent: this.notice })
+                    : null,
+                el('div', { className: 'key-config-buttons' }, [
+                    el('button', { textContent: this.text.reset, onclick: () => this._resetBindings() }),
+                    el('button', { textContent: this.text.close, onclick: () => this.close() }),
+                ]),
+            ])
+        );
+    }
+
+    _resetBindings() {
+        this._cancelCapture();
+        this.notice = null;
+        this.input.resetBindings();
+        this._render();
+    }
+
+    _getLabel(action) {
+        return this.actions.find(entry => entry.action === action)?.label ?? action;
+    }
+
+    _formatKey(key) {
+        if (!key) return '-';
+        return KEY_LABELS[key] ?? (key.length === 1 ? key.toUpperCase() : key);
+    }
+}
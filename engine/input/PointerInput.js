@@ -0,0 +1,99 @@
+/**
+ * @file PointerInput.js
+ * @description 要素上のポインタ（マウス・タッチ・ペン）操作を監視し、タップを座標付きで蓄積します。
+ * システムは毎フレーム consumeTaps() で蓄積されたタップを取り出して処理します（InputManager と同じポーリング方式）。
+ *
+ * 座標は要素の CSS transform（main.js の applyScaling による拡大縮小）を打ち消した、要素内の論理座標です。
+ * 要素が canvas の場合は、さらに canvas の描画解像度 (canvas.width / height) の座標に変換します。
+ */
+
+export class PointerInput {
+    /**
+     * @param {HTMLElement} element - 監視対象の要素
+     * @param {object} [options]
+     * @param {number} [options.tapSlop=12] - タップとみなす移動量の上限（論理座標）
+     * @param {number} [options.tapMaxDuration=500] - タップとみなす押下時間の上限 (ms)
+     */
+    constructor(element, options = {}) {
+        this.element = element;
+        this.tapSlop = options.tapSlop ?? 12;
+        this.tapMaxDuration = options.tapMaxDuration ?? 500;
+
+        // key: pointerId, value: { x, y, target, time }
+        this.activePointers = new Map();
+        this.taps = [];
+
+        this._onPointerDown = this._onPointerDown.bind(this);
+        this._onPointerUp = this._onPointerUp.bind(this);
+        this._onPointerCancel = this._onPointerCancel.bind(this);
+        element.addEventListener('pointerdown', this._onPointerDown);
+        element.addEventListener('pointerup', this._onPointerUp);
+        element.addEventListener('pointercancel', this._onPointerCancel);
+    }
+
+    destroy() {
+        this.element.removeEventListener('pointerdown', this._onPointerDown);
+        this.element.removeEventListener('pointerup', this._onPointerUp);
+        this.element.removeEventListener('pointercancel', this._onPointerCancel);
+        this.activePointers.clear();
+        this.taps = [];
+    }
+
+    /**
+     * 前回の呼び出し以降のタップを取り出す
+     * @returns {Array<{ x: number, y: number, target: EventTarget, pointerType: string }>}
+     */
+    consumeTaps() {
+        const taps = this.taps;
+        this.taps = [];
+        return taps;
+    }
+
+    /**
+     * 画面座標 (clientX / clientY) を要素内の論理座標に変換する
+     * @param {number} clientX
+     * @param {number} clientY
+     * @returns {{ x: number, y: number }}
+     */
+    toLocal(clientX, clientY) {
+        const element = this.element;
+        const rect = element.getBoundingClientRect();
+        // offsetWidth は transform の影響を受けないため、表示サイズとの比が拡大率になる
+        const scaleX = element.offsetWidth > 0 ? rect.width / element.offsetWidth : 1;
+        const scaleY = element.offsetHeight > 0 ? rect.height / element.offsetHeight : 1;
+
+        let x = (clientX - rect.left) / scaleX;
+        let y = (clientY - rect.top) / scaleY;
+
+        if (element instanceof HTMLCanvasElement && element.clientWidth > 0 && element.clientHeight > 0) {
+            // 枠線を除いた描画領域の座標を、描画解像度に合わせる
+            x = (x - element.clientLeft) * (element.width / element.clientWidth);
+            y = (y - element.clientTop) * (element.height / element.clientHeight);
+        }
+        return { x, y };
+    }
+
+    _onPointerDown(e) {
+        // マウスは主ボタンのみ
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+        const { x, y } = this.toLocal(e.clientX, e.clientY);
+        this.activePointers.set(e.pointerId, { x, y, target: e.target, time: e.timeStamp });
+    }
+
+    _onPointerUp(e) {
+        const start = this.activePointers.get(e.pointerId);
+        if (!start) return;
+        this.activePointers.delete(e.pointerId);
+
+        const { x, y } = this.toLocal(e.clientX, e.clientY);
+        const isTap = Math.hypot(x - start.x, y - start.y) <= this.tapSlop
+            && e.timeStamp - start.time <= this.tapMaxDuration;
+        if (isTap) {
+            this.taps.push({ x: start.x, y: start.y, target: start.target, pointerType: e.pointerType });
+        }
+    }
+
+    _onPointerCancel(e) {
+        this.activePointers.delete(e.pointerId);
+    }
+}
@@ -0,0 +1,97 @@
+/**
+ * @file VirtualPad.js
+ * @description タッチ操作用の画面上の仮想パッド（方向ボタン + 操作ボタン）。
+ * ボタンを押している間、対応する仮想キーを InputManager に押下中として伝えるため、
+ * ゲーム側はキーボード・ゲームパッドと同じアクション (isActionPressed など) で扱えます。
+ * 既定では各ボタンをゲームパッドの同じ位置のボタン (GamepadButton) として押します。
+ */
+import { el } from '../utils/DOMUtils.js';
+import { GamepadButton } from './GamepadInput.js';
+
+const DEFAULT_BUTTONS = [
+    { key: GamepadButton.UP, label: '▲', className: 'up' },
+    { key: GamepadButton.DOWN, label: '▼', className: 'down' },
+    { key: GamepadButton.LEFT, label: '◀', className: 'left' },
+    { key: GamepadButton.RIGHT, label: '▶', className: 'right' },
+    { key: GamepadButton.A, label: 'A', className: 'action a' },
+    { key: GamepadButton.B, label: 'B', className: 'action b' },
+    { key: GamepadButton.START, label: '≡', className: 'action start' },
+];
+
+export class VirtualPad {
+    /**
+     * @param {InputManager} inputManager
+     * @param {HTMLElement} parent - 仮想パッドを配置する要素（シーンのコンテナ）
+     * @param {object} [options]
+     * @param {Array<{ key: string, label: string, className: string }>} [options.buttons] - ボタン定義
+     * @param {boolean} [options.isVisible] - 表示するか（省略時はタッチ主体の端末の場合のみ表示）
+     */
+    constructor(inputManager, parent, options = {}) {
+        this.input = inputManager;
+        this.buttons = options.buttons || DEFAULT_BUTTONS;
+        this.isEnabled = options.isVisible ?? window.matchMedia?.('(pointer: coarse)').matches ?? false;
+
+        // key: pointerId, value: 押している仮想キー
+        this.pressedByPointer = new Map();
+
+        this.element = el('div', { className: 'virtual-pad hidden' },
+            this.buttons.map(button => this._createButton(button))
+        );
+        parent.appendChild(this.element);
+        if (this.isEnabled) this.show();
+    }
+
+    show() {
+        if (!this.isEnabled) return;
+        this.element.classList.remove('hidden');
+    }
+
+    /**
+     * 非表示にし、押されたままのボタンを離す
+     */
+    hide() {
+        this.element.classList.add('hidden');
+        this._releaseAll();
+    }
+
+    destroy() {
+        this._releaseAll();
+        this.element.remove();
+    }
+
+    _createButton({ key, label, className }) {
+        const button = el('button', { className: `virtual-pad-button ${className}`, textContent: label, tabindex: '-1' });
+
+        const press = (e) => {
+            e.preventDefault();
+            button.setPointerCapture?.(e.pointerId);
+            this.pressedByPointer.set(e.pointerId, key);
+            button.classList.add('pressed');
+            this.input.pressVirtualKey(key);
+        };
+        const release = (e) => {
+            if (!this.pressedByPointer.has(e.pointerId)) return;
+            this.pressedByPointer.delete(e.pointerId);
+            button.classList.remove('pressed');
+            // 同じボタンを別の指で押している場合は離さない
+            if (![...this.pressedByPointer.values()].includes(key)) {
+                this.input.releaseVirtualKey(key);
+            }
+        };
+
+        button.addEventListener('pointerdown', press);
+        button.addEventListener('pointerup', release);
+        button.addEventListener('pointercancel', release);
+        // 長押しでコンテキストメニューが開かないようにする
+        button.addEventListener('contextmenu', e => e.preventDefault());
+        return button;
+    }
+
+    _releaseAll() {
+        for (const key of new Set(this.pressedByPointer.values())) {
+            this.input.releaseVirtualKey(key);
+        }
+        this.pressedByPointer.clear();
+        this.element.querySelectorAll('.pressed').forEach(button => button.classList.remove('pressed'));
+    }
+}
@@ -0,0 +1,50 @@
+/**
+ * @file LoadingScreen.js
+ * @description アセット読み込み中に画面全体に表示するローディング画面（進捗バー付き）。
+ * SceneManager がシーンのアセットを読み込む間に show() → setProgress() → hide() の順に呼び出します。
+ * 遷移エフェクトの覆いより手前に表示されます。
+ */
+import { el } from '../utils/DOMUtils.js';
+
+export class LoadingScreen {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.text='Now Loading...'] - 表示する文言
+     */
+    constructor(options = {}) {
+        this.bar = el('div', { className: 'loading-screen-bar' });
+        this.label = el('div', { className: 'loading-screen-label' });
+        this.element = el('div', { className: 'loading-screen hidden' }, [
+            el('div', { className: 'loading-screen-text', textContent: options.text || 'Now Loading...' }),
+            el('div', { className: 'loading-screen-track' }, [this.bar]),
+            this.label,
+        ]);
+        document.body.appendChild(this.element);
+    }
+
+    get isVisible() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    show() {
+        this.setProgress({ loaded: 0, total: 0 });
+        this.element.classList.remove('hidden');
+    }
+
+    /**
+     * @param {{ loaded: number, total: number }} progress - AssetManager.load() の onProgress の引数
+     */
+    setProgress({ loaded, total }) {
+        const ratio = total > 0 ? loaded / total : 0;
+        this.bar.style.width = `${Math.round(ratio * 100)}%`;
+        this.label.textContent = total > 0 ? `${loaded} / ${total}` : '';
+    }
+
+    hide() {
+        this.element.classList.add('hidden');
+    }
+
+    destroy() {
+        this.element.remove();
+    }
+}
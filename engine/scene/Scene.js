@@ -3,9 +3,11 @@
  * @description すべてのシーンクラスの基底となる抽象クラス。
  * イベント発行を廃止し、純粋な更新処理のみを行います。
  */
+import { InputManager } from '../input/InputManager.js';
+
 export class Scene {
     /**
-     * @param {World} world - グローバルなWorldインスタンス
+     * @param {World} world - グローバルなWorldインスタンス（重ねて表示される場合は SceneManager が専用の World に差し替える）
      * @param {SceneManager} sceneManager - シーンマネージャーのインスタンス
      */
     constructor(world, sceneManager) {
@@ -14,6 +16,39 @@ export class Scene {
         }
         this.world = world;
         this.sceneManager = sceneManager;
+        // シーンが有効な間の入力コンテキスト名（null の場合は全アクションが有効）
+        this.inputContext = null;
+        // init() の前に SceneManager が読み込むアセットのマニフェスト（{ key, type, src } の配列）
+        this.assets = [];
+        // シーンの開始・再開時に SceneManager が再生する BGM の音源キー（null の場合は前のシーンの BGM を流し続ける）
+        this.bgm = null;
+    }
+
+    /**
+     * 読み込み済みのアセットを取得します。
+     * @param {string} key
+     * @returns {any} 未読み込み・読み込み失敗の場合は undefined
+     */
+    getAsset(key) {
+        return this.sceneManager.assetManager?.get(key);
+    }
+
+    /**
+     * assets 以外のアセットを追加で読み込みます（init() 内でデータに応じて読み込む場合など）。
+     * 読み込んだアセットはシーンの破棄時に解放されます。
+     * @param {Array<{ key: string, type?: string, src: string }>} manifest
+     * @returns {Promise<{ loaded: string[], failed: string[] }>}
+     */
+    loadAssets(manifest) {
+        return this.sceneManager.loadSceneAssets(this, manifest);
+    }
+
+    /**
+     * シーンの入力コンテキストを有効にします。
+     * SceneManager が init() の前と resume() の前に呼び出します。
+     */
+    activateInputContext() {
+        this.world.getSingletonComponent(InputManager)?.setContext(this.inputContext);
     }
 
     /**
@@ -32,6 +67,22 @@ export class Scene {
         this.world.update(deltaTime);
     }
 
+    /**
+     * 別のシーンが上に重ねられ、更新が止まる直前に呼び出されます（SceneManager.pushScene）。
+     * World の状態は保持されます。
+     */
+    pause() {
+        // 必要に応じてサブクラスでオーバーライド
+    }
+
+    /**
+     * 上に重ねられたシーンが閉じられ、更新が再開される際に呼び出されます（SceneManager.popScene）。
+     * @param {any} [result=null] - 閉じられたシーンから返された結果データ
+     */
+    resume(result = null) {
+        // 必要に応じてサブクラスでオーバーライド
+    }
+
     /**
      * シーン終了時に呼び出されます。
      */
@@ -1,25 +1,73 @@
 /**
  * @file シーン管理クラス
  * @description シーンの切り替え、ライフサイクル管理、UIコンテナの制御を行います。
- * SceneChangeRequestコンポーネントを監視して遷移を実行します。
+ * SceneChangeRequest / ScenePushRequest / ScenePopRequest コンポーネントを監視して遷移を実行します。
+ *
+ * シーンはスタックで管理されます。
+ * - switchTo: スタック上の全シーンを破棄し、指定シーンを基底の World で開始する
+ * - pushScene: 現在のシーンを一時停止したまま、新しい World で指定シーンを重ねる
+ * - popScene: 最上位のシーンを破棄し、下のシーンを再開する（結果データは pushScene の戻り値で受け取れる）
+ *
+ * AssetManager が渡された場合、シーンの assets（マニフェスト）を init() の前に読み込み、シーンの破棄時に解放します。
+ * 未読み込みのアセットがある間はローディング画面を表示します。
+ *
+ * AudioManager が渡された場合、シーンの開始時と、重ねたシーンが閉じられて再開した時に、そのシーンの bgm を再生します。
  */
-import { SceneChangeRequest } from '../../scripts/components/SceneRequests.js';
+import { World } from '../core/World.js';
+import { SceneChangeRequest, ScenePushRequest, ScenePopRequest } from '../../scripts/components/SceneRequests.js';
+import { SceneTransition, TransitionType } from './SceneTransition.js';
+import { ErrorHandler } from '../utils/ErrorHandler.js';
 
 export class SceneManager {
     /**
-     * @param {World} world 
+     * @param {World} world - 基底シーンで使用する World
      * @param {object} containerMap - シーン名とDOM要素のマッピング
+     * @param {object} [options]
+     * @param {function(): World} [options.createWorld] - 重ねるシーン用の World を生成する関数
+     * @param {string} [options.transition=TransitionType.NONE] - 既定の遷移エフェクト
+     * @param {number} [options.transitionDuration=300] - 遷移エフェクトの片道の時間 (ms)
+     * @param {AssetManager} [options.assetManager] - シーンのアセットを読み込む AssetManager
+     * @param {LoadingScreen} [options.loadingScreen] - アセット読み込み中に表示するローディング画面
+     * @param {AudioManager} [options.audioManager] - シーンの BGM を再生する AudioManager
      */
-    constructor(world, containerMap = {}) {
+    constructor(world, containerMap = {}, options = {}) {
         this.world = world;
         this.scenes = new Map();
-        this.currentScene = null;
         this.containers = containerMap;
 
+        this.createWorld = options.createWorld || (() => new World());
+        this.defaultTransition = options.transition || TransitionType.NONE;
+        this.transitionDuration = options.transitionDuration ?? 300;
+        this.transition = null;
+        this.assetManager = options.assetManager || null;
+        this.loadingScreen = options.loadingScreen || null;
+        this.audioManager = options.audioManager || null;
+
+        // { name, scene, world, resolve } の配列（末尾が最上位）
+        this.stack = [];
+        // 遷移中（init の完了待ちを含む）は更新と新たな遷移を受け付けない
+        this.isTransitioning = false;
+
         this.globalContext = {};
         this.persistentComponents = [];
     }
 
+    /**
+     * 最上位（更新対象）のシーン
+     * @returns {Scene|null}
+     */
+    get currentScene() {
+        return this.stack[this.stack.length - 1]?.scene || null;
+    }
+
+    /**
+     * 最上位のシーンが使用している World
+     * @returns {World}
+     */
+    get activeWorld() {
+        return this.stack[this.stack.length - 1]?.world || this.world;
+    }
+
     /**
      * グローバルコンテキストを登録します。
      * @param {string} key
@@ -48,66 +96,242 @@ export class SceneManager {
     }
 
     /**
-     * 指定されたシーンに切り替えます。
+     * 指定されたシーンに切り替えます。重ねられているシーンも含めて全て破棄されます。
      * @param {string} name
      * @param {object} [data={}]
+     * @param {object} [options]
+     * @param {string} [options.transition] - 遷移エフェクト (TransitionType)
      */
-    async switchTo(name, data = {}) {
-        if (!this.scenes.has(name)) {
-            throw new Error(`Scene '${name}' not registered.`);
-        }
+    async switchTo(name, data = {}, options = {}) {
+        const scene = this._getScene(name);
+
+        await this._runTransition(options.transition, async () => {
+            const newEntry = { name, scene, world: this.world, resolve: null };
+            // 前のシーンと共通のアセットを破棄して読み込み直さないよう、前のシーンの解放より先に読み込む
+            await this.loadAssets(scene.assets, newEntry);
+
+            while (this.stack.length > 0) {
+                const entry = this.stack.pop();
+                entry.scene.destroy();
+                this.assetManager?.release(entry);
+                // 閉じられずに破棄された重ねシーンの呼び出し元には null を返す
+                entry.resolve?.(null);
+            }
+
+            this._addPersistentComponents(this.world);
+
+            scene.world = this.world;
+            this.stack.push(newEntry);
 
-        if (this.currentScene) {
-            this.currentScene.destroy();
+            // コンテナの表示切替
+            Object.keys(this.containers).forEach(key => {
+                this._setContainerVisible(key, key === name);
+            });
+
+            scene.activateInputContext();
+            const sceneInitData = { ...this.globalContext, ...data };
+            await scene.init(sceneInitData);
+            this._playSceneBgm(scene);
+        });
+    }
+
+    /**
+     * 現在のシーンを一時停止し、その上に指定シーンを重ねます。
+     * 重ねたシーンは専用の World で動作し、下のシーンの World の状態は保持されます。
+     * @param {string} name
+     * @param {object} [data={}]
+     * @param {object} [options]
+     * @param {string} [options.transition] - 遷移エフェクト (TransitionType)
+     * @returns {Promise<any>} popScene() に渡された結果データ。未登録のシーン名の場合も throw せず reject する
+     */
+    async pushScene(name, data = {}, options = {}) {
+        const scene = this._getScene(name);
+        if (this.stack.some(entry => entry.scene === scene)) {
+            throw new Error(`Scene '${name}' is already in the scene stack.`);
         }
 
-        // 永続コンポーネントの再登録
-        for (const component of this.persistentComponents) {
-            this.world.addComponent(this.world.createEntity(), component);
+        return new Promise((resolve, reject) => {
+            this._runTransition(options.transition, async () => {
+                this.currentScene?.pause();
+
+                const world = this.createWorld();
+                const entry = { name, scene, world, resolve };
+                await this.loadAssets(scene.assets, entry);
+                this._addPersistentComponents(world);
+
+                scene.world = world;
+                this.stack.push(entry);
+                this._setContainerVisible(name, true);
+
+                scene.activateInputContext();
+                const sceneInitData = { ...this.globalContext, ...data };
+                await scene.init(sceneInitData);
+                this._playSceneBgm(scene);
+            }).then(hasRun => {
+                if (!hasRun) reject(new Error(`Scene '${name}' was not pushed: another transition is in progress.`));
+            }, reject);
+        });
+    }
+
+    /**
+     * 最上位のシーンを破棄し、下のシーンを再開します。
+     * @param {any} [result=null] - pushScene() の呼び出し元と下のシーンの resume() に渡す結果データ
+     * @param {object} [options]
+     * @param {string} [options.transition] - 遷移エフェクト (TransitionType)
+     */
+    async popScene(result = null, options = {}) {
+        if (this.stack.length < 2) {
+            console.warn('SceneManager: popScene() called without a pushed scene.');
+            return;
         }
 
-        this.currentScene = this.scenes.get(name);
-        
-        // コンテナの表示切替
-        Object.keys(this.containers).forEach(key => {
-            const container = this.containers[key];
-            if (container) {
-                if (key === name) {
-                    container.classList.remove('hidden');
-                } else {
-                    container.classList.add('hidden');
-                }
-            }
+        await this._runTransition(options.transition, async () => {
+            const entry = this.stack.pop();
+            entry.scene.destroy();
+            this.assetManager?.release(entry);
+            this._setContainerVisible(entry.name, false);
+
+            const below = this.stack[this.stack.length - 1];
+            this._setContainerVisible(below.name, true);
+            below.scene.activateInputContext();
+            below.scene.resume(result);
+            this._playSceneBgm(below.scene);
+
+            entry.resolve(result);
         });
+    }
 
-        const sceneInitData = { ...this.globalContext, ...data };
-        await this.currentScene.init(sceneInitData);
+    /**
+     * アセットを読み込む。未読み込みのアセットがある場合は読み込みが終わるまでローディング画面を表示する。
+     * @param {Array<{ key: string, type?: string, src: string }>} manifest
+     * @param {any} owner - アセットの所有者（AssetManager.release() に渡す値）
+     * @returns {Promise<{ loaded: string[], failed: string[] }>}
+     */
+    async loadAssets(manifest, owner) {
+        if (!this.assetManager || !manifest || manifest.length === 0) {
+            return { loaded: [], failed: [] };
+        }
+
+        const showLoading = this.loadingScreen !== null && !this.assetManager.isLoaded(manifest);
+        if (showLoading) this.loadingScreen.show();
+        try {
+            return await this.assetManager.load(manifest, {
+                owner,
+                onProgress: progress => { if (showLoading) this.loadingScreen.setProgress(progress); }
+            });
+        } finally {
+            if (showLoading) this.loadingScreen.hide();
+        }
+    }
+
+    /**
+     * スタック上のシーンの所有物として追加のアセットを読み込む（シーンの破棄時に解放される）
+     * @param {Scene} scene
+     * @param {Array<{ key: string, type?: string, src: string }>} manifest
+     * @returns {Promise<{ loaded: string[], failed: string[] }>}
+     */
+    loadSceneAssets(scene, manifest) {
+        const entry = this.stack.find(e => e.scene === scene);
+        if (!entry) {
+            return Promise.reject(new Error('SceneManager: loadSceneAssets() called for a scene that is not in the scene stack.'));
+        }
+        return this.loadAssets(manifest, entry);
     }
 
     /**
      * 現在のシーンを更新し、シーン遷移リクエストを監視します。
      * @param {number} deltaTime
+     * @returns {boolean} シーンを更新した場合は true（遷移中は false）
      */
     update(deltaTime) {
-        if (this.currentScene) {
-            this.currentScene.update(deltaTime);
-        }
+        if (this.isTransitioning) return false;
+        if (!this.currentScene) return false;
+
+        this.currentScene.update(deltaTime);
 
         // シーン遷移リクエストの処理
-        // Note: SceneChangeRequestはscripts側で定義されているため、
+        // Note: SceneChangeRequest等はscripts側で定義されているため、
         // 厳密な依存関係管理としてはmain.js等でクラスを渡すのが良いが、
         // 今回はimportで対応。
-        const requestEntities = this.world.getEntitiesWith(SceneChangeRequest);
+        const world = this.activeWorld;
+        const requestEntities = [SceneChangeRequest, ScenePushRequest, ScenePopRequest]
+            .flatMap(RequestClass => world.getEntitiesWith(RequestClass));
+        if (requestEntities.length === 0) return true;
+
+        // 1フレームに1回の遷移のみ許可。最初のリクエストを採用し、残りは破棄する。
+        // 削除はコマンドバッファ経由で遷移前に確定させ、Scene破棄中にWorldを変更しないようにする。
+        const requestEntity = requestEntities[0];
+        const changeRequest = world.getComponent(requestEntity, SceneChangeRequest);
+        const pushRequest = world.getComponent(requestEntity, ScenePushRequest);
+        const popRequest = world.getComponent(requestEntity, ScenePopRequest);
         for (const entityId of requestEntities) {
-            const request = this.world.getComponent(entityId, SceneChangeRequest);
-            // リクエストを消費（エンティティ削除）
-            this.world.destroyEntity(entityId);
-            
-            // 遷移実行
-            this.switchTo(request.sceneName, request.data);
-            
-            // 1フレームに1回の遷移のみ許可（ループ中のScene破棄によるエラー防止）
-            break; 
+            world.commands.destroyEntity(entityId);
+        }
+        world.flushCommands();
+
+        const onError = (error) => ErrorHandler.handle(error, { source: 'SceneManager' });
+        if (changeRequest) {
+            this.switchTo(changeRequest.sceneName, changeRequest.data).catch(onError);
+        } else if (pushRequest) {
+            this.pushScene(pushRequest.sceneName, pushRequest.data).catch(onError);
+        } else if (popRequest) {
+            this.popScene(popRequest.result).catch(onError);
+        }
+        return true;
+    }
+
+    _getScene(name) {
+        if (!this.scenes.has(name)) {
+            throw new Error(`Scene '${name}' not registered.`);
+        }
+        return this.scenes.get(name);
+    }
+
+    /**
+     * 遷移エフェクトで画面を覆っている間にシーンの入れ替えを実行する。
+     * 遷移中に別の遷移が要求された場合は警告を出して無視する。
+     * @param {string} [type]
+     * @param {function(): Promise<void>} swap
+     * @returns {Promise<boolean>} 遷移を実行した場合は true
+     */
+    async _runTransition(type = this.defaultTransition, swap) {
+        if (this.isTransitioning) {
+            console.warn('SceneManager: Scene transition requested while another transition is in progress. Ignored.');
+            return false;
+        }
+
+        this.isTransitioning = true;
+        const useEffect = type !== TransitionType.NONE && this.transitionDuration > 0;
+        if (useEffect && !this.transition) {
+            this.transition = new SceneTransition();
+        }
+
+        try {
+            if (useEffect) await this.transition.cover(type, this.transitionDuration);
+            await swap();
+        } finally {
+            if (useEffect) await this.transition.reveal(type, this.transitionDuration);
+            this.isTransitioning = false;
+        }
+        return true;
+    }
+
+    _playSceneBgm(scene) {
+        if (scene.bgm) {
+            this.audioManager?.playBgm(scene.bgm);
+        }
+    }
+
+    _addPersistentComponents(world) {
+        for (const component of this.persistentComponents) {
+            world.addComponent(world.createEntity(), component);
+        }
+    }
+
+    _setContainerVisible(name, isVisible) {
+        const container = this.containers[name];
+        if (container) {
+            container.classList.toggle('hidden', !isVisible);
         }
     }
 }
@@ -0,0 +1,91 @@
+/**
+ * @file SceneTransition.js
+ * @description シーン切り替え時の画面遷移エフェクト（フェード・ワイプ）。
+ * 画面全体を覆う要素を表示/非表示にするだけで、シーンやWorldの状態には関与しません。
+ * SceneManager が cover() → シーン入れ替え → reveal() の順に呼び出します。
+ */
+import { el } from '../utils/DOMUtils.js';
+
+export const TransitionType = {
+    NONE: 'none',
+    FADE: 'fade',
+    WIPE: 'wipe',
+};
+
+// 各エフェクトの「覆っていない（前）」「覆っている」「覆っていない（後）」状態のスタイル
+const EFFECT_STYLES = {
+    [TransitionType.FADE]: {
+        before: { opacity: '0', transform: 'none' },
+        covered: { opacity: '1', transform: 'none' },
+        after: { opacity: '0', transform: 'none' },
+        property: 'opacity',
+    },
+    [TransitionType.WIPE]: {
+        before: { opacity: '1', transform: 'translateX(-100%)' },
+        covered: { opacity: '1', transform: 'translateX(0)' },
+        after: { opacity: '1', transform: 'translateX(100%)' },
+        property: 'transform',
+    },
+};
+
+export class SceneTransition {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.color='#000'] - 覆う色
+     */
+    constructor(options = {}) {
+        this.element = el('div', {
+            className: 'scene-transition hidden',
+            style: { background: options.color || '#000' }
+        });
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * 画面を覆う
+     * @param {string} type - TransitionType
+     * @param {number} duration - ms
+     * @returns {Promise<void>}
+     */
+    async cover(type, duration) {
+        const effect = EFFECT_STYLES[type];
+        if (!effect) return;
+
+        this._applyStyle(effect.before, effect.property, 0);
+        this.element.classList.remove('hidden');
+        // 初期スタイルを確定させてからトランジションを開始する
+        void this.element.offsetWidth;
+        this._applyStyle(effect.covered, effect.property, duration);
+        await this._wait(duration);
+    }
+
+    /**
+     * 覆いを外す
+     * @param {string} type - TransitionType
+     * @param {number} duration - ms
+     * @returns {Promise<void>}
+     */
+    async reveal(type, duration) {
+        const effect = EFFECT_STYLES[type];
+        if (!effect) return;
+
+        this._applyStyle(effect.after, effect.property, duration);
+        await this._wait(duration);
+        this.element.classList.add('hidden');
+    }
+
+    destroy() {
+        this.element.remove();
+    }
+
+    _applyStyle(style, property, duration) {
+        this.element.style.transition = duration > 0 ? `${property} ${duration}ms ease` : 'none';
+        this.element.style.opacity = style.opacity;
+        this.element.style.transform = style.transform;
+    }
+
+    _wait(duration) {
+        // transitionend はタブが非表示の場合などに発火しないことがあるため、時間で待つ
+        return new Promise(resolve => setTimeout(resolve, duration));
+    }
+}
@@ -0,0 +1,22 @@
+/**
+ * @file AnimatedSprite Component
+ * @description 標準ライブラリ: Sprite のフレームを時間で切り替えるアニメーション定義と再生状態
+ * animation を書き換えると、SpriteAnimationSystem がそのアニメーションを先頭から再生します。
+ */
+export class AnimatedSprite {
+    /**
+     * @param {Object<string, { frames: number[], frameDuration: number, loop?: boolean }>} animations
+     *   - key: アニメーション名, frames: フレーム番号の並び, frameDuration: 1フレームの表示時間 (ms), loop: 繰り返すか（既定 true）
+     * @param {string} [animation] - 最初に再生するアニメーション名（省略時は定義の先頭）
+     */
+    constructor(animations, animation) {
+        this.animations = animations;
+        this.animation = animation ?? Object.keys(animations)[0] ?? null;
+
+        // 再生状態（SpriteAnimationSystem が更新する）
+        this.playing = null;
+        this.frameIndex = 0;
+        this.elapsed = 0;
+        this.isFinished = false;
+    }
+}
@@ -0,0 +1,22 @@
+/**
+ * @file PlaySoundRequest Event
+ * @description 標準ライブラリ: 効果音の再生要求イベント
+ * world.events に発行すると AudioSystem が AudioManager で再生します。
+ * 音を鳴らすだけでゲームの状態は変えないため、AudioSystem を登録していない World（ヘッドレス実行など）では単に無視されます。
+ *
+ * @example
+ * world.events.emit(PlaySoundRequest, { sound: SoundKey.SE_HIT, volume: 1, playbackRate: 1 });
+ */
+export class PlaySoundRequest {
+    /**
+     * @param {string} sound - 音源キー
+     * @param {object} [options]
+     * @param {number} [options.volume=1] - 音量 (0〜1)
+     * @param {number} [options.playbackRate=1] - 再生速度
+     */
+    constructor(sound, options = {}) {
+        this.sound = sound;
+        this.volume = options.volume ?? 1;
+        this.playbackRate = options.playbackRate ?? 1;
+    }
+}
@@ -0,0 +1,41 @@
+/**
+ * @file RandomService Component
+ * @description 標準ライブラリ: シード付き乱数サービス（Worldのシングルトンとして使用）
+ * 用途ごとに名前付きストリームを持ち、各ストリームはシードとストリーム名から決まる独立した乱数列を返します。
+ * ストリームを分けることで、例えばAIの思考回数が変わっても戦闘判定の乱数列はずれません。
+ */
+import { RandomGenerator, hashString } from '../../utils/Random.js';
+
+export class RandomService {
+    /**
+     * @param {number} [seed] - 省略時は現在時刻から生成
+     */
+    constructor(seed = Date.now()) {
+        this.seed = seed >>> 0;
+        // key: ストリーム名, value: RandomGenerator
+        this.streams = new Map();
+    }
+
+    /**
+     * 名前付きストリームを取得する（なければ作成）
+     * @param {string} name
+     * @returns {RandomGenerator}
+     */
+    stream(name) {
+        let generator = this.streams.get(name);
+        if (!generator) {
+            generator = new RandomGenerator(this.seed ^ hashString(name));
+            this.streams.set(name, generator);
+        }
+        return generator;
+    }
+
+    /**
+     * シードを変更し、全ストリームを作り直す
+     * @param {number} seed
+     */
+    reseed(seed) {
+        this.seed = seed >>> 0;
+        this.streams.clear();
+    }
+}
@@ -0,0 +1,42 @@
+/**
+ * @file Sprite Component
+ * @description 標準ライブラリ: スプライトシートの1フレームを描画するための情報
+ * 描画位置はエンティティの位置に offsetX / offsetY を加えた位置です。
+ * 描画順は layer の小さい順、同じ layer 内では zIndex の小さい順です（描画システムが並べ替えます）。
+ */
+
+/**
+ * 描画レイヤー。数値の小さいレイヤーから順に描画されます。
+ */
+export const RenderLayer = {
+    GROUND: 0,
+    OBJECT: 10,
+    OVERLAY: 20,
+};
+
+export class Sprite {
+    /**
+     * @param {object} [options]
+     * @param {SpriteSheet|null} [options.sheet=null] - 描画するスプライトシート（null の間は描画されない）
+     * @param {number} [options.frame=0] - 描画するフレーム番号
+     * @param {number} [options.width] - 描画幅（省略時はフレームの幅）
+     * @param {number} [options.height] - 描画高さ（省略時はフレームの高さ）
+     * @param {number} [options.offsetX=0]
+     * @param {number} [options.offsetY=0]
+     * @param {number} [options.layer=RenderLayer.OBJECT]
+     * @param {number} [options.zIndex=0]
+     * @param {boolean} [options.flipX=false]
+     */
+    constructor(options = {}) {
+        this.sheet = options.sheet ?? null;
+        this.frame = options.frame ?? 0;
+        this.width = options.width;
+        this.height = options.height;
+        this.offsetX = options.offsetX ?? 0;
+        this.offsetY = options.offsetY ?? 0;
+        this.layer = options.layer ?? RenderLayer.OBJECT;
+        this.zIndex = options.zIndex ?? 0;
+        this.flipX = options.flipX ?? false;
+        this.visible = true;
+    }
+}
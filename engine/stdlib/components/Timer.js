@@ -1,14 +1,112 @@
 /**
  * @file Timer Component
  * @description 標準ライブラリ: タイマーコンポーネント
+ * TimerSystem が時間を進め、指定時間が経過するたびにコールバックの呼び出しとイベントの発行を行います。
+ * 繰り返し回数が尽きるとタイマーのエンティティごと削除されるため、タイマーは専用のエンティティか、
+ * 同時に削除してよいエンティティ（一定時間だけ表示する演出など）に付けてください。
+ * startTimer() を使うと専用エンティティの生成と操作用のハンドルの取得をまとめて行えます。
+ *
+ * コールバック（関数）はスナップショットに保存できません。中断セーブをまたぐタイマーは event で通知してください。
+ * event はクラス、または ComponentRegistry の型名で指定し、どちらも登録済みであれば復元できます。
  */
+import { ComponentRegistry } from '../../core/ComponentRegistry.js';
+
 export class Timer {
     /**
-     * @param {number} duration - タイマーの持続時間（ミリ秒）
-     * @param {Function} onComplete - コールバック関数
+     * @param {number} duration - 最初に発火するまでの時間（ミリ秒）
+     * @param {Function|null} [callback=null] - 発火するたびに呼ばれるコールバック（スナップショットには保存されない）
+     * @param {object} [options]
+     * @param {number} [options.interval] - 2回目以降の発火間隔（ミリ秒。省略時は duration）
+     * @param {number} [options.repeat=0] - 最初の発火の後に繰り返す回数（-1 で無限）
+     * @param {Function|string} [options.event] - 発火するたびに world.events へ発行するイベントの型
+     * @param {object} [options.payload] - 発行するイベントのフィールド
+     * @param {boolean} [options.ignoreTimeScale=false] - true の場合、TimeScale（戦闘速度・一時停止）の影響を受けない
+     * @param {boolean} [options.paused=false] - 一時停止した状態で開始するか
      */
-    constructor(duration, onComplete) {
+    constructor(duration, callback = null, options = {}) {
         this.duration = duration;
-        this.onComplete = onComplete;
+        this.callback = callback;
+        this.interval = options.interval ?? duration;
+        this.repeat = options.repeat ?? 0;
+        this.event = options.event ?? null;
+        this.payload = options.payload ?? null;
+        this.ignoreTimeScale = options.ignoreTimeScale ?? false;
+        this.isPaused = options.paused ?? false;
+
+        // 次の発火までの残り時間
+        this.remaining = duration;
+        // 発火した回数
+        this.count = 0;
     }
-}
\ No newline at end of file
+
+    /**
+     * @returns {Function|null} 発行するイベントのクラス
+     */
+    get eventClass() {
+        return typeof this.event === 'string' ? ComponentRegistry.getClass(this.event) : this.event;
+    }
+}
+
+/**
+ * タイマーを操作するハンドル。
+ * タイマーのエンティティIDを保持するだけなので、IDを保存しておけば new TimerHandle(world, id) で作り直せます。
+ * 終了・取り消し済みのタイマーに対する操作は何もしません。
+ */
+export class TimerHandle {
+    /**
+     * @param {World} world
+     * @param {number} entityId - タイマーのエンティティID
+     */
+    constructor(world, entityId) {
+        this.world = world;
+        this.entityId = entityId;
+    }
+
+    /**
+     * @returns {Timer|null} 動作中のタイマー（終了・取り消し済みなら null）
+     */
+    get timer() {
+        if (this.entityId === null || !this.world.isAlive(this.entityId)) return null;
+        return this.world.getComponent(this.entityId, Timer) || null;
+    }
+
+    /**
+     * @returns {boolean} タイマーが終了・取り消しされていないか
+     */
+    get isActive() {
+        return this.timer !== null;
+    }
+
+    pause() {
+        const timer = this.timer;
+        if (timer) timer.isPaused = true;
+    }
+
+    resume() {
+        const timer = this.timer;
+        if (timer) timer.isPaused = false;
+    }
+
+    /**
+     * タイマーを取り消す（コールバックもイベントも発生しない）
+     */
+    cancel() {
+        if (this.isActive) {
+            this.world.destroyEntity(this.entityId);
+        }
+    }
+}
+
+/**
+ * 専用のエンティティにタイマーを付けて開始する
+ * @param {World} world
+ * @param {number} duration - 最初に発火するまでの時間（ミリ秒）
+ * @param {object} [options] - Timer のオプションに加え、callback を指定できる
+ * @param {Function} [options.callback] - 発火するたびに呼ばれるコールバック
+ * @returns {TimerHandle}
+ */
+export function startTimer(world, duration, { callback = null, ...options } = {}) {
+    const entityId = world.createEntity();
+    world.addComponent(entityId, new Timer(duration, callback, options));
+    return new TimerHandle(world, entityId);
+}
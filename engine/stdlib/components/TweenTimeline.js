@@ -0,0 +1,27 @@
+/**
+ * @file TweenTimeline Component
+ * @description 標準ライブラリ: コンポーネントの数値プロパティを時間で変化させるタイムライン
+ * 定義は Timeline ヘルパー (engine/utils/Tween.js) で組み立てるデータで、tween・sequence・parallel・wait を入れ子にできます。
+ * TweenSystem が再生を進め、最後まで再生するとこのコンポーネントをエンティティから取り除きます。
+ * 取り除かれたことを完了の合図として扱えるため、演出シーケンスのタスクとしても使用できます。
+ * 1つのエンティティに付けられるタイムラインは1つです（付け直すと置き換わります）。
+ * 他のタイムラインと重ねて再生する場合は専用のエンティティに付け、destroyEntity を指定してください。
+ */
+export class TweenTimeline {
+    /**
+     * @param {object} definition - タイムラインの定義（Timeline.tween / sequence / parallel / wait）
+     * @param {object} [options]
+     * @param {function(): void} [options.onComplete] - 最後まで再生した時のコールバック
+     * @param {boolean} [options.destroyEntity=false] - true の場合、最後まで再生したらエンティティごと削除する
+     */
+    constructor(definition, options = {}) {
+        this.definition = definition;
+        this.onComplete = options.onComplete ?? null;
+        this.destroyEntity = options.destroyEntity ?? false;
+
+        // 再生状態（TweenSystem が更新する）
+        this.elapsed = 0;
+        // key: ノードのID（子の番号を '.' で連結したもの）, value: { from, lastProgress }
+        this.tweenStates = {};
+    }
+}
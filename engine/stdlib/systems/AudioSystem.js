@@ -0,0 +1,28 @@
+/**
+ * @file Audio System
+ * @description 標準ライブラリ: 効果音の再生システム
+ * world.events の PlaySoundRequest を取り出し、World の AudioManager（SceneManager の永続コンポーネントとして登録する）で再生します。
+ * AudioManager がない、または音声を再生できない環境では要求を読み捨てます。
+ */
+import { System } from '../../core/System.js';
+import { ErrorSeverity } from '../../utils/ErrorHandler.js';
+import { AudioManager } from '../../audio/AudioManager.js';
+import { PlaySoundRequest } from '../components/PlaySoundRequest.js';
+
+export class AudioSystem extends System {
+    constructor(world) {
+        super(world);
+        // 再生に失敗してもゲームの進行には影響しないため、登録ステージにかかわらず一時停止させない
+        this.errorSeverity = ErrorSeverity.ERROR;
+        this.audioManager = this.world.getSingletonComponent(AudioManager);
+    }
+
+    update(deltaTime) {
+        for (const request of this.world.events.consume(PlaySoundRequest)) {
+            this.audioManager?.playSe(request.sound, {
+                volume: request.volume ?? 1,
+                playbackRate: request.playbackRate ?? 1
+            });
+        }
+    }
+}
@@ -0,0 +1,53 @@
+/**
+ * @file SpriteAnimation System
+ * @description 標準ライブラリ: AnimatedSprite の再生を進め、現在のフレームを Sprite に反映するシステム
+ * ループしないアニメーションは最後のフレームで止まり、isFinished が true になります。
+ */
+import { System } from '../../core/System.js';
+import { Sprite } from '../components/Sprite.js';
+import { AnimatedSprite } from '../components/AnimatedSprite.js';
+
+export class SpriteAnimationSystem extends System {
+    constructor(world) {
+        super(world);
+    }
+
+    update(deltaTime) {
+        const entities = this.getEntities(Sprite, AnimatedSprite);
+
+        for (const entityId of entities) {
+            const sprite = this.world.getComponent(entityId, Sprite);
+            const animated = this.world.getComponent(entityId, AnimatedSprite);
+            const animation = animated.animations[animated.animation];
+            if (!animation || animation.frames.length === 0) continue;
+
+            if (animated.playing !== animated.animation) {
+                animated.playing = animated.animation;
+                animated.frameIndex = 0;
+                animated.elapsed = 0;
+                animated.isFinished = false;
+            } else if (!animated.isFinished && animation.frameDuration > 0) {
+                this._advance(animated, animation, deltaTime);
+            }
+
+            sprite.frame = animation.frames[animated.frameIndex];
+        }
+    }
+
+    _advance(animated, animation, deltaTime) {
+        animated.elapsed += deltaTime;
+        while (animated.elapsed >= animation.frameDuration) {
+            animated.elapsed -= animation.frameDuration;
+
+            if (animated.frameIndex < animation.frames.length - 1) {
+                animated.frameIndex++;
+            } else if (animation.loop ?? true) {
+                animated.frameIndex = 0;
+            } else {
+                animated.isFinished = true;
+                animated.elapsed = 0;
+                break;
+            }
+        }
+    }
+}
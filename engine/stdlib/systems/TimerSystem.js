@@ -1,8 +1,11 @@
 /**
  * @file Timer System
  * @description 標準ライブラリ: タイマー処理システム
+ * World の TimeScale（なければ等倍）を掛けた時間でタイマーを進めます（タイマーごとに ignoreTimeScale で除外可能）。
+ * このシステムは実時間の deltaTime を受け取る必要があるため、timeScaled オプションを付けずに登録してください。
  */
 import { System } from '../../core/System.js';
+import { TimeScale } from '../../core/TimeScale.js';
 import { Timer } from '../components/Timer.js';
 
 export class TimerSystem extends System {
@@ -11,19 +14,55 @@ export class TimerSystem extends System {
     }
 
     update(deltaTime) {
+        const timeScale = this.world.getSingletonComponent(TimeScale);
+        const scaledDeltaTime = timeScale ? timeScale.scaleDeltaTime(deltaTime) : deltaTime;
+
         const entities = this.getEntities(Timer);
 
         for (const entityId of entities) {
             const timer = this.world.getComponent(entityId, Timer);
-            
-            timer.duration -= deltaTime;
+            if (!timer || timer.isPaused) continue;
+
+            timer.remaining -= timer.ignoreTimeScale ? deltaTime : scaledDeltaTime;
+
+            // 1フレームで複数回分の時間が経過した場合は、その回数だけ発火する
+            while (timer.remaining <= 0) {
+                this._fire(timer);
+
+                // コールバック内で取り消された
+                if (this.world.getComponent(entityId, Timer) !== timer) break;
 
-            if (timer.duration <= 0) {
-                if (typeof timer.onComplete === 'function') {
-                    timer.onComplete();
+                if (timer.repeat === 0) {
+                    this.world.destroyEntity(entityId);
+                    break;
                 }
-                this.world.destroyEntity(entityId);
+                if (timer.repeat > 0) {
+                    timer.repeat--;
+                }
+                if (timer.interval <= 0) {
+                    // 間隔が0以下の場合は1フレームに1回だけ発火する
+                    timer.remaining = 0;
+                    break;
+                }
+                timer.remaining += timer.interval;
+            }
+        }
+    }
+
+    _fire(timer) {
+        timer.count++;
+
+        if (typeof timer.callback === 'function') {
+            timer.callback();
+        }
+
+        if (timer.event) {
+            const eventClass = timer.eventClass;
+            if (eventClass) {
+                this.world.events.emit(eventClass, timer.payload);
+            } else {
+                console.warn(`TimerSystem: Event type "${timer.event}" is not registered.`);
             }
         }
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,169 @@
+/**
+ * @file Tween System
+ * @description 標準ライブラリ: TweenTimeline を再生し、対象コンポーネントのプロパティに値を書き込むシステム
+ * 各ノードの値は経過時間から計算するため、sequence / parallel / repeat / yoyo を入れ子にしても同じ規則で求まります。
+ * tween ノードは進行度が変わったフレームにのみ値を書き込み、開始前のノードは何も書き込みません。
+ * 対象のエンティティやコンポーネントが存在しない tween ノードは無視します（演出中に破棄された場合など）。
+ */
+import { System } from '../../core/System.js';
+import { ComponentRegistry } from '../../core/ComponentRegistry.js';
+import { TweenTimeline } from '../components/TweenTimeline.js';
+import { Easing, lerp, getPathValue, setPathValue } from '../../utils/Tween.js';
+
+export class TweenSystem extends System {
+    constructor(world) {
+        super(world);
+    }
+
+    update(deltaTime) {
+        const entities = this.getEntities(TweenTimeline);
+
+        for (const entityId of entities) {
+            const timeline = this.world.getComponent(entityId, TweenTimeline);
+            timeline.elapsed += deltaTime;
+
+            const totalDuration = this._getDuration(timeline.definition);
+            const time = Math.min(timeline.elapsed, totalDuration);
+            this._evaluate(timeline, timeline.definition, time, '0', false);
+
+            if (timeline.elapsed >= totalDuration) {
+                if (timeline.destroyEntity) {
+                    this.world.destroyEntity(entityId);
+                } else {
+                    this.world.removeComponent(entityId, TweenTimeline);
+                }
+                timeline.onComplete?.();
+            }
+        }
+    }
+
+    /**
+     * ノードの再生時間（delay と repeat を含む）。無限に繰り返すノードは Infinity
+     */
+    _getDuration(node) {
+        const delay = node.delay ?? 0;
+        const repeat = node.repeat ?? 0;
+        const cycle = this._getCycleDuration(node);
+        if (repeat < 0) return cycle > 0 ? Infinity : delay;
+        return delay + cycle * (repeat + 1);
+    }
+
+    /**
+     * ノードの1回分の再生時間（delay と repeat を含まない）
+     */
+    _getCycleDuration(node) {
+        if (node.sequence) {
+            return node.sequence.reduce((sum, child) => sum + this._getDuration(child), 0);
+        }
+        if (node.parallel) {
+            return node.parallel.reduce((max, child) => Math.max(max, this._getDuration(child)), 0);
+        }
+        return node.duration ?? 0;
+    }
+
+    /**
+     * ノードの経過時間を、繰り返しと逆再生を反映した1回分の中の時間に変換する
+     * @returns {{ time: number, isReversed: boolean } | null} 開始前の場合は null
+     */
+    _toCycleTime(node, time) {
+        const local = time - (node.delay ?? 0);
+        if (local < 0) return null;
+
+        const cycle = this._getCycleDuration(node);
+        if (cycle <= 0) return { time: 0, isReversed: false };
+
+        const repeat = node.repeat ?? 0;
+        const count = repeat < 0 ? Infinity : repeat + 1;
+        // 最後の回の終端は次の回の先頭ではなく、最後の回の終わりとして扱う
+        const index = Math.min(Math.floor(local / cycle), count - 1);
+        let cycleTime = Math.min(local - index * cycle, cycle);
+
+        const isReversed = Boolean(node.yoyo) && index % 2 === 1;
+        if (isReversed) cycleTime = cycle - cycleTime;
+        return { time: cycleTime, isReversed };
+    }
+
+    _evaluate(timeline, node, time, id, isParentReversed) {
+        const cycleTime = this._toCycleTime(node, time);
+        if (!cycleTime) {
+            // 逆再生中に開始前まで戻った場合は開始時の値に戻す
+            if (isParentReversed) this._rewind(timeline, node, id);
+            return;
+        }
+        const isReversed = isParentReversed !== cycleTime.isReversed;
+
+        if (node.sequence) {
+            let offset = 0;
+            const children = node.sequence.map((child, i) => {
+                const entry = { child, time: cycleTime.time - offset, id: `${id}.${i}` };
+                offset += this._getDuration(child);
+                return entry;
+            });
+            // 逆再生中は後ろの子から評価し、前の子の値が最終的に残るようにする
+            if (isReversed) children.reverse();
+            for (const entry of children) {
+                this._evaluate(timeline, entry.child, entry.time, entry.id, isReversed);
+            }
+        } else if (node.parallel) {
+            node.parallel.forEach((child, i) => this._evaluate(timeline, child, cycleTime.time, `${id}.${i}`, isReversed));
+        } else {
+            const duration = node.duration ?? 0;
+            const progress = duration > 0 ? cycleTime.time / duration : 1;
+            this._applyTween(timeline, node, progress, id);
+        }
+    }
+
+    /**
+     * 開始済みの tween ノードを開始時の値に戻す（後ろのノードから戻す）
+     */
+    _rewind(timeline, node, id) {
+        const children = node.sequence || node.parallel;
+        if (children) {
+            for (let i = children.length - 1; i >= 0; i--) {
+                this._rewind(timeline, children[i], `${id}.${i}`);
+            }
+        } else if (timeline.tweenStates[id]?.from) {
+            this._applyTween(timeline, node, 0, id);
+        }
+    }
+
+    _applyTween(timeline, node, progress, id) {
+        // wait ノード
+        if (node.target === undefined || node.target === null) return;
+
+        const state = timeline.tweenStates[id] ??= { from: null, lastProgress: null };
+        if (state.lastProgress === progress) return;
+
+        const component = this._getTargetComponent(node);
+        if (!component) return;
+
+        if (state.from === null) {
+            state.from = {};
+            for (const path of this._getPaths(node)) {
+                state.from[path] = node.from?.[path] ?? getPathValue(component, path);
+            }
+        }
+        state.lastProgress = progress;
+
+        const easing = Easing[node.easing] || Easing.linear;
+        const t = easing(progress);
+        for (const path of this._getPaths(node)) {
+            const start = state.from[path];
+            if (typeof start !== 'number') continue;
+            const end = node.to?.[path] ?? start + (node.by?.[path] ?? 0);
+            setPathValue(component, path, lerp(start, end, t));
+        }
+    }
+
+    _getPaths(node) {
+        return [...new Set([...Object.keys(node.to || {}), ...Object.keys(node.by || {})])];
+    }
+
+    _getTargetComponent(node) {
+        const componentClass = typeof node.component === 'string'
+            ? ComponentRegistry.getClass(node.component)
+            : node.component;
+        if (!componentClass || !this.world.isAlive(node.target)) return null;
+        return this.world.getComponent(node.target, componentClass);
+    }
+}
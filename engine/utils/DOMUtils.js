@@ -56,4 +56,19 @@ export const el = (tag, attributes = {}, children = []) => {
     }
 
     return element;
-};
\ No newline at end of file
+};
+
+/**
+ * データを JSON ファイルとしてダウンロードさせる
+ * @param {any} data - JSON.stringify 可能な値
+ * @param {string} filename
+ */
+export const downloadJson = (data, filename) => {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = el('a', { href: url, download: filename });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
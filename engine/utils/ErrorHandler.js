@@ -1,5 +1,7 @@
 /**
  * @file エラーハンドリングユーティリティ
+ * @description エラーを GameError に正規化し、重大度 (severity) に応じてログ出力・通知を行います。
+ * 直近のエラーはリングバッファに保持され、エラーオーバーレイやクラッシュレポートから参照されます。
  */
 
 export const ErrorType = {
@@ -11,6 +13,30 @@ export const ErrorType = {
     NETWORK_ERROR: 'NETWORK_ERROR',
 };
 
+/**
+ * エラーの重大度（下に行くほど重い）
+ * FATAL はゲームの続行が困難な状態（ゲームロジックのシステムの update が例外で中断された等）を表す。
+ */
+export const ErrorSeverity = {
+    INFO: 'info',
+    WARNING: 'warning',
+    ERROR: 'error',
+    FATAL: 'fatal',
+};
+
+const SEVERITY_ORDER = [
+    ErrorSeverity.INFO,
+    ErrorSeverity.WARNING,
+    ErrorSeverity.ERROR,
+    ErrorSeverity.FATAL,
+];
+
+// severity が明示されていない場合の既定値
+const DEFAULT_SEVERITY_BY_TYPE = {
+    [ErrorType.VALIDATION_ERROR]: ErrorSeverity.WARNING,
+    [ErrorType.NETWORK_ERROR]: ErrorSeverity.WARNING,
+};
+
 export class GameError extends Error {
     constructor(message, type, details = {}, entityId = null) {
         super(message);
@@ -19,7 +45,9 @@ export class GameError extends Error {
         this.details = details;
         this.entityId = entityId;
         this.timestamp = new Date().toISOString();
-        Error.captureStackTrace(this, this.constructor);
+        // 未設定の場合は ErrorHandler.handle() で種別から決定される
+        this.severity = null;
+        Error.captureStackTrace?.(this, this.constructor);
     }
 }
 
@@ -27,20 +55,34 @@ export class ErrorHandler {
     static config = {
         logToConsole: true,
         logToFile: false,
-        severityThreshold: 'error',
+        // この重大度以上のエラーをリスナーへ通知する
+        severityThreshold: ErrorSeverity.ERROR,
+        // リングバッファに保持する件数
+        historySize: 50,
     };
 
+    // 直近のエラー記録 { error, severity, context, time }（古い順）
+    static recentErrors = [];
+    static listeners = new Set();
+
+    /**
+     * @param {Error|GameError} error
+     * @param {object} [context] - 発生箇所の情報。severity を指定すると重大度を上書きする
+     */
     static handle(error, context = {}) {
         if (!(error instanceof GameError)) {
             error = new GameError(
-                error.message || 'Unknown error occurred',
+                error?.message || 'Unknown error occurred',
                 ErrorType.SYSTEM_ERROR,
                 { originalError: error, context },
-                context.entityId || null
+                context.entityId ?? null
             );
         }
+        error.severity = context.severity || error.severity || DEFAULT_SEVERITY_BY_TYPE[error.type] || ErrorSeverity.ERROR;
+
         this.logError(error);
-        this.handleBySeverity(error);
+        this._record(error, context);
+        this.handleBySeverity(error, context);
     }
 
     static logError(error) {
@@ -49,11 +91,17 @@ export class ErrorHandler {
             timestamp: error.timestamp,
             type: error.type,
             message: error.message,
-            entityId: error.entityId || 'N/A',
+            severity: error.severity,
+            entityId: error.entityId ?? 'N/A',
             details: error.details,
             stack: error.stack
         };
 
+        if (error.severity === ErrorSeverity.FATAL) {
+            console.error('[FATAL ERROR]', logDetails);
+            return;
+        }
+
         switch (error.type) {
             case ErrorType.VALIDATION_ERROR:
                 console.warn('[VALIDATION ERROR]', logDetails);
@@ -66,8 +114,81 @@ export class ErrorHandler {
         }
     }
 
-    static handleBySeverity(error) {
-        // 必要に応じて処理を追加
+    /**
+     * 閾値以上の重大度のエラーをリスナーへ通知する
+     * @param {GameError} error
+     * @param {object} [context]
+     */
+    static handleBySeverity(error, context = {}) {
+        if (!this.isAtLeast(error.severity, this.config.severityThreshold)) return;
+
+        for (const listener of this.listeners) {
+            try {
+                listener(error, context);
+            } catch (listenerError) {
+                // リスナー内の例外で再帰しないよう、コンソール出力のみに留める
+                console.error('ErrorHandler: listener threw an error', listenerError);
+            }
+        }
+    }
+
+    /**
+     * エラー通知のリスナーを登録する
+     * @param {function(GameError, object): void} listener
+     * @returns {function(): void} 登録解除関数
+     */
+    static subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * 直近のエラー記録を古い順に返す
+     * @returns {Array<{ error: GameError, severity: string, context: object, time: number }>}
+     */
+    static getRecentErrors() {
+        return [...this.recentErrors];
+    }
+
+    static clearRecentErrors() {
+        this.recentErrors = [];
+    }
+
+    /**
+     * @param {string} severity
+     * @param {string} threshold
+     * @returns {boolean} severity が threshold 以上か
+     */
+    static isAtLeast(severity, threshold) {
+        return SEVERITY_ORDER.indexOf(severity) >= SEVERITY_ORDER.indexOf(threshold);
+    }
+
+    /**
+     * window の未捕捉例外・未処理の Promise 拒否を ErrorHandler に流す
+     * @returns {function(): void} 解除関数
+     */
+    static installGlobalHandlers() {
+        const onError = (event) => {
+            this.handle(event.error || new Error(event.message), { source: 'window.onerror' });
+        };
+        const onRejection = (event) => {
+            const reason = event.reason instanceof Error ? event.reason : new Error(String(event.reason));
+            this.handle(reason, { source: 'unhandledrejection' });
+        };
+        window.addEventListener('error', onError);
+        window.addEventListener('unhandledrejection', onRejection);
+        return () => {
+            window.removeEventListener('error', onError);
+            window.removeEventListener('unhandledrejection', onRejection);
+        };
+    }
+
+    static _record(error, context) {
+        this.recentErrors.push({ error, severity: error.severity, context, time: Date.now() });
+        const overflow = this.recentErrors.length - this.config.historySize;
+        if (overflow > 0) {
+            this.recentErrors.splice(0, overflow);
+        }
     }
 
     static onErrorReturn(fallbackValue, error) {
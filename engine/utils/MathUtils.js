@@ -1,14 +1,21 @@
 /**
  * @file 数学・確率計算ユーティリティ
  */
+import { defaultRandom } from './Random.js';
 
-export function selectItemByProbability(weightedItems) {
+/**
+ * weight に比例した確率で要素を1つ選ぶ
+ * @param {Array<{ weight: number }>} weightedItems
+ * @param {{ next: () => number }} [rng=defaultRandom] - 乱数生成器（再現性が必要な場合は RandomGenerator を渡す）
+ * @returns {object|null}
+ */
+export function selectItemByProbability(weightedItems, rng = defaultRandom) {
     if (!weightedItems || weightedItems.length === 0) return null;
 
     const totalWeight = weightedItems.reduce((sum, item) => sum + (item.weight || 0), 0);
     if (totalWeight === 0) return weightedItems[0];
 
-    const randomValue = Math.random() * totalWeight;
+    const randomValue = rng.next() * totalWeight;
     let cumulativeWeight = 0;
 
     for (const item of weightedItems) {
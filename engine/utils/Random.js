@@ -0,0 +1,110 @@
+/**
+ * @file 乱数生成ユーティリティ
+ * @description シード指定可能な疑似乱数生成器 (xoshiro128**)。
+ * 同じシードからは常に同じ乱数列が得られるため、バトルの再現に使用できます。
+ * 内部状態は数値配列のみで構成されるため、スナップショットにそのまま含めることができます。
+ */
+
+/**
+ * 文字列を32bitのハッシュ値に変換する (FNV-1a)
+ * @param {string} text
+ * @returns {number}
+ */
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+const rotl = (x, k) => (x << k) | (x >>> (32 - k));
+
+export class RandomGenerator {
+    /**
+     * @param {number} seed - 32bit整数として扱われるシード値
+     */
+    constructor(seed = 0) {
+        this.state = [0, 0, 0, 0];
+        this.setSeed(seed);
+    }
+
+    /**
+     * シードから内部状態を初期化する (splitmix32)
+     * @param {number} seed
+     */
+    setSeed(seed) {
+        let s = seed >>> 0;
+        for (let i = 0; i < 4; i++) {
+            s = (s + 0x9e3779b9) | 0;
+            let z = s;
+            z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+            z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+            this.state[i] = (z ^ (z >>> 16)) >>> 0;
+        }
+        // 全て0の状態では乱数列が生成されない
+        if (this.state.every(value => value === 0)) {
+            this.state[0] = 1;
+        }
+    }
+
+    /**
+     * [0, 1) の乱数を返す（Math.random の代替）
+     * @returns {number}
+     */
+    next() {
+        const state = this.state;
+        const result = Math.imul(rotl(Math.imul(state[1], 5), 7), 9) >>> 0;
+        const t = state[1] << 9;
+
+        state[2] ^= state[0];
+        state[3] ^= state[1];
+        state[1] ^= state[2];
+        state[0] ^= state[3];
+        state[2] ^= t;
+        state[3] = rotl(state[3], 11);
+
+        for (let i = 0; i < 4; i++) state[i] >>>= 0;
+
+        return result / 0x100000000;
+    }
+
+    /**
+     * [0, max) の整数を返す
+     * @param {number} max
+     * @returns {number}
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * 確率 probability で true を返す
+     * @param {number} probability - 0〜1
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * 配列から要素を1つ選ぶ（空配列の場合は null）
+     * @param {Array} items
+     * @returns {*}
+     */
+    pick(items) {
+        if (!items || items.length === 0) return null;
+        return items[this.nextInt(items.length)];
+    }
+}
+
+/**
+ * シードを持たない Math.random ベースの生成器（乱数生成器が渡されなかった場合の既定値）
+ */
+export const defaultRandom = {
+    next: () => Math.random(),
+    nextInt: (max) => Math.floor(Math.random() * max),
+    chance: (probability) => Math.random() < probability,
+    pick: (items) => (!items || items.length === 0) ? null : items[Math.floor(Math.random() * items.length)],
+};
@@ -1,7 +1,7 @@
 /**
  * @file イージング関数ライブラリ
  * @description Tweenの状態管理機能を除去し、純粋な計算関数のみを提供します。
- * 状態はECSのコンポーネント(ActiveTween)として管理されます。
+ * 状態はECSのコンポーネント (TweenTimeline) として管理され、TweenSystem が更新します。
  */
 export const Easing = {
     linear: t => t,
@@ -18,4 +18,66 @@ export const Easing = {
  */
 export const lerp = (start, end, t) => {
     return start + (end - start) * t;
-};
\ No newline at end of file
+};
+/**
+ * ドット区切りのパスでオブジェクトの値を取得する (例: 'partsInfo.head.current')
+ * @param {object} object
+ * @param {string} path
+ * @returns {any} 途中が存在しない場合は undefined
+ */
+export const getPathValue = (object, path) => {
+    return path.split('.').reduce((current, key) => current?.[key], object);
+};
+
+/**
+ * ドット区切りのパスでオブジェクトの値を設定する
+ * @param {object} object
+ * @param {string} path
+ * @param {any} value
+ * @returns {boolean} 設定できたか（途中が存在しない場合は false）
+ */
+export const setPathValue = (object, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((current, key) => current?.[key], object);
+    if (parent === null || typeof parent !== 'object') return false;
+    parent[last] = value;
+    return true;
+};
+
+/**
+ * TweenTimeline の定義を組み立てるヘルパー。
+ * 定義はただのデータ（JSON化可能）なので、ヘルパーを使わずに直接記述しても構いません。
+ *
+ * 全てのノードに共通のオプション: delay (ms), repeat (繰り返し回数。-1 で無限), yoyo (繰り返しのたびに逆再生する)
+ */
+export const Timeline = {
+    /**
+     * コンポーネントの数値プロパティを補間する
+     * @param {number} target - 対象エンティティID
+     * @param {Function|string} component - コンポーネントクラス、または ComponentRegistry の型名
+     * @param {object} values
+     * @param {Object<string, number>} [values.to] - key: プロパティのパス, value: 終了値
+     * @param {Object<string, number>} [values.by] - key: プロパティのパス, value: 開始値からの変化量
+     * @param {Object<string, number>} [values.from] - 開始値（省略時は開始時点の値）
+     * @param {object} [options] - { duration, easing (Easing の関数名), delay, repeat, yoyo }
+     */
+    tween: (target, component, { to, by, from } = {}, options = {}) => ({ target, component, to, by, from, ...options }),
+    /**
+     * 子ノードを順番に再生する
+     * @param {object[]} children
+     * @param {object} [options] - { delay, repeat, yoyo }
+     */
+    sequence: (children, options = {}) => ({ sequence: children, ...options }),
+    /**
+     * 子ノードを同時に再生する（最も長い子ノードが終わると完了）
+     * @param {object[]} children
+     * @param {object} [options] - { delay, repeat, yoyo }
+     */
+    parallel: (children, options = {}) => ({ parallel: children, ...options }),
+    /**
+     * 何もせずに待つ（sequence 内の間として使用する）
+     * @param {number} duration
+     */
+    wait: (duration) => ({ duration }),
+};
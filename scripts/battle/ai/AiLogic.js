@@ -9,7 +9,8 @@ import { selectBestActionPlan } from '../ai/commander/ActionPlanner.js';
 import { BattleRequestFactory } from '../utils/BattleRequestFactory.js';
 import { BattleQueries } from '../queries/BattleQueries.js';
 import { selectItemByProbability } from '../../../engine/utils/MathUtils.js';
-import { TargetTiming } from '../common/constants.js';
+import { TargetTiming, RandomStream } from '../common/constants.js';
+import { BattleRandom } from '../utils/BattleRandom.js';
 import { ActionRequeueState } from '../components/States.js';
 import { StrategyExecutedEvent } from '../components/Requests.js';
 
@@ -76,7 +77,10 @@ export const AiLogic = {
                 const requiresSingleTarget = part.targetScope?.endsWith('_SINGLE');
                 
                 if (requiresSingleTarget) {
-                    const selectedCandidate = selectItemByProbability(targetCandidates);
+                    const selectedCandidate = selectItemByProbability(
+                        targetCandidates,
+                        BattleRandom.stream(world, RandomStream.AI)
+                    );
                     if (selectedCandidate) {
                         selectedTarget = selectedCandidate.target;
                     } else {
@@ -96,19 +100,18 @@ export const AiLogic = {
 
     _executePlan(world, entityId, plan, strategyKey) {
         if (strategyKey && plan.target) {
-            const debugEntity = world.createEntity();
-            world.addComponent(debugEntity, new StrategyExecutedEvent(
-                strategyKey,
-                entityId,
-                plan.target
-            ));
+            world.events.emit(StrategyExecutedEvent, {
+                strategy: strategyKey,
+                attackerId: entityId,
+                target: plan.target
+            });
         }
         BattleRequestFactory.createActionRequest(world, entityId, plan.partKey, plan.target);
     },
 
     _executeRandomFallback(world, entityId, actionPlans) {
         if (actionPlans.length === 0) return;
-        const randomPlan = actionPlans[Math.floor(Math.random() * actionPlans.length)];
+        const randomPlan = BattleRandom.stream(world, RandomStream.AI).pick(actionPlans);
         BattleRequestFactory.createActionRequest(world, entityId, randomPlan.partKey, randomPlan.target);
     },
 
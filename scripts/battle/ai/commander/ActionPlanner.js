@@ -6,6 +6,8 @@
 import { Medal, PlayerInfo } from '../../../components/index.js';
 import { getStrategiesFor } from '../unit/PersonalityRegistry.js';
 import { partSelectionStrategies } from './PartStrategies.js';
+import { RandomStream } from '../../common/constants.js';
+import { BattleRandom } from '../../utils/BattleRandom.js';
 
 /**
  * アクションプランの中から最適なものを選択する
@@ -24,13 +26,13 @@ export function selectBestActionPlan({ world, entityId, actionPlans }) {
 
     if (!partStrategyKey) {
         console.warn(`AI ${entityId} (${attackerMedal.personality}): No part strategy found. Falling back to random.`);
-        return getRandomPlan(actionPlans);
+        return getRandomPlan(world, actionPlans);
     }
 
     const partSelectionFunc = partSelectionStrategies[partStrategyKey];
     if (!partSelectionFunc) {
         console.error(`AI ${entityId}: Part strategy '${partStrategyKey}' not found. Falling back to random.`);
-        return getRandomPlan(actionPlans);
+        return getRandomPlan(world, actionPlans);
     }
     
     // 戦略関数に渡すためにフォーマット変換 [partKey, partData]
@@ -66,6 +68,6 @@ function determinePartStrategyKey(world, attackerId, actionPlans, strategies) {
     return null;
 }
 
-function getRandomPlan(plans) {
-    return plans.length > 0 ? plans[Math.floor(Math.random() * plans.length)] : null;
+function getRandomPlan(world, plans) {
+    return BattleRandom.stream(world, RandomStream.AI).pick(plans);
 }
\ No newline at end of file
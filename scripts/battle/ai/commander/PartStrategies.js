@@ -3,7 +3,8 @@
  * @description 「どのパーツを使うか」を決定するための評価ロジック集。
  * 旧 partSelectionStrategies.js
  */
-import { ActionType } from '../../common/constants.js';
+import { ActionType, RandomStream } from '../../common/constants.js';
+import { BattleRandom } from '../../utils/BattleRandom.js';
 
 const createFilteredSortStrategy = (filterFn, sortFn) => 
     ({ world, entityId, availableParts }) => {
@@ -38,8 +39,7 @@ export const partSelectionStrategies = {
         if (!availableParts || availableParts.length === 0) {
             return [null, null];
         }
-        const randomIndex = Math.floor(Math.random() * availableParts.length);
-        return availableParts[randomIndex];
+        return BattleRandom.stream(world, RandomStream.AI).pick(availableParts);
     },
 
     // 柔軟な戦略定義用
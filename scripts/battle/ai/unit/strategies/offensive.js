@@ -39,7 +39,7 @@ const createUniformWeightStrategy = () => createEnemyTargetingStrategy(({ world,
 
 const createTargetedEntityStrategy = (findTargetIdFn) => createEnemyTargetingStrategy(({ world, candidates }) => {
     const targetId = findTargetIdFn({ world, candidates });
-    if (targetId) {
+    if (targetId != null) {
         const allParts = BattleQueries.getAllPartsFromCandidates(world, [targetId]);
         return allParts.map(p => ({
             target: { targetId: p.entityId, targetPartKey: p.partKey },
@@ -51,7 +51,8 @@ const createTargetedEntityStrategy = (findTargetIdFn) => createEnemyTargetingStr
 
 const createSingleEntityStrategy = (findTargetIdFn) => ({ world, attackerId }) => {
     const targetId = findTargetIdFn({ world, attackerId });
-    if (targetId && BattleQueries.isValidTarget(world, targetId)) {
+    // 履歴に残るIDは削除済みエンティティを指している場合がある
+    if (targetId != null && world.isAlive(targetId) && BattleQueries.isValidTarget(world, targetId)) {
         const allParts = BattleQueries.getAllPartsFromCandidates(world, [targetId]);
         return allParts.map(p => ({
             target: { targetId: p.entityId, targetPartKey: p.partKey },
@@ -64,7 +65,7 @@ const createSingleEntityStrategy = (findTargetIdFn) => ({ world, attackerId }) =
 const createSinglePartStrategy = (findTargetPartFn) => ({ world, attackerId }) => {
     const target = findTargetPartFn({ world, attackerId });
     const attackerInfo = world.getComponent(attackerId, PlayerInfo);
-    if (!target) return null;
+    if (!target || target.targetId == null || !world.isAlive(target.targetId)) return null;
     
     const targetInfo = world.getComponent(target.targetId, PlayerInfo);
     const isEnemy = targetInfo && targetInfo.teamId !== attackerInfo.teamId;
@@ -127,7 +128,7 @@ export const offensiveStrategies = {
     [TargetingStrategyKey.GUARD]: createSingleEntityStrategy(({ world, attackerId }) => {
         const attackerInfo = world.getComponent(attackerId, PlayerInfo);
         const context = world.getSingletonComponent(BattleHistoryContext);
-        return context?.history.leaderLastAttackedBy?.[attackerInfo.teamId] || null;
+        return context?.history.leaderLastAttackedBy?.[attackerInfo.teamId] ?? null;
     }),
 
     [TargetingStrategyKey.FOCUS]: createSinglePartStrategy(({ world, attackerId }) =>
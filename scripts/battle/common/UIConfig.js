@@ -15,6 +15,7 @@ export const UI_CONFIG = {
         DURATION: 0,        // デフォルトアニメーション時間（ミリ秒）
         EASING: 'ease-out',   // デフォルトイージング
         ATTACK_DURATION: 1024, // 攻撃アニメーション時間
+        BATTLE_START_DURATION: 2000, // 「ロボトルファイト！」表示時間
         HP_BAR: {
             DURATION: 256, // HPバー変動時間
             // イージング関数 (Ease Out Quad)
@@ -49,6 +49,8 @@ export const CONFIG = {
             BASE_MAX_SPEED: 0.5,
             MOBILITY_TO_ACCELERATION: 0.000001,
             PROPULSION_TO_MAX_SPEED: 0.1,
+            // 加速度はこの時間 (ms) あたりの値。戦闘速度を上げた際に加速も同じ倍率で速くなるよう時間で扱う
+            ACCELERATION_INTERVAL: 1000 / 60,
         }
     },
     
@@ -72,6 +74,9 @@ export const CONFIG = {
         SELECTION_TIME_LIMIT: 30000,
     },
     
+    // 戦闘速度の選択肢（切り替えキーでこの順に切り替わり、最後の次は一時停止）
+    BATTLE_SPEEDS: [1, 2, 4],
+
     // AI関連の設定
     AI: {
         DECISION_MAKING_DELAY: 1000,
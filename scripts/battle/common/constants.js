@@ -119,4 +119,31 @@ export const BattleLogType = {
     ANIMATION_START: 'ANIMATION_START',
     EFFECT: 'EFFECT',
     MISS: 'MISS',
-};
\ No newline at end of file
+};
+/**
+ * 乱数ストリーム名を定義する定数
+ * 用途ごとに独立した乱数列を使用し、同じシードでバトルを再現できるようにする。
+ */
+export const RandomStream = {
+    COMBAT: 'combat',         // 命中・クリティカル・防御・貫通などの戦闘判定
+    AI: 'ai',                 // AIのターゲット・パーツ選択
+    GENERATION: 'generation', // 敵チームの生成
+};
+
+/**
+ * 一時停止の理由を定義する定数 (TimeScale.pause の reason)
+ */
+export const PauseReason = {
+    MODAL: 'modal', // モーダル表示中（ゲージのみ停止し、HPバー等の演出は進める）
+    USER: 'user',   // 戦闘速度の切り替えによる一時停止（時間ごと止める）
+};
+
+/**
+ * カメラ演出の種類を定義する定数 (CAMERA タスクの action)
+ */
+export const CameraAction = {
+    SHAKE: 'shake', // 画面を揺らす (params: intensity, duration)
+    ZOOM: 'zoom',   // 対象に寄る (params: targetId, scale, duration)
+    RESET: 'reset', // ズームを戻す (params: duration)
+    FLASH: 'flash', // 画面を一瞬光らせる (params: color)
+};
@@ -19,6 +19,7 @@ export class BattleUIState {
         this.currentTaskId = null;
         this.currentModalCallback = null;
         this.focusedButtonKey = null;
+        this.modalTimerId = null; // 制限時間付きモーダルのタイマーのエンティティID
 
         // --- メッセージシーケンス管理 ---
         this.currentMessageSequence = [];
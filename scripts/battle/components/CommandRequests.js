@@ -1,6 +1,10 @@
 /**
  * @file CommandRequests.js
- * @description システムに状態変更を要求するためのデータコンポーネント群。
+ * @description システムに状態変更を要求するためのリクエスト型。
+ * エンティティには付与せず、world.events (EventChannel) で発行・消費する。
+ * 発行時はコンストラクタが呼ばれないため、フィールドは全て props で指定すること。
+ * @example
+ * world.events.emit(TransitionStateRequest, { targetId, newState });
  */
 
 // --- 状態遷移系 ---
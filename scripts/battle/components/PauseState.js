@@ -1,8 +0,0 @@
-/**
- * @file PauseState.js
- * @description ゲーム全体の一時停止状態を示すタグコンポーネント。
- * このコンポーネントを持つエンティティが存在する場合、ゲーム進行は停止する。
- */
-export class PauseState {
-    constructor() {}
-}
\ No newline at end of file
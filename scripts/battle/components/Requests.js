@@ -3,6 +3,8 @@
  * @description ECSの処理フロー制御用のリクエスト/結果/タグコンポーネント群。
  * イベントの代わりにこれらのコンポーネントを使用してシステム間でメッセージを伝達する。
  * 状態コンポーネントへの移行に伴い、一部コンポーネントは削除されました。
+ * 一過性のリクエスト/通知（RefreshUIRequest, TurnEndedSignal, *Event 等）はエンティティに付与せず、
+ * world.events (EventChannel) で発行・消費する。
  */
 
 export class CombatResult {
@@ -53,46 +55,25 @@ export class ResetButtonResult { constructor() {} }
 // --- イベント代替用データコンポーネント (Events as Data) ---
 
 /**
- * HPが更新されたことを表すイベントデータ
- * ログ出力やデバッグ表示に使用される
+ * モーダルの制限時間切れ通知（ModalSystem が開始したタイマーが発行する）
  */
-export class HpChangedEvent {
-    constructor(entityId, partKey, change, isHeal, resultData) {
-        this.entityId = entityId;
-        this.partKey = partKey;
-        this.change = change;
-        this.isHeal = isHeal;
-        this.resultData = resultData;
+export class ModalTimeoutEvent {
+    constructor(modalEntityId) {
+        this.modalEntityId = modalEntityId;
     }
 }
 
 /**
- * 効果が期限切れになったことを表すイベントデータ
+ * カメラ演出の要求（VisualDirectorSystem が CAMERA タスクから発行し、BattleCameraSystem が処理する）
  */
-export class EffectExpiredEvent {
-    constructor(entityId, effect) {
-        this.entityId = entityId;
-        this.effect = effect;
-    }
-}
-
-/**
- * アクションがキャンセルされたことを表すイベントデータ
- */
-export class ActionCancelledEvent {
-    constructor(entityId, reason) {
-        this.entityId = entityId;
-        this.reason = reason;
-    }
-}
-
-/**
- * プレイヤーが機能停止したことを表すイベントデータ
- */
-export class PlayerBrokenEvent {
-    constructor(entityId, teamId) {
-        this.entityId = entityId;
-        this.teamId = teamId;
+export class CameraActionRequest {
+    /**
+     * @param {string} action - CameraAction
+     * @param {object} [params]
+     */
+    constructor(action, params = {}) {
+        this.action = action;
+        this.params = params;
     }
 }
 
@@ -72,45 +72,7 @@ export class CheckActionCancellationState {
 export class UIInputState {
     constructor() {
         this.isActive = false;
-        this.type = null; // 'NAVIGATE' | 'CONFIRM' | 'CANCEL'
+        this.type = null; // 'NAVIGATE' | 'CONFIRM' | 'CANCEL' | 'SELECT'
         this.data = {};
     }
 }
-
-/**
- * 進行中のTweenを表すコンポーネント
- * AnimationSystemがこれを処理し、完了時に削除する。
- */
-export class ActiveTween {
-    /**
-     * @param {object} params
-     * @param {number} params.targetId - 対象エンティティID
-     * @param {string} params.type - Tweenの種類 ('HP_UPDATE'など)
-     * @param {string} params.partKey - (HP_UPDATE用) 対象パーツキー
-     * @param {number} params.start - 開始値
-     * @param {number} params.end - 終了値
-     * @param {number} params.duration - 期間(ms)
-     * @param {string} [params.easing='linear'] - イージング関数名
-     * @param {number} [params.parentId=null] - 完了通知先の親エンティティID
-     */
-    constructor({ targetId, type, partKey, start, end, duration, easing = 'linear', parentId = null }) {
-        this.targetId = targetId;
-        this.type = type;
-        this.partKey = partKey;
-        this.start = start;
-        this.end = end;
-        this.duration = duration;
-        this.easing = easing;
-        this.parentId = parentId;
-        
-        this.elapsed = 0;
-    }
-}
-
-/**
- * Tween完了通知タグ
- * ActiveTween完了時にparentIdのエンティティに付与される
- */
-export class TweenCompletedSignal {
-    constructor() {}
-}
\ No newline at end of file
@@ -100,6 +100,20 @@ export class UiAnimationTask {
     }
 }
 
+/**
+ * Tween再生タスク
+ * タイムラインは専用のエンティティで再生し（アクター自身の TweenTimeline と衝突させないため）、
+ * そのエンティティが再生を終えて削除されるまで待つ。TaskSystemが処理
+ */
+export class TweenTask {
+    /**
+     * @param {number} tweenEntityId - タイムラインを再生するエンティティ
+     */
+    constructor(tweenEntityId) {
+        this.tweenEntityId = tweenEntityId;
+    }
+}
+
 /**
  * 視覚効果適用タスク
  */
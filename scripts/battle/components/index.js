@@ -16,7 +16,6 @@ export { BattleUIState } from './BattleUIState.js';
 export { TurnContext } from './TurnContext.js';
 export { PhaseState } from './PhaseState.js';
 export { BattleResult } from './BattleResult.js';
-export { PauseState } from './PauseState.js';
 export { BattleHistoryContext } from './BattleHistoryContext.js';
 export { BattleFlowState } from './BattleFlowState.js';
 export { BattleSequenceState } from './BattleSequenceState.js';
@@ -97,8 +97,9 @@ export class AttachedToOwner {
 export class PartVisualConfig {
     /**
      * @param {object} config
-     * @param {object} [config.declaration] - { templateId, animation }
-     * @param {object} [config.impacts] - { [EffectType]: { templateId, animation, vfx } }
+     * @param {object} [config.declaration] - { templateId, animation, vfx, camera }
+     * @param {object} [config.impacts] - { [EffectType]: { messageKey, showHpBar, sounds, vfx, camera } }
+     * （impacts の sounds / vfx / camera は結果ごとの対応表で、VisualDefinitions の同じ項目を上書きする）
      */
     constructor(config = {}) {
         this.declaration = config.declaration || {};
@@ -88,7 +88,8 @@ class DefaultCombatStrategy extends CombatStrategy {
             BASE_ACCELERATION, 
             MOBILITY_TO_ACCELERATION, 
             BASE_MAX_SPEED, 
-            PROPULSION_TO_MAX_SPEED
+            PROPULSION_TO_MAX_SPEED,
+            ACCELERATION_INTERVAL
         } = CONFIG.FORMULAS.GAUGE;
         
         const timeFactor = deltaTime / CONFIG.UPDATE_INTERVAL;
@@ -96,31 +97,36 @@ class DefaultCombatStrategy extends CombatStrategy {
         const acceleration = BASE_ACCELERATION + (mobility * MOBILITY_TO_ACCELERATION);
         const maxSpeed = BASE_MAX_SPEED + (propulsion * PROPULSION_TO_MAX_SPEED);
         
-        const nextSpeed = Math.min(currentSpeed + acceleration, maxSpeed);
+        const nextSpeed = Math.min(currentSpeed + acceleration * (deltaTime / ACCELERATION_INTERVAL), maxSpeed);
         
         const increment = (nextSpeed / speedMultiplier) * timeFactor;
 
         return { nextSpeed, increment };
     }
 
-    resolveHitOutcome({ isSupport, evasionChance, criticalChance, defenseChance, initialTargetPartKey, bestDefensePartKey }) {
+    /**
+     * 回避・クリティカル・防御の判定を行う
+     * @param {object} params
+     * @param {RandomGenerator} params.rng - 判定に使用する乱数生成器
+     */
+    resolveHitOutcome({ isSupport, evasionChance, criticalChance, defenseChance, initialTargetPartKey, bestDefensePartKey, rng }) {
         const defaultOutcome = { isHit: false, isCritical: false, isDefended: false, finalTargetPartKey: initialTargetPartKey };
 
         if (isSupport) {
             return { ...defaultOutcome, isHit: true };
         }
 
-        const isEvaded = Math.random() < evasionChance;
+        const isEvaded = rng.chance(evasionChance);
         if (isEvaded) {
             return defaultOutcome;
         }
 
-        const isCritical = Math.random() < criticalChance;
+        const isCritical = rng.chance(criticalChance);
         if (isCritical) {
             return { ...defaultOutcome, isHit: true, isCritical: true };
         }
 
-        const isDefended = Math.random() < defenseChance;
+        const isDefended = rng.chance(defenseChance);
         if (isDefended && bestDefensePartKey) {
             return { ...defaultOutcome, isHit: true, isDefended: true, finalTargetPartKey: bestDefensePartKey };
         }
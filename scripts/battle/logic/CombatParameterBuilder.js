@@ -17,7 +17,7 @@ export function buildHitOutcomeParams(world, ctx) {
     const { attackerId, finalTargetId, attackingPart } = ctx;
     // attackingPart は initializeContext 時点のデータ (Snapshot)
 
-    if (!finalTargetId) {
+    if (finalTargetId == null) {
         return {
             isSupport: ctx.isSupport,
             evasionChance: 0,
@@ -9,7 +9,6 @@ import { ActiveEffects, IsGuarding } from '../../components/index.js'; // Battle
 import { PartStatus } from '../../components/parts/PartComponents.js';
 import { EffectType } from '../../common/constants.js';
 import { PartInfo } from '../../../common/constants.js';
-import { HpChangedEvent, PartBrokenEvent } from '../../../components/Events.js';
 import { CombatCalculator } from '../../logic/CombatCalculator.js';
 import { buildDamageParams } from '../../logic/CombatParameterBuilder.js';
 import { VisualDefinitions } from '../../../data/visualDefinitions.js';
@@ -53,6 +52,9 @@ export class DamageHandler extends EffectHandler {
         const actualDamage = oldHp - newHp;
         
         partStatus.hp = newHp;
+        if (actualDamage > 0) {
+            world.markChanged(partEntityId, PartStatus);
+        }
         
         let isPartBroken = false;
         let isGuardBroken = false;
@@ -61,12 +63,6 @@ export class DamageHandler extends EffectHandler {
         if (oldHp > 0 && newHp === 0) {
             isPartBroken = true;
             partStatus.isBroken = true;
-            
-            const partBrokenEventEntity = world.createEntity();
-            world.addComponent(partBrokenEventEntity, new PartBrokenEvent({
-                entityId: targetId,
-                partKey
-            }));
 
             if (partKey === PartInfo.HEAD.key) {
                 stateUpdates.push({ type: 'SetPlayerBroken', targetId });
@@ -89,17 +85,6 @@ export class DamageHandler extends EffectHandler {
             }
         }
 
-        const hpChangeEventEntity = world.createEntity();
-        world.addComponent(hpChangeEventEntity, new HpChangedEvent({
-            entityId: targetId,
-            partKey,
-            newHp,
-            oldHp,
-            maxHp: partStatus.maxHp,
-            change: -actualDamage,
-            isHeal: false
-        }));
-
         const overkillDamage = finalDamage - actualDamage;
         const resultData = {
             type: EffectType.DAMAGE,
@@ -142,6 +127,27 @@ export class DamageHandler extends EffectHandler {
         const overrideKey = visualConfig?.messageKey;
         if (overrideKey) messageKey = overrideKey;
 
-        return { messageKey };
+        const impact = visualConfig?.impacts?.[EffectType.DAMAGE];
+        return {
+            messageKey,
+            sound: selectByOutcome(resultData, def.sounds, impact?.sounds),
+            vfx: selectByOutcome(resultData, def.vfx, impact?.vfx),
+            camera: selectByOutcome(resultData, def.camera, impact?.camera),
+            tween: selectByOutcome(resultData, def.tweens, impact?.tweens)
+        };
     }
 }
+
+/**
+ * 結果ごとの対応表（VisualDefinitions の定義と、アクション定義による上書き）から、
+ * パーツ破壊 > クリティカル > 通常の優先度で値を選ぶ（対応表にない場合は次の優先度の値を使う）
+ * @param {object} resultData
+ * @param {...object} maps - { default, critical, broken }。後のものほど優先される
+ * @returns {*}
+ */
+function selectByOutcome(resultData, ...maps) {
+    const map = Object.assign({}, ...maps);
+    if (resultData.isPartBroken && map.broken !== undefined) return map.broken;
+    if (resultData.isCritical && map.critical !== undefined) return map.critical;
+    return map.default ?? null;
+}
@@ -4,15 +4,14 @@
  */
 import { EffectHandler } from './EffectHandler.js';
 import { IsCharging, IsGuarding } from '../../components/index.js'; // Battle
-import { EffectType, ActionCancelReason } from '../../common/constants.js';
-import { ActionCancelledRequest } from '../../../components/Events.js';
+import { EffectType } from '../../common/constants.js';
 import { VisualDefinitions } from '../../../data/visualDefinitions.js';
 
 export class GlitchHandler extends EffectHandler {
     apply(world, effectEntityId, effect, context) {
         const { targetId } = context;
 
-        if (!targetId) {
+        if (targetId == null) {
             this.finish(world, effectEntityId, { type: EffectType.APPLY_GLITCH, wasSuccessful: false });
             return;
         }
@@ -26,12 +25,6 @@ export class GlitchHandler extends EffectHandler {
         const stateUpdates = [];
 
         if (wasSuccessful) {
-            const cancelRequestEntity = world.createEntity();
-            world.addComponent(cancelRequestEntity, new ActionCancelledRequest({
-                entityId: targetId,
-                reason: ActionCancelReason.INTERRUPTED
-            }));
-
             stateUpdates.push({
                 type: 'ResetToCooldown',
                 targetId: targetId,
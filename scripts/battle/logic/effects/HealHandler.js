@@ -7,14 +7,13 @@ import { ApplyEffect, EffectContext, EffectResult } from '../../components/effec
 import { Parts } from '../../../components/index.js'; // Common
 import { PartStatus } from '../../components/parts/PartComponents.js';
 import { EffectType } from '../../common/constants.js';
-import { HpChangedEvent } from '../../../components/Events.js';
 import { VisualDefinitions } from '../../../data/visualDefinitions.js';
 
 export class HealHandler extends EffectHandler {
     apply(world, effectEntityId, effect, context) {
         const { targetId, partKey, attackingPart } = context;
 
-        if (!targetId || !partKey) {
+        if (targetId == null || !partKey) {
             this.finish(world, effectEntityId, { type: EffectType.HEAL, value: 0 });
             return;
         }
@@ -44,16 +43,7 @@ export class HealHandler extends EffectHandler {
         partStatus.hp = newHp;
 
         if (actualHeal > 0) {
-            const hpChangeEventEntity = world.createEntity();
-            world.addComponent(hpChangeEventEntity, new HpChangedEvent({
-                entityId: targetId,
-                partKey,
-                newHp,
-                oldHp,
-                maxHp: partStatus.maxHp,
-                change: actualHeal,
-                isHeal: true
-            }));
+            world.markChanged(partEntityId, PartStatus);
         }
 
         const resultData = {
@@ -70,7 +60,14 @@ export class HealHandler extends EffectHandler {
 
     resolveVisual(resultData, visualConfig) {
         const def = VisualDefinitions[EffectType.HEAL];
-        const messageKey = resultData.value > 0 ? def.keys.success : def.keys.failed;
-        return { messageKey };
+        const impact = visualConfig?.impacts?.[EffectType.HEAL];
+        const sounds = { ...def.sounds, ...impact?.sounds };
+        const vfx = { ...def.vfx, ...impact?.vfx };
+        const isSuccess = resultData.value > 0;
+        return {
+            messageKey: isSuccess ? def.keys.success : def.keys.failed,
+            sound: isSuccess ? sounds.success : sounds.failed,
+            vfx: isSuccess ? vfx.success : vfx.failed
+        };
     }
 }
\ No newline at end of file
@@ -52,6 +52,7 @@ export class ScanHandler extends EffectHandler {
 
     resolveVisual(resultData, visualConfig) {
         const def = VisualDefinitions[EffectType.APPLY_SCAN];
-        return { messageKey: def.keys.default };
+        const vfx = { ...def.vfx, ...visualConfig?.impacts?.[EffectType.APPLY_SCAN]?.vfx };
+        return { messageKey: def.keys.default, vfx: vfx.default };
     }
 }
\ No newline at end of file
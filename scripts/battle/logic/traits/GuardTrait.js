@@ -11,7 +11,7 @@ import { BattleQueries } from '../../queries/BattleQueries.js';
 export class GuardTrait extends TraitLogic {
     ON_TARGET_RESOLVING(context) {
         const { world, originalTargetId, result } = context;
-        if (!originalTargetId) return;
+        if (originalTargetId == null) return;
 
         if (result.guardianInfo) return;
 
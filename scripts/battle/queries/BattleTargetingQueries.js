@@ -5,6 +5,8 @@
 import { Parts } from '../../components/index.js';
 import { PartStatus } from '../components/parts/PartComponents.js';
 import { getPartData } from './PartQueries.js';
+import { RandomStream } from '../common/constants.js';
+import { BattleRandom } from '../utils/BattleRandom.js';
 
 /**
  * ランダムなパーツを選択する（AI思考で使用）
@@ -18,7 +20,7 @@ export function selectRandomPart(world, entityId) {
  * 貫通対象となるランダムなパーツを選択する（指定パーツ以外）
  */
 export function findRandomPenetrationTarget(world, entityId, excludedPartKey) {
-    const partKey = _selectRandomPartKey(world, entityId, key => key !== excludedPartKey);
+    const partKey = _selectRandomPartKey(world, entityId, key => key !== excludedPartKey, RandomStream.COMBAT);
     return partKey;
 }
 
@@ -26,7 +28,7 @@ export function findRandomPenetrationTarget(world, entityId, excludedPartKey) {
  * 共通化されたランダムパーツキー選択ヘルパー
  * @private
  */
-export function _selectRandomPartKey(world, entityId, filterFn = () => true) {
+export function _selectRandomPartKey(world, entityId, filterFn = () => true, streamName = RandomStream.AI) {
     const parts = world.getComponent(entityId, Parts);
     if (!parts) return null;
     
@@ -42,7 +44,7 @@ export function _selectRandomPartKey(world, entityId, filterFn = () => true) {
         .map(([key]) => key);
 
     if (validKeys.length === 0) return null;
-    return validKeys[Math.floor(Math.random() * validKeys.length)];
+    return BattleRandom.stream(world, streamName).pick(validKeys);
 }
 
 /**
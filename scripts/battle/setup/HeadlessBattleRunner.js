@@ -0,0 +1,65 @@
+/**
+ * @file HeadlessBattleRunner.js
+ * @description DOMを使用せずにバトルのECSを最後まで実行するランナー。
+ * UI・描画系のシステムは代替システムに差し替えられ、入力待ちは自動で「決定」される。
+ * バランス調整やAIの検証、CombatCalculator 等の回帰確認に使用する（Node.js 上でも動作する）。
+ *
+ * @example
+ * // node --experimental-default-type=module で実行
+ * const result = runHeadlessBattle({ playerTeam, enemyTeam });
+ * console.log(result.winningTeam, result.elapsedMs);
+ */
+import { World } from '../../../engine/core/World.js';
+import { BattleFlowState } from '../components/BattleFlowState.js';
+import { BattlePhase } from '../common/constants.js';
+import { RandomService } from '../../../engine/stdlib/components/RandomService.js';
+import { initializeSystems } from './SystemInitializer.js';
+import { createBattleTeam } from './createBattleTeam.js';
+import { createBattleContextEntities, createBattleUIContextEntity } from '../../entities/createBattleContextEntities.js';
+
+const DEFAULT_STEP_MS = 1000 / 60;
+// 30分（60fps換算）で決着しない場合は打ち切る
+const DEFAULT_MAX_STEPS = 60 * 60 * 30;
+
+/**
+ * ゲームオーバーになるまでバトルを実行する
+ * @param {object} options
+ * @param {Array} options.playerTeam - TEAM1 のメダロットデータ（セーブデータの playerMedarots と同じ形式）
+ * @param {Array} [options.enemyTeam=null] - TEAM2 のメダロットデータ（省略時はランダム生成）
+ * @param {number} [options.seed] - 乱数シード（同じシードとチーム構成からは同じ結果が得られる）
+ * @param {number} [options.stepMs=1000/60] - 1ステップあたりの経過時間 (ms)
+ * @param {number} [options.maxSteps] - 打ち切りまでの最大ステップ数
+ * @param {World} [options.world] - 使用するWorld（省略時は新規作成）
+ * @returns {{ winningTeam: string|null, turnNumber: number, steps: number, elapsedMs: number, isTimedOut: boolean, seed: number, world: World }}
+ */
+export function runHeadlessBattle({
+    playerTeam,
+    enemyTeam = null,
+    seed,
+    stepMs = DEFAULT_STEP_MS,
+    maxSteps = DEFAULT_MAX_STEPS,
+    world = new World()
+}) {
+    createBattleContextEntities(world, { seed });
+    createBattleUIContextEntity(world);
+    createBattleTeam(world, playerTeam, enemyTeam);
+    initializeSystems(world, null, { headless: true });
+
+    const battleFlowState = world.getSingletonComponent(BattleFlowState);
+
+    let steps = 0;
+    while (battleFlowState.phase !== BattlePhase.GAME_OVER && steps < maxSteps) {
+        world.update(stepMs);
+        steps++;
+    }
+
+    return {
+        winningTeam: battleFlowState.winningTeam,
+        turnNumber: battleFlowState.turnNumber,
+        steps,
+        elapsedMs: steps * stepMs,
+        isTimedOut: battleFlowState.phase !== BattlePhase.GAME_OVER,
+        seed: world.getSingletonComponent(RandomService).seed,
+        world
+    };
+}
@@ -5,6 +5,7 @@
 import { RenderSystem } from '../systems/visual/RenderSystem.js';
 import { AnimationSystem } from '../systems/visual/AnimationSystem.js';
 import { VisualDirectorSystem } from '../systems/visual/VisualDirectorSystem.js';
+import { BattleCameraSystem } from '../systems/visual/BattleCameraSystem.js';
 import { ActionPanelSystem } from '../systems/ui/ActionPanelSystem.js';
 import { GaugeSystem } from '../systems/mechanics/GaugeSystem.js';
 import { AiSystem } from '../systems/ai/AiSystem.js';
@@ -20,6 +21,8 @@ import { BattleHistorySystem } from '../systems/mechanics/BattleHistorySystem.js
 import { BattleSequenceSystem } from '../systems/flow/BattleSequenceSystem.js';
 import { ModalSystem } from '../systems/ui/ModalSystem.js';
 import { UIInputSystem } from '../systems/ui/UIInputSystem.js';
+import { AutoConfirmSystem } from '../systems/ui/AutoConfirmSystem.js';
+import { BattleSpeedSystem } from '../systems/ui/BattleSpeedSystem.js';
 
 import { TargetingSystem } from '../systems/mechanics/TargetingSystem.js';
 import { ActionExecutionSystem } from '../systems/mechanics/ActionExecutionSystem.js';
@@ -33,75 +36,83 @@ import { StateTransitionSystem } from '../systems/mechanics/StateTransitionSyste
 import { ComponentUpdateSystem } from '../systems/mechanics/ComponentUpdateSystem.js';
 
 import { TimerSystem } from '../../../engine/stdlib/systems/TimerSystem.js';
+import { TweenSystem } from '../../../engine/stdlib/systems/TweenSystem.js';
+import { AudioSystem } from '../../../engine/stdlib/systems/AudioSystem.js';
+
+import { SystemStage } from '../../../engine/core/SystemScheduler.js';
 
 import { EffectRegistry } from '../registries/EffectRegistry.js';
 import { TraitRegistry } from '../registries/TraitRegistry.js';
 
-export function initializeSystems(world, gameDataManager) {
+/**
+ * バトルシーンのシステム定義。
+ * 実行順はステージ順 → after/before 制約 → この配列の並び順 で決まる。
+ * 各ステージの終わりはコマンドバッファの同期ポイントとなる。
+ * headless: ヘッドレス実行時の代替システム（null の場合は登録しない）。未指定ならそのまま使用する。
+ * timeScaled: 戦闘速度 (TimeScale) を掛けた deltaTime を受け取る。時間で進むゲージ・待機・演出が対象。
+ */
+const SYSTEM_DEFINITIONS = [
+    // --- 入力 ---
+    { SystemClass: UIInputSystem, stage: SystemStage.INPUT, headless: AutoConfirmSystem },
+    { SystemClass: BattleSpeedSystem, stage: SystemStage.INPUT, headless: null },
 
-    // 初期化処理
-    EffectRegistry.initialize();
-    TraitRegistry.initialize();
+    // --- 状態遷移・コンポーネント更新リクエストの適用 ---
+    { SystemClass: StateTransitionSystem, stage: SystemStage.LOGIC },
+    { SystemClass: ComponentUpdateSystem, stage: SystemStage.LOGIC, after: ['StateTransitionSystem'] },
 
-    const uiInputSystem = new UIInputSystem(world);
-    const modalSystem = new ModalSystem(world);
-    const actionPanelSystem = new ActionPanelSystem(world);
+    // --- バトル進行 ---
+    { SystemClass: GameFlowSystem, stage: SystemStage.FLOW },
+    { SystemClass: TurnSystem, stage: SystemStage.FLOW, after: ['GameFlowSystem'] },
+    { SystemClass: AiSystem, stage: SystemStage.FLOW },
+    { SystemClass: ActionSelectionSystem, stage: SystemStage.FLOW, after: ['AiSystem'] },
+    { SystemClass: BattleSequenceSystem, stage: SystemStage.FLOW, after: ['TurnSystem'] },
+    { SystemClass: TargetingSystem, stage: SystemStage.FLOW, after: ['BattleSequenceSystem'] },
+    { SystemClass: ActionExecutionSystem, stage: SystemStage.FLOW, after: ['TargetingSystem'] },
+    { SystemClass: EffectProcessorSystem, stage: SystemStage.FLOW, after: ['ActionExecutionSystem'] },
+    { SystemClass: CombatResultSystem, stage: SystemStage.FLOW, after: ['EffectProcessorSystem'] },
+    { SystemClass: BattleHistorySystem, stage: SystemStage.FLOW, after: ['CombatResultSystem'] },
+    { SystemClass: VisualSequenceSystem, stage: SystemStage.FLOW, after: ['CombatResultSystem'] },
+    { SystemClass: TaskSystem, stage: SystemStage.FLOW, after: ['VisualSequenceSystem'], timeScaled: true },
+    // deltaTime を使わない（タスクの開始時に演出を依頼するだけで、VFX の表示時間は CSS アニメーションに合わせて実時間で数える）
+    { SystemClass: VisualDirectorSystem, stage: SystemStage.FLOW, after: ['TaskSystem'] },
+    { SystemClass: WinConditionSystem, stage: SystemStage.FLOW },
+    // TimerSystem はタイマーごとに TimeScale を適用するため実時間を受け取る
+    { SystemClass: TimerSystem, stage: SystemStage.FLOW },
+    { SystemClass: GaugeSystem, stage: SystemStage.FLOW, timeScaled: true },
+    // deltaTime を使わず位置をゲージの値から求めるため、ゲージ (timeScaled) と同じ速さで進む
+    { SystemClass: MovementSystem, stage: SystemStage.FLOW, after: ['GaugeSystem'] },
+    { SystemClass: EffectSystem, stage: SystemStage.FLOW },
 
-    const aiSystem = new AiSystem(world);
-    const actionSelectionSystem = new ActionSelectionSystem(world);
-    
-    const renderSystem = new RenderSystem(world);
-    const animationSystem = new AnimationSystem(world);
-    const visualDirectorSystem = new VisualDirectorSystem(world);
-    const visualSequenceSystem = new VisualSequenceSystem(world);
+    // --- UI・演出 ---
+    { SystemClass: ModalSystem, stage: SystemStage.VISUAL },
+    { SystemClass: ActionPanelSystem, stage: SystemStage.VISUAL, after: ['ModalSystem'], headless: null },
+    { SystemClass: AnimationSystem, stage: SystemStage.VISUAL, timeScaled: true },
+    { SystemClass: TweenSystem, stage: SystemStage.VISUAL, after: ['AnimationSystem'], timeScaled: true },
+    // AudioManager がない（ヘッドレス実行など）場合は再生要求を読み捨てる
+    { SystemClass: AudioSystem, stage: SystemStage.VISUAL },
+    // 実時間で更新する（VFX の CSS アニメーションと同じく戦闘速度の影響を受けない）
+    { SystemClass: BattleCameraSystem, stage: SystemStage.VISUAL, headless: null },
 
-    const gameFlowSystem = new GameFlowSystem(world);
-    const winConditionSystem = new WinConditionSystem(world);
-    const turnSystem = new TurnSystem(world);
-    const battleSequenceSystem = new BattleSequenceSystem(world); 
-    const timerSystem = new TimerSystem(world);
-    const taskSystem = new TaskSystem(world);
-    
-    const gaugeSystem = new GaugeSystem(world);
-    const movementSystem = new MovementSystem(world);
-    const effectSystem = new EffectSystem(world); 
-    const battleHistorySystem = new BattleHistorySystem(world);
-    const stateTransitionSystem = new StateTransitionSystem(world);
-    const componentUpdateSystem = new ComponentUpdateSystem(world);
+    // --- 描画 ---
+    { SystemClass: RenderSystem, stage: SystemStage.RENDER, headless: null },
+    { SystemClass: DebugSystem, stage: SystemStage.RENDER, enabled: CONFIG.DEBUG },
+];
 
-    const targetingSystem = new TargetingSystem(world);
-    const actionExecutionSystem = new ActionExecutionSystem(world);
+/**
+ * @param {World} world
+ * @param {GameDataManager} gameDataManager
+ * @param {object} [options]
+ * @param {boolean} [options.headless=false] - DOMを必要とするシステムを代替システムに差し替える
+ */
+export function initializeSystems(world, gameDataManager, { headless = false } = {}) {
 
-    const effectProcessorSystem = new EffectProcessorSystem(world);
-    const combatResultSystem = new CombatResultSystem(world);
+    // 初期化処理
+    EffectRegistry.initialize();
+    TraitRegistry.initialize();
 
-    if (CONFIG.DEBUG) {
-        new DebugSystem(world);
+    for (const { SystemClass, headless: HeadlessClass, ...options } of SYSTEM_DEFINITIONS) {
+        const ActualClass = headless && HeadlessClass !== undefined ? HeadlessClass : SystemClass;
+        if (!ActualClass) continue;
+        world.registerSystem(new ActualClass(world), options);
     }
-    
-    world.registerSystem(uiInputSystem);
-    world.registerSystem(stateTransitionSystem); 
-    world.registerSystem(componentUpdateSystem);
-    world.registerSystem(gameFlowSystem);
-    world.registerSystem(turnSystem);
-    world.registerSystem(aiSystem);
-    world.registerSystem(actionSelectionSystem);
-    world.registerSystem(battleSequenceSystem); 
-    world.registerSystem(targetingSystem);
-    world.registerSystem(actionExecutionSystem);
-    world.registerSystem(effectProcessorSystem);
-    world.registerSystem(combatResultSystem);
-    world.registerSystem(battleHistorySystem);
-    world.registerSystem(visualSequenceSystem);
-    world.registerSystem(taskSystem);
-    world.registerSystem(visualDirectorSystem);
-    world.registerSystem(winConditionSystem);
-    world.registerSystem(timerSystem);
-    world.registerSystem(gaugeSystem);
-    world.registerSystem(movementSystem);
-    world.registerSystem(effectSystem);
-    world.registerSystem(modalSystem);
-    world.registerSystem(actionPanelSystem);
-    world.registerSystem(animationSystem);
-    world.registerSystem(renderSystem);
 }
@@ -9,13 +9,32 @@ import { TeamID, PartInfo } from '../../common/constants.js';
 import { PARTS_DATA } from '../../data/parts.js';
 import { MEDALS_DATA } from '../../data/medals.js';
 import { MedalPersonality } from '../../common/constants.js';
+import { RandomStream } from '../common/constants.js';
+import { BattleRandom } from '../utils/BattleRandom.js';
+
+/**
+ * セーブデータ形式のメダロット情報を createBattleMedarotEntity が期待する形式に変換する
+ * @param {Object} originalData - { name, set: { parts }, medalId }
+ * @returns {Object}
+ */
+function toBattleMedarotData(originalData) {
+    return {
+        name: originalData.name,
+        partsIds: originalData.set.parts, // set.parts を partsIds にマッピング
+        medalId: originalData.medalId,
+        // 必要に応じて personality も含める
+    };
+}
 
 /**
  * チーム全体のメダロットを生成する
  * @param {Object} world - ECSワールド
  * @param {Array} playerTeamData - プレイヤーチームのデータ
+ * @param {Array} [enemyTeamData=null] - 敵チームのデータ（省略時はランダム生成）
  */
-export function createBattleTeam(world, playerTeamData = null) {
+export function createBattleTeam(world, playerTeamData = null, enemyTeamData = null) {
+    const rng = BattleRandom.stream(world, RandomStream.GENERATION);
+
     for (const teamIdString of Object.keys(CONFIG.TEAMS)) {
         const teamId = /** @type {TeamID} */ (teamIdString);
         for (let i = 0; i < CONFIG.PLAYERS_PER_TEAM; i++) {
@@ -31,19 +50,19 @@ export function createBattleTeam(world, playerTeamData = null) {
             if (teamId === TeamID.TEAM1) {
                 // プレイヤー (TEAM1) の場合
                 if (playerTeamData && playerTeamData[i]) {
-                    const originalData = playerTeamData[i];
-                    // createBattleMedarotEntity が期待する形式に変換
-                    finalMedarotData = {
-                        name: originalData.name,
-                        partsIds: originalData.set.parts, // set.parts を partsIds にマッピング
-                        medalId: originalData.medalId,
-                        // 必要に応じて personality も含める
-                    };
+                    finalMedarotData = toBattleMedarotData(playerTeamData[i]);
                 } else {
                     // データがない場合はエラー or ダミーデータ
                     console.error(`No medarotData found for TEAM1 player at index ${i}. Skipping.`);
                     continue;
                 }
+            } else if (teamId === TeamID.TEAM2 && enemyTeamData) {
+                // 敵 (TEAM2) のデータが指定されている場合
+                if (!enemyTeamData[i]) {
+                    console.error(`No medarotData found for TEAM2 player at index ${i}. Skipping.`);
+                    continue;
+                }
+                finalMedarotData = toBattleMedarotData(enemyTeamData[i]);
             } else if (teamId === TeamID.TEAM2) {
                 // 敵 (TEAM2) の場合、ランダムデータを生成
                 const partKeys = Object.values(PartInfo).map(p => p.key);
@@ -51,7 +70,7 @@ export function createBattleTeam(world, playerTeamData = null) {
                 for (const partKey of partKeys) {
                     const partIdList = Object.keys(PARTS_DATA[partKey]);
                     if (partIdList.length > 0) {
-                        partIds[partKey] = partIdList[Math.floor(Math.random() * partIdList.length)];
+                        partIds[partKey] = rng.pick(partIdList);
                     }
                 }
 
@@ -60,7 +79,7 @@ export function createBattleTeam(world, playerTeamData = null) {
                 let name = `エネミー #${i}`; // フォールバック名
                 let personality = null;
                 if (medalKeys.length > 0) {
-                    const randomMedalId = medalKeys[Math.floor(Math.random() * medalKeys.length)];
+                    const randomMedalId = rng.pick(medalKeys);
                     const medalData = MEDALS_DATA[randomMedalId];
                     if (medalData) {
                         name = medalData.name;
@@ -71,7 +90,7 @@ export function createBattleTeam(world, playerTeamData = null) {
                 // personality が未設定の場合のフォールバック
                 if (!personality) {
                     const personalityTypes = Object.values(MedalPersonality);
-                    personality = personalityTypes[Math.floor(Math.random() * personalityTypes.length)];
+                    personality = rng.pick(personalityTypes);
                 }
 
                 finalMedarotData = {
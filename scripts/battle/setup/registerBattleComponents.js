@@ -0,0 +1,61 @@
+/**
+ * @file registerBattleComponents.js
+ * @description バトルシーンで使用するコンポーネントを ComponentRegistry に登録する。
+ * スナップショット（中断セーブ）の書き出し・復元は、ここで登録された型名を介して行われる。
+ */
+import { ComponentRegistry } from '../../../engine/core/ComponentRegistry.js';
+import { InputManager } from '../../../engine/input/InputManager.js';
+import { UIManager } from '../../../engine/ui/UIManager.js';
+import { AudioManager } from '../../../engine/audio/AudioManager.js';
+import { RandomService } from '../../../engine/stdlib/components/RandomService.js';
+import { RandomGenerator } from '../../../engine/utils/Random.js';
+import { TweenTimeline } from '../../../engine/stdlib/components/TweenTimeline.js';
+import { TimeScale } from '../../../engine/core/TimeScale.js';
+import { Timer } from '../../../engine/stdlib/components/Timer.js';
+import * as BattleComponents from '../components/index.js';
+import * as VisualRequests from '../components/VisualRequest.js';
+import * as CommonComponents from '../../components/index.js';
+import * as CommonEvents from '../../components/Events.js';
+import { Team } from '../../components/Team.js';
+import { Visual, BattleUIState } from '../components/index.js';
+
+let isRegistered = false;
+
+export function registerBattleComponents() {
+    if (isRegistered) return;
+    isRegistered = true;
+
+    ComponentRegistry.registerAll(BattleComponents);
+    ComponentRegistry.registerAll(VisualRequests);
+    ComponentRegistry.registerAll(CommonComponents);
+    // バトル側のコンポーネントと型名が衝突しないよう名前空間を付与する
+    ComponentRegistry.registerAll(CommonEvents, { namespace: 'events' });
+    ComponentRegistry.register('Team', Team);
+    // 乱数の内部状態も保存し、再開後も同じ乱数列を引き継ぐ
+    ComponentRegistry.register('RandomService', RandomService);
+    ComponentRegistry.register('RandomGenerator', RandomGenerator);
+    // 再生途中の演出も保存する（定義内のコンポーネントは型名で指定するため復元できる）
+    ComponentRegistry.register('TweenTimeline', TweenTimeline);
+    // 戦闘速度と一時停止（モーダル表示中など）の状態
+    ComponentRegistry.register('TimeScale', TimeScale);
+    // コールバックは保存されないため、中断をまたぐタイマーはイベントで通知すること
+    ComponentRegistry.register('Timer', Timer);
+
+    // DOMやブラウザAPIを保持するため保存対象外
+    ComponentRegistry.register('InputManager', InputManager, { transient: true });
+    ComponentRegistry.register('UIManager', UIManager, { transient: true });
+    ComponentRegistry.register('AudioManager', AudioManager, { transient: true });
+
+    // 描画キャッシュは復元先のDOMと一致しないため破棄し、再描画させる
+    ComponentRegistry.register('Visual', Visual, {
+        onRestore: (visual) => {
+            visual.isInitialized = false;
+            visual.cache = new Visual().cache;
+        }
+    });
+    ComponentRegistry.register('BattleUIState', BattleUIState, {
+        onRestore: (uiState) => {
+            uiState.renderCache = new BattleUIState().renderCache;
+        }
+    });
+}
@@ -131,22 +131,20 @@ export class ActionSelectionSystem extends System {
         });
 
         // 状態遷移: SELECTED_CHARGING -> IsCharging
-        const req1 = this.world.createEntity();
-        this.world.addComponent(req1, new TransitionStateRequest(
-            entityId,
-            PlayerStateType.SELECTED_CHARGING
-        ));
-
-        const req2 = this.world.createEntity();
-        this.world.addComponent(req2, new UpdateComponentRequest(
-            entityId,
-            Gauge,
-            {
+        this.world.events.emit(TransitionStateRequest, {
+            targetId: entityId,
+            newState: PlayerStateType.SELECTED_CHARGING
+        });
+
+        this.world.events.emit(UpdateComponentRequest, {
+            targetId: entityId,
+            componentType: Gauge,
+            updates: {
                 value: 0,
                 currentSpeed: 0,
                 speedMultiplier: speedMultiplier
             }
-        ));
+        });
     }
 
     _triggerRequeue(entityId) {
@@ -17,7 +17,6 @@ import {
 } from '../../components/index.js';
 import { Parts } from '../../../components/index.js';
 import { TransitionStateRequest } from '../../components/CommandRequests.js';
-import { ActionCancelledEvent } from '../../components/Requests.js';
 import { PlayerStateType, BattlePhase, TargetTiming } from '../../common/constants.js';
 import { ValidationLogic } from '../../logic/ValidationLogic.js';
 import { BattleQueries } from '../../queries/BattleQueries.js';
@@ -77,11 +76,10 @@ export class BattleSequenceSystem extends System {
             const state = this.world.getComponent(entityId, BattleSequenceState);
 
             // 演出待機状態へ遷移
-            const reqEntity = this.world.createEntity();
-            this.world.addComponent(reqEntity, new TransitionStateRequest(
-                entityId,
-                PlayerStateType.AWAITING_ANIMATION
-            ));
+            this.world.events.emit(TransitionStateRequest, {
+                targetId: entityId,
+                newState: PlayerStateType.AWAITING_ANIMATION
+            });
 
             // キャンセルチェック
             const cancelCheck = ValidationLogic.checkCancellation(this.world, entityId);
@@ -101,9 +99,7 @@ export class BattleSequenceSystem extends System {
 
     _handleImmediateCancel(entityId, state, reason) {
         state.contextData = { isCancelled: true, cancelReason: reason };
-        const evt = this.world.createEntity();
-        this.world.addComponent(evt, new ActionCancelledEvent(entityId, reason));
-        
+
         this.world.addComponent(entityId, new GeneratingVisuals());
     }
 
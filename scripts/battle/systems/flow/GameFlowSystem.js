@@ -33,15 +33,11 @@ export class GameFlowSystem extends System {
         }
 
         // BattleStartConfirmedRequestを検知して、BATTLE_STARTフェーズに遷移
-        const startConfirmedRequests = this.getEntities(BattleStartConfirmedRequest);
-        for (const id of startConfirmedRequests) {
+        if (this.world.events.consume(BattleStartConfirmedRequest).length > 0) {
             this.battleFlowState.phase = BattlePhase.BATTLE_START;
-            this.world.destroyEntity(id); // リクエストは処理後削除
         }
 
-        const resetRequests = this.getEntities(ResetButtonClickedRequest);
-        for (const id of resetRequests) {
-            this.world.destroyEntity(id);
+        if (this.world.events.consume(ResetButtonClickedRequest).length > 0) {
             const req = this.world.createEntity();
             this.world.addComponent(req, new SceneChangeRequest('map', {
                 battleResult: this._getBattleResult()
@@ -49,10 +45,8 @@ export class GameFlowSystem extends System {
         }
 
         if (this.battleFlowState.phase === BattlePhase.BATTLE_START) {
-             const completedTags = this.getEntities(BattleStartAnimationCompleted);
-             if (completedTags.length > 0) {
+             if (this.world.events.consume(BattleStartAnimationCompleted).length > 0) {
                  this._onBattleAnimationCompleted();
-                 for (const id of completedTags) this.world.destroyEntity(id);
              }
         }
     }
@@ -76,7 +70,7 @@ export class GameFlowSystem extends System {
                 break;
 
             case BattlePhase.BATTLE_START:
-                this.world.addComponent(this.world.createEntity(), new BattleStartAnimationRequest());
+                this.world.events.emit(BattleStartAnimationRequest);
                 break;
 
             case BattlePhase.GAME_OVER:
@@ -93,19 +87,14 @@ export class GameFlowSystem extends System {
             const gauge = this.world.getComponent(id, Gauge);
             const isBroken = this.world.getComponent(id, IsBroken);
 
-            const req1 = this.world.createEntity();
-            this.world.addComponent(req1, new UpdateComponentRequest(id, Gauge, { value: 0 }));
+            const events = this.world.events;
+            events.emit(UpdateComponentRequest, { targetId: id, componentType: Gauge, updates: { value: 0 } });
 
             if (!isBroken) {
                 // 初期状態として ReadyToSelect へ遷移させる
-                const req2 = this.world.createEntity();
-                this.world.addComponent(req2, new TransitionStateRequest(id, PlayerStateType.READY_SELECT));
-
-                const req3 = this.world.createEntity();
-                this.world.addComponent(req3, new UpdateComponentRequest(id, Gauge, { value: gauge.max, speedMultiplier: 1.0 }));
-
-                const req4 = this.world.createEntity();
-                this.world.addComponent(req4, new UpdateComponentRequest(id, Action, new Action()));
+                events.emit(TransitionStateRequest, { targetId: id, newState: PlayerStateType.READY_SELECT });
+                events.emit(UpdateComponentRequest, { targetId: id, componentType: Gauge, updates: { value: gauge.max, speedMultiplier: 1.0 } });
+                events.emit(UpdateComponentRequest, { targetId: id, componentType: Action, updates: new Action() });
 
                 this.world.addComponent(id, new ActionSelectionPending());
             }
@@ -11,7 +11,7 @@ import {
 import { 
     WaitTask, MoveTask, AnimateTask, CustomTask,
     DialogTask, VfxTask, CameraTask, UiAnimationTask, ApplyVisualEffectTask,
-    StateControlTask
+    StateControlTask, TweenTask
 } from '../../components/Tasks.js';
 import {
     SetPlayerBrokenRequest,
@@ -27,6 +27,20 @@ import {
 import {
     CheckActionCancellationState
 } from '../../components/States.js';
+import { TweenTimeline } from '../../../../engine/stdlib/components/TweenTimeline.js';
+import { PlaySoundRequest } from '../../../../engine/stdlib/components/PlaySoundRequest.js';
+
+// 完了を待たないタスク（タスクコンポーネントを付けないため、同じフレームで続けて次のタスクを開始する）
+const INSTANT_TASK_TYPES = new Set(['SOUND']);
+
+/**
+ * @param {object} taskData
+ * @returns {boolean} 完了を待たずに次のタスクを開始するか
+ */
+function isInstantTask(taskData) {
+    // TWEEN タスクは wait: false の場合のみ、動きを再生させたまま次へ進む
+    return INSTANT_TASK_TYPES.has(taskData.type) || (taskData.type === 'TWEEN' && taskData.wait === false);
+}
 
 export class TaskSystem extends System {
     constructor(world) {
@@ -34,13 +48,14 @@ export class TaskSystem extends System {
         this.taskComponents = [
             WaitTask, MoveTask, AnimateTask, CustomTask,
             DialogTask, VfxTask, CameraTask, UiAnimationTask, ApplyVisualEffectTask,
-            StateControlTask
+            StateControlTask, TweenTask
         ];
     }
 
     update(deltaTime) {
         // 1. 各種タスクコンポーネントの実行処理
         this._processWaitTasks(deltaTime);
+        this._processTweenTasks();
         this._processInstantTasks(); 
         
         // 2. シーケンス進行管理 (ExecutingVisualsを持つエンティティのみ)
@@ -68,6 +83,10 @@ export class TaskSystem extends System {
 
         const nextTaskData = sequence.tasks.shift();
         this._activateTask(entityId, nextTaskData);
+
+        if (isInstantTask(nextTaskData)) {
+            this._updateSequence(entityId);
+        }
     }
 
     _activateTask(entityId, taskData) {
@@ -94,12 +113,29 @@ export class TaskSystem extends System {
                 case 'STATE_CONTROL':
                     this.world.addComponent(entityId, new StateControlTask(taskData.updates));
                     break;
+                case 'TWEEN': {
+                    // アクターに付けると、HPバーなど同じエンティティで再生中のタイムラインを置き換えてしまうため専用のエンティティで再生する
+                    const tweenEntityId = this.world.createEntity();
+                    this.world.addComponent(tweenEntityId, new TweenTimeline(taskData.timeline, { destroyEntity: true }));
+                    if (!isInstantTask(taskData)) {
+                        this.world.addComponent(entityId, new TweenTask(tweenEntityId));
+                    }
+                    break;
+                }
                 case 'APPLY_VISUAL_EFFECT':
                     this.world.addComponent(entityId, new ApplyVisualEffectTask(taskData.targetId, taskData.className));
                     break;
                 case 'CUSTOM':
                     this.world.addComponent(entityId, new CustomTask(taskData.executeFn));
                     break;
+                case 'SOUND':
+                    // 効果音は鳴らし終わるのを待たない
+                    this.world.events.emit(PlaySoundRequest, {
+                        sound: taskData.sound,
+                        volume: taskData.volume ?? 1,
+                        playbackRate: taskData.playbackRate ?? 1
+                    });
+                    break;
                 case 'CREATE_REQUEST':
                     this._handleCreateRequest(taskData);
                     this.world.addComponent(entityId, new WaitTask(0));
@@ -113,16 +149,16 @@ export class TaskSystem extends System {
     }
 
     _handleCreateRequest(taskData) {
-        const reqEntity = this.world.createEntity();
         switch (taskData.requestType) {
             case 'RefreshUIRequest':
-                this.world.addComponent(reqEntity, new RefreshUIRequest());
+                this.world.events.emit(RefreshUIRequest);
                 break;
             case 'CheckActionCancellationRequest':
-                const stateEntity = this.world.createEntity();
+                // 状態エンティティは同期ポイントで生成し、後続システムの処理順に依存させない
+                const commands = this.world.commands;
                 const state = new CheckActionCancellationState();
                 state.isActive = true;
-                this.world.addComponent(stateEntity, state);
+                commands.addComponent(commands.createEntity(), state);
                 break;
             default:
                 throw new Error(`Unknown request type ${taskData.requestType}`);
@@ -140,6 +176,16 @@ export class TaskSystem extends System {
         }
     }
 
+    _processTweenTasks() {
+        const entities = this.getEntities(TweenTask);
+        for (const entityId of entities) {
+            const task = this.world.getComponent(entityId, TweenTask);
+            if (!this.world.isAlive(task.tweenEntityId)) {
+                this.world.removeComponent(entityId, TweenTask);
+            }
+        }
+    }
+
     _processInstantTasks() {
         const stateControlEntities = this.getEntities(StateControlTask);
         for (const entityId of stateControlEntities) {
@@ -169,28 +215,30 @@ export class TaskSystem extends System {
 
     _applyStateUpdates(updates) {
         if (!updates) return;
+        // 消費側は LOGIC ステージのため、処理されるのは次フレームになる（システムの登録順には依存しない）
+        const events = this.world.events;
         for (const update of updates) {
-            const reqEntity = this.world.createEntity();
+            const { targetId } = update;
             switch (update.type) {
                 case 'SetPlayerBroken': 
-                    this.world.addComponent(reqEntity, new SetPlayerBrokenRequest(update.targetId)); 
+                    events.emit(SetPlayerBrokenRequest, { targetId }); 
                     break;
                 case 'ResetToCooldown': 
-                    this.world.addComponent(reqEntity, new ResetToCooldownRequest(update.targetId, update.options)); 
+                    events.emit(ResetToCooldownRequest, { targetId, options: update.options || {} }); 
                     break;
                 case 'TransitionState': 
-                    this.world.addComponent(reqEntity, new TransitionStateRequest(update.targetId, update.newState)); 
+                    events.emit(TransitionStateRequest, { targetId, newState: update.newState }); 
                     break;
                 case 'UpdateComponent': 
-                    this.world.addComponent(reqEntity, new UpdateComponentRequest(update.targetId, update.componentType, update.updates)); 
+                    events.emit(UpdateComponentRequest, { targetId, componentType: update.componentType, updates: update.updates }); 
                     break;
                 case 'CustomUpdateComponent': 
-                    this.world.addComponent(reqEntity, new CustomUpdateComponentRequest(update.targetId, update.componentType, update.customHandler)); 
+                    events.emit(CustomUpdateComponentRequest, { targetId, componentType: update.componentType, customHandler: update.customHandler }); 
                     break;
                 case 'TransitionToCooldown': 
-                    this.world.addComponent(reqEntity, new TransitionToCooldownRequest(update.targetId)); 
+                    events.emit(TransitionToCooldownRequest, { targetId }); 
                     break;
             }
         }
     }
-}
+}
\ No newline at end of file
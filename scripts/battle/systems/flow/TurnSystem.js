@@ -52,8 +52,7 @@ export class TurnSystem extends System {
         const battleFlowState = this.world.getSingletonComponent(BattleFlowState);
         battleFlowState.turnNumber++;
 
-        const signalEntity = this.world.createEntity();
-        this.world.addComponent(signalEntity, new TurnEndedSignal(battleFlowState.turnNumber - 1));
+        this.world.events.emit(TurnEndedSignal, { turnNumber: battleFlowState.turnNumber - 1 });
 
         battleFlowState.phase = BattlePhase.TURN_START;
     }
@@ -11,7 +11,8 @@ import {
 import { ApplyEffect, EffectContext } from '../../components/effects/Effects.js';
 import { CombatCalculator } from '../../logic/CombatCalculator.js';
 import { buildHitOutcomeParams } from '../../logic/CombatParameterBuilder.js';
-import { EffectType } from '../../common/constants.js';
+import { EffectType, RandomStream } from '../../common/constants.js';
+import { BattleRandom } from '../../utils/BattleRandom.js';
 
 export class ActionExecutionSystem extends System {
     constructor(world) {
@@ -56,7 +57,8 @@ export class ActionExecutionSystem extends System {
             }),
             defenseChance: CombatCalculator.calculateDefenseChance({
                 armor: params.targetArmor
-            })
+            }),
+            rng: BattleRandom.stream(this.world, RandomStream.COMBAT)
         };
 
         ctx.outcome = CombatCalculator.resolveHitOutcome(calcParams);
@@ -73,7 +75,7 @@ export class ActionExecutionSystem extends System {
         const { action, attackingPart, attackerId, finalTargetId, outcome, guardianInfo } = ctx;
 
         // 命中しなかった場合はエフェクトを生成しない（支援行動は必中扱い）
-        if (!outcome.isHit && finalTargetId) {
+        if (!outcome.isHit && finalTargetId != null) {
             return;
         }
 
@@ -110,7 +112,7 @@ export class ActionExecutionSystem extends System {
             let targetPartKey = action.targetPartKey;
             
             // ダメージ系かつターゲットがいる場合、命中判定結果（身代わり含む）の部位を採用
-            if (effectDef.type === EffectType.DAMAGE && finalTargetId) {
+            if (effectDef.type === EffectType.DAMAGE && finalTargetId != null) {
                 targetPartKey = outcome.finalTargetPartKey;
             }
 
@@ -22,25 +22,19 @@ export class ComponentUpdateSystem extends System {
 
     update(deltaTime) {
         // --- 汎用更新リクエスト ---
-        const updateEntities = this.getEntities(UpdateComponentRequest);
-        for (const entityId of updateEntities) {
-            const request = this.world.getComponent(entityId, UpdateComponentRequest);
+        for (const request of this.world.events.consume(UpdateComponentRequest)) {
             const component = this.world.getComponent(request.targetId, request.componentType);
             if (component) {
                 _deepMerge(component, request.updates);
             }
-            this.world.destroyEntity(entityId); // リクエストエンティティを削除
         }
 
         // --- カスタム更新リクエスト ---
-        const customUpdateEntities = this.getEntities(CustomUpdateComponentRequest);
-        for (const entityId of customUpdateEntities) {
-            const request = this.world.getComponent(entityId, CustomUpdateComponentRequest);
+        for (const request of this.world.events.consume(CustomUpdateComponentRequest)) {
             const component = this.world.getComponent(request.targetId, request.componentType);
             if (component && request.customHandler) {
                 request.customHandler(component, this.world);
             }
-            this.world.destroyEntity(entityId); // リクエストエンティティを削除
         }
     }
 }
\ No newline at end of file
@@ -6,10 +6,7 @@
 import { System } from '../../../../engine/core/System.js';
 import { ActiveEffects, IsGuarding } from '../../components/index.js';
 import { ResetToCooldownRequest, CustomUpdateComponentRequest } from '../../components/CommandRequests.js';
-import {
-    TurnEndedSignal,
-    EffectExpiredEvent
-} from '../../components/Requests.js';
+import { TurnEndedSignal } from '../../components/Requests.js';
 import { EffectType } from '../../common/constants.js';
 
 export class EffectSystem extends System {
@@ -25,16 +22,10 @@ export class EffectSystem extends System {
     }
 
     _checkTurnEndSignal() {
-        const signals = this.getEntities(TurnEndedSignal);
-        if (signals.length > 0) {
-            // ターン終了処理の実行
+        // シグナルを消費し、ターン終了処理を実行
+        if (this.world.events.consume(TurnEndedSignal).length > 0) {
             const allEntities = this.getEntities(ActiveEffects);
             allEntities.forEach(id => this._processTurnEndForEntity(id));
-
-            // シグナルを消費（エンティティ削除）
-            for (const id of signals) {
-                this.world.destroyEntity(id);
-            }
         }
     }
 
@@ -91,18 +82,13 @@ export class EffectSystem extends System {
     }
 
     /**
-     * 期限切れエフェクトに対する副作用（イベント発行、ガード解除など）を処理する
+     * 期限切れエフェクトに対する副作用（ガード解除など）を処理する
      */
     _handleExpiredEffects(entityId, expiredEffects) {
         for (const effect of expiredEffects) {
-            // 期限切れイベントコンポーネントを生成 (ログ出力等に使用)
-            const evt = this.world.createEntity();
-            this.world.addComponent(evt, new EffectExpiredEvent(entityId, effect));
-
             // ガード解除時の特別処理
             if (effect.type === EffectType.APPLY_GUARD && this.world.getComponent(entityId, IsGuarding)) {
-                const req = this.world.createEntity();
-                this.world.addComponent(req, new ResetToCooldownRequest(entityId, {}));
+                this.world.events.emit(ResetToCooldownRequest, { targetId: entityId, options: {} });
             }
         }
     }
@@ -111,13 +97,12 @@ export class EffectSystem extends System {
      * ActiveEffectsコンポーネントを更新するリクエストを発行する
      */
     _applyActiveEffectsUpdate(entityId, nextEffects) {
-        const req = this.world.createEntity();
-        this.world.addComponent(req, new CustomUpdateComponentRequest(
-            entityId,
-            ActiveEffects,
-            (ae) => {
+        this.world.events.emit(CustomUpdateComponentRequest, {
+            targetId: entityId,
+            componentType: ActiveEffects,
+            customHandler: (ae) => {
                 ae.effects = nextEffects;
             }
-        ));
+        });
     }
 }
\ No newline at end of file
@@ -3,12 +3,13 @@
  * @description ゲージ更新システム。
  * QueryService -> BattleQueries
  */
-import { Gauge, BattleSequenceState, SequencePending, PauseState, IsCharging, IsCooldown } from '../../components/index.js';
+import { Gauge, BattleSequenceState, SequencePending, IsCharging, IsCooldown, IsBroken } from '../../components/index.js';
 import { GaugeFullTag } from '../../components/Requests.js';
 import { Parts } from '../../../components/index.js';
 import { BattleFlowState } from '../../components/BattleFlowState.js';
 import { BattlePhase } from '../../common/constants.js';
 import { System } from '../../../../engine/core/System.js';
+import { TimeScale } from '../../../../engine/core/TimeScale.js';
 import { CombatCalculator } from '../../logic/CombatCalculator.js';
 import { BattleQueries } from '../../queries/BattleQueries.js';
 
@@ -27,7 +28,8 @@ export class GaugeSystem extends System {
             return;
         }
 
-        const isPaused = this.getEntities(PauseState).length > 0;
+        // モーダル表示中など、時間を止めない一時停止でもゲージは進めない
+        const isPaused = this.world.getSingletonComponent(TimeScale)?.isPaused ?? false;
 
         const activePhases = [
             BattlePhase.TURN_START,
@@ -44,7 +46,12 @@ export class GaugeSystem extends System {
             return;
         }
 
-        const entities = this.getEntities(Gauge, Parts);
+        // 前進中または後退中で、ゲージ満タン・機能停止していないものが対象
+        const entities = this.query({
+            all: [Gauge, Parts],
+            none: [GaugeFullTag, IsBroken],
+            any: [IsCharging, IsCooldown]
+        });
 
         for (const entityId of entities) {
             const gauge = this.world.getComponent(entityId, Gauge);
@@ -53,13 +60,7 @@ export class GaugeSystem extends System {
                 continue;
             }
 
-            if (this.world.getComponent(entityId, GaugeFullTag)) {
-                continue;
-            }
-
-            const isMoving = this.world.getComponent(entityId, IsCharging) || this.world.getComponent(entityId, IsCooldown);
-
-            if (!gauge.isActive || !isMoving || (gauge.statusFlags.has('FROZEN') || gauge.statusFlags.has('STOPPED'))) {
+            if (!gauge.isActive || (gauge.statusFlags.has('FROZEN') || gauge.statusFlags.has('STOPPED'))) {
                 continue;
             }
 
@@ -19,14 +19,13 @@ export class MovementSystem extends System {
     }
 
     update(deltaTime) {
-        const entities = this.getEntities(PlayerInfo, Position, Gauge);
+        // 機能停止中の場合は位置更新を行わない（その場に留まる）
+        const entities = this.query({
+            all: [PlayerInfo, Position, Gauge],
+            none: [IsBroken]
+        });
 
         for (const entityId of entities) {
-            // 機能停止中の場合は位置更新を行わない（その場に留まる）
-            if (this.world.getComponent(entityId, IsBroken)) {
-                continue;
-            }
-
             const gauge = this.world.getComponent(entityId, Gauge);
             const playerInfo = this.world.getComponent(entityId, PlayerInfo);
             const position = this.world.getComponent(entityId, Position);
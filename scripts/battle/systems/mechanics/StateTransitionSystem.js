@@ -22,10 +22,7 @@ import {
     TransitionToCooldownRequest,
 } from '../../components/CommandRequests.js';
 import { ActionRequeueState } from '../../components/States.js';
-import {
-    PlayerBrokenEvent,
-    GaugeFullTag
-} from '../../components/Requests.js';
+import { GaugeFullTag } from '../../components/Requests.js';
 import { PlayerStateType, EffectType } from '../../common/constants.js';
 import { TeamID } from '../../../common/constants.js';
 import { CONFIG } from '../../common/config.js';
@@ -98,7 +95,7 @@ export class StateTransitionSystem extends System {
 
         // ラインへのスナップ要求
         if (newState === PlayerStateType.GUARDING || newState === PlayerStateType.READY_EXECUTE) {
-            this.world.addComponent(this.world.createEntity(), new SnapToActionLineRequest(targetId));
+            this.world.events.emit(SnapToActionLineRequest, { targetId });
         }
     }
 
@@ -164,32 +161,23 @@ export class StateTransitionSystem extends System {
     }
 
     _processHandleGaugeFullRequests() {
-        const entities = this.getEntities(HandleGaugeFullRequest);
-        for (const entityId of entities) {
-            const request = this.world.getComponent(entityId, HandleGaugeFullRequest);
+        for (const request of this.world.events.consume(HandleGaugeFullRequest)) {
             this._handleGaugeFull(request.targetId);
-            this.world.destroyEntity(entityId);
         }
     }
 
     _processTransitionStateRequests() {
-        const entities = this.getEntities(TransitionStateRequest);
-        for (const entityId of entities) {
-            const request = this.world.getComponent(entityId, TransitionStateRequest);
+        for (const request of this.world.events.consume(TransitionStateRequest)) {
             this._applyStateTransition(request.targetId, request.newState);
-            this.world.destroyEntity(entityId);
         }
     }
 
     _processResetToCooldownRequests() {
-        const entities = this.getEntities(ResetToCooldownRequest);
-        for (const entityId of entities) {
-            const request = this.world.getComponent(entityId, ResetToCooldownRequest);
+        for (const request of this.world.events.consume(ResetToCooldownRequest)) {
             const { targetId, options } = request;
             const { interrupted = false } = options;
             
             if (!this._validateEntityAlive(targetId)) {
-                this.world.destroyEntity(entityId);
                 continue;
             }
 
@@ -212,25 +200,20 @@ export class StateTransitionSystem extends System {
             });
 
             this._clearAction(targetId);
-            this.world.destroyEntity(entityId);
         }
     }
 
     _processTransitionToCooldownRequests() {
-        const entities = this.getEntities(TransitionToCooldownRequest);
-        for (const entityId of entities) {
-            const request = this.world.getComponent(entityId, TransitionToCooldownRequest);
+        for (const request of this.world.events.consume(TransitionToCooldownRequest)) {
             const { targetId } = request;
 
             if (!this._validateEntityAlive(targetId)) {
-                this.world.destroyEntity(entityId);
                 continue;
             }
 
             // ガード中はアクションのみクリアして終了
             if (this._hasStateTag(targetId, IsGuarding)) {
                 this._clearAction(targetId);
-                this.world.destroyEntity(entityId);
                 continue;
             }
 
@@ -257,33 +240,20 @@ export class StateTransitionSystem extends System {
             this._applyStateTransition(targetId, PlayerStateType.CHARGING);
             this._resetGauge(targetId, { speedMultiplier: nextSpeedMultiplier });
             this._clearAction(targetId);
-            
-            this.world.destroyEntity(entityId);
         }
     }
 
     _processSetPlayerBrokenRequests() {
-        const entities = this.getEntities(SetPlayerBrokenRequest);
-        for (const entityId of entities) {
-            const request = this.world.getComponent(entityId, SetPlayerBrokenRequest);
+        for (const request of this.world.events.consume(SetPlayerBrokenRequest)) {
             const { targetId } = request;
             
             this._applyStateTransition(targetId, PlayerStateType.BROKEN);
             this._clearAction(targetId);
-
-            const playerInfo = this.world.getComponent(targetId, PlayerInfo);
-            if (playerInfo) {
-                const evt = this.world.createEntity();
-                this.world.addComponent(evt, new PlayerBrokenEvent(targetId, playerInfo.teamId));
-            }
-            this.world.destroyEntity(entityId);
         }
     }
     
     _processSnapToActionLineRequests() {
-        const entities = this.getEntities(SnapToActionLineRequest);
-        for (const entityId of entities) {
-            const request = this.world.getComponent(entityId, SnapToActionLineRequest);
+        for (const request of this.world.events.consume(SnapToActionLineRequest)) {
             const { targetId } = request;
             
             const position = this.world.getComponent(targetId, Position);
@@ -294,7 +264,6 @@ export class StateTransitionSystem extends System {
                     ? CONFIG.BATTLEFIELD.ACTION_LINE_TEAM1
                     : CONFIG.BATTLEFIELD.ACTION_LINE_TEAM2;
             }
-            this.world.destroyEntity(entityId);
         }
     }
 }
\ No newline at end of file
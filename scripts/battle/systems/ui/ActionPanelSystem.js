@@ -2,6 +2,7 @@
  * @file ActionPanelSystem.js
  * @description UIの状態を監視し、DOMに反映する描画専用システム。
  * 描画キャッシュをBattleUIStateコンポーネントに移管し、Systemをステートレス化。
+ * BattleUIState の変更通知（World.markChanged）があったフレームのみ描画を行う。
  */
 import { System } from '../../../../engine/core/System.js';
 import { UIManager } from '../../../../engine/ui/UIManager.js';
@@ -19,19 +20,24 @@ export class ActionPanelSystem extends System {
         this.battleUI = new BattleUIManager();
 
         // ステートレス: キャッシュ変数は削除し、uiState.renderCache を使用
+        this.uiStateQuery = this.world.createReactiveQuery({ all: [BattleUIState] });
 
         this._setupDomListeners();
         this.battleUI.resetPanel(); 
     }
 
     _setupDomListeners() {
+        const emitInput = (type, data = {}) => {
+            const stateEntity = this.world.createEntity();
+            const uiInputState = new UIInputState();
+            uiInputState.isActive = true;
+            uiInputState.type = type;
+            uiInputState.data = data;
+            this.world.addComponent(stateEntity, uiInputState);
+        };
         const emitConfirm = () => {
             if (this.uiState && this.uiState.isPanelClickable && !this.uiState.isWaitingForAnimation) {
-                const stateEntity = this.world.createEntity();
-                const uiInputState = new UIInputState();
-                uiInputState.isActive = true;
-                uiInputState.type = 'CONFIRM';
-                this.world.addComponent(stateEntity, uiInputState);
+                emitInput('CONFIRM');
             }
         };
 
@@ -43,13 +49,30 @@ export class ActionPanelSystem extends System {
         this.battleUI.dom.actionPanelButtons.addEventListener('click', (e) => {
             const button = e.target.closest('button');
             if (!button || button.disabled) return;
+            // パーツボタンはフォーカス中のボタンではなく、押されたボタンのパーツを選択する
+            if (button.dataset.key) {
+                if (this.uiState && !this.uiState.isWaitingForAnimation) {
+                    emitInput('SELECT', { key: button.dataset.key });
+                }
+                return;
+            }
             emitConfirm();
         });
     }
     
+    destroy() {
+        this.world.removeQuery(this.uiStateQuery);
+        super.destroy();
+    }
+
     update(deltaTime) {
         if (!this.uiState) return;
-        this.render();
+
+        const hasAdded = this.uiStateQuery.added().length > 0;
+        const hasChanged = this.uiStateQuery.changed().length > 0;
+        if (hasAdded || hasChanged) {
+            this.render();
+        }
     }
 
     render() {
@@ -92,8 +115,7 @@ export class ActionPanelSystem extends System {
 
             // UIリクエスト送信用関数
             const createRequest = (RequestClass) => {
-                const requestEntity = this.world.createEntity();
-                this.world.addComponent(requestEntity, new RequestClass());
+                this.world.events.emit(RequestClass);
             };
 
             // 古いイベント方式から新しいリクエスト方式への変換用ダミーコンテキスト
@@ -0,0 +1,34 @@
+/**
+ * @file AutoConfirmSystem.js
+ * @description ヘッドレス実行時に UIInputSystem の代わりに使用するシステム。
+ * アクションパネルが入力待ちになるたびに「決定」のインテントを生成し、
+ * プレイヤー操作なしでバトルを進行させる。
+ */
+import { System } from '../../../../engine/core/System.js';
+import { BattleUIState } from '../../components/index.js';
+import { UIInputState } from '../../components/States.js';
+import { ModalType } from '../../common/constants.js';
+
+export class AutoConfirmSystem extends System {
+    constructor(world) {
+        super(world);
+        this.uiState = this.world.getSingletonComponent(BattleUIState);
+
+        // 毎フレーム生成すると処理済みの状態エンティティが溜まるため、1つを使い回す
+        this.inputState = new UIInputState();
+        this.inputState.type = 'CONFIRM';
+        this.world.addComponent(this.world.createEntity(), this.inputState);
+    }
+
+    update(deltaTime) {
+        if (!this.uiState || !this.uiState.isPanelVisible || this.uiState.isWaitingForAnimation) {
+            return;
+        }
+        // 決定するとシーン遷移が発生するため、ゲームオーバー表示はそのままにする
+        if (this.uiState.currentModalType === ModalType.GAME_OVER) {
+            return;
+        }
+
+        this.inputState.isActive = true;
+    }
+}
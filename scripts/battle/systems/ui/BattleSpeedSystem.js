@@ -0,0 +1,60 @@
+/**
+ * @file BattleSpeedSystem.js
+ * @description 戦闘速度の切り替えを行うシステム。
+ * 切り替えキー（または速度表示のタップ）で CONFIG.BATTLE_SPEEDS の順に速度を上げ、最速の次は一時停止、その次は等速に戻る。
+ * 速度は TimeScale の倍率として、一時停止は PauseReason.USER の停止理由として World に反映する。
+ */
+import { System } from '../../../../engine/core/System.js';
+import { TimeScale } from '../../../../engine/core/TimeScale.js';
+import { InputManager } from '../../../../engine/input/InputManager.js';
+import { BattleSpeedIndicator } from '../../ui/BattleSpeedIndicator.js';
+import { CONFIG } from '../../common/config.js';
+import { PauseReason } from '../../common/constants.js';
+import { InputAction } from '../../../common/constants.js';
+
+export class BattleSpeedSystem extends System {
+    constructor(world) {
+        super(world);
+        this.input = this.world.getSingletonComponent(InputManager);
+        this.indicator = new BattleSpeedIndicator(
+            document.getElementById('battle-container'),
+            () => { this.isToggleRequested = true; }
+        );
+        // DOMのクリックはフレーム外で発生するため、次の update で処理する
+        this.isToggleRequested = false;
+    }
+
+    update(deltaTime) {
+        const timeScale = this.world.getSingletonComponent(TimeScale);
+        if (!timeScale) return;
+
+        if (this.isToggleRequested || this.input?.wasActionJustPressed(InputAction.BATTLE_SPEED)) {
+            this._cycleSpeed(timeScale);
+        }
+        this.isToggleRequested = false;
+
+        this.indicator.render(timeScale.scale, timeScale.isPausedBy(PauseReason.USER));
+    }
+
+    destroy() {
+        this.indicator.destroy();
+    }
+
+    _cycleSpeed(timeScale) {
+        const speeds = CONFIG.BATTLE_SPEEDS;
+
+        if (timeScale.isPausedBy(PauseReason.USER)) {
+            timeScale.resume(PauseReason.USER);
+            timeScale.scale = speeds[0];
+            return;
+        }
+
+        const index = speeds.indexOf(timeScale.scale);
+        if (index === speeds.length - 1) {
+            // 一時停止中も倍率は保持し、保存される速度が変わらないようにする
+            timeScale.pause(PauseReason.USER);
+        } else {
+            timeScale.scale = speeds[index + 1];
+        }
+    }
+}
@@ -7,9 +7,7 @@ export class DebugSystem extends System {
     }
 
     update(deltaTime) {
-        const entities = this.getEntities(StrategyExecutedEvent);
-        for (const entityId of entities) {
-            const evt = this.world.getComponent(entityId, StrategyExecutedEvent);
+        for (const evt of this.world.events.consume(StrategyExecutedEvent)) {
             const { strategy, attackerId, target } = evt;
             
             console.log(
@@ -18,9 +16,6 @@ export class DebugSystem extends System {
                 'color: #faf089; font-weight: bold;',
                 'color: #90cdf4;'
             );
-
-            // デバッグイベントの消費（削除）
-            this.world.destroyEntity(entityId);
         }
     }
 }
\ No newline at end of file
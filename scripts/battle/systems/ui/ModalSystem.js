@@ -6,10 +6,12 @@
 import { System } from '../../../../engine/core/System.js';
 import { BattleUIState } from '../../components/index.js';
 import { modalHandlers } from '../../ui/modalHandlers.js';
-import { ModalType } from '../../common/constants.js';
+import { ModalType, PauseReason } from '../../common/constants.js';
 import { BattleRequestFactory } from '../../utils/BattleRequestFactory.js';
 import { ModalState, PlayerInputState, ActionRequeueState, AnimationState, UIStateUpdateState, UIInputState } from '../../components/States.js';
-import { PauseState } from '../../components/PauseState.js';
+import { TimeScale } from '../../../../engine/core/TimeScale.js';
+import { TimerHandle, startTimer } from '../../../../engine/stdlib/components/Timer.js';
+import { ModalTimeoutEvent } from '../../components/Requests.js';
 import {
     BattleStartConfirmedRequest,
     BattleStartCancelledRequest,
@@ -20,6 +22,7 @@ export class ModalSystem extends System {
     constructor(world) {
         super(world);
         this.uiState = this.world.getSingletonComponent(BattleUIState);
+        this.uiEntityId = this.getEntities(BattleUIState)[0] ?? null;
         this.handlers = modalHandlers;
     }
 
@@ -40,6 +43,9 @@ export class ModalSystem extends System {
 
         // 5. ユーザー入力状態の処理
         this._processInputStates();
+
+        // 6. 制限時間切れの処理
+        this._processTimeouts();
     }
 
     // --- Request Processing ---
@@ -77,19 +83,18 @@ export class ModalSystem extends System {
                         services: {} // modalHandlers内で直接importするため不要
                     });
 
+                    const commands = this.world.commands;
                     if (modalData) {
-                        const modalStateEntity = this.world.createEntity();
                         const modalState = new ModalState();
                         modalState.type = ModalType.SELECTION;
                         modalState.data = modalData;
                         modalState.priority = 'high';
-                        this.world.addComponent(modalStateEntity, modalState);
+                        commands.addComponent(commands.createEntity(), modalState);
                     } else {
-                        const stateEntity = this.world.createEntity();
                         const actionRequeueState = new ActionRequeueState();
                         actionRequeueState.isActive = true;
                         actionRequeueState.entityId = state.entityId;
-                        this.world.addComponent(stateEntity, actionRequeueState);
+                        commands.addComponent(commands.createEntity(), actionRequeueState);
                     }
                 }
                 state.isActive = false;
@@ -126,14 +131,38 @@ export class ModalSystem extends System {
         this.uiState.currentModalCallback = modalContext.onComplete || null;
         this.uiState.currentMessageSequence = modalContext.messageSequence || [{}];
         this.uiState.currentSequenceIndex = 0;
-        this.uiState.activeModalEntityId = modalContext.entityId || null; 
+        this.uiState.activeModalEntityId = modalContext.entityId ?? null;
 
-        if (this.getEntities(PauseState).length === 0) {
-            const pauseEntity = this.world.createEntity();
-            this.world.addComponent(pauseEntity, new PauseState());
-        }
+        // 表示中はゲージを止める。HPバーの演出はモーダルの表示中に進めるため時間は止めない
+        this.world.getSingletonComponent(TimeScale)?.pause(PauseReason.MODAL, { stopTime: false });
 
         this.displayCurrentSequenceStep();
+        this._startModalTimer();
+    }
+
+    /**
+     * ハンドラーに制限時間 (timeLimit) があればタイマーを開始する。
+     * タイマーは戦闘速度に従い、一時停止中は止まる（モーダル表示による停止では止まらない）。
+     */
+    _startModalTimer() {
+        const handler = this.handlers[this.uiState.currentModalType];
+        if (!handler?.timeLimit || !this.uiState.isProcessingQueue) return;
+
+        const timer = startTimer(this.world, handler.timeLimit, {
+            event: ModalTimeoutEvent,
+            payload: { modalEntityId: this.uiState.activeModalEntityId }
+        });
+        this.uiState.modalTimerId = timer.entityId;
+    }
+
+    _processTimeouts() {
+        for (const event of this.world.events.consume(ModalTimeoutEvent)) {
+            // 時間切れと同じフレームで閉じたモーダルの通知は無視する
+            const isCurrentModal = this.uiState.isPanelVisible && event.modalEntityId === this.uiState.activeModalEntityId;
+            if (isCurrentModal && !this.uiState.isWaitingForAnimation) {
+                this._handleUserInput('handleTimeout');
+            }
+        }
     }
 
     // --- Input Processing ---
@@ -159,6 +188,9 @@ export class ModalSystem extends System {
                     case 'CONFIRM':
                         this._handleUserInput('handleConfirm');
                         break;
+                    case 'SELECT':
+                        this._handleUserInput('handleSelect', state.data.key);
+                        break;
                     case 'CANCEL':
                         this._handleUserInput('handleCancel');
                         break;
@@ -183,13 +215,13 @@ export class ModalSystem extends System {
         if (currentStep.waitForAnimation) {
             this.uiState.isWaitingForAnimation = true;
             
-            const stateEntity = this.world.createEntity();
             const animationState = new AnimationState();
             animationState.type = 'HP_BAR';
             animationState.data = {
                 appliedEffects: currentStep.effects || this.uiState.currentModalData.appliedEffects || []
             };
-            this.world.addComponent(stateEntity, animationState);
+            this.world.commands.addComponent(this.world.commands.createEntity(), animationState);
+            this._markUIChanged();
             return;
         }
         this.uiState.isWaitingForAnimation = false;
@@ -201,6 +233,7 @@ export class ModalSystem extends System {
         this.uiState.buttonsData = this.uiState.currentModalData?.buttons || [];
         this.uiState.isPanelVisible = true;
         this.uiState.isPanelClickable = !!handler.isClickable;
+        this._markUIChanged();
 
         if (handler.init) {
             const action = handler.init({ data: this.uiState.currentModalData, uiState: this.uiState });
@@ -224,7 +257,8 @@ export class ModalSystem extends System {
             this.uiState.currentModalCallback();
         }
 
-        if (this.uiState.activeModalEntityId) {
+        // 表示中にモーダルのエンティティが削除されている場合がある
+        if (this.uiState.activeModalEntityId !== null && this.world.isAlive(this.uiState.activeModalEntityId)) {
             const state = this.world.getComponent(this.uiState.activeModalEntityId, ModalState);
             if (state) {
                 state.isCompleted = true;
@@ -236,8 +270,11 @@ export class ModalSystem extends System {
 
     hideCurrentModal() {
         if (this.uiState.isPanelVisible) {
-            const pauseEntities = this.getEntities(PauseState);
-            for (const id of pauseEntities) this.world.destroyEntity(id);
+            this.world.getSingletonComponent(TimeScale)?.resume(PauseReason.MODAL);
+        }
+        if (this.uiState.modalTimerId !== null) {
+            new TimerHandle(this.world, this.uiState.modalTimerId).cancel();
+            this.uiState.modalTimerId = null;
         }
         this._resetUIState();
         this.uiState.isProcessingQueue = false;
@@ -260,6 +297,7 @@ export class ModalSystem extends System {
         this.uiState.buttonsData = [];
         this.uiState.isPanelVisible = false;
         this.uiState.isPanelClickable = false;
+        this._markUIChanged();
     }
 
     _handleUserInput(handlerName, ...args) {
@@ -284,14 +322,11 @@ export class ModalSystem extends System {
                         action.detail.target
                     );
                 } else if (action.eventName === 'BATTLE_START_CONFIRMED') {
-                    const requestEntity = this.world.createEntity();
-                    this.world.addComponent(requestEntity, new BattleStartConfirmedRequest());
+                    this._emitRequest(BattleStartConfirmedRequest);
                 } else if (action.eventName === 'BATTLE_START_CANCELLED') {
-                    const requestEntity = this.world.createEntity();
-                    this.world.addComponent(requestEntity, new BattleStartCancelledRequest());
+                    this._emitRequest(BattleStartCancelledRequest);
                 } else if (action.eventName === 'RESET_BUTTON_CLICKED') {
-                    const requestEntity = this.world.createEntity();
-                    this.world.addComponent(requestEntity, new ResetButtonClickedRequest());
+                    this._emitRequest(ResetButtonClickedRequest);
                 }
 
                 this.finishCurrentModal();
@@ -308,8 +343,22 @@ export class ModalSystem extends System {
             case 'UPDATE_FOCUS':
                 if (this.uiState.focusedButtonKey !== action.key) {
                     this.uiState.focusedButtonKey = action.key;
+                    this._markUIChanged();
                 }
                 break;
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * BattleUIState の変更を ActionPanelSystem のリアクティブクエリへ通知する
+     */
+    _markUIChanged() {
+        if (this.uiEntityId !== null) {
+            this.world.markChanged(this.uiEntityId, BattleUIState);
+        }
+    }
+
+    _emitRequest(RequestClass) {
+        this.world.events.emit(RequestClass);
+    }
+}
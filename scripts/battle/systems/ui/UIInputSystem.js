@@ -7,6 +7,7 @@ import { System } from '../../../../engine/core/System.js';
 import { InputManager } from '../../../../engine/input/InputManager.js';
 import { BattleUIState } from '../../components/index.js';
 import { UIInputState } from '../../components/States.js';
+import { InputAction, NavigateActions } from '../../../common/constants.js';
 
 export class UIInputSystem extends System {
     constructor(world) {
@@ -23,30 +24,21 @@ export class UIInputSystem extends System {
         // 1フレームにつき1つのインテントのみ生成する（優先度順）
 
         // 決定
-        if (this.input.wasKeyJustPressed('z')) {
+        if (this.input.wasActionJustPressed(InputAction.CONFIRM)) {
             this._createIntent('CONFIRM');
             return;
         }
 
         // キャンセル
-        if (this.input.wasKeyJustPressed('x')) {
+        if (this.input.wasActionJustPressed(InputAction.CANCEL)) {
             this._createIntent('CANCEL');
             return;
         }
 
         // ナビゲーション
-        const navKeys = [
-            { key: 'ArrowUp', direction: 'arrowup' },
-            { key: 'ArrowDown', direction: 'arrowdown' },
-            { key: 'ArrowLeft', direction: 'arrowleft' },
-            { key: 'ArrowRight', direction: 'arrowright' }
-        ];
-
-        for (const { key, direction } of navKeys) {
-            if (this.input.wasKeyJustPressed(key)) {
-                this._createIntent('NAVIGATE', { direction });
-                return;
-            }
+        const direction = this.input.getJustPressedAction(NavigateActions);
+        if (direction) {
+            this._createIntent('NAVIGATE', { direction });
         }
     }
 
@@ -6,7 +6,7 @@
 import { System } from '../../../../engine/core/System.js';
 import { Visual } from '../../components/index.js';
 import { AnimateTask, UiAnimationTask } from '../../components/Tasks.js';
-import { AnimationState, UIStateUpdateState, ActiveTween, TweenCompletedSignal } from '../../components/States.js';
+import { AnimationState, UIStateUpdateState } from '../../components/States.js';
 import {
     BattleStartAnimationRequest,
     BattleStartAnimationCompleted,
@@ -15,8 +15,10 @@ import {
 import { Parts } from '../../../components/index.js';
 import { UI_CONFIG } from '../../common/UIConfig.js';
 import { EffectType } from '../../common/constants.js';
-import { Easing, lerp } from '../../../../engine/utils/Tween.js';
+import { Timeline } from '../../../../engine/utils/Tween.js';
+import { TweenTimeline } from '../../../../engine/stdlib/components/TweenTimeline.js';
 import { BattleQueries } from '../../queries/BattleQueries.js';
+import { Timer } from '../../../../engine/stdlib/components/Timer.js';
 
 export class AnimationSystem extends System {
     constructor(world) {
@@ -28,8 +30,6 @@ export class AnimationSystem extends System {
         this._processAnimationStates();
         this._processRefreshRequests();
 
-        this._processActiveTweens(deltaTime);
-
         const animateTasks = this.getEntities(AnimateTask);
         for (const entityId of animateTasks) {
             this._processAnimationTask(entityId, deltaTime);
@@ -41,44 +41,9 @@ export class AnimationSystem extends System {
         }
     }
 
-    _processActiveTweens(deltaTime) {
-        const tweenEntities = this.getEntities(ActiveTween);
-        
-        for (const entityId of tweenEntities) {
-            const tween = this.world.getComponent(entityId, ActiveTween);
-            
-            tween.elapsed += deltaTime;
-            const progress = Math.min(tween.elapsed / tween.duration, 1.0);
-            
-            const easeFn = Easing[tween.easing] || Easing.linear;
-            const t = easeFn(progress);
-            
-            this._applyTweenValue(tween, t);
-
-            if (progress >= 1.0) {
-                if (tween.parentId) {
-                    this._onTweenComplete(tween.parentId);
-                }
-                this.world.destroyEntity(entityId);
-            }
-        }
-    }
-
-    _applyTweenValue(tween, t) {
-        if (tween.type === 'HP_UPDATE') {
-            const visual = this.world.getComponent(tween.targetId, Visual);
-            if (visual && visual.partsInfo[tween.partKey]) {
-                const currentVal = lerp(tween.start, tween.end, t);
-                visual.partsInfo[tween.partKey].current = currentVal;
-            }
-        }
-    }
-
     _processBattleStartRequests() {
-        const entities = this.getEntities(BattleStartAnimationRequest);
-        for (const entityId of entities) {
+        for (const _ of this.world.events.consume(BattleStartAnimationRequest)) {
             this._startBattleStartAnimation();
-            this.world.destroyEntity(entityId);
         }
     }
 
@@ -97,10 +62,8 @@ export class AnimationSystem extends System {
     }
 
     _processRefreshRequests() {
-        const entities = this.getEntities(RefreshUIRequest);
-        if (entities.length > 0) {
+        if (this.world.events.consume(RefreshUIRequest).length > 0) {
             this._refreshUI();
-            for (const id of entities) this.world.destroyEntity(id);
         }
     }
 
@@ -112,7 +75,7 @@ export class AnimationSystem extends System {
             task._duration = 0;
             
             // アニメーションの種類に関わらず、IDが渡されていれば演出を開始する
-            this._startActionVisuals(task.attackerId || entityId, task.targetId);
+            this._startActionVisuals(task.attackerId ?? entityId, task.targetId);
             
             if (task.animationType === 'attack' || task.animationType === 'support') {
                 task._duration = 600; 
@@ -134,14 +97,14 @@ export class AnimationSystem extends System {
      * アクション実行時の視覚演出（強調、ロックオン）を開始
      */
     _startActionVisuals(attackerId, targetId) {
-        if (attackerId) {
+        if (attackerId != null) {
             const visualAttacker = this.world.getComponent(attackerId, Visual);
             if (visualAttacker) {
                 visualAttacker.classes.add('attacker-active');
             }
         }
         
-        if (targetId) {
+        if (targetId != null) {
             const visualTarget = this.world.getComponent(targetId, Visual);
             if (visualTarget) {
                 visualTarget.classes.add('target-lockon');
@@ -167,30 +130,22 @@ export class AnimationSystem extends System {
         if (task.targetType === 'HP_BAR') {
             if (!task._initialized) {
                 task._initialized = true;
-                
-                const tweenCount = this._spawnHpBarTweens(entityId, task.data.appliedEffects);
-                task._pendingTweens = tweenCount;
 
-                if (tweenCount === 0) {
-                    this._completeUiTask(entityId, task);
+                const tweens = this._createHpBarTweens(task.data.appliedEffects);
+                if (tweens.length > 0) {
+                    // タイムラインは再生を終えるとエンティティから取り除かれる
+                    this.world.addComponent(entityId, new TweenTimeline(Timeline.parallel(tweens)));
+                    return;
                 }
             }
+            if (!this.world.getComponent(entityId, TweenTimeline)) {
+                this._completeUiTask(entityId, task);
+            }
         } else {
             this.world.removeComponent(entityId, UiAnimationTask);
         }
     }
     
-    _onTweenComplete(parentId) {
-        if (!parentId) return;
-        const task = this.world.getComponent(parentId, UiAnimationTask);
-        if (task && task._pendingTweens > 0) {
-            task._pendingTweens--;
-            if (task._pendingTweens <= 0) {
-                this._completeUiTask(parentId, task);
-            }
-        }
-    }
-
     _completeUiTask(entityId, task) {
         if (task.emitOnComplete === 'ANIMATION_COMPLETED') {
             const stateEntity = this.world.createEntity();
@@ -201,9 +156,13 @@ export class AnimationSystem extends System {
         this.world.removeComponent(entityId, UiAnimationTask);
     }
 
-    _spawnHpBarTweens(parentId, appliedEffects) {
-        if (!appliedEffects || appliedEffects.length === 0) return 0;
-        let count = 0;
+    /**
+     * HPバーの変化の tween を作成する
+     * @returns {object[]} Timeline.tween の定義
+     */
+    _createHpBarTweens(appliedEffects) {
+        if (!appliedEffects || appliedEffects.length === 0) return [];
+        const tweens = [];
 
         for (const effect of appliedEffects) {
             if (effect.type !== EffectType.DAMAGE && effect.type !== EffectType.HEAL) continue;
@@ -218,23 +177,14 @@ export class AnimationSystem extends System {
             if (!visual) continue;
 
             if (!visual.partsInfo[partKey]) visual.partsInfo[partKey] = { current: oldHp, max: 100 };
-            
-            const tweenEntity = this.world.createEntity();
-            const tween = new ActiveTween({
-                targetId,
-                type: 'HP_UPDATE',
-                partKey,
-                start: oldHp,
-                end: newHp,
-                duration: UI_CONFIG.ANIMATION.HP_BAR.DURATION,
-                easing: 'easeOutQuad', 
-                parentId
-            });
-            this.world.addComponent(tweenEntity, tween);
-            
-            count++;
+
+            const hpPath = `partsInfo.${partKey}.current`;
+            tweens.push(Timeline.tween(targetId, 'Visual',
+                { from: { [hpPath]: oldHp }, to: { [hpPath]: newHp } },
+                { duration: UI_CONFIG.ANIMATION.HP_BAR.DURATION, easing: 'easeOutQuad' }
+            ));
         }
-        return count;
+        return tweens;
     }
 
     _refreshUI() {
@@ -273,11 +223,10 @@ export class AnimationSystem extends System {
         textVisual.classes.add('battle-start-text');
         this.world.addComponent(textId, textVisual);
         
-        setTimeout(() => {
-            if (this.world.entities.has(textId)) {
-                this.world.destroyEntity(textId);
-                this.world.addComponent(this.world.createEntity(), new BattleStartAnimationCompleted());
-            }
-        }, 2000);
+        // setTimeout ではなくWorldの時間で待つ（ヘッドレス実行や一時停止に追従させるため）
+        // 表示時間が過ぎるとタイマーと共に文字のエンティティも削除され、完了が通知される
+        this.world.addComponent(textId, new Timer(UI_CONFIG.ANIMATION.BATTLE_START_DURATION, null, {
+            event: BattleStartAnimationCompleted
+        }));
     }
 }
\ No newline at end of file
@@ -0,0 +1,137 @@
+/**
+ * @file BattleCameraSystem.js
+ * @description バトルフィールド (#battlefield) のカメラ演出（揺れ・ズーム・フラッシュ）を行うシステム。
+ * CameraActionRequest を受け取り、エンジンの Camera で位置・ズーム・揺れを計算して、バトルフィールドの CSS transform に反映する。
+ * Camera のワールド座標はバトルフィールドのピクセル座標とし、ズーム中は元の枠の外へはみ出した部分を clip-path で切り取る。
+ * VFX の CSS アニメーションと合わせるため、実時間で更新する（timeScaled を付けずに登録する）。
+ */
+import { System } from '../../../../engine/core/System.js';
+import { Camera } from '../../../../engine/graphics/Camera.js';
+import { el } from '../../../../engine/utils/DOMUtils.js';
+import { Visual } from '../../components/Visual.js';
+import { CameraActionRequest } from '../../components/Requests.js';
+import { CameraAction } from '../../common/constants.js';
+
+const DEFAULTS = {
+    SHAKE_INTENSITY: 6,
+    SHAKE_DURATION: 300,
+    ZOOM_SCALE: 1.25,
+    ZOOM_DURATION: 300,
+};
+
+export class BattleCameraSystem extends System {
+    constructor(world) {
+        super(world);
+        this.battlefield = document.getElementById('battlefield');
+        this.camera = new Camera();
+
+        this.flashElement = el('div', { className: 'battle-camera-flash' });
+        this.battlefield.appendChild(this.flashElement);
+
+        // 前回反映した transform（変化がなければDOMを更新しない）
+        this.lastTransform = null;
+    }
+
+    update(deltaTime) {
+        for (const request of this.world.events.consume(CameraActionRequest)) {
+            this._handleAction(request.action, request.params || {});
+        }
+
+        this.camera.update(deltaTime);
+        this._applyTransform();
+    }
+
+    destroy() {
+        this.battlefield.style.transform = '';
+        this.battlefield.style.transformOrigin = '';
+        this.battlefield.style.clipPath = '';
+        this.flashElement.remove();
+        super.destroy();
+    }
+
+    _handleAction(action, params) {
+        this._measure();
+
+        switch (action) {
+            case CameraAction.SHAKE:
+                this.camera.shake(params.intensity ?? DEFAULTS.SHAKE_INTENSITY, params.duration ?? DEFAULTS.SHAKE_DURATION);
+                break;
+            case CameraAction.ZOOM: {
+                const target = this._getTargetPoint(params.targetId);
+                if (!target) break;
+                this.camera.panTo(target.x, target.y, {
+                    zoom: params.scale ?? DEFAULTS.ZOOM_SCALE,
+                    duration: params.duration ?? DEFAULTS.ZOOM_DURATION
+                });
+                break;
+            }
+            case CameraAction.RESET:
+                this.camera.panTo(this.camera.viewportWidth / 2, this.camera.viewportHeight / 2, {
+                    zoom: 1,
+                    duration: params.duration ?? DEFAULTS.ZOOM_DURATION
+                });
+                break;
+            case CameraAction.FLASH:
+                this._flash(params.color);
+                break;
+            default:
+                console.warn(`BattleCameraSystem: Unknown camera action '${action}'.`);
+        }
+    }
+
+    /**
+     * バトルフィールドの大きさをカメラの表示範囲に反映する（画面の拡縮は親要素の transform で行うため、レイアウト上の大きさは変わらない）
+     */
+    _measure() {
+        const width = this.battlefield.clientWidth;
+        const height = this.battlefield.clientHeight;
+        this.camera.viewportWidth = width;
+        this.camera.viewportHeight = height;
+        this.camera.bounds = { x: 0, y: 0, width, height };
+    }
+
+    /**
+     * @param {number} entityId
+     * @returns {{ x: number, y: number } | null} エンティティの現在の表示位置（バトルフィールドのピクセル座標）
+     */
+    _getTargetPoint(entityId) {
+        const visual = entityId != null ? this.world.getComponent(entityId, Visual) : null;
+        if (!visual) return null;
+        return {
+            x: visual.x * this.camera.viewportWidth,
+            y: visual.y / 100 * this.camera.viewportHeight
+        };
+    }
+
+    _flash(color) {
+        this.flashElement.style.backgroundColor = color || '';
+        // 連続して光らせた場合もアニメーションを最初から再生する
+        this.flashElement.classList.remove('active');
+        void this.flashElement.offsetWidth;
+        this.flashElement.classList.add('active');
+    }
+
+    _applyTransform() {
+        const { camera } = this;
+        const x = camera.x + camera.shakeOffsetX;
+        const y = camera.y + camera.shakeOffsetY;
+        const isIdentity = camera.zoom === 1 && x === 0 && y === 0;
+
+        const transform = isIdentity ? '' : `scale(${camera.zoom}) translate(${-x}px, ${-y}px)`;
+        if (transform === this.lastTransform) return;
+        this.lastTransform = transform;
+
+        const style = this.battlefield.style;
+        style.transform = transform;
+        style.transformOrigin = isIdentity ? '' : '0 0';
+
+        if (camera.zoom > 1) {
+            // 拡大した要素のうち、元の枠に重なる範囲（カメラの表示範囲）だけを表示する
+            const right = camera.viewportWidth - (x + camera.viewWidth);
+            const bottom = camera.viewportHeight - (y + camera.viewHeight);
+            style.clipPath = `inset(${Math.max(0, y)}px ${Math.max(0, right)}px ${Math.max(0, bottom)}px ${Math.max(0, x)}px)`;
+        } else {
+            style.clipPath = '';
+        }
+    }
+}
@@ -1,6 +1,7 @@
 /**
  * @file RenderSystem.js
  * @description 初期化時のパーツデータ同期ロジックをQueryService経由に修正。
+ * DOMの生成・破棄はリアクティブクエリの added/removed で行う。
  */
 import { System } from '../../../../engine/core/System.js';
 import { Visual, Position } from '../../components/index.js';
@@ -25,6 +26,8 @@ export class RenderSystem extends System {
         this.playerRenderer = new PlayerRenderer(world, this.battlefield, this.teamContainers, this.uiManager);
         this.effectRenderer = new EffectRenderer(this.battlefield, this.uiManager);
 
+        // Visual を持つエンティティの出現・消滅を追跡する
+        this.visualQuery = this.world.createReactiveQuery({ all: [Visual] });
         this.managedEntities = new Set();
     }
 
@@ -33,46 +36,39 @@ export class RenderSystem extends System {
             this._removeDOM(entityId);
         }
         this.managedEntities.clear();
+        this.world.removeQuery(this.visualQuery);
         super.destroy();
     }
 
     update(deltaTime) {
-        const currentEntities = new Set();
-        const entities = this.getEntities(Visual);
+        for (const entityId of this.visualQuery.removed()) {
+            this._removeDOM(entityId);
+            this.managedEntities.delete(entityId);
+        }
 
-        for (const entityId of entities) {
-            currentEntities.add(entityId);
+        for (const entityId of this.visualQuery.added()) {
             const visual = this.world.getComponent(entityId, Visual);
+            this._syncPosition(entityId, visual);
+            this._createDOM(entityId, visual);
+            this._syncInitialValues(entityId, visual);
+            visual.isInitialized = true;
+            this.managedEntities.add(entityId);
+        }
 
-            if (!visual.isInitialized) {
-                const position = this.world.getComponent(entityId, Position);
-                if (position) {
-                    visual.x = position.x;
-                    visual.y = position.y;
-                }
-                
-                this._createDOM(entityId, visual);
-                this._syncInitialValues(entityId, visual);
-                visual.isInitialized = true;
-                this.managedEntities.add(entityId);
-            }
-
+        for (const entityId of this.visualQuery.getEntities()) {
+            const visual = this.world.getComponent(entityId, Visual);
             if (!visual.isAnimating) {
-                const position = this.world.getComponent(entityId, Position);
-                if (position) {
-                    visual.x = position.x;
-                    visual.y = position.y;
-                }
+                this._syncPosition(entityId, visual);
             }
-
             this._updateDOM(entityId, visual);
         }
-        
-        for (const entityId of this.managedEntities) {
-            if (!currentEntities.has(entityId)) {
-                this._removeDOM(entityId);
-                this.managedEntities.delete(entityId);
-            }
+    }
+
+    _syncPosition(entityId, visual) {
+        const position = this.world.getComponent(entityId, Position);
+        if (position) {
+            visual.x = position.x;
+            visual.y = position.y;
         }
     }
 
@@ -2,13 +2,19 @@
  * @file VisualDirectorSystem.js
  * @description バトル中の視覚演出を一元管理する監督システム。
  * イベント監視を廃止し、リクエスト/結果コンポーネントの監視へ移行。
+ * VFX は表示用のエンティティ（Visual）として生成して EffectRenderer に描画させ、表示時間が過ぎると Timer で削除する。
+ * カメラ演出は CameraActionRequest として BattleCameraSystem に依頼する。
  */
 import { System } from '../../../../engine/core/System.js';
 import { ModalType } from '../../common/constants.js';
 import { ModalState } from '../../components/States.js';
+import { Visual } from '../../components/Visual.js';
+import { CameraActionRequest } from '../../components/Requests.js';
 import {
     DialogTask, VfxTask, CameraTask
 } from '../../components/Tasks.js';
+import { Timer } from '../../../../engine/stdlib/components/Timer.js';
+import { VfxDefinitions } from '../../../data/vfxDefinitions.js';
 
 export class VisualDirectorSystem extends System {
     constructor(world) {
@@ -24,10 +30,12 @@ export class VisualDirectorSystem extends System {
         this._processDialogTasks();
 
         // --- VFX ---
-        this._processInstantTasks(VfxTask, (task) => console.log(`[VisualDirector] Play VFX: ${task.effectName}`));
+        this._processInstantTasks(VfxTask, (task) => this._spawnVfx(task));
 
         // --- Camera ---
-        this._processInstantTasks(CameraTask, (task) => console.log(`[VisualDirector] Camera Action: ${task.action}`));
+        this._processInstantTasks(CameraTask, (task) => {
+            this.world.events.emit(CameraActionRequest, { action: task.action, params: task.params || {} });
+        });
     }
 
     _processModalCompletedStates() {
@@ -88,6 +96,40 @@ export class VisualDirectorSystem extends System {
         }
     }
 
+    _spawnVfx(task) {
+        const definition = VfxDefinitions[task.effectName];
+        if (!definition) {
+            console.warn(`VisualDirectorSystem: Unknown VFX '${task.effectName}'.`);
+            return;
+        }
+        const position = this._resolvePosition(task.position);
+        if (!position) return;
+
+        const entityId = this.world.createEntity();
+        const visual = new Visual();
+        visual.x = position.x;
+        visual.y = position.y;
+        visual.classes.add('vfx');
+        visual.classes.add(definition.className);
+        this.world.addComponent(entityId, visual);
+
+        // CSSアニメーションは実時間で再生されるため、表示時間も戦闘速度の影響を受けないようにする
+        this.world.addComponent(entityId, new Timer(definition.duration, null, { ignoreTimeScale: true }));
+    }
+
+    /**
+     * VFX の表示位置を Visual と同じ単位 (x=ratio, y=%) で求める
+     * @param {{ entityId: number } | { x: number, y: number } | null} position - エンティティ（現在の表示位置）か座標
+     * @returns {{ x: number, y: number } | null}
+     */
+    _resolvePosition(position) {
+        if (!position) return null;
+        if (position.entityId == null) return position;
+
+        const visual = this.world.getComponent(position.entityId, Visual);
+        return visual ? { x: visual.x, y: visual.y } : null;
+    }
+
     _processInstantTasks(ComponentClass, actionFn) {
         const entities = this.getEntities(ComponentClass);
         for (const entityId of entities) {
@@ -9,13 +9,15 @@ import {
     VisualSequence, CombatResult, SequenceFinished
 } from '../../components/index.js';
 import { PlayerInfo } from '../../../components/index.js';
+import { TeamID } from '../../../common/constants.js';
 import { MessageFormatter } from '../../utils/MessageFormatter.js';
 import { ValidationLogic } from '../../logic/ValidationLogic.js';
 import { PartInfo, PartKeyToInfoMap } from '../../../common/constants.js';
-import { ModalType, EffectType, EffectScope } from '../../common/constants.js';
+import { ModalType, EffectType, EffectScope, CameraAction } from '../../common/constants.js';
 import { MessageKey } from '../../../data/messageRepository.js';
 import { BattleQueries } from '../../queries/BattleQueries.js';
 import { EffectRegistry } from '../../registries/EffectRegistry.js';
+import { TweenDefinitions, TweenName } from '../../../data/tweenDefinitions.js';
 
 /**
  * システムのデフォルト設定（フォールバック用）
@@ -27,7 +29,8 @@ const DEFAULT_VISUALS = {
             miss: 'ATTACK_MISSED',
             default: 'ATTACK_DECLARATION'
         },
-        animation: { attack: 'attack', support: 'support' }
+        animation: { attack: 'attack', support: 'support' },
+        tween: { attack: TweenName.LUNGE }
     },
     EFFECTS: {
         // Fallback definitions for showHpBar if handler doesn't specify
@@ -86,7 +89,23 @@ export class VisualSequenceSystem extends System {
         
         const targetScope = ctx.attackingPart.targetScope;
         const isSingleTarget = targetScope === EffectScope.ENEMY_SINGLE || targetScope === EffectScope.ALLY_SINGLE;
-        const visualTargetId = isSingleTarget ? (ctx.intendedTargetId || ctx.targetId) : null;
+        const visualTargetId = isSingleTarget ? (ctx.intendedTargetId ?? ctx.targetId) : null;
+
+        // 宣言時の演出（攻撃側の VFX・対象へのズーム）は踏み込みのアニメーションと同時に始める
+        const declaration = visualConfig?.declaration;
+        if (declaration?.vfx) {
+            sequence.push({ type: 'VFX', effectName: declaration.vfx, position: { entityId: ctx.attackerId } });
+        }
+        const declarationCamera = declaration?.camera;
+        if (declarationCamera) {
+            sequence.push(this._createCameraTask(declarationCamera, visualTargetId ?? ctx.attackerId));
+        }
+
+        // 踏み込みの動きはアニメーションの完了を待たずに再生する
+        const lungeTask = this._createTweenTask(declaration?.tween ?? DEFAULT_VISUALS.DECLARATION.tween[animType], ctx.attackerId);
+        if (lungeTask) {
+            sequence.push(lungeTask);
+        }
 
         sequence.push({
             type: 'ANIMATE',
@@ -116,7 +135,7 @@ export class VisualSequenceSystem extends System {
                     defeatedPlayers.add(effect.targetId);
                 }
             }
-        } else if (!ctx.outcome.isHit && ctx.intendedTargetId) {
+        } else if (!ctx.outcome.isHit && ctx.intendedTargetId != null) {
             sequence.push({
                 type: 'DIALOG',
                 text: MessageFormatter.format(MessageKey.ATTACK_EVADED, { 
@@ -130,6 +149,10 @@ export class VisualSequenceSystem extends System {
             sequence.push({ type: 'APPLY_VISUAL_EFFECT', targetId: id, className: 'is-defeated' });
         });
 
+        if (declarationCamera?.action === CameraAction.ZOOM) {
+            sequence.push({ type: 'CAMERA', action: CameraAction.RESET, params: {} });
+        }
+
         sequence.push({ type: 'CREATE_REQUEST', requestType: 'RefreshUIRequest' });
 
         return sequence;
@@ -192,6 +215,21 @@ export class VisualSequenceSystem extends System {
             text = MessageFormatter.format(MessageKey.CRITICAL_HIT) + text;
         }
 
+        // 効果音・VFX・カメラ演出・動きは結果メッセージの表示と同時に始める
+        const tweenTask = this._createTweenTask(visualResult.tween, effect.targetId);
+        if (tweenTask) {
+            tasks.push(tweenTask);
+        }
+        if (visualResult.sound) {
+            tasks.push({ type: 'SOUND', sound: visualResult.sound });
+        }
+        if (visualResult.vfx) {
+            tasks.push({ type: 'VFX', effectName: visualResult.vfx, position: { entityId: effect.targetId } });
+        }
+        if (visualResult.camera) {
+            tasks.push(this._createCameraTask(visualResult.camera, effect.targetId));
+        }
+
         tasks.push({
             type: 'DIALOG',
             text,
@@ -210,6 +248,33 @@ export class VisualSequenceSystem extends System {
         return tasks;
     }
 
+    /**
+     * @param {{ action: string, params?: object }} camera - 演出定義のカメラ演出
+     * @param {number} targetId - ズームの対象（params に targetId がない場合）
+     */
+    _createCameraTask(camera, targetId) {
+        return {
+            type: 'CAMERA',
+            action: camera.action,
+            params: { targetId, ...camera.params }
+        };
+    }
+
+    /**
+     * 完了を待たない TWEEN タスクを作成する
+     * @param {string|null|undefined} tweenName - TweenName
+     * @param {number} entityId - 動かすエンティティ
+     * @returns {object|null} 定義がない場合は null
+     */
+    _createTweenTask(tweenName, entityId) {
+        const createTimeline = TweenDefinitions[tweenName];
+        const playerInfo = this.world.getComponent(entityId, PlayerInfo);
+        if (!createTimeline || !playerInfo) return null;
+
+        const direction = playerInfo.teamId === TeamID.TEAM1 ? 1 : -1;
+        return { type: 'TWEEN', timeline: createTimeline(entityId, direction), wait: false };
+    }
+
     _createCancelSequence(actorId, context) {
         const message = ValidationLogic.getCancelMessage(this.world, actorId, context.cancelReason);
         return [
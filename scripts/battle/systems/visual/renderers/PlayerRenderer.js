@@ -125,13 +125,15 @@ export class PlayerRenderer {
 
     _updateIconTransform(visual, icon, cache) {
         if (!icon) return;
-        const isDirty = cache.x !== visual.x || cache.y !== visual.y || cache.scale !== visual.scale || cache.opacity !== visual.opacity;
+        const isDirty = cache.x !== visual.x || cache.y !== visual.y || cache.scale !== visual.scale || cache.opacity !== visual.opacity
+            || cache.offsetX !== visual.offsetX || cache.offsetY !== visual.offsetY;
         if (isDirty) {
             icon.style.left = `${visual.x * 100}%`;
             icon.style.top = `${visual.y}%`;
-            icon.style.transform = `translate(-50%, -50%) scale(${visual.scale})`;
+            icon.style.transform = `translate(calc(-50% + ${visual.offsetX}px), calc(-50% + ${visual.offsetY}px)) scale(${visual.scale})`;
             icon.style.opacity = visual.opacity;
             cache.x = visual.x; cache.y = visual.y; cache.scale = visual.scale; cache.opacity = visual.opacity;
+            cache.offsetX = visual.offsetX; cache.offsetY = visual.offsetY;
         }
     }
 
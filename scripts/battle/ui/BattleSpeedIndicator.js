@@ -0,0 +1,40 @@
+/**
+ * @file BattleSpeedIndicator.js
+ * @description 現在の戦闘速度（または一時停止中であること）をバトル画面の隅に表示するUI。
+ * タッチ操作でも切り替えられるよう、表示自体を押すと切り替えを要求する。
+ */
+import { el } from '../../../engine/utils/DOMUtils.js';
+
+export class BattleSpeedIndicator {
+    /**
+     * @param {HTMLElement} parent - 表示を配置する要素（バトル画面のコンテナ）
+     * @param {function(): void} onClick - 表示が押された時のコールバック
+     */
+    constructor(parent, onClick) {
+        this.element = el('button', {
+            className: 'battle-speed-indicator',
+            tabindex: '-1',
+            onclick: onClick,
+        });
+        parent.appendChild(this.element);
+
+        // 前回の表示内容（変化がなければDOMを更新しない）
+        this.lastText = null;
+    }
+
+    /**
+     * @param {number} scale - 戦闘速度の倍率
+     * @param {boolean} isPaused - 一時停止中か
+     */
+    render(scale, isPaused) {
+        const text = isPaused ? '❚❚ 一時停止' : `▶ ×${scale}`;
+        if (text === this.lastText) return;
+        this.lastText = text;
+        this.element.textContent = text;
+        this.element.classList.toggle('paused', isPaused);
+    }
+
+    destroy() {
+        this.element.remove();
+    }
+}
@@ -3,7 +3,7 @@
  * @description バトルシーン固有のUI要素のDOM操作を担当するクラス。
  * DOM生成ロジック（View）を集約。
  */
-import { el } from '../../../../engine/utils/DOMUtils.js';
+import { el } from '../../../engine/utils/DOMUtils.js';
 import { ModalType } from '../common/constants.js';
 import { PartInfo } from '../../common/constants.js';
 // import { GameEvents } from '../../common/events.js'; // 旧イベント方式を削除
@@ -1,8 +1,11 @@
 /**
  * @file GameHealthBar.js
  * @description Web ComponentsによるHPバーの実装。
+ * DOMのない環境（ヘッドレス実行）でもモジュールの読み込み自体は失敗しないようにしている。
  */
-export class GameHealthBar extends HTMLElement {
+const HTMLElementBase = typeof HTMLElement !== 'undefined' ? HTMLElement : class {};
+
+export class GameHealthBar extends HTMLElementBase {
     static get observedAttributes() {
         return ['current', 'max', 'label'];
     }
@@ -100,6 +103,6 @@ export class GameHealthBar extends HTMLElement {
     }
 }
 
-if (!customElements.get('game-health-bar')) {
+if (typeof customElements !== 'undefined' && !customElements.get('game-health-bar')) {
     customElements.define('game-health-bar', GameHealthBar);
 }
\ No newline at end of file
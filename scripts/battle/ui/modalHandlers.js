@@ -6,7 +6,7 @@
  * QueryService -> BattleQueries
  */
 import { ModalType } from '../common/constants.js';
-import { PartInfo } from '../../common/constants.js';
+import { PartInfo, InputAction } from '../../common/constants.js';
 import { CONFIG } from '../common/config.js';
 import { AiLogic } from '../ai/AiLogic.js';
 import { BattleRequestFactory } from '../utils/BattleRequestFactory.js';
@@ -14,24 +14,41 @@ import { BattleQueries } from '../queries/BattleQueries.js';
 import { PlayerInfo } from '../../components/index.js';
 import { PartSelectedRequest, BattleStartConfirmedRequest, BattleStartCancelledRequest, ResetButtonClickedRequest } from '../../components/Events.js';
 
+// フォーカス中のパーツ → 方向アクション → 移動先の候補（優先順）
+// 方向はキーボード・ゲームパッドに依存しない InputAction で指定する
 const NAVIGATION_MAP = {
     [PartInfo.HEAD.key]: {
-        arrowdown: [PartInfo.RIGHT_ARM.key, PartInfo.LEFT_ARM.key],
-        arrowleft: [PartInfo.RIGHT_ARM.key, PartInfo.LEFT_ARM.key],
-        arrowright: [PartInfo.LEFT_ARM.key, PartInfo.RIGHT_ARM.key],
+        [InputAction.DOWN]: [PartInfo.RIGHT_ARM.key, PartInfo.LEFT_ARM.key],
+        [InputAction.LEFT]: [PartInfo.RIGHT_ARM.key, PartInfo.LEFT_ARM.key],
+        [InputAction.RIGHT]: [PartInfo.LEFT_ARM.key, PartInfo.RIGHT_ARM.key],
     },
     [PartInfo.RIGHT_ARM.key]: {
-        arrowup: [PartInfo.HEAD.key],
-        arrowleft: [PartInfo.LEFT_ARM.key],
-        arrowright: [PartInfo.LEFT_ARM.key],
+        [InputAction.UP]: [PartInfo.HEAD.key],
+        [InputAction.LEFT]: [PartInfo.LEFT_ARM.key],
+        [InputAction.RIGHT]: [PartInfo.LEFT_ARM.key],
     },
     [PartInfo.LEFT_ARM.key]: {
-        arrowup: [PartInfo.HEAD.key],
-        arrowleft: [PartInfo.RIGHT_ARM.key],
-        arrowright: [PartInfo.RIGHT_ARM.key],
+        [InputAction.UP]: [PartInfo.HEAD.key],
+        [InputAction.LEFT]: [PartInfo.RIGHT_ARM.key],
+        [InputAction.RIGHT]: [PartInfo.RIGHT_ARM.key],
     }
 };
 
+const createPartSelectedAction = (data, partKey) => {
+    const buttonData = data.buttons.find(b => b.partKey === partKey);
+    if (!buttonData || buttonData.isBroken) return null;
+
+    return {
+        action: 'EMIT_AND_CLOSE',
+        eventName: 'PART_SELECTED',
+        detail: {
+            entityId: data.entityId,
+            partKey: buttonData.partKey,
+            target: buttonData.target,
+        }
+    };
+};
+
 export const modalHandlers = {
     [ModalType.START_CONFIRM]: {
         getActorName: () => 'ロボトルを開始しますか？',
@@ -105,19 +122,17 @@ export const modalHandlers = {
         
         handleConfirm: ({ data, uiState }) => {
             if (!uiState.focusedButtonKey) return null;
+            return createPartSelectedAction(data, uiState.focusedButtonKey);
+        },
 
-            const buttonData = data.buttons.find(b => b.partKey === uiState.focusedButtonKey);
-            if (!buttonData) return null;
-            
-            return {
-                action: 'EMIT_AND_CLOSE',
-                eventName: 'PART_SELECTED',
-                detail: {
-                    entityId: data.entityId,
-                    partKey: buttonData.partKey,
-                    target: buttonData.target,
-                }
-            };
+        // ボタンのクリック・タップ（フォーカスに関わらず押されたパーツを選択する）
+        handleSelect: ({ data }, partKey) => createPartSelectedAction(data, partKey),
+
+        // 制限時間を過ぎたらフォーカス中（なければ先頭）のパーツで行動する
+        timeLimit: CONFIG.TURN.SELECTION_TIME_LIMIT,
+        handleTimeout: ({ data, uiState }) => {
+            const partKey = uiState.focusedButtonKey || data.buttons.find(b => !b.isBroken)?.partKey;
+            return createPartSelectedAction(data, partKey);
         },
     },
     [ModalType.ATTACK_DECLARATION]: {
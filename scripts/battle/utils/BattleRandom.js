@@ -0,0 +1,30 @@
+/**
+ * @file BattleRandom.js
+ * @description バトル中の乱数取得ヘルパー。
+ * バトル内の乱数は全て World シングルトンの RandomService から取得し、Math.random は使用しない。
+ */
+import { RandomService } from '../../../engine/stdlib/components/RandomService.js';
+
+// RandomService が存在しないWorld（単体で呼び出された場合など）向けの予備
+let fallbackService = null;
+
+export const BattleRandom = {
+    /**
+     * 名前付きの乱数ストリームを取得する
+     * @param {World} world
+     * @param {string} streamName - RandomStream のいずれか
+     * @returns {RandomGenerator}
+     */
+    stream(world, streamName) {
+        const service = world.getSingletonComponent(RandomService);
+        if (service) {
+            return service.stream(streamName);
+        }
+
+        if (!fallbackService) {
+            console.warn('BattleRandom: RandomService is not registered in the world. Results will not be reproducible.');
+            fallbackService = new RandomService();
+        }
+        return fallbackService.stream(streamName);
+    }
+};
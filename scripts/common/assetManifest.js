@@ -0,0 +1,28 @@
+/**
+ * @file アセット定義モジュール
+ * @description AssetManager で読み込むアセットのキーと、起動時・シーンごとのマニフェストを定義します。
+ */
+import { AssetType } from '../../engine/assets/AssetManager.js';
+import { AUDIO_ASSETS } from './soundConfig.js';
+
+export const AssetKey = {
+    MAP_DATA: 'mapData',
+};
+
+// マップデータ（画像はマップデータの定義から MapScene が追加で読み込む）
+const MAP_DATA_ASSET = { key: AssetKey.MAP_DATA, type: AssetType.JSON, src: 'scripts/map/map.json' };
+
+/**
+ * 起動時、タイトル画面の前に読み込むアセット（ゲーム終了まで保持する）
+ */
+export const BOOT_ASSETS = [
+    MAP_DATA_ASSET,
+    ...AUDIO_ASSETS,
+];
+
+/**
+ * シーンごとのアセット（シーンの開始前に読み込み、シーンの破棄時に解放する）
+ */
+export const SCENE_ASSETS = {
+    map: [MAP_DATA_ASSET],
+};
@@ -55,4 +55,37 @@ export const MedalPersonality = {
     FOCUS: 'FOCUS',
     ASSIST: 'ASSIST',
     HEALER: 'HEALER',
-};
\ No newline at end of file
+};
+
+/**
+ * 入力アクションを定義する定数
+ * InputManager はキーではなくこのアクション単位で入力を判定する
+ */
+export const InputAction = {
+    CONFIRM: 'confirm',
+    CANCEL: 'cancel',
+    MENU: 'menu',
+    UP: 'up',
+    DOWN: 'down',
+    LEFT: 'left',
+    RIGHT: 'right',
+    BATTLE_SPEED: 'battleSpeed',
+    TOGGLE_MUTE: 'toggleMute',
+};
+
+/**
+ * 方向入力のアクション
+ */
+export const NavigateActions = [InputAction.UP, InputAction.DOWN, InputAction.LEFT, InputAction.RIGHT];
+
+/**
+ * 入力コンテキストを定義する定数（シーン・画面ごとに有効なアクションの集合）
+ */
+export const InputContext = {
+    TITLE: 'title',
+    MAP: 'map',
+    BATTLE: 'battle',
+    CUSTOMIZE: 'customize',
+    KEY_CONFIG: 'keyConfig',
+    AUDIO_SETTINGS: 'audioSettings',
+};
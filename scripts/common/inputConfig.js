@@ -0,0 +1,81 @@
+/**
+ * @file 入力設定を管理するモジュール
+ * @description アクションの初期キー割り当てと、入力コンテキストごとに有効なアクションを定義します。
+ * ユーザーが変更した割り当ては GameDataManager 経由で保存され、起動時に初期設定の上に反映されます。
+ */
+import { GamepadButton } from '../../engine/input/GamepadInput.js';
+import { InputAction, InputContext, NavigateActions } from './constants.js';
+
+/**
+ * アクションの初期キー割り当て (KeyboardEvent.key)
+ * 1つのキーを複数のアクションに割り当てることができる（メニューとキャンセルは同じキー）
+ */
+export const DEFAULT_KEY_BINDINGS = {
+    [InputAction.CONFIRM]: ['z', 'Enter'],
+    [InputAction.CANCEL]: ['x', 'Backspace'],
+    [InputAction.MENU]: ['x'],
+    [InputAction.UP]: ['ArrowUp'],
+    [InputAction.DOWN]: ['ArrowDown'],
+    [InputAction.LEFT]: ['ArrowLeft'],
+    [InputAction.RIGHT]: ['ArrowRight'],
+    [InputAction.BATTLE_SPEED]: ['c'],
+    [InputAction.TOGGLE_MUTE]: ['m'],
+};
+
+/**
+ * アクションのゲームパッド割り当て（標準配置。左スティックは方向ボタンと同じ扱い）
+ * キーボードのZ/Xに合わせ、下ボタンで決定・右ボタンでキャンセルとする
+ */
+export const GAMEPAD_BINDINGS = {
+    [InputAction.CONFIRM]: [GamepadButton.A],
+    [InputAction.CANCEL]: [GamepadButton.B],
+    [InputAction.MENU]: [GamepadButton.START, GamepadButton.Y],
+    [InputAction.UP]: [GamepadButton.UP],
+    [InputAction.DOWN]: [GamepadButton.DOWN],
+    [InputAction.LEFT]: [GamepadButton.LEFT],
+    [InputAction.RIGHT]: [GamepadButton.RIGHT],
+    [InputAction.BATTLE_SPEED]: [GamepadButton.SELECT],
+    [InputAction.TOGGLE_MUTE]: [GamepadButton.X],
+};
+
+/**
+ * 入力コンテキストごとに有効なアクション
+ */
+export const INPUT_CONTEXTS = {
+    [InputContext.TITLE]: [InputAction.CONFIRM, InputAction.TOGGLE_MUTE, ...NavigateActions],
+    [InputContext.MAP]: [InputAction.CONFIRM, InputAction.CANCEL, InputAction.MENU, InputAction.TOGGLE_MUTE, ...NavigateActions],
+    [InputContext.BATTLE]: [InputAction.CONFIRM, InputAction.CANCEL, InputAction.BATTLE_SPEED, InputAction.TOGGLE_MUTE, ...NavigateActions],
+    [InputContext.CUSTOMIZE]: [InputAction.CONFIRM, InputAction.CANCEL, InputAction.TOGGLE_MUTE, ...NavigateActions],
+    // キー設定画面ではゲームへの入力を全て無効にする
+    [InputContext.KEY_CONFIG]: [],
+    // 音量設定画面ではスライダーの矢印キー操作をブラウザに任せる
+    [InputContext.AUDIO_SETTINGS]: [],
+};
+
+/**
+ * キー設定画面に表示するアクション名
+ */
+export const INPUT_ACTION_LABELS = {
+    [InputAction.CONFIRM]: '決定',
+    [InputAction.CANCEL]: 'キャンセル',
+    [InputAction.MENU]: 'メニュー',
+    [InputAction.UP]: '上',
+    [InputAction.DOWN]: '下',
+    [InputAction.LEFT]: '左',
+    [InputAction.RIGHT]: '右',
+    [InputAction.BATTLE_SPEED]: '戦闘速度',
+    [InputAction.TOGGLE_MUTE]: 'ミュート',
+};
+
+/**
+ * キー設定画面の文言
+ */
+export const KEY_CONFIG_TEXT = {
+    title: 'キー設定',
+    hint: '枠を選んでから割り当てるキーを押してください（Esc で取り消し）',
+    capturing: 'キーを押してください',
+    reset: '初期設定に戻す',
+    close: '閉じる',
+    swapped: (labels) => `${labels.map(label => `「${label}」`).join('、')}の割り当てと入れ替えました`,
+    rejected: 'ほかの操作のキーがなくなるため、このキーは割り当てられません',
+};
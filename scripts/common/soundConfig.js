@@ -0,0 +1,69 @@
+/**
+ * @file サウンド定義モジュール
+ * @description BGM・効果音の音源キーと、音源ファイルのマニフェスト、合成音の定義をまとめます。
+ * BGM・効果音は音源ファイルがなくても鳴るよう合成音 (AudioManager.registerSynth) で定義しています（BGM は短い旋律のループ）。
+ * 音源ファイルを用意した場合は AUDIO_ASSETS に同じキーで追加すると、合成音より優先して再生されます。
+ */
+export const SoundKey = {
+    // BGM（シーンの bgm に指定する）
+    BGM_TITLE: 'bgmTitle',
+    BGM_MAP: 'bgmMap',
+    BGM_BATTLE: 'bgmBattle',
+
+    // 効果音
+    SE_HIT: 'seHit',
+    SE_STRIKE: 'seStrike',
+    SE_CRITICAL: 'seCritical',
+    SE_BREAK: 'seBreak',
+    SE_HEAL: 'seHeal',
+};
+
+/**
+ * 起動時に読み込む音源ファイル（{ key, type: AssetType.AUDIO, src } の配列）
+ * @example
+ * { key: SoundKey.BGM_BATTLE, type: AssetType.AUDIO, src: 'assets/audio/battle.ogg' },
+ */
+export const AUDIO_ASSETS = [];
+
+/**
+ * MIDI のノート番号 (60 = C4) の並びを周波数の並びに変換する（null は休符のまま）
+ * @param {Array<number|null>} noteNumbers
+ * @returns {Array<number|null>}
+ */
+const toFrequencies = (noteNumbers) => noteNumbers.map(note => (note === null ? null : 440 * 2 ** ((note - 69) / 12)));
+
+/**
+ * 合成音の定義（AudioManager.registerSynth の definition）
+ */
+export const SYNTH_SOUNDS = {
+    // タイトル: C - Am - F - G のアルペジオ
+    [SoundKey.BGM_TITLE]: {
+        wave: 'triangle', noteDuration: 250, volume: 0.4,
+        notes: toFrequencies([
+            60, 64, 67, 72, 67, 64, 57, 60, 64, 69, 64, 60,
+            53, 57, 60, 65, 60, 57, 55, 59, 62, 67, 62, 59,
+        ]),
+    },
+    // マップ: 歩くテンポの軽い旋律
+    [SoundKey.BGM_MAP]: {
+        wave: 'square', noteDuration: 180, volume: 0.2,
+        notes: toFrequencies([
+            72, null, 76, 79, 76, null, 74, 72, 69, null, 72, 76, 74, null, 72, 69,
+            65, null, 69, 72, 71, null, 67, 71, 72, null, 67, null, 72, null, null, null,
+        ]),
+    },
+    // バトル: 低音を刻む短調の速い旋律
+    [SoundKey.BGM_BATTLE]: {
+        wave: 'square', noteDuration: 130, volume: 0.2,
+        notes: toFrequencies([
+            45, 45, 57, 45, 55, 45, 53, 52, 45, 45, 57, 45, 55, 45, 53, 55,
+            41, 41, 53, 41, 52, 41, 50, 48, 43, 43, 55, 43, 52, 43, 50, 52,
+        ]),
+    },
+
+    [SoundKey.SE_HIT]: { wave: 'noise', duration: 120, volume: 0.6 },
+    [SoundKey.SE_STRIKE]: { wave: 'square', frequency: [220, 60], duration: 140, volume: 0.5 },
+    [SoundKey.SE_CRITICAL]: { wave: 'sawtooth', frequency: [880, 110], duration: 260, volume: 0.5 },
+    [SoundKey.SE_BREAK]: { wave: 'noise', duration: 400, volume: 0.8 },
+    [SoundKey.SE_HEAL]: { wave: 'sine', frequency: [440, 880], duration: 300, volume: 0.5 },
+};
@@ -2,49 +2,9 @@
  * @file Events.js
  * @description ECSベースのイベント、リクエスト、タグコンポーネントを定義します。
  * 以前のGameEventsに対応する通知を、データ駆動形式で行うためのコンポーネント群です。
+ * バトルでは world.events (EventChannel) の型として使用し、エンティティは生成しません。
  */
 
-/**
- * @class HpChangedEvent
- * @description HPが変化したことを示すイベントコンポーネント。
- * このコンポーネントは、UI更新やログ出力などの副作用処理のために使用されます。
- */
-export class HpChangedEvent {
-    constructor(payload) {
-        /**
-         * @property {number} entityId - HPが変化したパーツを持つエンティティID
-         * @property {string} partKey - 対象パーツキー (例: 'head', 'rightArm', 'leftArm'など)
-         * @property {number} newHp - 新しいHP値
-         * @property {number} oldHp - 変更前のHP値
-         * @property {number} maxHp - 最大HP値
-         * @property {number} change - HPの変化量 (負の場合は減少、正の場合は増加)
-         * @property {boolean} isHeal - 回復かどうかを表すフラグ
-         */
-        this.entityId = payload.entityId;
-        this.partKey = payload.partKey;
-        this.newHp = payload.newHp;
-        this.oldHp = payload.oldHp;
-        this.maxHp = payload.maxHp;
-        this.change = payload.change;
-        this.isHeal = payload.isHeal;
-    }
-}
-
-/**
- * @class PartBrokenEvent
- * @description パーツが破壊されたことを示すイベントコンポーネント。
- */
-export class PartBrokenEvent {
-    constructor(payload) {
-        /**
-         * @property {number} entityId - 破壊されたパーツを持つエンティティID
-         * @property {string} partKey - 破壊されたパーツキー
-         */
-        this.entityId = payload.entityId;
-        this.partKey = payload.partKey;
-    }
-}
-
 /**
  * @class BattleStartConfirmedRequest
  * @description バトル開始が確定したことを示すリクエストコンポーネント。
@@ -67,22 +27,6 @@ export class HideModalRequest {
     }
 }
 
-/**
- * @class ActionCancelledRequest
- * @description アクションがキャンセルされたことを示すリクエストコンポーネント。
- * 主にGLITCHなどでキャンセルされた場合に使用されます。
- */
-export class ActionCancelledRequest {
-    constructor(payload) {
-        /**
-         * @property {number} entityId - キャンセルされたアクションのエンティティID
-         * @property {string} reason - キャンセル理由 (例: 'INTERRUPTED'など)
-         */
-        this.entityId = payload.entityId;
-        this.reason = payload.reason;
-    }
-}
-
 /**
  * @class BattleStartCancelledRequest
  * @description バトル開始がキャンセルされたことを示すリクエストコンポーネント。
@@ -12,4 +12,31 @@ export class SceneChangeRequest {
         this.sceneName = sceneName;
         this.data = data;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * 現在のシーンを残したまま、その上に別のシーンを重ねる要求
+ * 下のシーンは一時停止し、World の状態は保持される。
+ */
+export class ScenePushRequest {
+    /**
+     * @param {string} sceneName - 重ねるシーンの名前
+     * @param {object} [data={}] - 重ねるシーンに渡すデータ
+     */
+    constructor(sceneName, data = {}) {
+        this.sceneName = sceneName;
+        this.data = data;
+    }
+}
+
+/**
+ * 重ねたシーンを閉じ、下のシーンに戻る要求
+ */
+export class ScenePopRequest {
+    /**
+     * @param {any} [result=null] - 下のシーンの resume() に渡す結果データ
+     */
+    constructor(result = null) {
+        this.result = result;
+    }
+}
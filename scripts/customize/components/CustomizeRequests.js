@@ -3,8 +3,13 @@
  */
 
 export class CustomizeNavigateRequest {
-    constructor(direction) {
+    /**
+     * @param {string|null} direction - 'up' | 'down' | 'left' | 'right'（target を指定する場合は null）
+     * @param {{ focus: string, index: number }|null} [target=null] - タップされた項目（指定した項目を直接選択する）
+     */
+    constructor(direction, target = null) {
         this.direction = direction;
+        this.target = target;
     }
 }
 
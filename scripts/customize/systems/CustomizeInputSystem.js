@@ -1,40 +1,69 @@
 /**
  * @file CustomizeInputSystem.js
  * @description 入力を検知してリクエストコンポーネントを生成する。
+ * キー入力に加え、リスト項目のタップ（項目の選択）と戻るボタンのタップ（キャンセル）を扱う。
  */
 import { System } from '../../../engine/core/System.js';
 import { InputManager } from '../../../engine/input/InputManager.js';
+import { PointerInput } from '../../../engine/input/PointerInput.js';
 import { 
     CustomizeNavigateRequest, 
     CustomizeConfirmRequest, 
     CustomizeCancelRequest 
 } from '../components/CustomizeRequests.js';
+import { InputAction } from '../../common/constants.js';
 
 export class CustomizeInputSystem extends System {
     constructor(world) {
         super(world);
         this.input = this.world.getSingletonComponent(InputManager);
+        this.pointer = new PointerInput(document.getElementById('customize-container'));
+    }
+
+    destroy() {
+        this.pointer.destroy();
+        super.destroy();
     }
 
     update(deltaTime) {
+        for (const tap of this.pointer.consumeTaps()) {
+            this._handleTap(tap);
+        }
+
         if (!this.input) return;
 
-        if (this.input.wasKeyJustPressed('z')) {
+        if (this.input.wasActionJustPressed(InputAction.CONFIRM)) {
             this.world.addComponent(this.world.createEntity(), new CustomizeConfirmRequest());
-        } else if (this.input.wasKeyJustPressed('x')) {
+        } else if (this.input.wasActionJustPressed(InputAction.CANCEL)) {
             this.world.addComponent(this.world.createEntity(), new CustomizeCancelRequest());
         }
 
-        const verticalMove = this.input.wasKeyJustPressed('ArrowDown') ? 1 : this.input.wasKeyJustPressed('ArrowUp') ? -1 : 0;
+        const verticalMove = this.input.wasActionJustPressed(InputAction.DOWN) ? 1 : this.input.wasActionJustPressed(InputAction.UP) ? -1 : 0;
         if (verticalMove !== 0) {
             const req = this.world.createEntity();
             this.world.addComponent(req, new CustomizeNavigateRequest(verticalMove > 0 ? 'down' : 'up'));
         }
         
-        const horizontalMove = this.input.wasKeyJustPressed('ArrowRight') ? 1 : this.input.wasKeyJustPressed('ArrowLeft') ? -1 : 0;
+        const horizontalMove = this.input.wasActionJustPressed(InputAction.RIGHT) ? 1 : this.input.wasActionJustPressed(InputAction.LEFT) ? -1 : 0;
         if (horizontalMove !== 0) {
             const req = this.world.createEntity();
             this.world.addComponent(req, new CustomizeNavigateRequest(horizontalMove > 0 ? 'right' : 'left'));
         }
     }
+
+    _handleTap({ target }) {
+        if (target.closest?.('.customize-back-button')) {
+            this.world.addComponent(this.world.createEntity(), new CustomizeCancelRequest());
+            return;
+        }
+
+        const item = target.closest?.('li[data-focus]');
+        if (item) {
+            const req = this.world.createEntity();
+            this.world.addComponent(req, new CustomizeNavigateRequest(null, {
+                focus: item.dataset.focus,
+                index: parseInt(item.dataset.index)
+            }));
+        }
+    }
 }
\ No newline at end of file
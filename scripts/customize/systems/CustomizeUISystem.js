@@ -8,7 +8,7 @@ import { PartKeyToInfoMap } from '../../common/constants.js';
 import { EquipSlotType } from '../common/constants.js';
 import { CustomizeState } from '../components/CustomizeState.js';
 import { CustomizeUIManager } from '../ui/CustomizeUIManager.js';
-import { SceneChangeRequest } from '../../components/SceneRequests.js';
+import { ScenePopRequest } from '../../components/SceneRequests.js';
 import { 
     CustomizeNavigateRequest, 
     CustomizeConfirmRequest, 
@@ -58,7 +58,7 @@ export class CustomizeUISystem extends System {
         const requests = this.getEntities(CustomizeNavigateRequest);
         for (const id of requests) {
             const req = this.world.getComponent(id, CustomizeNavigateRequest);
-            this.handleNavigation(req.direction);
+            this.handleNavigation(req.direction, req.target);
             this.world.destroyEntity(id);
         }
     }
@@ -87,7 +87,12 @@ export class CustomizeUISystem extends System {
         }
     }
 
-    handleNavigation(direction) {
+    handleNavigation(direction, target = null) {
+        if (target) {
+            this._handleTargetSelect(target);
+            return;
+        }
+
         let stateChanged = false;
 
         switch (this.uiState.focus) {
@@ -107,6 +112,47 @@ export class CustomizeUISystem extends System {
         }
     }
 
+    /**
+     * タップされた項目を選択する。既に選択中の項目がタップされた場合は決定として扱う。
+     * @param {{ focus: string, index: number }} target
+     */
+    _handleTargetSelect({ focus, index }) {
+        const selectedSlotType = this.equipSlots[this.uiState.selectedEquipIndex];
+        const isMedalList = selectedSlotType === EquipSlotType.MEDAL;
+        const selectedIndex = {
+            MEDAROT_SELECT: this.uiState.selectedMedarotIndex,
+            EQUIP_PANEL: this.uiState.selectedEquipIndex,
+            ITEM_LIST: isMedalList ? this.uiState.selectedMedalListIndex : this.uiState.selectedPartListIndex,
+        }[focus];
+        if (selectedIndex === undefined) return;
+
+        if (this.uiState.focus === focus && selectedIndex === index) {
+            this.handleConfirm();
+            return;
+        }
+
+        switch (focus) {
+            case 'MEDAROT_SELECT':
+                if (this.uiState.selectedMedarotIndex !== index) {
+                    this.uiState.selectedMedarotIndex = index;
+                    this.uiState.selectedEquipIndex = 0;
+                }
+                break;
+            case 'EQUIP_PANEL':
+                this.uiState.selectedEquipIndex = index;
+                break;
+            case 'ITEM_LIST':
+                if (isMedalList) {
+                    this.uiState.selectedMedalListIndex = index;
+                } else {
+                    this.uiState.selectedPartListIndex = index;
+                }
+                break;
+        }
+        this.uiState.focus = focus;
+        this.renderAll();
+    }
+
     _handleMedarotSelectNav(direction) {
         const verticalMove = direction === 'down' ? 1 : direction === 'up' ? -1 : 0;
         if (verticalMove === 0) return false;
@@ -169,9 +215,9 @@ export class CustomizeUISystem extends System {
         const nextFocus = focusTransitionMap[currentFocus]?.cancel;
 
         if (nextFocus === 'EXIT') {
-            // シーン遷移リクエスト発行
+            // 重ねて表示されているカスタマイズ画面を閉じ、マップに戻る
             const req = this.world.createEntity();
-            this.world.addComponent(req, new SceneChangeRequest('map', { restoreMenu: true }));
+            this.world.addComponent(req, new ScenePopRequest());
         } else if (nextFocus) {
             this.uiState.focus = nextFocus;
             this.renderAll();
@@ -36,7 +36,7 @@ export class CustomizeUIManager {
         medarots.forEach((medarot, index) => {
             const li = el('li', { 
                 className: 'medarot-list-item',
-                dataset: { index: index }
+                dataset: { index: index, focus: 'MEDAROT_SELECT' }
             }, [
                 el('span', { className: 'medarot-name' }, medarot.name)
             ]);
@@ -62,7 +62,7 @@ export class CustomizeUIManager {
             
             const li = el('li', {
                 className: 'equipped-part-item',
-                dataset: { index: index, slot: slotKey }
+                dataset: { index: index, slot: slotKey, focus: 'EQUIP_PANEL' }
             }, [
                 el('span', { className: 'part-slot-name' }, slotName),
                 el('span', { className: 'part-name' }, itemData.data ? itemData.data.name : 'なし')
@@ -83,7 +83,7 @@ export class CustomizeUIManager {
         items.forEach((item, index) => {
             const li = el('li', {
                 className: 'part-list-item',
-                dataset: { index: index }
+                dataset: { index: index, focus: 'ITEM_LIST' }
             }, [
                 el('span', { className: 'part-name' }, item.name)
             ]);
@@ -2,8 +2,10 @@
  * @file アクション定義マスターデータ
  * アクションごとの効果、ターゲットルール、計算パラメータを定義する。
  */
-import { TargetTiming, EffectType, EffectScope } from '../battle/common/constants.js';
+import { TargetTiming, EffectType, EffectScope, CameraAction } from '../battle/common/constants.js';
 import { TargetingStrategyKey } from '../battle/ai/AIDefinitions.js';
+import { SoundKey } from '../common/soundConfig.js';
+import { VfxName } from './vfxDefinitions.js';
 
 export const ActionDefinitions = {
     // --- 射撃系 ---
@@ -23,7 +25,7 @@ export const ActionDefinitions = {
             }
         ],
         visuals: {
-            declaration: { messageKey: 'ATTACK_DECLARATION', animation: 'attack' },
+            declaration: { messageKey: 'ATTACK_DECLARATION', animation: 'attack', vfx: VfxName.MUZZLE_FLASH },
             effects: {
                 [EffectType.DAMAGE]: { messageKey: 'DAMAGE_APPLIED', showHpBar: true }
             }
@@ -50,7 +52,13 @@ export const ActionDefinitions = {
         visuals: {
             declaration: { messageKey: 'ATTACK_DECLARATION', animation: 'attack' },
             effects: {
-                [EffectType.DAMAGE]: { messageKey: 'DAMAGE_APPLIED', showHpBar: true }
+                // 格闘は打撃音と斬撃で上書きする（クリティカル・パーツ破壊時は VisualDefinitions の共通の演出）
+                [EffectType.DAMAGE]: {
+                    messageKey: 'DAMAGE_APPLIED',
+                    showHpBar: true,
+                    sounds: { default: SoundKey.SE_STRIKE },
+                    vfx: { default: VfxName.SLASH }
+                }
             }
         }
     },
@@ -73,9 +81,19 @@ export const ActionDefinitions = {
             }
         ],
         visuals: {
-            declaration: { messageKey: 'ATTACK_DECLARATION', animation: 'attack' },
+            // 捨て身の一撃は対象に寄って見せる
+            declaration: {
+                messageKey: 'ATTACK_DECLARATION',
+                animation: 'attack',
+                camera: { action: CameraAction.ZOOM, params: { scale: 1.3, duration: 300 } }
+            },
             effects: {
-                [EffectType.DAMAGE]: { messageKey: 'DAMAGE_APPLIED', showHpBar: true }
+                [EffectType.DAMAGE]: {
+                    messageKey: 'DAMAGE_APPLIED',
+                    showHpBar: true,
+                    sounds: { default: SoundKey.SE_STRIKE },
+                    vfx: { default: VfxName.SLASH }
+                }
             }
         }
     },
@@ -0,0 +1,25 @@
+/**
+ * @file Tween定義 (TweenDefinitions)
+ * @description 演出シーケンスの TWEEN タスクで再生する動き（アイコンの踏み込みなど）の名前と内容を定義します。
+ * ActionDefinitions の visuals や VisualDefinitions からは TweenName で参照します。
+ * 各定義は動かすエンティティと向き（相手側が 1、自陣側が -1）を受け取り、Timeline ヘルパーで組み立てた定義を返します。
+ */
+import { Timeline } from '../../engine/utils/Tween.js';
+
+export const TweenName = {
+    LUNGE: 'lunge',
+    KNOCKBACK: 'knockback',
+};
+
+export const TweenDefinitions = {
+    // 攻撃時の踏み込み（相手側へ 24px 動いて戻る）
+    [TweenName.LUNGE]: (entityId, direction) => Timeline.sequence([
+        Timeline.tween(entityId, 'Visual', { to: { offsetX: 24 * direction } }, { duration: 120, easing: 'easeOutQuad' }),
+        Timeline.tween(entityId, 'Visual', { to: { offsetX: 0 } }, { duration: 180, easing: 'easeInQuad' }),
+    ]),
+    // ダメージを受けた側のノックバック（相手と反対側へ 8px 動いて戻る）
+    [TweenName.KNOCKBACK]: (entityId, direction) => Timeline.tween(entityId, 'Visual',
+        { from: { offsetX: 0 }, to: { offsetX: -8 * direction } },
+        { duration: 60, easing: 'easeOutQuad', yoyo: true, repeat: 1 }
+    ),
+};
@@ -0,0 +1,22 @@
+/**
+ * @file VFX定義 (VfxDefinitions)
+ * @description バトルの視覚効果 (VFX) の名前と表示設定を定義します。
+ * ActionDefinitions の visuals や VisualDefinitions からは VfxName で参照します。
+ * 見た目は style.css の className のアニメーションで表現するため、duration はアニメーションの長さと合わせてください。
+ */
+
+export const VfxName = {
+    MUZZLE_FLASH: 'muzzleFlash',
+    SLASH: 'slash',
+    EXPLOSION: 'explosion',
+    HEAL_SPARKLE: 'healSparkle',
+    SCAN_WAVE: 'scanWave',
+};
+
+export const VfxDefinitions = {
+    [VfxName.MUZZLE_FLASH]: { className: 'vfx-muzzle-flash', duration: 200 },
+    [VfxName.SLASH]: { className: 'vfx-slash', duration: 300 },
+    [VfxName.EXPLOSION]: { className: 'vfx-explosion', duration: 600 },
+    [VfxName.HEAL_SPARKLE]: { className: 'vfx-heal-sparkle', duration: 700 },
+    [VfxName.SCAN_WAVE]: { className: 'vfx-scan-wave', duration: 600 },
+};
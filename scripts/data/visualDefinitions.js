@@ -4,7 +4,10 @@
  * 以前のメソッド(getMessageKey等)は削除し、純粋なデータオブジェクトとして定義します。
  * ロジックはSystem側に移行しました。
  */
-import { EffectType } from '../battle/common/constants.js';
+import { EffectType, CameraAction } from '../battle/common/constants.js';
+import { SoundKey } from '../common/soundConfig.js';
+import { VfxName } from './vfxDefinitions.js';
+import { TweenName } from './tweenDefinitions.js';
 
 export const VisualDefinitions = {
     // 効果種別ごとの基本設定
@@ -18,6 +21,24 @@ export const VisualDefinitions = {
             defended: 'DEFENSE_SUCCESS',
             guardian: 'GUARDIAN_DAMAGE',
             prefixCritical: 'CRITICAL_HIT'
+        },
+        // 結果ごとの効果音（ActionDefinitions の visuals.effects[種別].sounds で上書きできる。vfx / camera / tweens も同様）
+        sounds: {
+            default: SoundKey.SE_HIT,
+            critical: SoundKey.SE_CRITICAL,
+            broken: SoundKey.SE_BREAK
+        },
+        // 対象の位置に表示する VFX と、カメラ演出 ({ action, params })
+        vfx: {
+            broken: VfxName.EXPLOSION
+        },
+        camera: {
+            critical: { action: CameraAction.FLASH },
+            broken: { action: CameraAction.SHAKE, params: { intensity: 8, duration: 400 } }
+        },
+        // 対象のアイコンの動き (TweenName)
+        tweens: {
+            default: TweenName.KNOCKBACK
         }
     },
     [EffectType.HEAL]: {
@@ -25,11 +46,20 @@ export const VisualDefinitions = {
         keys: {
             success: 'HEAL_SUCCESS',
             failed: 'HEAL_FAILED'
+        },
+        sounds: {
+            success: SoundKey.SE_HEAL
+        },
+        vfx: {
+            success: VfxName.HEAL_SPARKLE
         }
     },
     [EffectType.APPLY_SCAN]: {
         keys: {
             default: 'SUPPORT_SCAN_SUCCESS'
+        },
+        vfx: {
+            default: VfxName.SCAN_WAVE
         }
     },
     [EffectType.APPLY_GLITCH]: {
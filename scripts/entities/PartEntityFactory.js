@@ -70,7 +70,9 @@ export const PartEntityFactory = {
             world.addComponent(entityId, new PartComponents.PartVisualConfig({
                 declaration: {
                     templateId: partData.visuals.declaration?.messageKey,
-                    animation: partData.visuals.declaration?.animation
+                    animation: partData.visuals.declaration?.animation,
+                    vfx: partData.visuals.declaration?.vfx,
+                    camera: partData.visuals.declaration?.camera
                 },
                 impacts: partData.visuals.effects
             }));
@@ -0,0 +1,34 @@
+/**
+ * @file addMapSprite.js
+ * @description マップデータのスプライト定義を、マップ上のエンティティに Sprite / AnimatedSprite として追加する関数
+ */
+
+import { Sprite } from '../../engine/stdlib/components/Sprite.js';
+import { AnimatedSprite } from '../../engine/stdlib/components/AnimatedSprite.js';
+
+/**
+ * @param {Object} world - ECSワールド
+ * @param {number} entityId
+ * @param {{ sheet: SpriteSheet, definition: object } | null} art - Map.getSpriteArt() の戻り値
+ * @param {number} size - エンティティの大きさ（Renderable.size）。オフセット省略時は足元を揃えて左右中央に描画する
+ * @returns {boolean} 追加したか（art が null の場合は追加せず、Renderable の図形で描画される）
+ */
+export function addMapSprite(world, entityId, art, size) {
+    if (!art) return false;
+    const { sheet, definition } = art;
+    const width = definition.width ?? sheet.frameWidth;
+    const height = definition.height ?? sheet.frameHeight;
+
+    world.addComponent(entityId, new Sprite({
+        sheet,
+        frame: definition.frame ?? 0,
+        width,
+        height,
+        offsetX: definition.offsetX ?? (size - width) / 2,
+        offsetY: definition.offsetY ?? size - height,
+    }));
+    if (definition.animations) {
+        world.addComponent(entityId, new AnimatedSprite(definition.animations));
+    }
+    return true;
+}
@@ -9,19 +9,27 @@ import { PhaseState } from '../battle/components/PhaseState.js';
 import { BattleHistoryContext } from '../battle/components/BattleHistoryContext.js';
 import { BattleUIState } from '../battle/components/BattleUIState.js';
 import { UIManager } from '../../engine/ui/UIManager.js';
+import { RandomService } from '../../engine/stdlib/components/RandomService.js';
+import { TimeScale } from '../../engine/core/TimeScale.js';
 
 /**
  * バトルシーンの主要なコンテキストEntityを生成する
+ * 乱数サービスもここで生成されるため、チーム生成より先に呼び出すこと。
  * @param {Object} world - ECSワールド
+ * @param {object} [options]
+ * @param {number} [options.seed] - 乱数シード（省略時は現在時刻）
+ * @param {number} [options.speed=1] - 戦闘速度 (TimeScale の倍率)
  * @returns {number} 生成されたコンテキストエンティティID
  */
-export function createBattleContextEntities(world) {
+export function createBattleContextEntities(world, { seed, speed = 1 } = {}) {
     const contextEntity = world.createEntity();
 
     world.addComponent(contextEntity, new BattleFlowState());
     world.addComponent(contextEntity, new TurnContext());
     world.addComponent(contextEntity, new PhaseState());
     world.addComponent(contextEntity, new BattleHistoryContext());
+    world.addComponent(contextEntity, new RandomService(seed));
+    world.addComponent(contextEntity, new TimeScale(speed));
 
     return contextEntity;
 }
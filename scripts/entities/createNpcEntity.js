@@ -0,0 +1,37 @@
+/**
+ * @file createNpcEntity.js
+ * @description マップシーン用のNPC Entityを生成する関数
+ */
+
+import * as MapComponents from '../map/MapComponents.js';
+import { CONFIG as MAP_CONFIG } from '../map/constants.js';
+import { addMapSprite } from './addMapSprite.js';
+
+// NPCの図形はタイルの 2/3 の大きさの円で、タイルの中央に描画する
+const NPC_SIZE = MAP_CONFIG.TILE_SIZE * 2 / 3;
+
+/**
+ * マップシーン用のNPC Entityを生成する（描画用。会話の判定は Map.npcs のデータで行う）
+ * @param {Object} world - ECSワールド
+ * @param {Map} map - 画像定義を持つマップ
+ * @param {Object} npc - マップデータのNPC定義 { x, y, sprite?, direction? }
+ * @returns {number} 生成されたエンティティID
+ */
+export function createNpcEntity(world, map, npc) {
+    const npcEntityId = world.createEntity();
+    const offset = (MAP_CONFIG.TILE_SIZE - NPC_SIZE) / 2;
+
+    world.addComponent(npcEntityId, new MapComponents.Position(
+        npc.x * MAP_CONFIG.TILE_SIZE + offset,
+        npc.y * MAP_CONFIG.TILE_SIZE + offset
+    ));
+    world.addComponent(npcEntityId, new MapComponents.Renderable('circle', '#FF0000', NPC_SIZE));
+
+    const hasSprite = npc.sprite ? addMapSprite(world, npcEntityId, map.getSpriteArt(npc.sprite), NPC_SIZE) : false;
+    // 向きはアニメーションの選択にのみ使う（図形の場合は向きの点を描かない）
+    if (hasSprite) {
+        world.addComponent(npcEntityId, new MapComponents.FacingDirection(npc.direction));
+    }
+
+    return npcEntityId;
+}
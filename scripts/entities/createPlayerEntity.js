@@ -5,14 +5,16 @@
 
 import * as MapComponents from '../map/MapComponents.js';
 import { CONFIG as MAP_CONFIG, PLAYER_STATES } from '../map/constants.js';
+import { addMapSprite } from './addMapSprite.js';
 
 /**
  * マップシーン用のプレイヤーEntityを生成する
  * @param {Object} world - ECSワールド
  * @param {Object} gameDataManager - ゲームデータ管理オブジェクト
+ * @param {Map} [map] - 画像定義を持つマップ（'player' のスプライト定義があれば画像で描画する）
  * @returns {number} 生成されたエンティティID
  */
-export function createPlayerEntity(world, gameDataManager) {
+export function createPlayerEntity(world, gameDataManager, map = null) {
     const playerEntityId = world.createEntity();
     const mapPlayerData = gameDataManager.gameData.playerPosition;
 
@@ -22,6 +24,7 @@ export function createPlayerEntity(world, gameDataManager) {
     world.addComponent(playerEntityId, new MapComponents.Collision(MAP_CONFIG.PLAYER_SIZE, MAP_CONFIG.PLAYER_SIZE));
     world.addComponent(playerEntityId, new MapComponents.State(PLAYER_STATES.IDLE));
     world.addComponent(playerEntityId, new MapComponents.FacingDirection(mapPlayerData.direction));
+    addMapSprite(world, playerEntityId, map?.getSpriteArt('player') ?? null, MAP_CONFIG.PLAYER_SIZE);
 
     return playerEntityId;
 }
\ No newline at end of file
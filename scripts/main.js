@@ -4,6 +4,16 @@
 import { World } from '../engine/core/World.js';
 import { InputManager } from '../engine/input/InputManager.js';
 import { SceneManager } from '../engine/scene/SceneManager.js';
+import { TransitionType } from '../engine/scene/SceneTransition.js';
+import { LoadingScreen } from '../engine/scene/LoadingScreen.js';
+import { AssetManager, AssetType } from '../engine/assets/AssetManager.js';
+import { AudioManager } from '../engine/audio/AudioManager.js';
+import { Profiler } from '../engine/debug/Profiler.js';
+import { ProfilerOverlay } from '../engine/debug/ProfilerOverlay.js';
+import { ErrorOverlay } from '../engine/debug/ErrorOverlay.js';
+import { InputReplayControls } from '../engine/debug/InputReplayControls.js';
+import { FrameStepper } from '../engine/debug/FrameStepper.js';
+import { ErrorHandler, ErrorSeverity } from '../engine/utils/ErrorHandler.js';
 
 import { TitleScene } from './scenes/TitleScene.js';
 import { MapScene } from './scenes/MapScene.js';
@@ -12,11 +22,28 @@ import { CustomizeScene } from './scenes/CustomizeScene.js';
 
 import { GameDataManager } from './managers/GameDataManager.js';
 import { UI_CONFIG } from './battle/common/UIConfig.js';
+import { CONFIG } from './common/config.js';
+import { InputAction } from './common/constants.js';
 
-import { KEY_MAP } from './map/constants.js';
+import { DEFAULT_KEY_BINDINGS, GAMEPAD_BINDINGS, INPUT_CONTEXTS } from './common/inputConfig.js';
+import { BOOT_ASSETS } from './common/assetManifest.js';
+import { SYNTH_SOUNDS } from './common/soundConfig.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
-    const world = new World();
+    // システムごとの処理時間計測 (F3でオーバーレイ表示)
+    const profiler = new Profiler();
+
+    // 基底シーン用と、重ねて表示するシーン用の World は同じ設定で生成する
+    const createWorld = () => {
+        const world = new World();
+        // デバッグ時は削除済みエンティティのハンドル参照と、消費されずに破棄されたイベントを警告する
+        world.debug = CONFIG.DEBUG;
+        world.events.warnOnExpire = CONFIG.DEBUG;
+        world.setProfiler(profiler);
+        return world;
+    };
+    const world = createWorld();
+    const profilerOverlay = new ProfilerOverlay(profiler);
     
     const gameDataManager = new GameDataManager();
 
@@ -27,38 +54,131 @@ document.addEventListener('DOMContentLoaded', async () => {
         customize: document.getElementById('customize-container'),
     };
 
-    const sceneManager = new SceneManager(world, containerMap);
+    const assetManager = new AssetManager();
+    const loadingScreen = new LoadingScreen();
+
+    // 音量・ミュートの設定は変更されるたびに保存する
+    const audioManager = new AudioManager({
+        settings: gameDataManager.getOption('audio'),
+        onSettingsChanged: (settings) => gameDataManager.setOption('audio', settings),
+        getAsset: (key) => assetManager.get(key)
+    });
+    assetManager.registerLoader(AssetType.AUDIO, audioManager.createLoader());
+    for (const [key, definition] of Object.entries(SYNTH_SOUNDS)) {
+        audioManager.registerSynth(key, definition);
+    }
+
+    const sceneManager = new SceneManager(world, containerMap, {
+        createWorld,
+        transition: TransitionType.FADE,
+        assetManager,
+        loadingScreen,
+        audioManager
+    });
     sceneManager.register('title', TitleScene);
     sceneManager.register('map', MapScene);
     sceneManager.register('battle', BattleScene);
     sceneManager.register('customize', CustomizeScene);
 
+    // キー割り当ては初期設定の上にユーザーの保存済み設定を重ね、変更されるたびに保存する
     const inputManager = new InputManager({
-        keyMap: KEY_MAP,
-        preventDefaultKeys: Object.keys(KEY_MAP)
+        bindings: DEFAULT_KEY_BINDINGS,
+        gamepadBindings: GAMEPAD_BINDINGS,
+        contexts: INPUT_CONTEXTS,
+        savedBindings: gameDataManager.getInputBindings(),
+        onBindingsChanged: (bindings) => gameDataManager.saveInputBindings(bindings)
     });
 
     sceneManager.registerPersistentComponent(inputManager);
+    sceneManager.registerPersistentComponent(audioManager);
 
     sceneManager.registerGlobalContext('gameDataManager', gameDataManager);
 
+    // エラー表示 (F4) と致命的エラー時の一時停止・クラッシュレポート出力
+    ErrorHandler.installGlobalHandlers();
+    const errorOverlay = new ErrorOverlay(world, {
+        getWorld: () => sceneManager.activeWorld,
+        getInputs: () => inputManager.getRecentInputs(),
+        getExtra: () => ({ scene: sceneManager.currentScene?.constructor.name ?? null })
+    });
+
+    // 入力の記録 (F6) と再生 (F7)。タイトル画面に戻して乱数シードを変えるため、デバッグ時のみ有効にする。
+    // 記録・再生はタイトル画面から同じ乱数シードで始める（セーブデータは記録時と同じである必要がある）
+    if (CONFIG.DEBUG) {
+        const startReplaySession = (seed) => {
+            sceneManager.registerGlobalContext('seed', seed);
+            sceneManager.switchTo('title').catch(error => ErrorHandler.handle(error, { source: 'InputReplayControls' }));
+        };
+        new InputReplayControls(inputManager, {
+            onBeforeRecording: () => {
+                const seed = Date.now() >>> 0;
+                startReplaySession(seed);
+                return { seed, startScene: 'title' };
+            },
+            onBeforePlayback: (log) => startReplaySession(log.meta.seed),
+            onEnd: () => sceneManager.registerGlobalContext('seed', undefined)
+        });
+    }
+
+    // ゲームループの停止 (F8)・ステップ実行 (F9)・World の調査 (F10)（デバッグ時のみ）
+    const frameStepper = CONFIG.DEBUG
+        ? new FrameStepper({
+            getWorld: () => sceneManager.activeWorld,
+            getExtra: () => ({ scene: sceneManager.currentScene?.constructor.name ?? null })
+        })
+        : null;
+
     const FIXED_TIME_STEP = 1000 / 60;
+    // タブが非表示の間などで大きく時間が空いた場合も、1フレームで追いつこうとするのはこのステップ数までとする
+    // （追いつくための更新でさらに遅れる悪循環を防ぐ。超えた分の時間は切り捨てる）
+    const MAX_STEPS_PER_FRAME = 5;
     let lastTime = 0;
     let accumulator = 0;
 
+    function runFixedStep() {
+        // 遷移中などシーンが更新されなかったステップは、入力の記録・再生のフレームとして数えない
+        let isSceneUpdated = true;
+        try {
+            isSceneUpdated = sceneManager.update(FIXED_TIME_STEP);
+        } catch (error) {
+            ErrorHandler.handle(error, { source: 'gameLoop', severity: ErrorSeverity.FATAL });
+        }
+        // ミュートはどのシーンでも切り替えられる（有効かどうかは各シーンの入力コンテキストで決まる）
+        if (inputManager.wasActionJustPressed(InputAction.TOGGLE_MUTE)) {
+            audioManager.toggleMute();
+        }
+        inputManager.update(isSceneUpdated);
+    }
+
     function gameLoop(timestamp) {
         if (!lastTime) lastTime = timestamp;
         const deltaTime = timestamp - lastTime;
         lastTime = timestamp;
 
-        accumulator += deltaTime;
+        if (frameStepper?.isFrozen) {
+            // ステップ実行中は時間を溜めず、要求された数だけ進める
+            accumulator = 0;
+            for (let steps = frameStepper.consumeSteps(); steps > 0 && !errorOverlay.isPaused; steps--) {
+                runFixedStep();
+                frameStepper.onStep();
+            }
+        } else {
+            // 致命的エラーで一時停止中は時間を進めない（再開時にまとめて更新されないようにする）
+            accumulator = errorOverlay.isPaused
+                ? 0
+                : Math.min(accumulator + deltaTime, FIXED_TIME_STEP * MAX_STEPS_PER_FRAME);
+        }
 
         while (accumulator >= FIXED_TIME_STEP) {
-            sceneManager.update(FIXED_TIME_STEP);
-            inputManager.update();
+            runFixedStep();
             accumulator -= FIXED_TIME_STEP;
+            if (errorOverlay.isPaused) {
+                accumulator = 0;
+            }
         }
 
+        profilerOverlay.update(timestamp);
+
         requestAnimationFrame(gameLoop);
     }
     
@@ -79,6 +199,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     window.addEventListener('resize', applyScaling);
     applyScaling();
 
+    // 起動時のアセットはタイトル画面の前に読み込み、解放せずに保持する
+    await sceneManager.loadAssets(BOOT_ASSETS, 'boot');
     await sceneManager.switchTo('title');
     requestAnimationFrame(gameLoop);
     
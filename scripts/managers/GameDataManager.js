@@ -8,6 +8,15 @@ import { PersistenceService } from './PersistenceService.js';
 
 let instance = null;
 
+/**
+ * プレイヤー設定の初期値（保存された設定はこの上に反映される）
+ */
+const DEFAULT_OPTIONS = {
+    battleSpeed: 1,
+    // 音量・ミュートの設定 (AudioManager の settings)。null の場合は AudioManager の初期値を使う
+    audio: null,
+};
+
 export class GameDataManager {
     constructor() {
         if (instance) {
@@ -15,6 +24,7 @@ export class GameDataManager {
         }
         this.persistenceService = new PersistenceService();
         this.gameData = this.persistenceService.load();
+        this.options = { ...DEFAULT_OPTIONS, ...this.persistenceService.loadOptions() };
 
         instance = this;
     }
@@ -33,6 +43,73 @@ export class GameDataManager {
         this.persistenceService.save(this.gameData);
     }
     
+    /**
+     * セーブデータが存在するかどうか
+     * @returns {boolean}
+     */
+    hasSaveData() {
+        return this.persistenceService.hasSaveData();
+    }
+
+    /**
+     * 中断したバトルのスナップショットを保存する
+     * @param {object} snapshot
+     */
+    saveBattleSnapshot(snapshot) {
+        this.persistenceService.saveBattleSnapshot(snapshot);
+    }
+
+    /**
+     * 中断したバトルのスナップショットを取得する
+     * @returns {object|null}
+     */
+    getBattleSnapshot() {
+        return this.persistenceService.loadBattleSnapshot();
+    }
+
+    /**
+     * 中断したバトルのスナップショットを破棄する
+     */
+    clearBattleSnapshot() {
+        this.persistenceService.clearBattleSnapshot();
+    }
+
+    /**
+     * キー割り当てを保存する
+     * @param {Object<string, string[]>} bindings
+     */
+    saveInputBindings(bindings) {
+        this.persistenceService.saveInputBindings(bindings);
+    }
+
+    /**
+     * 保存されたキー割り当てを取得する
+     * @returns {Object<string, string[]>|null}
+     */
+    getInputBindings() {
+        return this.persistenceService.loadInputBindings();
+    }
+
+    /**
+     * プレイヤー設定を取得する
+     * @param {string} key
+     * @returns {*}
+     */
+    getOption(key) {
+        return this.options[key];
+    }
+
+    /**
+     * プレイヤー設定を変更して保存する（値が変わらない場合は保存しない）
+     * @param {string} key
+     * @param {*} value
+     */
+    setOption(key, value) {
+        if (this.options[key] === value) return;
+        this.options[key] = value;
+        this.persistenceService.saveOptions(this.options);
+    }
+
     /**
      * 指定されたインデックスのメダロットデータを整形して取得する
      * @param {number} index 
@@ -8,6 +8,13 @@ import { PARTS_DATA } from '../data/parts.js';
 import { MEDALS_DATA } from '../data/medals.js';
 import { buildPartData } from '../data/partDataUtils.js';
 
+const SAVE_DATA_KEY = 'medarotJSaveData';
+const BATTLE_SNAPSHOT_KEY = 'medarotJBattleSnapshot';
+// キー割り当てはセーブデータの初期化（ニューゲーム）の影響を受けないよう別キーで保存する
+const INPUT_BINDINGS_KEY = 'medarotJInputBindings';
+// 戦闘速度などのプレイヤー設定も同様に別キーで保存する
+const OPTIONS_KEY = 'medarotJOptions';
+
 // デフォルトのプレイヤー初期位置
 const initialPlayerPosition = {
     x: 1 * 32 + (32 - 24) / 2, // TILE_SIZE, PLAYER_SIZE
@@ -75,7 +82,7 @@ export class PersistenceService {
      */
     load() {
         try {
-            const savedData = localStorage.getItem('medarotJSaveData');
+            const savedData = localStorage.getItem(SAVE_DATA_KEY);
             if (savedData) {
                 const gameData = JSON.parse(savedData);
 
@@ -98,12 +105,105 @@ export class PersistenceService {
      */
     save(gameData) {
         try {
-            localStorage.setItem('medarotJSaveData', JSON.stringify(gameData));
+            localStorage.setItem(SAVE_DATA_KEY, JSON.stringify(gameData));
         } catch (error) {
             console.error('Failed to save game data.', error);
         }
     }
 
+    /**
+     * セーブデータが存在するかどうか
+     * @returns {boolean}
+     */
+    hasSaveData() {
+        return localStorage.getItem(SAVE_DATA_KEY) !== null;
+    }
+
+    /**
+     * 中断したバトルのスナップショットを保存する
+     * @param {object} snapshot - World.serialize() の結果
+     */
+    saveBattleSnapshot(snapshot) {
+        try {
+            localStorage.setItem(BATTLE_SNAPSHOT_KEY, JSON.stringify(snapshot));
+        } catch (error) {
+            console.error('Failed to save battle snapshot.', error);
+        }
+    }
+
+    /**
+     * 中断したバトルのスナップショットを読み込む
+     * @returns {object|null}
+     */
+    loadBattleSnapshot() {
+        try {
+            const savedSnapshot = localStorage.getItem(BATTLE_SNAPSHOT_KEY);
+            return savedSnapshot ? JSON.parse(savedSnapshot) : null;
+        } catch (error) {
+            console.error('Failed to load battle snapshot.', error);
+            return null;
+        }
+    }
+
+    /**
+     * 中断したバトルのスナップショットを削除する
+     */
+    clearBattleSnapshot() {
+        localStorage.removeItem(BATTLE_SNAPSHOT_KEY);
+    }
+
+    /**
+     * キー割り当てを保存する
+     * @param {Object<string, string[]>} bindings - InputManager.getAllBindings() の結果
+     */
+    saveInputBindings(bindings) {
+        try {
+            localStorage.setItem(INPUT_BINDINGS_KEY, JSON.stringify(bindings));
+        } catch (error) {
+            console.error('Failed to save input bindings.', error);
+        }
+    }
+
+    /**
+     * 保存されたキー割り当てを読み込む
+     * @returns {Object<string, string[]>|null}
+     */
+    loadInputBindings() {
+        try {
+            const savedBindings = localStorage.getItem(INPUT_BINDINGS_KEY);
+            return savedBindings ? JSON.parse(savedBindings) : null;
+        } catch (error) {
+            console.error('Failed to load input bindings.', error);
+            return null;
+        }
+    }
+
+    /**
+     * プレイヤー設定を保存する
+     * @param {object} options
+     */
+    saveOptions(options) {
+        try {
+            localStorage.setItem(OPTIONS_KEY, JSON.stringify(options));
+        } catch (error) {
+            console.error('Failed to save options.', error);
+        }
+    }
+
+    /**
+     * 保存されたプレイヤー設定を読み込む
+     * @returns {object|null}
+     */
+    loadOptions() {
+        try {
+            const savedOptions = localStorage.getItem(OPTIONS_KEY);
+            return savedOptions ? JSON.parse(savedOptions) : null;
+        } catch (error) {
+            console.error('Failed to load options.', error);
+            return null;
+        }
+    }
+
     _migrateSaveData(gameData) {
         const migrations = [
             this._migratePartsInventory.bind(this),
@@ -27,4 +27,44 @@ export class MenuActionRequest {
 
 export class GameSaveRequest {
     constructor() {}
-}
\ No newline at end of file
+}
+
+/**
+ * カメラを指定した点（ワールド座標）へ移動させ、CameraReleaseRequest まで固定する
+ */
+export class CameraPanRequest {
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options] - Camera.panTo() のオプション (duration, zoom, easing)
+     */
+    constructor(x, y, options = {}) {
+        this.x = x;
+        this.y = y;
+        this.options = options;
+    }
+}
+
+/**
+ * CameraPanRequest による固定を解除し、プレイヤーへの追従に戻す
+ */
+export class CameraReleaseRequest {
+    constructor() {}
+}
+
+export class CameraShakeRequest {
+    /**
+     * @param {number} intensity - 最大の揺れ幅 (px)
+     * @param {number} [duration=300] - ms
+     */
+    constructor(intensity, duration = 300) {
+        this.intensity = intensity;
+        this.duration = duration;
+    }
+}
+/**
+ * 戦闘発生時の演出の終了通知（MovementSystem が開始したタイマーが world.events に発行する）
+ */
+export class BattleIntroCompletedEvent {
+    constructor() {}
+}
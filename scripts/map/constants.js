@@ -10,6 +10,10 @@ export const CONFIG = {
     get VIEWPORT_HEIGHT() { return this.VIEWPORT_HEIGHT_TILES * this.TILE_SIZE },
     
     PLAYER_SPEED_PPS: 256, // 1秒あたりのピクセル移動量
+
+    CAMERA_FOLLOW_LERP: 0.15, // カメラの追従の滑らかさ（1で即座に追従）
+    CAMERA_DEAD_ZONE: { width: 96, height: 64 }, // 画面中央のこの範囲内ではカメラが動かない (px)
+    BATTLE_INTRO_DURATION: 600, // 戦闘発生タイルに到達してから戦闘に遷移するまでの演出時間 (ms)
 };
 
 // タイルの種類
@@ -23,16 +27,7 @@ export const TILE_TYPES = {
 export const PLAYER_STATES = {
     IDLE: 'idle',
     WALKING: 'walking',
-};
-
-// キーマッピング
-export const KEY_MAP = {
-    ArrowUp: 'up',
-    ArrowDown: 'down',
-    ArrowLeft: 'left',
-    ArrowRight: 'right',
-    z: 'z', // Zキーを追加
-    x: 'x', // Xキーを追加
+    EVENT: 'event', // イベント演出中（操作を受け付けない）
 };
 
 // マップ固有のイベント
@@ -1,14 +1,69 @@
 import { CONFIG, TILE_TYPES } from './constants.js';
+import { SpriteSheet } from '../../engine/graphics/SpriteSheet.js';
+import { AssetType } from '../../engine/assets/AssetManager.js';
 
+/**
+ * マップデータ (map.json) の画像定義は任意です。定義がない、または画像を読み込めない場合は図形で描画します。
+ * - tileset: { image, frameWidth, frameHeight, margin?, spacing?, tiles: { タイル種別: フレーム番号 } }
+ * - sprites: { 名前: { image, frameWidth, frameHeight, frame?, width?, height?, offsetX?, offsetY?, animations? } }
+ *   'player' はプレイヤー、NPC は npcs[].sprite で指定した名前の定義を使用します。
+ *   animations は AnimatedSprite の定義で、キャラクターは '状態_向き' (例: 'walking_down') または '状態' の名前で再生されます。
+ */
 export class Map {
     constructor(mapData) {
         this.tileData = mapData.tile_data;
         this.widthTiles = mapData.width_tiles;
         this.heightTiles = mapData.height_tiles;
         this.npcs = mapData.npcs || [];  
+        this.tilesetData = mapData.tileset || null;
+        this.spriteData = mapData.sprites || {};
         
         this.wallColor = '#8B4513';
         this.wallBorderColor = '#5d2f0d';
+
+        // setupGraphics() で作成したスプライトシート
+        this.tileSheet = null;
+        this.spriteSheets = {};
+    }
+
+    /**
+     * マップデータに定義された画像のマニフェスト（AssetManager.load() に渡す）
+     * @returns {Array<{ key: string, type: string, src: string }>}
+     */
+    getAssetManifest() {
+        const sources = new Set([this.tilesetData, ...Object.values(this.spriteData)]
+            .filter(definition => definition?.image)
+            .map(definition => definition.image));
+        return [...sources].map(src => ({ key: `image:${src}`, type: AssetType.IMAGE, src }));
+    }
+
+    /**
+     * 読み込み済みの画像からスプライトシートを作成する。
+     * 読み込めなかった画像を使う定義は無視され、図形での描画になる。
+     * @param {function(string): (HTMLImageElement|undefined)} getAsset - アセットキーから読み込み結果を返す関数
+     */
+    setupGraphics(getAsset) {
+        const createSheet = (definition) => {
+            const image = definition?.image ? getAsset(`image:${definition.image}`) : undefined;
+            return image ? new SpriteSheet(image, definition) : null;
+        };
+
+        this.tileSheet = createSheet(this.tilesetData);
+        this.spriteSheets = {};
+        for (const [name, definition] of Object.entries(this.spriteData)) {
+            const sheet = createSheet(definition);
+            if (sheet) this.spriteSheets[name] = sheet;
+        }
+    }
+
+    /**
+     * 名前付きのスプライト定義と読み込み済みのスプライトシートを取得する
+     * @param {string} name
+     * @returns {{ sheet: SpriteSheet, definition: object } | null} 定義がない、または読み込めなかった場合は null
+     */
+    getSpriteArt(name) {
+        const sheet = this.spriteSheets[name];
+        return sheet ? { sheet, definition: this.spriteData[name] } : null;
     }
 
     get widthPx() {
@@ -46,15 +101,28 @@ export class Map {
         return false;
     }
 
+    /**
+     * 画面内のタイルを描画する（NPC・プレイヤーはエンティティとして MapRenderSystem が描画する）
+     */
     draw(renderer, camera) {
-        const startCol = Math.floor(camera.x / CONFIG.TILE_SIZE);
-        const endCol = Math.min(startCol + CONFIG.VIEWPORT_WIDTH_TILES + 1, this.widthTiles);
-        const startRow = Math.floor(camera.y / CONFIG.TILE_SIZE);
-        const endRow = Math.min(startRow + CONFIG.VIEWPORT_HEIGHT_TILES + 1, this.heightTiles);
+        // 揺れで端が見えないよう、表示範囲の周囲1タイルも描画する
+        const startCol = Math.max(0, Math.floor(camera.x / CONFIG.TILE_SIZE) - 1);
+        const endCol = Math.min(Math.ceil((camera.x + camera.viewWidth) / CONFIG.TILE_SIZE) + 1, this.widthTiles);
+        const startRow = Math.max(0, Math.floor(camera.y / CONFIG.TILE_SIZE) - 1);
+        const endRow = Math.min(Math.ceil((camera.y + camera.viewHeight) / CONFIG.TILE_SIZE) + 1, this.heightTiles);
         
+        const tileFrames = this.tilesetData?.tiles || {};
+
         for (let y = startRow; y < endRow; y++) {
             for (let x = startCol; x < endCol; x++) {
-                if (this.tileData[y][x] === TILE_TYPES.WALL) {
+                const tileType = this.tileData[y][x];
+                const frame = tileFrames[tileType];
+                if (this.tileSheet && frame !== undefined) {
+                    renderer.drawSprite(this.tileSheet, frame, x * CONFIG.TILE_SIZE, y * CONFIG.TILE_SIZE, {
+                        width: CONFIG.TILE_SIZE,
+                        height: CONFIG.TILE_SIZE,
+                    });
+                } else if (tileType === TILE_TYPES.WALL) {
                     renderer.drawRect(
                         x * CONFIG.TILE_SIZE,
                         y * CONFIG.TILE_SIZE,
@@ -66,14 +134,5 @@ export class Map {
                 }
             }
         }
-
-        for (const npc of this.npcs) {
-            renderer.drawCircle(
-                npc.x * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2,
-                npc.y * CONFIG.TILE_SIZE + CONFIG.TILE_SIZE / 2,
-                CONFIG.TILE_SIZE / 3, 
-                '#FF0000' 
-            );
-        }
     }
 }
\ No newline at end of file
@@ -1,7 +1,13 @@
+/**
+ * @file CameraSystem.js
+ * @description マップのカメラ制御システム。
+ * 通常はプレイヤーの中心を追従し、カメラ操作のリクエスト（パン・固定解除・揺れ）を処理します。
+ * 追従の滑らかさ・デッドゾーン・ズームの設定は Camera が持ちます。
+ */
 import { System } from '../../../engine/core/System.js';
 import * as MapComponents from '../MapComponents.js'; // パス修正
 import { CONFIG } from '../constants.js';
-import { clamp } from '../../../engine/utils/MathUtils.js';
+import { CameraPanRequest, CameraReleaseRequest, CameraShakeRequest } from '../components/MapRequests.js';
 
 export class CameraSystem extends System {
     constructor(world, camera, map) {
@@ -22,16 +28,37 @@ export class CameraSystem extends System {
     }
 
     update(deltaTime) {
+        this._processRequests();
+        this.camera.update(deltaTime, this._getFollowTarget());
+    }
+
+    _processRequests() {
+        for (const entityId of this.getEntities(CameraReleaseRequest)) {
+            this.camera.releasePan();
+            this.world.destroyEntity(entityId);
+        }
+        for (const entityId of this.getEntities(CameraPanRequest)) {
+            const request = this.world.getComponent(entityId, CameraPanRequest);
+            this.camera.panTo(request.x, request.y, request.options);
+            this.world.destroyEntity(entityId);
+        }
+        for (const entityId of this.getEntities(CameraShakeRequest)) {
+            const request = this.world.getComponent(entityId, CameraShakeRequest);
+            this.camera.shake(request.intensity, request.duration);
+            this.world.destroyEntity(entityId);
+        }
+    }
+
+    _getFollowTarget() {
         const playerEntityId = this._findPlayer();
-        if (playerEntityId === null) return;
+        if (playerEntityId === null) return null;
 
         const playerPosition = this.world.getComponent(playerEntityId, MapComponents.Position);
-        if (!playerPosition) return;
-
-        let targetX = playerPosition.x + (CONFIG.PLAYER_SIZE / 2) - (CONFIG.VIEWPORT_WIDTH / 2);
-        let targetY = playerPosition.y + (CONFIG.PLAYER_SIZE / 2) - (CONFIG.VIEWPORT_HEIGHT / 2);
+        if (!playerPosition) return null;
 
-        this.camera.x = clamp(targetX, 0, this.map.widthPx - CONFIG.VIEWPORT_WIDTH);
-        this.camera.y = clamp(targetY, 0, this.map.heightPx - CONFIG.VIEWPORT_HEIGHT);
+        return {
+            x: playerPosition.x + CONFIG.PLAYER_SIZE / 2,
+            y: playerPosition.y + CONFIG.PLAYER_SIZE / 2,
+        };
     }
-}
\ No newline at end of file
+}
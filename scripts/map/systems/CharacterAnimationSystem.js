@@ -0,0 +1,31 @@
+/**
+ * @file CharacterAnimationSystem.js
+ * @description マップ上のキャラクターの状態と向きから、再生するスプライトアニメーションを選ぶシステム。
+ * '状態_向き' (例: 'walking_left') の定義があればそれを、なければ '状態' (例: 'walking') を再生します。
+ * どちらも定義されていない場合は再生中のアニメーションを変えません。
+ */
+import { System } from '../../../engine/core/System.js';
+import { AnimatedSprite } from '../../../engine/stdlib/components/AnimatedSprite.js';
+import * as MapComponents from '../MapComponents.js';
+import { PLAYER_STATES } from '../constants.js';
+
+export class CharacterAnimationSystem extends System {
+    constructor(world) {
+        super(world);
+    }
+
+    update(deltaTime) {
+        const entities = this.getEntities(AnimatedSprite, MapComponents.FacingDirection);
+
+        for (const entityId of entities) {
+            const animated = this.world.getComponent(entityId, AnimatedSprite);
+            const facing = this.world.getComponent(entityId, MapComponents.FacingDirection);
+            const state = this.world.getComponent(entityId, MapComponents.State)?.value ?? PLAYER_STATES.IDLE;
+
+            const name = [`${state}_${facing.direction}`, state].find(candidate => candidate in animated.animations);
+            if (name) {
+                animated.animation = name;
+            }
+        }
+    }
+}
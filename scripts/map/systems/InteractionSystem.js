@@ -6,7 +6,7 @@ import { System } from '../../../engine/core/System.js';
 import * as MapComponents from '../MapComponents.js'; // パス修正
 import { CONFIG } from '../constants.js';
 import { MapUIState } from '../../scenes/MapScene.js';
-import { InteractionRequest, ShowNpcDialogRequest } from '../components/MapRequests.js'; 
+import { InteractionRequest, ShowNpcDialogRequest, CameraPanRequest } from '../components/MapRequests.js'; 
 
 const DIRECTION_OFFSETS = {
     'up': { x: 0, y: -1 },
@@ -57,6 +57,14 @@ export class InteractionSystem extends System {
         if (targetNpc) {
             const req = this.world.createEntity();
             this.world.addComponent(req, new ShowNpcDialogRequest(targetNpc));
+
+            // 会話の間はプレイヤーとNPCの中間を映す（会話ウィンドウを閉じると追従に戻る）
+            const panRequest = this.world.createEntity();
+            this.world.addComponent(panRequest, new CameraPanRequest(
+                (position.x + CONFIG.PLAYER_SIZE / 2 + (targetX + 0.5) * CONFIG.TILE_SIZE) / 2,
+                (position.y + CONFIG.PLAYER_SIZE / 2 + (targetY + 0.5) * CONFIG.TILE_SIZE) / 2,
+                { duration: 300 }
+            ));
         }
     }
 }
\ No newline at end of file
@@ -1,8 +1,11 @@
 /**
  * @file MapRenderSystem.js
  * @description マップシーンの描画システム。
+ * タイルを描画した後、エンティティを描画レイヤー (Sprite.layer)・zIndex・足元のY座標の順に並べて描画します。
+ * 画像を持たない (Sprite がない、または画像を読み込めていない) エンティティは Renderable の図形で描画します。
  */
 import { System } from '../../../engine/core/System.js';
+import { Sprite, RenderLayer } from '../../../engine/stdlib/components/Sprite.js';
 import * as MapComponents from '../MapComponents.js'; // パス修正
 
 export class MapRenderSystem extends System {
@@ -16,15 +19,23 @@ export class MapRenderSystem extends System {
     update(deltaTime) {
         this.renderer.ctx.clearRect(0, 0, this.renderer.canvas.width, this.renderer.canvas.height);
         
+        const camera = this.camera;
         this.renderer.ctx.save();
-        this.renderer.ctx.translate(-this.camera.x, -this.camera.y);
+        this.renderer.ctx.scale(camera.zoom, camera.zoom);
+        this.renderer.ctx.translate(-(camera.x + camera.shakeOffsetX), -(camera.y + camera.shakeOffsetY));
 
         this.map.draw(this.renderer, this.camera);
 
-        const entitiesToRender = this.getEntities(MapComponents.Position, MapComponents.Renderable);
-        for (const entityId of entitiesToRender) {
-            const position = this.world.getComponent(entityId, MapComponents.Position);
-            const renderable = this.world.getComponent(entityId, MapComponents.Renderable);
+        for (const drawable of this._collectDrawables()) {
+            const { entityId, position, renderable, sprite } = drawable;
+
+            if (sprite && !sprite.visible) continue;
+            if (sprite?.sheet && this.renderer.drawSprite(sprite.sheet, sprite.frame, position.x + sprite.offsetX, position.y + sprite.offsetY, {
+                width: sprite.width,
+                height: sprite.height,
+                flipX: sprite.flipX,
+            })) continue;
+            if (!renderable) continue;
 
             if (renderable.shape === 'circle') {
                 this.renderer.drawCircle(
@@ -50,6 +61,38 @@ export class MapRenderSystem extends System {
         this.renderer.ctx.restore();
     }
 
+    /**
+     * 描画対象のエンティティを描画順に並べて返す
+     * @returns {Array<{ entityId: number, position: object, renderable?: object, sprite?: Sprite, layer: number, zIndex: number, baseY: number }>}
+     */
+    _collectDrawables() {
+        const entityIds = new Set([
+            ...this.getEntities(MapComponents.Position, MapComponents.Renderable),
+            ...this.getEntities(MapComponents.Position, Sprite),
+        ]);
+
+        const drawables = [];
+        for (const entityId of entityIds) {
+            const position = this.world.getComponent(entityId, MapComponents.Position);
+            const renderable = this.world.getComponent(entityId, MapComponents.Renderable);
+            const sprite = this.world.getComponent(entityId, Sprite);
+            // 足元（下端）が画面の下にあるものほど手前に描く
+            const height = sprite?.sheet ? sprite.offsetY + (sprite.height ?? sprite.sheet.frameHeight) : renderable?.size ?? 0;
+
+            drawables.push({
+                entityId,
+                position,
+                renderable,
+                sprite,
+                layer: sprite?.layer ?? RenderLayer.OBJECT,
+                zIndex: sprite?.zIndex ?? 0,
+                baseY: position.y + height,
+            });
+        }
+
+        return drawables.sort((a, b) => a.layer - b.layer || a.zIndex - b.zIndex || a.baseY - b.baseY || a.entityId - b.entityId);
+    }
+
     _drawDirectionIndicator(entityId, position, renderable) {
         const facingDirection = this.world.getComponent(entityId, MapComponents.FacingDirection);
         if (!facingDirection) return;
@@ -71,4 +114,4 @@ export class MapRenderSystem extends System {
         
         this.renderer.drawCircle(dotX, dotY, dotRadius, '#000');
     }
-}
\ No newline at end of file
+}
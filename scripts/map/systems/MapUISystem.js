@@ -11,9 +11,11 @@ import {
     ToggleMenuRequest, 
     ShowNpcDialogRequest,
     GameSaveRequest,
-    MenuActionRequest
+    MenuActionRequest,
+    CameraReleaseRequest
 } from '../components/MapRequests.js';
-import { SceneChangeRequest } from '../../components/SceneRequests.js';
+import { SceneChangeRequest, ScenePushRequest } from '../../components/SceneRequests.js';
+import { InputAction, NavigateActions } from '../../common/constants.js';
 
 export class MapUISystem extends System {
     constructor(world) {
@@ -41,7 +43,7 @@ export class MapUISystem extends System {
         this._processGameSaveRequests();
 
         // 2. 入力処理
-        if (this.input.wasKeyJustPressed('x') && !this.mapUIState.isPausedByModal) {
+        if (this.input.wasActionJustPressed(InputAction.MENU) && !this.mapUIState.isPausedByModal) {
             this.toggleMenu();
             return;
         }
@@ -78,8 +80,8 @@ export class MapUISystem extends System {
                 this.saveGame();
                 this.closeMenu();
             } else if (req.actionType === 'medarotchi') {
+                // カスタマイズ画面はマップの上に重ねて表示されるため、戻った時にメニューが開いたままになる
                 this.openCustomizeScene();
-                this.closeMenu();
             }
             this.world.destroyEntity(id);
         }
@@ -139,18 +141,19 @@ export class MapUISystem extends System {
         const count = this.uiManager.getMenuButtonCount();
         if (count === 0) return;
 
-        if (this.input.wasKeyJustPressed('ArrowUp')) {
+        if (this.input.wasActionJustPressed(InputAction.UP)) {
             this.focusedMenuIndex = (this.focusedMenuIndex > 0) ? this.focusedMenuIndex - 1 : count - 1;
             this.uiManager.updateMenuFocus(this.focusedMenuIndex);
         }
-        if (this.input.wasKeyJustPressed('ArrowDown')) {
+        if (this.input.wasActionJustPressed(InputAction.DOWN)) {
             this.focusedMenuIndex = (this.focusedMenuIndex < count - 1) ? this.focusedMenuIndex + 1 : 0;
             this.uiManager.updateMenuFocus(this.focusedMenuIndex);
         }
-        if (this.input.wasKeyJustPressed('z')) {
+        if (this.input.wasActionJustPressed(InputAction.CONFIRM)) {
             this.uiManager.triggerMenuButton(this.focusedMenuIndex);
         }
-        if (this.input.wasKeyJustPressed('x')) {
+        // メニューはキャンセルとメニューのどちらのキーでも閉じられる
+        if (this.input.wasActionJustPressed(InputAction.CANCEL) || this.input.wasActionJustPressed(InputAction.MENU)) {
             this.closeMenu();
         }
     }
@@ -163,7 +166,7 @@ export class MapUISystem extends System {
 
     openCustomizeScene() {
         const req = this.world.createEntity();
-        this.world.addComponent(req, new SceneChangeRequest('customize'));
+        this.world.addComponent(req, new ScenePushRequest('customize'));
     }
 
     showNpcInteraction(npc) {
@@ -175,6 +178,8 @@ export class MapUISystem extends System {
         const closeWindow = () => {
             this.uiManager.hideInteractionWindow();
             if (this.mapUIState) this.mapUIState.isPausedByModal = false;
+            const req = this.world.createEntity();
+            this.world.addComponent(req, new CameraReleaseRequest());
         };
 
         const onConfirm = () => {
@@ -199,7 +204,7 @@ export class MapUISystem extends System {
             return;
         }
 
-        if (this.input.wasKeyJustPressed('ArrowLeft') || this.input.wasKeyJustPressed('ArrowRight') || this.input.wasKeyJustPressed('ArrowUp') || this.input.wasKeyJustPressed('ArrowDown')) {
+        if (this.input.getJustPressedAction(NavigateActions)) {
             if (document.activeElement?.id === 'confirm-battle-button') {
                 this.uiManager.focusCancelButton();
             } else {
@@ -207,11 +212,11 @@ export class MapUISystem extends System {
             }
         }
 
-        if (this.input.wasKeyJustPressed('z')) {
+        if (this.input.wasActionJustPressed(InputAction.CONFIRM)) {
             this.uiManager.clickActiveButton();
         }
 
-        if (this.input.wasKeyJustPressed('x')) {
+        if (this.input.wasActionJustPressed(InputAction.CANCEL)) {
             this.uiManager.clickCancelButton();
         }
     }
@@ -7,6 +7,8 @@ import * as MapComponents from '../MapComponents.js'; // パス修正
 import { CONFIG, PLAYER_STATES, TILE_TYPES } from '../constants.js';
 import { distance } from '../../../engine/utils/MathUtils.js';
 import { SceneChangeRequest } from '../../components/SceneRequests.js';
+import { startTimer } from '../../../engine/stdlib/components/Timer.js';
+import { CameraPanRequest, CameraShakeRequest, BattleIntroCompletedEvent } from '../components/MapRequests.js';
 
 export class MovementSystem extends System {
     constructor(world, map) {
@@ -15,6 +17,11 @@ export class MovementSystem extends System {
     }
 
     update(deltaTime) {
+        if (this.world.events.consume(BattleIntroCompletedEvent).length > 0) {
+            const req = this.world.createEntity();
+            this.world.addComponent(req, new SceneChangeRequest('battle'));
+        }
+
         const entities = this.getEntities(
             MapComponents.Position, 
             MapComponents.State, 
@@ -53,8 +60,8 @@ export class MovementSystem extends System {
                 const currentTileType = this.map.getTileType(tileX, tileY);
 
                 if (currentTileType === TILE_TYPES.BATTLE_TRIGGER) {
-                    const req = this.world.createEntity();
-                    this.world.addComponent(req, new SceneChangeRequest('battle'));
+                    state.value = PLAYER_STATES.EVENT;
+                    this._startBattleIntro(centerX, centerY);
                 }
 
             } else {
@@ -67,4 +74,16 @@ export class MovementSystem extends System {
             }
         }
     }
+
+    /**
+     * 戦闘発生地点へカメラを寄せて揺らし、演出が終わったら戦闘へ遷移する（終了は BattleIntroCompletedEvent で受け取る）
+     */
+    _startBattleIntro(x, y) {
+        const panRequest = this.world.createEntity();
+        this.world.addComponent(panRequest, new CameraPanRequest(x, y, { duration: CONFIG.BATTLE_INTRO_DURATION / 2, zoom: 1.5 }));
+        const shakeRequest = this.world.createEntity();
+        this.world.addComponent(shakeRequest, new CameraShakeRequest(6, CONFIG.BATTLE_INTRO_DURATION));
+
+        startTimer(this.world, CONFIG.BATTLE_INTRO_DURATION, { event: BattleIntroCompletedEvent });
+    }
 }
\ No newline at end of file
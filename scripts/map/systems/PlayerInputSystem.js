@@ -1,6 +1,7 @@
 /**
  * @file PlayerInputSystem.js
  * @description プレイヤー入力のハンドリング。
+ * 画面をタップした場合は、プレイヤーに隣接するタイルであればその方向を向いて調べる（決定キーと同じ）。
  */
 import { System } from '../../../engine/core/System.js';
 import * as MapComponents from '../MapComponents.js'; // パス修正
@@ -8,26 +9,39 @@ import { CONFIG, PLAYER_STATES } from '../constants.js';
 import { MapUIState } from '../../scenes/MapScene.js';
 import { InputManager } from '../../../engine/input/InputManager.js';
 import { InteractionRequest } from '../components/MapRequests.js';
+import { InputAction } from '../../common/constants.js';
 
 export class PlayerInputSystem extends System {
-    constructor(world, map) {
+    /**
+     * @param {World} world
+     * @param {Map} map
+     * @param {object} [options]
+     * @param {PointerInput} [options.pointer] - マップ描画先の canvas のポインタ入力
+     * @param {Camera} [options.camera] - タップ位置をマップ座標に変換するためのカメラ
+     */
+    constructor(world, map, options = {}) {
         super(world);
         this.input = this.world.getSingletonComponent(InputManager);
         this.map = map;
+        this.pointer = options.pointer || null;
+        this.camera = options.camera || null;
     }
 
     update() {
         if (!this.input) return;
 
+        // モーダル表示中のタップも読み捨て、閉じた後に処理されないようにする
+        const taps = this.pointer ? this.pointer.consumeTaps() : [];
+
         const mapUIState = this.world.getSingletonComponent(MapUIState);
         if (mapUIState && mapUIState.isPausedByModal) {
             return;
         }
 
-        this.handleMapInput();
+        this.handleMapInput(taps);
     }
 
-    handleMapInput() {
+    handleMapInput(taps = []) {
         const entities = this.getEntities(
             MapComponents.PlayerControllable, 
             MapComponents.State, 
@@ -36,15 +50,49 @@ export class PlayerInputSystem extends System {
         );
 
         for (const entityId of entities) {
+            // イベント演出中は操作を受け付けない
+            if (this.world.getComponent(entityId, MapComponents.State).value === PLAYER_STATES.EVENT) continue;
+
             this._handleMovement(entityId);
 
-            if (this.input.wasKeyJustPressed('z')) {
+            const tappedDirection = this._findTappedAdjacentDirection(entityId, taps);
+            if (tappedDirection) {
+                this._updateFacingDirection(entityId, tappedDirection);
+            }
+
+            if (this.input.wasActionJustPressed(InputAction.CONFIRM) || tappedDirection) {
                 const req = this.world.createEntity();
                 this.world.addComponent(req, new InteractionRequest(entityId));
             }
         }
     }
 
+    /**
+     * タップされたタイルがプレイヤーの上下左右に隣接していれば、その方向を返す
+     * @returns {string|null}
+     */
+    _findTappedAdjacentDirection(entityId, taps) {
+        if (taps.length === 0 || !this.camera) return null;
+
+        const state = this.world.getComponent(entityId, MapComponents.State);
+        if (state.value !== PLAYER_STATES.IDLE) return null;
+
+        const position = this.world.getComponent(entityId, MapComponents.Position);
+        const playerTileX = Math.floor((position.x + CONFIG.PLAYER_SIZE / 2) / CONFIG.TILE_SIZE);
+        const playerTileY = Math.floor((position.y + CONFIG.PLAYER_SIZE / 2) / CONFIG.TILE_SIZE);
+
+        for (const tap of taps) {
+            const point = this.camera.screenToWorld(tap.x, tap.y);
+            const dx = Math.floor(point.x / CONFIG.TILE_SIZE) - playerTileX;
+            const dy = Math.floor(point.y / CONFIG.TILE_SIZE) - playerTileY;
+            if (Math.abs(dx) + Math.abs(dy) !== 1) continue;
+
+            if (dx !== 0) return dx > 0 ? 'right' : 'left';
+            return dy > 0 ? 'down' : 'up';
+        }
+        return null;
+    }
+
     _handleMovement(entityId) {
         const state = this.world.getComponent(entityId, MapComponents.State);
         
@@ -53,10 +101,10 @@ export class PlayerInputSystem extends System {
         }
 
         let direction = null;
-        if (this.input.isKeyPressed('ArrowUp')) direction = 'up';
-        else if (this.input.isKeyPressed('ArrowDown')) direction = 'down';
-        else if (this.input.isKeyPressed('ArrowLeft')) direction = 'left';
-        else if (this.input.isKeyPressed('ArrowRight')) direction = 'right';
+        if (this.input.isActionPressed(InputAction.UP)) direction = 'up';
+        else if (this.input.isActionPressed(InputAction.DOWN)) direction = 'down';
+        else if (this.input.isActionPressed(InputAction.LEFT)) direction = 'left';
+        else if (this.input.isActionPressed(InputAction.RIGHT)) direction = 'right';
 
         if (direction) {
             this._updateFacingDirection(entityId, direction);
@@ -2,23 +2,50 @@
  * @file BattleScene.js
  * @description バトルシーンクラス。
  * HookContextの初期化を削除。
+ * タブを閉じた際などにWorldのスナップショットを保存し、タイトル画面から再開できるようにする。
+ * 決着がついた後はスナップショットを保存せず、保存済みのものも削除する。
+ * 戦闘速度はプレイヤー設定から読み込み、バトルを抜ける際に保存する。
  */
 import { Scene } from '../../engine/scene/Scene.js';
+import { UIManager } from '../../engine/ui/UIManager.js';
+import { TimeScale } from '../../engine/core/TimeScale.js';
+import { BattleUIState, BattleFlowState } from '../battle/components/index.js';
 import { initializeSystems } from '../battle/setup/SystemInitializer.js';
 import { createBattleTeam } from '../battle/setup/createBattleTeam.js';
+import { registerBattleComponents } from '../battle/setup/registerBattleComponents.js';
 import { createBattleContextEntities, createBattleUIContextEntity } from '../entities/createBattleContextEntities.js';
+import { BattlePhase } from '../battle/common/constants.js';
+import { InputContext } from '../common/constants.js';
+import { SoundKey } from '../common/soundConfig.js';
 
 export class BattleScene extends Scene {
     constructor(world, sceneManager) {
         super(world, sceneManager);
+        this.inputContext = InputContext.BATTLE;
+        this.bgm = SoundKey.BGM_BATTLE;
+        this.gameDataManager = null;
+        this._onPageHide = this._onPageHide.bind(this);
+        this._onVisibilityChange = this._onVisibilityChange.bind(this);
     }
 
     init(data) {
-        const { gameDataManager } = data;
+        const { gameDataManager, resumeBattle, seed } = data;
+        this.gameDataManager = gameDataManager;
 
-        this._setupEntities(gameDataManager);
-        this._setupBattleContext();
+        registerBattleComponents();
+
+        const snapshot = resumeBattle ? gameDataManager.getBattleSnapshot() : null;
+        if (snapshot) {
+            this._restoreSnapshot(snapshot);
+        } else {
+            // 敵チームの生成に乱数サービスを使用するため、コンテキストを先に生成する
+            this._setupBattleContext(seed, gameDataManager.getOption('battleSpeed'));
+            this._setupEntities(gameDataManager);
+        }
         this._setupSystems(gameDataManager);
+
+        window.addEventListener('pagehide', this._onPageHide);
+        document.addEventListener('visibilitychange', this._onVisibilityChange);
     }
 
     _setupSystems(gameDataManager) {
@@ -30,16 +57,66 @@ export class BattleScene extends Scene {
         createBattleTeam(this.world, playerTeamData);
     }
 
-    _setupBattleContext() {
-        createBattleContextEntities(this.world);
+    _setupBattleContext(seed, speed) {
+        createBattleContextEntities(this.world, { seed, speed });
         createBattleUIContextEntity(this.world);
     }
 
+    _restoreSnapshot(snapshot) {
+        this.world.restore(snapshot);
+        // DOMを保持するUIManagerはスナップショットに含まれないため再生成する
+        const [uiContextEntity] = this.world.getEntitiesWith(BattleUIState);
+        this.world.addComponent(uiContextEntity, new UIManager());
+
+        // 戦闘速度の導入前に保存されたスナップショットには TimeScale が含まれない
+        if (!this.world.getSingletonComponent(TimeScale)) {
+            const [contextEntity] = this.world.getEntitiesWith(BattleFlowState);
+            this.world.addComponent(contextEntity, new TimeScale(this.gameDataManager.getOption('battleSpeed')));
+        }
+    }
+
+    _saveSnapshot() {
+        if (!this.gameDataManager) return;
+        // 終了したバトルを再開できないよう、決着後は中断データを残さない
+        const battleFlowState = this.world.getSingletonComponent(BattleFlowState);
+        if (battleFlowState?.phase === BattlePhase.GAME_OVER) {
+            this.gameDataManager.clearBattleSnapshot();
+            return;
+        }
+        this.gameDataManager.saveBattleSnapshot(this.world.serialize());
+    }
+
+    _saveBattleSpeed() {
+        const timeScale = this.world.getSingletonComponent(TimeScale);
+        if (!this.gameDataManager || !timeScale) return;
+        this.gameDataManager.setOption('battleSpeed', timeScale.scale);
+    }
+
+    _onPageHide() {
+        this._saveSnapshot();
+        this._saveBattleSpeed();
+    }
+
+    _onVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            this._saveSnapshot();
+        }
+    }
+
     update(deltaTime) {
         super.update(deltaTime);
     }
 
     destroy() {
+        window.removeEventListener('pagehide', this._onPageHide);
+        document.removeEventListener('visibilitychange', this._onVisibilityChange);
+
+        this._saveBattleSpeed();
+        // シーン遷移でバトルを抜けた場合、中断データは不要
+        if (this.gameDataManager) {
+            this.gameDataManager.clearBattleSnapshot();
+            this.gameDataManager = null;
+        }
         super.destroy();
     }
 }
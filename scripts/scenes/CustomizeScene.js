@@ -4,14 +4,17 @@
  * イベント発行を廃止。
  */
 import { Scene } from '../../engine/scene/Scene.js';
+import { ErrorSeverity } from '../../engine/utils/ErrorHandler.js';
 import { CustomizeInputSystem } from '../customize/systems/CustomizeInputSystem.js';
 import { CustomizeUISystem } from '../customize/systems/CustomizeUISystem.js';
 import { CustomizeLogicSystem } from '../customize/systems/CustomizeLogicSystem.js';
 import { createCustomizeContextEntity } from '../entities/createCustomizeContextEntity.js';
+import { InputContext } from '../common/constants.js';
 
 export class CustomizeScene extends Scene {
     constructor(world, sceneManager) {
         super(world, sceneManager);
+        this.inputContext = InputContext.CUSTOMIZE;
         this.gameDataManager = null;
     }
 
@@ -27,7 +30,8 @@ export class CustomizeScene extends Scene {
     }
 
     _setupSystems() {
-        this.world.registerSystem(new CustomizeUISystem(this.world, this.gameDataManager));
+        // 表示のみを担うため、例外が発生しても一時停止させない
+        this.world.registerSystem(new CustomizeUISystem(this.world, this.gameDataManager), { errorSeverity: ErrorSeverity.ERROR });
         this.world.registerSystem(new CustomizeInputSystem(this.world));
         this.world.registerSystem(new CustomizeLogicSystem(this.world, this.gameDataManager));
     }
@@ -37,10 +41,7 @@ export class CustomizeScene extends Scene {
     }
 
     destroy() {
-        const customizeUISystem = this.world.systems.find(s => s instanceof CustomizeUISystem);
-        if (customizeUISystem && customizeUISystem.destroy) {
-            customizeUISystem.destroy();
-        }
+        // 各システムの destroy は World.reset() 内で呼ばれる
         super.destroy();
     }
 }
@@ -7,16 +7,27 @@ import { Scene } from '../../engine/scene/Scene.js';
 import { MAP_EVENTS, CONFIG as MAP_CONFIG, PLAYER_STATES } from '../map/constants.js';
 import { Camera } from '../../engine/graphics/Camera.js';
 import { Renderer } from '../../engine/graphics/Renderer.js';
+import { InputManager } from '../../engine/input/InputManager.js';
+import { ErrorSeverity } from '../../engine/utils/ErrorHandler.js';
+import { PointerInput } from '../../engine/input/PointerInput.js';
+import { VirtualPad } from '../../engine/input/VirtualPad.js';
 import { Map } from '../map/map.js';
 import * as MapComponents from '../map/MapComponents.js'; // パス修正
 import { PlayerInputSystem } from '../map/systems/PlayerInputSystem.js';
 import { MovementSystem } from '../map/systems/MovementSystem.js';
 import { CameraSystem } from '../map/systems/CameraSystem.js';
 import { MapRenderSystem } from '../map/systems/MapRenderSystem.js';
+import { CharacterAnimationSystem } from '../map/systems/CharacterAnimationSystem.js';
+import { SpriteAnimationSystem } from '../../engine/stdlib/systems/SpriteAnimationSystem.js';
+import { TimerSystem } from '../../engine/stdlib/systems/TimerSystem.js';
 import { MapUISystem } from '../map/systems/MapUISystem.js';
 import { InteractionSystem } from '../map/systems/InteractionSystem.js';
-import { ToggleMenuRequest, GameSaveRequest } from '../map/components/MapRequests.js';
+import { GameSaveRequest } from '../map/components/MapRequests.js';
 import { createPlayerEntity } from '../entities/createPlayerEntity.js';
+import { createNpcEntity } from '../entities/createNpcEntity.js';
+import { InputContext } from '../common/constants.js';
+import { AssetKey, SCENE_ASSETS } from '../common/assetManifest.js';
+import { SoundKey } from '../common/soundConfig.js';
 
 export class MapUIState {
     constructor() {
@@ -29,34 +40,56 @@ export class MapUIState {
 export class MapScene extends Scene {
     constructor(world, sceneManager) {
         super(world, sceneManager);
-        this.mapData = null;
+        this.inputContext = InputContext.MAP;
+        this.bgm = SoundKey.BGM_MAP;
+        this.assets = SCENE_ASSETS.map;
         this.playerEntityId = null;
         this.gameDataManager = null;
+        this.pointer = null;
+        this.virtualPad = null;
     }
 
     async init(data) {
-        const { gameDataManager, restoreMenu = false } = data;
+        const { gameDataManager } = data;
         this.gameDataManager = gameDataManager;
 
         const { canvas, map } = await this._setupResources();
         this._setupContexts();
         
         // システム初期化
-        const camera = new Camera();
+        const camera = new Camera({
+            viewportWidth: MAP_CONFIG.VIEWPORT_WIDTH,
+            viewportHeight: MAP_CONFIG.VIEWPORT_HEIGHT,
+            bounds: { x: 0, y: 0, width: map.widthPx, height: map.heightPx },
+            followLerp: MAP_CONFIG.CAMERA_FOLLOW_LERP,
+            deadZone: MAP_CONFIG.CAMERA_DEAD_ZONE,
+        });
+        // シングルトンコンポーネントとしても登録し、他のシステムから参照できるようにする
+        this.world.addComponent(this.world.createEntity(), camera);
         const renderer = new Renderer(canvas);
 
-        this.world.registerSystem(new PlayerInputSystem(this.world, map));
+        // タッチ操作: 画面上の仮想パッドでの移動と、隣接タイルのタップで調べる
+        this.pointer = new PointerInput(canvas);
+        const input = this.world.getSingletonComponent(InputManager);
+        if (input) {
+            this.virtualPad = new VirtualPad(input, canvas.parentElement);
+        }
+
+        // 表示のみを担うシステムの例外では一時停止させない（記録のみ行い、次のフレームも実行する）
+        const cosmetic = { errorSeverity: ErrorSeverity.ERROR };
+        this.world.registerSystem(new PlayerInputSystem(this.world, map, { pointer: this.pointer, camera }));
         this.world.registerSystem(new MovementSystem(this.world, map));
-        this.world.registerSystem(new CameraSystem(this.world, camera, map));
-        this.world.registerSystem(new MapRenderSystem(this.world, renderer, map, camera));
-        this.world.registerSystem(new MapUISystem(this.world));
+        this.world.registerSystem(new CameraSystem(this.world, camera, map), cosmetic);
+        this.world.registerSystem(new CharacterAnimationSystem(this.world), cosmetic);
+        this.world.registerSystem(new SpriteAnimationSystem(this.world), cosmetic);
+        this.world.registerSystem(new MapRenderSystem(this.world, renderer, map, camera), cosmetic);
+        this.world.registerSystem(new MapUISystem(this.world), cosmetic);
         this.world.registerSystem(new InteractionSystem(this.world, map));
+        this.world.registerSystem(new TimerSystem(this.world));
 
-        this.playerEntityId = createPlayerEntity(this.world, gameDataManager);
-
-        if (restoreMenu) {
-            const req = this.world.createEntity();
-            this.world.addComponent(req, new ToggleMenuRequest());
+        this.playerEntityId = createPlayerEntity(this.world, gameDataManager, map);
+        for (const npc of map.npcs) {
+            createNpcEntity(this.world, map, npc);
         }
     }
 
@@ -65,12 +98,13 @@ export class MapScene extends Scene {
         if (!canvas) throw new Error('Canvas element not found!');
         canvas.width = MAP_CONFIG.VIEWPORT_WIDTH;
         canvas.height = MAP_CONFIG.VIEWPORT_HEIGHT;
-        
-        if (!this.mapData) {
-            const response = await fetch('scripts/map/map.json');
-            this.mapData = await response.json();
-        }
-        const map = new Map(this.mapData);
+
+        const mapData = this.getAsset(AssetKey.MAP_DATA);
+        if (!mapData) throw new Error('Map data could not be loaded.');
+        const map = new Map(mapData);
+        // 画像は読み込めなかったものがあっても続行し、図形で描画する
+        await this.loadAssets(map.getAssetManifest());
+        map.setupGraphics(key => this.getAsset(key));
 
         return { canvas, map };
     }
@@ -97,6 +131,21 @@ export class MapScene extends Scene {
         }
     }
     
+    /**
+     * カスタマイズ画面など、重ねられたシーンから戻った際に呼び出される
+     */
+    resume() {
+        this.virtualPad?.show();
+        document.getElementById('game-canvas')?.focus();
+    }
+
+    /**
+     * カスタマイズ画面などが重ねられる際に呼び出される
+     */
+    pause() {
+        this.virtualPad?.hide();
+    }
+
     _savePlayerState() {
         if (this.playerEntityId !== null) {
             const pos = this.world.getComponent(this.playerEntityId, MapComponents.Position);
@@ -109,6 +158,10 @@ export class MapScene extends Scene {
 
     destroy() {
         this._savePlayerState();
+        this.pointer?.destroy();
+        this.pointer = null;
+        this.virtualPad?.destroy();
+        this.virtualPad = null;
         super.destroy();
     }
 }
\ No newline at end of file
@@ -4,18 +4,31 @@
  */
 import { Scene } from '../../engine/scene/Scene.js';
 import { InputManager } from '../../engine/input/InputManager.js';
+import { KeyConfigPanel } from '../../engine/input/KeyConfigPanel.js';
+import { AudioManager, AudioChannel } from '../../engine/audio/AudioManager.js';
+import { AudioSettingsPanel } from '../../engine/audio/AudioSettingsPanel.js';
 import { SceneChangeRequest } from '../components/SceneRequests.js';
+import { InputAction, InputContext } from '../common/constants.js';
+import { INPUT_ACTION_LABELS, KEY_CONFIG_TEXT } from '../common/inputConfig.js';
+import { SoundKey } from '../common/soundConfig.js';
 
 export class TitleScene extends Scene {
     constructor(world, sceneManager) {
         super(world, sceneManager);
+        this.inputContext = InputContext.TITLE;
+        this.bgm = SoundKey.BGM_TITLE;
         this.input = null;
         this.gameDataManager = null;
         
         this.dom = {
             startNewBtn: document.getElementById('start-new-game'),
-            startLoadBtn: document.getElementById('start-from-save')
+            startLoadBtn: document.getElementById('start-from-save'),
+            resumeBattleBtn: document.getElementById('resume-battle'),
+            keyConfigBtn: document.getElementById('open-key-config'),
+            audioSettingsBtn: document.getElementById('open-audio-settings')
         };
+        this.keyConfigPanel = null;
+        this.audioSettingsPanel = null;
         
         this.buttons = [];
         this.focusedIndex = 0;
@@ -26,6 +39,7 @@ export class TitleScene extends Scene {
         
         this.input = this.world.getSingletonComponent(InputManager);
 
+        this.focusedIndex = 0;
         this._setupUI();
         this._updateFocus();
     }
@@ -38,34 +52,82 @@ export class TitleScene extends Scene {
     _setupUI() {
         this.buttons = [this.dom.startNewBtn];
 
-        if (localStorage.getItem('medarotJSaveData')) {
+        if (this.gameDataManager.hasSaveData()) {
             this.dom.startLoadBtn.style.display = 'block';
             this.buttons.push(this.dom.startLoadBtn);
         } else {
             this.dom.startLoadBtn.style.display = 'none';
         }
 
+        // 中断したバトルがあれば再開ボタンを表示
+        if (this.gameDataManager.getBattleSnapshot()) {
+            this.dom.resumeBattleBtn.style.display = 'block';
+            this.buttons.push(this.dom.resumeBattleBtn);
+        } else {
+            this.dom.resumeBattleBtn.style.display = 'none';
+        }
+
         this.dom.startNewBtn.onclick = () => this._startGame(true);
         this.dom.startLoadBtn.onclick = () => this._startGame(false);
+        this.dom.resumeBattleBtn.onclick = () => this._resumeBattle();
+
+        this.buttons.push(this.dom.keyConfigBtn);
+        this.dom.keyConfigBtn.onclick = () => this._openKeyConfig();
+
+        this.buttons.push(this.dom.audioSettingsBtn);
+        this.dom.audioSettingsBtn.onclick = () => this._openAudioSettings();
     }
 
     _handleInput() {
         if (!this.input || this.buttons.length === 0) return;
 
-        if (this.input.wasKeyJustPressed('ArrowUp')) {
+        if (this.input.wasActionJustPressed(InputAction.UP)) {
             this.focusedIndex = (this.focusedIndex - 1 + this.buttons.length) % this.buttons.length;
             this._updateFocus();
         }
-        if (this.input.wasKeyJustPressed('ArrowDown')) {
+        if (this.input.wasActionJustPressed(InputAction.DOWN)) {
             this.focusedIndex = (this.focusedIndex + 1) % this.buttons.length;
             this._updateFocus();
         }
-        if (this.input.wasKeyJustPressed('z')) {
+        if (this.input.wasActionJustPressed(InputAction.CONFIRM)) {
             const btn = this.buttons[this.focusedIndex];
             if (btn) btn.click();
         }
     }
 
+    _openKeyConfig() {
+        if (!this.input) return;
+
+        if (!this.keyConfigPanel) {
+            this.keyConfigPanel = new KeyConfigPanel(this.input, {
+                actions: Object.entries(INPUT_ACTION_LABELS).map(([action, label]) => ({ action, label })),
+                text: KEY_CONFIG_TEXT,
+                context: InputContext.KEY_CONFIG,
+                onClose: () => this._updateFocus()
+            });
+        }
+        this.keyConfigPanel.open();
+    }
+
+    _openAudioSettings() {
+        const audioManager = this.world.getSingletonComponent(AudioManager);
+        if (!audioManager) return;
+
+        if (!this.audioSettingsPanel) {
+            this.audioSettingsPanel = new AudioSettingsPanel(audioManager, {
+                channels: [
+                    { channel: AudioChannel.MASTER, label: '全体' },
+                    { channel: AudioChannel.BGM, label: 'BGM' },
+                    { channel: AudioChannel.SE, label: '効果音' },
+                ],
+                inputManager: this.input,
+                context: InputContext.AUDIO_SETTINGS,
+                onClose: () => this._updateFocus()
+            });
+        }
+        this.audioSettingsPanel.open();
+    }
+
     _updateFocus() {
         this.buttons.forEach((btn, index) => {
             if (index === this.focusedIndex) btn.focus();
@@ -85,9 +147,23 @@ export class TitleScene extends Scene {
         this.world.addComponent(req, new SceneChangeRequest('map'));
     }
 
+    _resumeBattle() {
+        if (!this.gameDataManager) return;
+
+        const req = this.world.createEntity();
+        this.world.addComponent(req, new SceneChangeRequest('battle', { resumeBattle: true }));
+    }
+
     destroy() {
         if (this.dom.startNewBtn) this.dom.startNewBtn.onclick = null;
         if (this.dom.startLoadBtn) this.dom.startLoadBtn.onclick = null;
+        if (this.dom.resumeBattleBtn) this.dom.resumeBattleBtn.onclick = null;
+        if (this.dom.keyConfigBtn) this.dom.keyConfigBtn.onclick = null;
+        if (this.dom.audioSettingsBtn) this.dom.audioSettingsBtn.onclick = null;
+        this.keyConfigPanel?.destroy();
+        this.keyConfigPanel = null;
+        this.audioSettingsPanel?.destroy();
+        this.audioSettingsPanel = null;
 
         super.destroy();
     }
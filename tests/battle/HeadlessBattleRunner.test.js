@@ -0,0 +1,84 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World } from '../../engine/core/World.js';
+import { runHeadlessBattle } from '../../scripts/battle/setup/HeadlessBattleRunner.js';
+import { initializeSystems } from '../../scripts/battle/setup/SystemInitializer.js';
+import { createBattleTeam } from '../../scripts/battle/setup/createBattleTeam.js';
+import { registerBattleComponents } from '../../scripts/battle/setup/registerBattleComponents.js';
+import { createBattleContextEntities, createBattleUIContextEntity } from '../../scripts/entities/createBattleContextEntities.js';
+import { BattleFlowState } from '../../scripts/battle/components/BattleFlowState.js';
+import { PartStatus } from '../../scripts/battle/components/parts/PartComponents.js';
+import { BattlePhase } from '../../scripts/battle/common/constants.js';
+import { PersistenceService } from '../../scripts/managers/PersistenceService.js';
+
+const STEP_MS = 1000 / 60;
+const MAX_STEPS = 60 * 60 * 30;
+
+// 新規セーブデータのチーム（敵チームはシードから生成される）
+const playerTeam = new PersistenceService().reset().playerMedarots;
+
+/**
+ * 勝敗と全パーツの残りHP（結果の比較用）
+ * @param {World} world
+ */
+const summarize = (world) => {
+    const battleFlowState = world.getSingletonComponent(BattleFlowState);
+    return {
+        phase: battleFlowState.phase,
+        winningTeam: battleFlowState.winningTeam,
+        hp: world.getEntitiesWith(PartStatus).map(id => world.getComponent(id, PartStatus).hp),
+    };
+};
+
+/**
+ * ゲームオーバーになるまで World を進める
+ * @returns {number} 進めたステップ数
+ */
+const runToEnd = (world) => {
+    const battleFlowState = world.getSingletonComponent(BattleFlowState);
+    let steps = 0;
+    while (battleFlowState.phase !== BattlePhase.GAME_OVER && steps < MAX_STEPS) {
+        world.update(STEP_MS);
+        steps++;
+    }
+    return steps;
+};
+
+describe('HeadlessBattleRunner', () => {
+    test('同じシードのバトルは同じ経過をたどり、同じ結果になる', () => {
+        const first = runHeadlessBattle({ playerTeam, seed: 42 });
+        const second = runHeadlessBattle({ playerTeam, seed: 42 });
+
+        assert.equal(first.isTimedOut, false);
+        assert.ok(first.winningTeam);
+        assert.equal(second.steps, first.steps);
+        assert.equal(second.turnNumber, first.turnNumber);
+        assert.deepEqual(summarize(second.world), summarize(first.world));
+    });
+
+    test('途中で書き出したスナップショットから再開しても、中断しなかった場合と同じ結果になる', () => {
+        registerBattleComponents();
+        const original = new World();
+        createBattleContextEntities(original, { seed: 7 });
+        createBattleUIContextEntity(original);
+        createBattleTeam(original, playerTeam);
+        initializeSystems(original, null, { headless: true });
+        for (let step = 0; step < 1500; step++) {
+            original.update(STEP_MS);
+        }
+        assert.notEqual(original.getSingletonComponent(BattleFlowState).phase, BattlePhase.GAME_OVER);
+
+        // 保存時と同じく JSON を経由する
+        const snapshot = JSON.parse(JSON.stringify(original.serialize()));
+        const resumed = new World();
+        resumed.restore(snapshot);
+        assert.deepEqual(JSON.parse(JSON.stringify(resumed.serialize())), snapshot);
+        initializeSystems(resumed, null, { headless: true });
+
+        const originalSteps = runToEnd(original);
+        const resumedSteps = runToEnd(resumed);
+        assert.equal(resumedSteps, originalSteps);
+        assert.deepEqual(summarize(resumed), summarize(original));
+        assert.equal(summarize(original).phase, BattlePhase.GAME_OVER);
+    });
+});
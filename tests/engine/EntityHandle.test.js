@@ -0,0 +1,71 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World } from '../../engine/core/World.js';
+import { EntityHandle } from '../../engine/core/EntityHandle.js';
+import { ComponentRegistry } from '../../engine/core/ComponentRegistry.js';
+
+class Health {
+    constructor(value = 10) {
+        this.value = value;
+    }
+}
+ComponentRegistry.register('test.EntityHandle.Health', Health);
+
+describe('EntityHandle', () => {
+    test('ハンドルからインデックスと世代を取り出せる', () => {
+        const handle = EntityHandle.create(5, 3);
+        assert.equal(EntityHandle.indexOf(handle), 5);
+        assert.equal(EntityHandle.generationOf(handle), 3);
+        // 世代0のハンドルはインデックスと同値
+        assert.equal(EntityHandle.create(7, 0), 7);
+    });
+
+    test('世代は上限で0に戻る', () => {
+        assert.equal(EntityHandle.nextGeneration(EntityHandle.MAX_GENERATION - 1), 0);
+    });
+
+    test('削除したエンティティのインデックスは世代を進めて再利用される', () => {
+        const world = new World();
+        const first = world.createEntity();
+        world.destroyEntity(first);
+        const second = world.createEntity();
+
+        assert.equal(EntityHandle.indexOf(second), EntityHandle.indexOf(first));
+        assert.equal(EntityHandle.generationOf(second), EntityHandle.generationOf(first) + 1);
+        assert.notEqual(second, first);
+    });
+
+    test('古いハンドルは再利用後のエンティティを参照しない', () => {
+        const world = new World();
+        const stale = world.createEntity();
+        world.addComponent(stale, new Health(1));
+        world.destroyEntity(stale);
+
+        const current = world.createEntity();
+        world.addComponent(current, new Health(2));
+
+        assert.equal(world.isAlive(stale), false);
+        assert.equal(world.isAlive(current), true);
+        assert.equal(world.getComponent(stale, Health), null);
+        assert.equal(world.getComponent(current, Health).value, 2);
+    });
+
+    test('スナップショットから復元しても世代が引き継がれる', () => {
+        const world = new World();
+        const stale = world.createEntity();
+        world.destroyEntity(stale);
+        const current = world.createEntity();
+        // コンポーネントを持たないエンティティはスナップショットに含まれない
+        world.addComponent(current, new Health());
+
+        const restored = new World();
+        restored.restore(JSON.parse(JSON.stringify(world.serialize())));
+
+        assert.equal(restored.isAlive(current), true);
+        assert.equal(restored.isAlive(stale), false);
+        // 復元後に生成したエンティティも、削除済みのハンドルと一致しない
+        const created = restored.createEntity();
+        assert.notEqual(created, stale);
+        assert.notEqual(created, current);
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventChannel } from '../../engine/core/EventChannel.js';
+
+class DamageEvent {}
+class LogEvent {}
+
+describe('EventChannel', () => {
+    test('発行した順に consume() で取り出し、取り出したイベントはキューから除かれる', () => {
+        const events = new EventChannel();
+        events.emit(DamageEvent, { amount: 1 });
+        events.emit(DamageEvent, { amount: 2 });
+
+        const consumed = events.consume(DamageEvent);
+        assert.deepEqual(consumed.map(event => event.amount), [1, 2]);
+        assert.ok(consumed[0] instanceof DamageEvent);
+        assert.equal(events.has(DamageEvent), false);
+        assert.equal(events.consume(DamageEvent).length, 0);
+    });
+
+    test('消費されないイベントは発行したフレームと次のフレームの間だけ残る', () => {
+        const events = new EventChannel();
+        events.emit(DamageEvent, { amount: 1 });
+
+        events.endFrame();
+        assert.equal(events.peek(DamageEvent).length, 1);
+
+        events.endFrame();
+        assert.equal(events.has(DamageEvent), false);
+    });
+
+    test('使用済みのインスタンスはフィールドを消してプールし、次の発行で再利用する', () => {
+        const events = new EventChannel();
+        const first = events.emit(DamageEvent, { amount: 1 });
+        events.consume(DamageEvent);
+        events.endFrame();
+
+        assert.equal(events.pooledCount, 1);
+        assert.equal(first.amount, undefined);
+
+        const second = events.emit(DamageEvent, { amount: 2 });
+        assert.equal(second, first);
+        assert.equal(second.amount, 2);
+        assert.equal(events.pooledCount, 0);
+    });
+
+    test('リーダーは未読のイベントだけを消費せずに返す', () => {
+        const events = new EventChannel();
+        events.emit(LogEvent, { text: 'before' });
+        const reader = events.reader(LogEvent);
+
+        events.emit(LogEvent, { text: 'a' });
+        assert.deepEqual(reader.read().map(event => event.text), ['a']);
+        assert.equal(reader.read().length, 0);
+
+        events.emit(LogEvent, { text: 'b' });
+        assert.deepEqual(reader.read().map(event => event.text), ['b']);
+        assert.equal(events.peek(LogEvent).length, 3);
+    });
+
+    test('warnOnExpire の場合、消費されずに期限切れになった型を1度だけ警告する', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const events = new EventChannel();
+        events.warnOnExpire = true;
+        events.reader(LogEvent);
+
+        for (let frame = 0; frame < 4; frame++) {
+            events.emit(DamageEvent);
+            events.emit(LogEvent);
+            events.endFrame();
+        }
+
+        assert.equal(warn.mock.callCount(), 1);
+        assert.match(warn.mock.calls[0].arguments[0], /'DamageEvent' event\(s\) expired/);
+    });
+
+    test('warnOnExpire が false の場合は警告しない', () => {
+        const warn = mock.method(console, 'warn', () => {});
+        try {
+            const events = new EventChannel();
+            events.emit(DamageEvent);
+            events.endFrame();
+            events.endFrame();
+            assert.equal(warn.mock.callCount(), 0);
+        } finally {
+            warn.mock.restore();
+        }
+    });
+});
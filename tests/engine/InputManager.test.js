@@ -0,0 +1,119 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { InputManager, INPUT_LOG_VERSION } from '../../engine/input/InputManager.js';
+
+// キーボード・ゲームパッドの入力元となるブラウザのAPI（Node.js にはないため、テストから入力を送る）
+let listeners = {};
+globalThis.window = {
+    addEventListener: (type, listener) => (listeners[type] ||= []).push(listener),
+    removeEventListener: (type, listener) => {
+        listeners[type] = (listeners[type] || []).filter(registered => registered !== listener);
+    },
+};
+globalThis.navigator = {};
+
+const dispatch = (type, key) => {
+    for (const listener of listeners[type] || []) {
+        listener({ key, preventDefault() {} });
+    }
+};
+
+const BINDINGS = {
+    confirm: ['z'],
+    cancel: ['x'],
+    up: ['ArrowUp'],
+    down: ['ArrowDown'],
+    left: ['ArrowLeft'],
+    right: ['ArrowRight'],
+};
+
+/**
+ * 1フレーム分の入力を送り、ゲームが参照する入力状態を記録して update() する
+ * @returns {string} 押されているキー / 押された瞬間のアクション / 方向
+ */
+const step = (input, events = [], isConsumed = true) => {
+    for (const [type, key] of events) dispatch(type, key);
+    const justPressed = Object.keys(BINDINGS).filter(action => input.wasActionJustPressed(action));
+    const state = `${[...input.pressedKeys].join('+')}/${justPressed.join('+')}/${input.direction}`;
+    input.update(isConsumed);
+    return state;
+};
+
+// フレーム番号ごとの入力（5 フレーム目は遷移中などでゲームが入力を参照しない）
+const SCRIPT = {
+    1: [['keydown', 'ArrowUp']],
+    4: [['keydown', 'z'], ['keyup', 'z']],
+    6: [['keyup', 'ArrowUp']],
+    7: [['keydown', 'x']],
+    9: [['keyup', 'x']],
+};
+const FRAME_COUNT = 12;
+const SKIPPED_FRAME = 5;
+
+describe('InputManager の入力の記録・再生', () => {
+    let input;
+    beforeEach(() => {
+        input?.destroy();
+        listeners = {};
+        input = new InputManager({ bindings: BINDINGS });
+    });
+
+    test('記録した入力ログを再生すると、ゲームから見た入力が記録時と一致する', () => {
+        input.startRecording({ seed: 5 });
+        const live = [];
+        for (let frame = 0; frame < FRAME_COUNT; frame++) {
+            live.push(step(input, SCRIPT[frame], frame !== SKIPPED_FRAME));
+        }
+        const log = input.stopRecording();
+
+        assert.equal(log.version, INPUT_LOG_VERSION);
+        assert.equal(log.frameCount, FRAME_COUNT - 1);
+        assert.deepEqual(log.meta, { seed: 5 });
+
+        let isCompleted = false;
+        input.startPlayback(JSON.parse(JSON.stringify(log)), { onComplete: () => { isCompleted = true; } });
+        const played = [];
+        for (let frame = 0; frame < FRAME_COUNT; frame++) {
+            // 再生中の実際の入力は無視される
+            played.push(step(input, [['keydown', 'ArrowDown']], frame !== SKIPPED_FRAME));
+        }
+
+        const consumedFrames = (states) => states.filter((_, frame) => frame !== SKIPPED_FRAME);
+        assert.deepEqual(consumedFrames(played), consumedFrames(live));
+        assert.equal(isCompleted, true);
+        assert.equal(input.isPlaying, false);
+    });
+
+    test('再生中は記録時のキー割り当てを使い、終了後に元の割り当てに戻す', () => {
+        input.startRecording();
+        step(input, [['keydown', 'z']]);
+        step(input, [['keyup', 'z']]);
+        const log = input.stopRecording();
+
+        input.setBindings('confirm', ['Enter']);
+        input.startPlayback(log);
+        assert.deepEqual(input.getBindings('confirm'), ['z']);
+        assert.equal(input.wasActionJustPressed('confirm'), true);
+
+        input.stopPlayback();
+        assert.deepEqual(input.getBindings('confirm'), ['Enter']);
+        assert.equal(input.isKeyPressed('z'), false);
+    });
+
+    test('形式のバージョンが異なるログは再生しない', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        input.startPlayback({ version: INPUT_LOG_VERSION + 1, frames: [] });
+
+        assert.equal(input.isPlaying, false);
+        assert.equal(warn.mock.callCount(), 1);
+    });
+
+    test('記録中は再生を開始できない', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        input.startRecording();
+        input.startPlayback({ version: INPUT_LOG_VERSION, frameCount: 0, bindings: BINDINGS, meta: {}, frames: [] });
+
+        assert.equal(input.isPlaying, false);
+        assert.equal(input.isRecording, true);
+    });
+});
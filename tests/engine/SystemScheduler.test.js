@@ -0,0 +1,84 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SystemScheduler, SystemStage } from '../../engine/core/SystemScheduler.js';
+import { ErrorSeverity } from '../../engine/utils/ErrorHandler.js';
+
+/**
+ * 名前だけを持つシステムを登録する
+ */
+const add = (scheduler, name, options = {}) => scheduler.add({ update() {} }, { name, ...options });
+
+const orderOf = (scheduler, stage) =>
+    scheduler.getSchedule().find(entry => entry.stage === stage).entries.map(entry => entry.name);
+
+describe('SystemScheduler', () => {
+    test('ステージ順に実行し、制約のないシステムは登録順を保つ', () => {
+        const scheduler = new SystemScheduler();
+        add(scheduler, 'Render', { stage: SystemStage.RENDER });
+        add(scheduler, 'FlowA', { stage: SystemStage.FLOW });
+        add(scheduler, 'Input', { stage: SystemStage.INPUT });
+        add(scheduler, 'FlowB', { stage: SystemStage.FLOW });
+
+        const stages = scheduler.getSchedule().filter(entry => entry.entries.length > 0).map(entry => entry.stage);
+        assert.deepEqual(stages, [SystemStage.INPUT, SystemStage.FLOW, SystemStage.RENDER]);
+        assert.deepEqual(orderOf(scheduler, SystemStage.FLOW), ['FlowA', 'FlowB']);
+    });
+
+    test('after / before の制約に従って並べる', () => {
+        const scheduler = new SystemScheduler();
+        add(scheduler, 'Task', { after: ['Sequence'] });
+        add(scheduler, 'Director', { after: ['Task'] });
+        add(scheduler, 'Sequence');
+        add(scheduler, 'Early', { before: ['Sequence'] });
+
+        assert.deepEqual(orderOf(scheduler, SystemStage.LOGIC), ['Early', 'Sequence', 'Task', 'Director']);
+    });
+
+    test('未登録のシステムを参照する制約は無視する', () => {
+        const scheduler = new SystemScheduler();
+        add(scheduler, 'A', { after: ['Missing'] });
+        add(scheduler, 'B', { before: ['Missing'] });
+
+        assert.deepEqual(orderOf(scheduler, SystemStage.LOGIC), ['A', 'B']);
+    });
+
+    test('循環する制約はエラーになる', () => {
+        const scheduler = new SystemScheduler();
+        add(scheduler, 'A', { after: ['B'] });
+        add(scheduler, 'B', { after: ['A'] });
+
+        assert.throws(() => scheduler.getSchedule(), /Cyclic system dependency detected: A, B/);
+    });
+
+    test('後ろのステージのシステムの後には実行できない', () => {
+        const scheduler = new SystemScheduler();
+        add(scheduler, 'Logic', { stage: SystemStage.LOGIC, after: ['Render'] });
+        add(scheduler, 'Render', { stage: SystemStage.RENDER });
+
+        assert.throws(() => scheduler.getSchedule(), /cannot run after "Render"/);
+    });
+
+    test('同じ名前のシステムは登録できない', () => {
+        const scheduler = new SystemScheduler();
+        add(scheduler, 'A');
+        assert.throws(() => add(scheduler, 'A'), /already registered/);
+    });
+
+    test('例外の重大度はオプション、システム、ステージの既定値の順に決まる', () => {
+        const scheduler = new SystemScheduler();
+        add(scheduler, 'Flow', { stage: SystemStage.FLOW });
+        add(scheduler, 'Visual', { stage: SystemStage.VISUAL });
+        add(scheduler, 'Cosmetic', { stage: SystemStage.FLOW, errorSeverity: ErrorSeverity.ERROR });
+        scheduler.add({ update() {}, errorSeverity: ErrorSeverity.WARNING }, { name: 'Own', stage: SystemStage.FLOW });
+
+        const severities = Object.fromEntries(
+            scheduler.getSchedule().flatMap(entry => entry.entries).map(entry => [entry.name, entry.errorSeverity])
+        );
+        assert.deepEqual(severities, {
+            Flow: ErrorSeverity.FATAL,
+            Cosmetic: ErrorSeverity.ERROR,
+            Own: ErrorSeverity.WARNING,
+            Visual: ErrorSeverity.ERROR,
+        });
+    });
+});
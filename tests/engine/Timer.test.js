@@ -0,0 +1,101 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World } from '../../engine/core/World.js';
+import { TimeScale } from '../../engine/core/TimeScale.js';
+import { ComponentRegistry } from '../../engine/core/ComponentRegistry.js';
+import { Timer, TimerHandle, startTimer } from '../../engine/stdlib/components/Timer.js';
+import { TimerSystem } from '../../engine/stdlib/systems/TimerSystem.js';
+
+class AlarmEvent {}
+ComponentRegistry.register('test.Timer.AlarmEvent', AlarmEvent);
+ComponentRegistry.register('test.Timer.Timer', Timer);
+
+const createWorld = () => {
+    const world = new World();
+    world.registerSystem(new TimerSystem(world));
+    return world;
+};
+
+describe('Timer / TimerHandle', () => {
+    test('指定時間が経過すると1度だけ発火し、エンティティごと削除される', () => {
+        const world = createWorld();
+        let fired = 0;
+        const handle = startTimer(world, 100, { callback: () => fired++ });
+
+        world.update(60);
+        assert.equal(fired, 0);
+        assert.equal(handle.isActive, true);
+
+        world.update(60);
+        assert.equal(fired, 1);
+        assert.equal(handle.isActive, false);
+        assert.equal(world.isAlive(handle.entityId), false);
+    });
+
+    test('repeat と interval の回数・間隔で繰り返し、1フレームで複数回分が経過した場合はその回数だけ発火する', () => {
+        const world = createWorld();
+        let fired = 0;
+        const handle = startTimer(world, 50, { interval: 20, repeat: 3, callback: () => fired++ });
+
+        world.update(50);
+        assert.equal(fired, 1);
+
+        world.update(45);
+        assert.equal(fired, 3);
+        assert.equal(handle.timer.count, 3);
+
+        world.update(100);
+        assert.equal(fired, 4);
+        assert.equal(handle.isActive, false);
+    });
+
+    test('一時停止中は時間が進まず、取り消すと発火しない', () => {
+        const world = createWorld();
+        let fired = 0;
+        const handle = startTimer(world, 100, { callback: () => fired++ });
+
+        handle.pause();
+        world.update(500);
+        assert.equal(fired, 0);
+
+        handle.resume();
+        world.update(50);
+        handle.cancel();
+        world.update(100);
+        assert.equal(fired, 0);
+        assert.equal(handle.isActive, false);
+
+        // 終了後の操作は何もしない
+        handle.pause();
+        handle.cancel();
+    });
+
+    test('TimeScale の倍率で進み、ignoreTimeScale のタイマーは実時間で進む', () => {
+        const world = createWorld();
+        world.addComponent(world.createEntity(), new TimeScale(2));
+        const scaled = startTimer(world, 100);
+        const realTime = startTimer(world, 100, { ignoreTimeScale: true });
+
+        world.update(50);
+        assert.equal(scaled.isActive, false);
+        assert.equal(realTime.isActive, true);
+    });
+
+    test('発火するたびにイベントを発行し、スナップショットから復元しても続きから発火する', () => {
+        const world = createWorld();
+        const handle = startTimer(world, 100, { event: AlarmEvent, payload: { id: 7 }, repeat: 1 });
+
+        world.update(100);
+        assert.deepEqual(world.events.consume(AlarmEvent).map(event => event.id), [7]);
+        world.update(30);
+
+        const restored = createWorld();
+        restored.restore(JSON.parse(JSON.stringify(world.serialize())));
+        const restoredHandle = new TimerHandle(restored, handle.entityId);
+        assert.equal(restoredHandle.timer.remaining, 70);
+
+        restored.update(70);
+        assert.deepEqual(restored.events.consume(AlarmEvent).map(event => event.id), [7]);
+        assert.equal(restoredHandle.isActive, false);
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World } from '../../engine/core/World.js';
+import { Timeline } from '../../engine/utils/Tween.js';
+import { TweenTimeline } from '../../engine/stdlib/components/TweenTimeline.js';
+import { TweenSystem } from '../../engine/stdlib/systems/TweenSystem.js';
+
+class Transform {
+    constructor() {
+        this.x = 0;
+        this.y = 0;
+        this.scale = { value: 1 };
+    }
+}
+
+const setup = () => {
+    const world = new World();
+    world.registerSystem(new TweenSystem(world));
+    const entityId = world.createEntity();
+    const transform = new Transform();
+    world.addComponent(entityId, transform);
+    return { world, entityId, transform };
+};
+
+describe('TweenSystem', () => {
+    test('tween は経過時間に応じて値を補間し、最後まで再生するとタイムラインを取り除く', () => {
+        const { world, entityId, transform } = setup();
+        let isCompleted = false;
+        world.addComponent(entityId, new TweenTimeline(
+            Timeline.tween(entityId, Transform, { to: { x: 100, 'scale.value': 3 } }, { duration: 100 }),
+            { onComplete: () => { isCompleted = true; } }
+        ));
+
+        world.update(25);
+        assert.equal(transform.x, 25);
+        assert.equal(transform.scale.value, 1.5);
+
+        world.update(100);
+        assert.equal(transform.x, 100);
+        assert.equal(transform.scale.value, 3);
+        assert.equal(world.getComponent(entityId, TweenTimeline), null);
+        assert.equal(isCompleted, true);
+    });
+
+    test('sequence は子を順に、parallel は同時に再生する', () => {
+        const { world, entityId, transform } = setup();
+        world.addComponent(entityId, new TweenTimeline(Timeline.sequence([
+            Timeline.tween(entityId, Transform, { to: { x: 10 } }, { duration: 100 }),
+            Timeline.wait(50),
+            Timeline.parallel([
+                Timeline.tween(entityId, Transform, { by: { x: 10 } }, { duration: 100 }),
+                Timeline.tween(entityId, Transform, { to: { y: 20 } }, { duration: 200 }),
+            ]),
+        ])));
+
+        world.update(100);
+        assert.deepEqual([transform.x, transform.y], [10, 0]);
+        world.update(50);
+        assert.deepEqual([transform.x, transform.y], [10, 0]);
+        world.update(50);
+        assert.deepEqual([transform.x, transform.y], [15, 5]);
+        world.update(150);
+        assert.deepEqual([transform.x, transform.y], [20, 20]);
+        assert.equal(world.getComponent(entityId, TweenTimeline), null);
+    });
+
+    test('yoyo 付きの repeat は往復して開始時の値に戻る', () => {
+        const { world, entityId, transform } = setup();
+        world.addComponent(entityId, new TweenTimeline(
+            Timeline.tween(entityId, Transform, { from: { x: 0 }, to: { x: 8 } }, { duration: 50, yoyo: true, repeat: 1 })
+        ));
+
+        world.update(50);
+        assert.equal(transform.x, 8);
+        world.update(25);
+        assert.equal(transform.x, 4);
+        world.update(25);
+        assert.equal(transform.x, 0);
+        assert.equal(world.getComponent(entityId, TweenTimeline), null);
+    });
+
+    test('destroyEntity を指定すると、再生を終えた時にエンティティごと削除する', () => {
+        const { world, entityId, transform } = setup();
+        const tweenEntityId = world.createEntity();
+        world.addComponent(tweenEntityId, new TweenTimeline(
+            Timeline.tween(entityId, Transform, { to: { x: 1 } }, { duration: 10 }),
+            { destroyEntity: true }
+        ));
+
+        world.update(10);
+        assert.equal(transform.x, 1);
+        assert.equal(world.isAlive(tweenEntityId), false);
+        assert.equal(world.isAlive(entityId), true);
+    });
+
+    test('対象のエンティティが削除された tween は無視して再生を続ける', () => {
+        const { world, entityId } = setup();
+        const timelineEntityId = world.createEntity();
+        world.addComponent(timelineEntityId, new TweenTimeline(
+            Timeline.tween(entityId, Transform, { to: { x: 1 } }, { duration: 100 })
+        ));
+
+        world.destroyEntity(entityId);
+        world.update(50);
+        world.update(50);
+        assert.equal(world.getComponent(timelineEntityId, TweenTimeline), null);
+    });
+});